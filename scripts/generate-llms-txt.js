@@ -3,7 +3,9 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fetchAndClean, generateLLMsTxt, generateParsingReport } from '../src/server/utils/defuddle-fetch-server.js';
+import { fetchAndClean, cleanContent, generateLLMsTxt, generateParsingReport } from '../src/server/utils/defuddle-fetch-server.js';
+import { DEFAULT_SNAPSHOT_DIR, loadSnapshotManifest, readSnapshotBody } from '../src/server/utils/snapshot-store.js';
+import { classifyFetchError, summarizeFetchErrors } from '../src/server/utils/fetch-errors.js';
 
 console.log('🚀 LLMs.txt generator script starting...');
 
@@ -12,7 +14,11 @@ const CONFIG = {
   outputDir: 'public',
   maxConcurrency: 3,
   qualityThreshold: 0.2,
-  minWordCount: 30
+  minWordCount: 30,
+  // Pages the crawler stored with --snapshots are cleaned from the snapshot instead of refetched
+  snapshotDir: DEFAULT_SNAPSHOT_DIR,
+  // --offline: never fetch; pages without a snapshot are reported as failed
+  offline: process.argv.includes('--offline')
 };
 
 class LLMsTxtGenerator {
@@ -24,6 +30,7 @@ class LLMsTxtGenerator {
       successfulPages: 0,
       failedPages: 0,
       qualityFiltered: 0,
+      fromSnapshots: 0,
       totalWords: 0
     };
   }
@@ -54,7 +61,8 @@ class LLMsTxtGenerator {
   async generateForSite(siteKey, siteData) {
     console.log(`\n🌐 Processing site: ${siteData.name} (${siteKey})`);
     
-    const pages = siteData.pages || [];
+    // Tombstoned pages are missing upstream and only kept until the crawler prunes them
+    const pages = (siteData.pages || []).filter(page => !page.tombstonedAt);
     if (pages.length === 0) {
       console.log(`  ⚠️ No pages found for ${siteKey}`);
       return;
@@ -67,6 +75,14 @@ class LLMsTxtGenerator {
     const urls = pages.map(page => page.url);
     const batchResults = await this.batchFetchPages(urls, siteKey);
     
+    // Carry the crawler's near-duplicate clusters, link importance and sidebar order over to the fetched documents
+    const pageByUrl = new Map(pages.map(page => [page.url, page]));
+    for (const result of batchResults.results) {
+      result.clusterId = pageByUrl.get(result.url)?.clusterId;
+      result.importance = pageByUrl.get(result.url)?.importance;
+      result.navOrder = pageByUrl.get(result.url)?.navOrder;
+    }
+    
     // Generate LLMs.txt for this site
     const llmsContent = this.generateSiteLLMsTxt(siteData, batchResults);
     
@@ -90,6 +106,16 @@ class LLMsTxtGenerator {
     const errors = [];
     const qualityFiltered = [];
     
+    // Snapshots are looked up by the URL that was requested and the one it ended up at
+    const snapshotsByUrl = new Map();
+    for (const snapshot of Object.values(await loadSnapshotManifest(siteKey, CONFIG.snapshotDir))) {
+      snapshotsByUrl.set(snapshot.url, snapshot);
+      if (snapshot.finalUrl) snapshotsByUrl.set(snapshot.finalUrl, snapshot);
+    }
+    if (snapshotsByUrl.size > 0) {
+      console.log(`  💾 Using snapshots from ${CONFIG.snapshotDir} where available`);
+    }
+    
     // Process URLs in batches to control concurrency
     const batches = [];
     for (let i = 0; i < urls.length; i += CONFIG.maxConcurrency) {
@@ -99,22 +125,20 @@ class LLMsTxtGenerator {
     for (const batch of batches) {
       const batchPromises = batch.map(async (url) => {
         try {
-          const result = await fetchAndClean(url, {
-            qualityThreshold: CONFIG.qualityThreshold,
-            timeout: 30000
-          });
+          const result = await this.cleanPage(url, snapshotsByUrl.get(url));
           
           this.stats.successfulPages++;
           this.stats.totalWords += result.wordCount || 0;
           
           return result;
         } catch (error) {
-          if (error.message.includes('Content quality too low')) {
+          const { category, status } = classifyFetchError(error);
+          if (category === 'quality-filtered') {
             this.stats.qualityFiltered++;
             qualityFiltered.push({ url, error: error.message });
           } else {
             this.stats.failedPages++;
-            errors.push({ url, error: error.message });
+            errors.push({ url, error: error.message, category, ...(status && { status }) });
           }
           return null;
         }
@@ -127,6 +151,24 @@ class LLMsTxtGenerator {
     return { results, errors, qualityFiltered };
   }
 
+  async cleanPage(url, snapshot) {
+    const body = snapshot ? await readSnapshotBody(snapshot.hash, CONFIG.snapshotDir) : null;
+    if (body !== null) {
+      this.stats.fromSnapshots++;
+      return cleanContent(body, url, {
+        contentType: snapshot.contentType || '',
+        qualityThreshold: CONFIG.qualityThreshold
+      });
+    }
+    if (CONFIG.offline) {
+      throw new Error(`No snapshot for ${url} (--offline)`);
+    }
+    return fetchAndClean(url, {
+      qualityThreshold: CONFIG.qualityThreshold,
+      timeout: 30000
+    });
+  }
+
   generateSiteLLMsTxt(siteData, batchResults) {
     const { results, qualityFiltered } = batchResults;
     
@@ -138,7 +180,9 @@ class LLMsTxtGenerator {
       includeMetadata: true,
       includeQualityScores: true,
       sortByQuality: true,
-      includeQualityDisclaimer: true
+      sortByNavigation: true,
+      includeQualityDisclaimer: true,
+      collapseNearDuplicates: true
     }, qualityFiltered);
   }
 
@@ -183,8 +227,10 @@ class LLMsTxtGenerator {
     if (errors.length > 0) {
       report += '❌ ERRORS\n';
       report += '-'.repeat(15) + '\n';
+      const { byCategory } = summarizeFetchErrors(errors);
+      report += `By category: ${Object.entries(byCategory).map(([category, count]) => `${count} ${category}`).join(', ')}\n`;
       errors.slice(0, 10).forEach(error => {
-        report += `- ${error.url}: ${error.error}\n`;
+        report += `- [${error.category}] ${error.url}: ${error.error}\n`;
       });
       if (errors.length > 10) {
         report += `... and ${errors.length - 10} more errors\n`;
@@ -203,6 +249,7 @@ class LLMsTxtGenerator {
     console.log(`Successful extractions: ${this.stats.successfulPages}`);
     console.log(`Failed extractions: ${this.stats.failedPages}`);
     console.log(`Quality filtered: ${this.stats.qualityFiltered}`);
+    console.log(`Cleaned from snapshots: ${this.stats.fromSnapshots}`);
     console.log(`Total words extracted: ${this.stats.totalWords.toLocaleString()}`);
     
     const successRate = this.stats.totalPages > 0 
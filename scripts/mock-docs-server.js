@@ -0,0 +1,450 @@
+#!/usr/bin/env bun
+// scripts/mock-docs-server.js - Serve synthetic documentation sites for offline crawler runs
+//
+// Each site mimics one theme the crawler handles (MkDocs Material, VitePress, Vocs,
+// Next.js SSR, a plain-text glossary) and includes the awkward cases seen on the real
+// sites: redirects, soft-404 pages, robots.txt rules, sitemap-only pages, slow
+// responses, 429s and 502s. Every site gets its own port so cross-site links count as
+// external, just like the real hosts.
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+// Words the generated prose is built from; each page draws its own mix
+const VOCABULARY = [
+  'process', 'message', 'handler', 'module', 'device', 'gateway', 'wallet', 'transaction',
+  'bundle', 'manifest', 'schema', 'runtime', 'scheduler', 'compute', 'unit', 'state',
+  'ledger', 'token', 'balance', 'query', 'index', 'cache', 'upload', 'signature',
+  'network', 'node', 'peer', 'route', 'configuration', 'deployment', 'codec', 'payload',
+  'evaluation', 'checkpoint', 'snapshot', 'assignment', 'slot', 'nonce', 'hash', 'tag',
+  'owner', 'target', 'anchor', 'endpoint', 'resolver', 'name', 'record', 'lease',
+  'operator', 'stake', 'reward', 'epoch', 'observer', 'report', 'contract', 'function',
+  'argument', 'result', 'error', 'retry', 'timeout', 'stream', 'buffer', 'encoding'
+];
+const VERBS = ['validates', 'signs', 'forwards', 'stores', 'resolves', 'schedules', 'evaluates', 'caches', 'returns', 'encodes'];
+
+/**
+ * Site definitions: sidebar sections in order, plus the special cases each site exercises
+ * - redirects: path -> target (301)
+ * - softNotFound: paths that answer 200 with a themed "404 - Page not found" page
+ * - sitemapOnly: pages only listed in sitemap.xml (not linked anywhere)
+ * - disallowed: pages robots.txt disallows (linked from the first page)
+ * - slow: paths answered after options.slowDelayMs
+ * - throttled: paths answered with 429 (Retry-After: 1) on their first request
+ * - flaky: paths answered with 502 on their first request (a transient failure for the retry queue)
+ */
+export const MOCK_SITES = {
+  mkdocs: {
+    name: 'Mock MkDocs Material',
+    theme: 'mkdocs',
+    seedUrls: ['/build/', '/run/'],
+    sections: [
+      { label: 'Build', pages: [['/build/', 'Build Overview'], ['/build/introduction.html', 'Introduction'], ['/build/devices/', 'Devices'], ['/build/devices/meta.html', 'Meta Device']] },
+      { label: 'Run', pages: [['/run/', 'Running a Node'], ['/run/configuration.html', 'Node Configuration']] }
+    ],
+    redirects: { '/build/intro.html': '/build/introduction.html' },
+    softNotFound: ['/build/removed.html'],
+    sitemapOnly: [['/reference/changelog.html', 'Changelog']],
+    disallowed: ['/private/drafts.html']
+  },
+  vitepress: {
+    name: 'Mock VitePress',
+    theme: 'vitepress',
+    seedUrls: ['/welcome/', '/guides/'],
+    sections: [
+      { label: 'Welcome', pages: [['/welcome/', 'Welcome'], ['/welcome/getting-started.html', 'Getting Started']] },
+      { label: 'Guides', pages: [['/guides/', 'Guides'], ['/guides/aos/', 'aos'], ['/guides/aos/inbox.html', 'Inbox and Handlers'], ['/guides/aoconnect/', 'aoconnect']] }
+    ],
+    redirects: { '/guides/aos.html': '/guides/aos/' },
+    softNotFound: ['/guides/legacy.html'],
+    sitemapOnly: [['/references/lua.html', 'Lua Reference']],
+    disallowed: [],
+    flaky: ['/references/lua.html']
+  },
+  vocs: {
+    name: 'Mock Vocs',
+    theme: 'vocs',
+    seedUrls: ['/getting-started'],
+    sections: [
+      { label: 'Getting Started', pages: [['/getting-started', 'Quick Start'], ['/web', 'Web Usage']] },
+      { label: 'API', pages: [['/api/ao', 'AO'], ['/api/process', 'Process'], ['/api/hb', 'HyperBEAM Client']] }
+    ],
+    redirects: {},
+    softNotFound: [],
+    sitemapOnly: [],
+    disallowed: [],
+    slow: ['/api/process']
+  },
+  nextjs: {
+    name: 'Mock Next.js',
+    theme: 'nextjs',
+    handler: 'nextjs',
+    seedUrls: ['/'],
+    sections: [
+      { label: 'Introduction', pages: [['/', 'AR.IO Docs'], ['/learn/what-is-ario', 'What is AR.IO']] },
+      { label: 'Gateways', pages: [['/gateways', 'Gateways'], ['/gateways/setup', 'Gateway Setup'], ['/gateways/observer', 'Observer']] }
+    ],
+    redirects: { '/docs/gateways': '/gateways' },
+    softNotFound: ['/learn/deprecated'],
+    sitemapOnly: [['/sdks/ar-io-sdk', 'AR.IO SDK']],
+    disallowed: [],
+    throttled: ['/gateways/setup']
+  },
+  glossary: {
+    name: 'Mock Glossary',
+    theme: 'text',
+    handler: 'glossary',
+    fileUrl: '/glossary.txt',
+    sections: [],
+    redirects: {},
+    softNotFound: [],
+    sitemapOnly: [],
+    disallowed: []
+  }
+};
+
+/**
+ * Deterministic pseudo-random generator seeded from a string
+ */
+function seededRandom(seed) {
+  let state = parseInt(createHash('sha256').update(seed).digest('hex').slice(0, 8), 16) || 1;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Prose about a page's topic; different for every path so pages aren't near-duplicates
+ */
+function generateParagraphs(topic, seed, count = 3) {
+  const random = seededRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const paragraphs = [];
+  for (let p = 0; p < count; p++) {
+    const sentences = [];
+    for (let s = 0; s < 6; s++) {
+      sentences.push(`The ${pick(VOCABULARY)} ${pick(VOCABULARY)} ${pick(VERBS)} each ${pick(VOCABULARY)} before the ${topic.toLowerCase()} ${pick(VOCABULARY)} ${pick(VERBS)} its ${pick(VOCABULARY)}.`);
+    }
+    paragraphs.push(sentences.join(' '));
+  }
+  return paragraphs;
+}
+
+/**
+ * Article body: heading, prose, a code sample and in-content links
+ */
+function articleBody(title, pagePath, links) {
+  const paragraphs = generateParagraphs(title, pagePath);
+  const code = `const result = await ${title.replace(/[^a-z]/gi, '').toLowerCase() || 'page'}.send({ target, tags: [{ name: 'Action', value: 'Info' }] });`;
+  const linkList = links.map(([href, text]) => `<li><a href="${href}">${text}</a></li>`).join('');
+  return `
+      <h1>${title}</h1>
+      <p>${paragraphs[0]}</p>
+      <h2>Example</h2>
+      <pre><code class="language-js">${code}</code></pre>
+      <p>${paragraphs[1]}</p>
+      <h2>See also</h2>
+      <ul>${linkList}</ul>
+      <p>${paragraphs[2]}</p>`;
+}
+
+/**
+ * Sidebar markup in the theme's own structure
+ */
+function renderSidebar(site) {
+  switch (site.theme) {
+    case 'mkdocs':
+      return `<nav class="md-nav md-nav--primary"><label class="md-nav__title">${site.name}</label><ul class="md-nav__list">${
+        site.sections.map(section => `<li class="md-nav__item md-nav__item--nested"><input class="md-nav__toggle" type="checkbox"><label class="md-nav__link">${section.label}</label><nav class="md-nav"><ul class="md-nav__list">${
+          section.pages.map(([href, text]) => `<li class="md-nav__item"><a class="md-nav__link" href="${href}">${text}</a></li>`).join('')
+        }</ul></nav></li>`).join('')
+      }</ul></nav>`;
+    case 'vitepress':
+      return `<aside class="VPSidebar"><nav id="VPSidebarNav">${
+        site.sections.map(section => `<div class="group"><section class="VPSidebarItem level-0"><div class="item"><h2 class="text">${section.label}</h2></div><div class="items">${
+          section.pages.map(([href, text]) => `<div class="VPSidebarItem level-1"><div class="item"><a class="VPLink link" href="${href}"><p class="text">${text}</p></a></div></div>`).join('')
+        }</div></section></div>`).join('')
+      }</nav></aside>`;
+    case 'vocs':
+      return `<aside class="vocs_Sidebar"><nav class="vocs_Sidebar_navigation">${
+        site.sections.map(section => `<section class="vocs_Sidebar_section"><div class="vocs_Sidebar_sectionHeader"><div class="vocs_Sidebar_sectionTitle">${section.label}</div></div><div class="vocs_Sidebar_items">${
+          section.pages.map(([href, text]) => `<a class="vocs_Sidebar_item" href="${href}">${text}</a>`).join('')
+        }</div></section>`).join('')
+      }</nav></aside>`;
+    case 'nextjs':
+      return `<aside class="nextra-sidebar-container"><nav>${
+        site.sections.map(section => `<div><p class="nextra-sidebar-title">${section.label}</p><ul>${
+          section.pages.map(([href, text]) => `<li><a href="${href}">${text}</a></li>`).join('')
+        }</ul></div>`).join('')
+      }</nav></aside>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Full HTML page in the site's theme
+ */
+function renderPage(site, title, body) {
+  const sidebar = renderSidebar(site);
+  switch (site.theme) {
+    case 'mkdocs':
+      return `<!doctype html><html><head><meta charset="utf-8"><title>${title} - ${site.name}</title><meta name="generator" content="mkdocs-1.6.0, mkdocs-material-9.5.0"></head><body>
+  <header class="md-header"><nav class="md-header__inner"><a href="/">${site.name}</a></nav></header>
+  <div class="md-container"><main class="md-main"><div class="md-main__inner">
+    <div class="md-sidebar md-sidebar--primary">${sidebar}</div>
+    <div class="md-content"><article class="md-content__inner md-typeset">${body}</article></div>
+  </div></main><footer class="md-footer">Made with Material for MkDocs</footer></div>
+</body></html>`;
+    case 'vitepress':
+      return `<!doctype html><html><head><meta charset="utf-8"><title>${title} | ${site.name}</title><meta name="generator" content="VitePress v1.5.0"></head><body>
+  <div id="app"><div class="Layout"><header class="VPNav"><a class="VPNavBarTitle" href="/">${site.name}</a></header>
+    ${sidebar}
+    <div class="VPContent has-sidebar"><div class="VPDoc"><main class="main"><div class="vp-doc">${body}</div></main></div></div>
+  </div></div>
+</body></html>`;
+    case 'vocs':
+      return `<!doctype html><html><head><meta charset="utf-8"><title>${title} – ${site.name}</title></head><body>
+  <div class="vocs_DocsLayout"><div class="vocs_Header"><a href="/">${site.name}</a></div>
+    ${sidebar}
+    <main class="vocs_Main"><article class="vocs_Content">${body.replace('<h1>', '<h1 class="vocs_H1">')}</article></main>
+  </div>
+</body></html>`;
+    case 'nextjs':
+      return `<!doctype html><html><head><meta charset="utf-8"><title>${title} - ${site.name}</title><script>(function(){try{var d=document.documentElement;var t=localStorage.getItem('theme');if(t==='light'||t==='dark'){d.classList.add(t)}else{d.classList.add('dark')}}catch(e){}})()</script></head><body>
+  <div id="__next"><div class="nextra-nav-container"><a href="/">${site.name}</a></div>
+    <div class="nextra-content">${sidebar}<article class="nextra-body"><main>${body}</main></article></div>
+  </div>
+  <script>self.__next_f.push([1,"2:[\\"$\\",\\"$L3\\",null,{\\"templateStyles\\":\\"$undefined\\"}]"])</script>
+</body></html>`;
+    default:
+      return body;
+  }
+}
+
+/**
+ * Plain-text glossary served by the "text" site
+ */
+function renderGlossary() {
+  const terms = ['Arweave', 'AO', 'HyperBEAM', 'Gateway', 'ArNS', 'Bundler', 'Process', 'Message', 'Wallet', 'Turbo'];
+  return ['Permaweb Glossary', '']
+    .concat(terms.map(term => `${term}: ${generateParagraphs(term, `glossary-${term}`, 1)[0]}`))
+    .join('\n');
+}
+
+/**
+ * Every route a site answers: { status, body, contentType, headers?, delayMs? } by path
+ */
+function buildRoutes(site, baseUrl, options) {
+  const routes = new Map();
+  const html = (body) => ({ status: 200, body, contentType: 'text/html; charset=utf-8' });
+
+  if (site.theme === 'text') {
+    routes.set(site.fileUrl, { status: 200, body: renderGlossary(), contentType: 'text/plain; charset=utf-8' });
+    routes.set('/robots.txt', { status: 200, body: 'User-agent: *\nAllow: /\n', contentType: 'text/plain' });
+    return routes;
+  }
+
+  const sidebarPages = site.sections.flatMap(section => section.pages);
+  const allPages = [...sidebarPages, ...site.sitemapOnly];
+
+  sidebarPages.forEach(([pagePath, title], index) => {
+    // Each page links to its neighbours; the first one also links to every special case
+    const links = [];
+    if (sidebarPages[index + 1]) links.push(sidebarPages[index + 1]);
+    if (index > 0) links.push(sidebarPages[index - 1]);
+    if (index === 0) {
+      for (const from of Object.keys(site.redirects)) links.push([from, `Moved page (${from})`]);
+      for (const missing of site.softNotFound) links.push([missing, 'Removed page']);
+      for (const disallowed of site.disallowed) links.push([disallowed, 'Drafts']);
+      links.push(['/does-not-exist', 'Broken link']);
+      links.push(['https://github.com/permaweb', 'GitHub']);
+    }
+    routes.set(pagePath, html(renderPage(site, title, articleBody(title, pagePath, links))));
+  });
+
+  for (const [pagePath, title] of site.sitemapOnly) {
+    routes.set(pagePath, html(renderPage(site, title, articleBody(title, pagePath, [sidebarPages[0]]))));
+  }
+  for (const pagePath of site.disallowed) {
+    routes.set(pagePath, html(renderPage(site, 'Drafts', articleBody('Drafts', pagePath, []))));
+  }
+  for (const pagePath of site.softNotFound) {
+    routes.set(pagePath, html(renderPage(site, '404 - Page not found',
+      '<h1>404 - Page not found</h1><p>Sorry, the page you are looking for could not be found.</p>')));
+  }
+  // Sites without a root page send it to the first sidebar page, as docs sites usually do
+  const redirects = routes.has('/') ? site.redirects : { '/': sidebarPages[0][0], ...site.redirects };
+  for (const [from, to] of Object.entries(redirects)) {
+    routes.set(from, { status: 301, body: '', contentType: 'text/plain', headers: { Location: to } });
+  }
+  for (const pagePath of site.slow || []) {
+    routes.set(pagePath, { ...routes.get(pagePath), delayMs: options.slowDelayMs });
+  }
+
+  const disallowRules = site.disallowed.map(pagePath => `Disallow: ${pagePath}`).join('\n');
+  routes.set('/robots.txt', {
+    status: 200,
+    body: `User-agent: *\n${disallowRules}\nAllow: /\n\nSitemap: ${baseUrl}/sitemap.xml\n`,
+    contentType: 'text/plain'
+  });
+  routes.set('/sitemap.xml', {
+    status: 200,
+    body: `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${
+      allPages.map(([pagePath]) => `<url><loc>${baseUrl}${pagePath}</loc><lastmod>2025-01-01</lastmod></url>`).join('')
+    }</urlset>`,
+    contentType: 'application/xml'
+  });
+  return routes;
+}
+
+/**
+ * Crawl config entry for a mock site, shaped like the real entries in public/crawl-config.json
+ */
+function siteConfig(site, baseUrl) {
+  const selectors = {
+    mkdocs: { title: 'h1, title', content: '.md-content__inner, main' },
+    vitepress: { title: 'h1, title', content: '.vp-doc, main' },
+    vocs: { title: 'h1.vocs_H1', content: 'article.vocs_Content' },
+    nextjs: { title: 'h1, title', content: 'article, main' },
+    text: { title: 'title', content: 'body' }
+  }[site.theme];
+
+  if (site.theme === 'text') {
+    return {
+      name: site.name,
+      baseUrl,
+      maxDepth: 1,
+      maxPages: 1,
+      type: 'single-file',
+      fileUrl: baseUrl + site.fileUrl,
+      handler: site.handler,
+      selectors,
+      excludePatterns: ['/llms\\.txt$/'],
+      seedUrls: [site.fileUrl]
+    };
+  }
+
+  return {
+    name: site.name,
+    baseUrl,
+    maxDepth: 4,
+    maxPages: 50,
+    ...(site.handler && { handler: site.handler }),
+    selectors,
+    excludePatterns: ['/\\.(pdf|zip|tar|gz)$/', '/llms\\.txt$/'],
+    contentFilters: { minWordCount: 30 },
+    seedUrls: site.seedUrls,
+    pruneAfterDays: 0
+  };
+}
+
+/**
+ * Start one HTTP server per mock site
+ * @param {Object} [options] - Server options
+ * @param {string} [options.host] - Interface to listen on
+ * @param {number} [options.port] - First port (sites take consecutive ports); 0 picks free ports
+ * @param {number} [options.slowDelayMs] - Delay for the sites' slow pages
+ * @param {string[]} [options.sites] - Subset of MOCK_SITES keys to serve
+ * @returns {Promise<Object>} { sites (key -> baseUrl), config (crawl-config.json object), requests, close() }
+ */
+export async function startMockDocsServer(options = {}) {
+  const {
+    host = '127.0.0.1',
+    port = 0,
+    slowDelayMs = 1500,
+    sites = Object.keys(MOCK_SITES)
+  } = options;
+
+  const servers = [];
+  const baseUrls = {};
+  const config = {};
+  // Every request served, in order: { site, method, path, status }
+  const requests = [];
+
+  for (const [index, siteKey] of sites.entries()) {
+    const site = MOCK_SITES[siteKey];
+    if (!site) {
+      throw new Error(`Unknown mock site "${siteKey}" (available: ${Object.keys(MOCK_SITES).join(', ')})`);
+    }
+
+    const throttled = new Set(site.throttled || []);
+    const flaky = new Set(site.flaky || []);
+    let routes = null;
+    const server = http.createServer(async (req, res) => {
+      const { pathname } = new URL(req.url, 'http://mock');
+      const route = routes.get(pathname);
+      const respond = (status, body = '', headers = {}) => {
+        requests.push({ site: siteKey, method: req.method, path: pathname, status });
+        res.writeHead(status, headers);
+        res.end(body);
+      };
+
+      if (throttled.has(pathname)) {
+        throttled.delete(pathname);
+        return respond(429, 'Too Many Requests', { 'Retry-After': '1', 'Content-Type': 'text/plain' });
+      }
+      if (flaky.has(pathname)) {
+        flaky.delete(pathname);
+        return respond(502, 'Bad Gateway', { 'Content-Type': 'text/plain' });
+      }
+      if (!route) {
+        return respond(404, 'Not Found', { 'Content-Type': 'text/plain' });
+      }
+      if (route.delayMs) {
+        await new Promise(resolveDelay => setTimeout(resolveDelay, route.delayMs));
+      }
+
+      const etag = `"${createHash('sha1').update(route.body).digest('hex').slice(0, 16)}"`;
+      if (route.status === 200 && req.headers['if-none-match'] === etag) {
+        return respond(304);
+      }
+      respond(route.status, req.method === 'HEAD' ? '' : route.body, {
+        'Content-Type': route.contentType,
+        ...(route.status === 200 && { ETag: etag, 'Last-Modified': 'Wed, 01 Jan 2025 00:00:00 GMT' }),
+        ...route.headers
+      });
+    });
+
+    await new Promise((resolveListen, rejectListen) => {
+      server.once('error', rejectListen);
+      server.listen(port ? port + index : 0, host, resolveListen);
+    });
+    const baseUrl = `http://${host}:${server.address().port}`;
+    routes = buildRoutes(site, baseUrl, { slowDelayMs });
+    servers.push(server);
+    baseUrls[siteKey] = baseUrl;
+    config[`mock-${siteKey}`] = siteConfig(site, baseUrl);
+  }
+
+  return {
+    sites: baseUrls,
+    config,
+    requests,
+    close: () => Promise.all(servers.map(server => new Promise(resolveClose => server.close(resolveClose))))
+  };
+}
+
+// Main execution: serve until interrupted and write a crawl config pointing at the mock sites
+if (process.argv[1] && process.argv[1].endsWith('mock-docs-server.js')) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const configIndex = args.indexOf('--config');
+  const port = portIndex !== -1 ? parseInt(args[portIndex + 1], 10) || 0 : 4600;
+  const configPath = configIndex !== -1 ? args[configIndex + 1] : '.mock-docs/crawl-config.json';
+
+  const mock = await startMockDocsServer({ port });
+  fs.mkdirSync(path.dirname(path.resolve(configPath)), { recursive: true });
+  fs.writeFileSync(configPath, JSON.stringify(mock.config, null, 2));
+
+  console.log('🧪 Mock documentation sites:');
+  for (const [siteKey, baseUrl] of Object.entries(mock.sites)) {
+    console.log(`  ${MOCK_SITES[siteKey].name.padEnd(22)} ${baseUrl}`);
+  }
+  console.log(`\n📝 Crawl config written to ${configPath}`);
+  console.log(`   CRAWL_CONFIG_PATH=${configPath} bun run crawl --output .mock-docs/docs-index.json`);
+  console.log('\nPress Ctrl+C to stop');
+}
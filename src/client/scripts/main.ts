@@ -26,6 +26,12 @@ interface PageData {
 	breadcrumbs?: string[];
 	estimatedWords: number;
 	estimatedChars: number;
+	clusterId?: string;
+	duplicateOf?: string;
+	importance?: number;
+	navOrder?: number;
+	navPath?: string[];
+	category?: string;
 }
 
 interface SiteData {
@@ -58,6 +64,12 @@ const selectionDetails = document.getElementById("selection-details");
 const selectionToggle = document.getElementById("selection-toggle");
 const selectedPagesList = document.getElementById("selected-pages-list");
 const estimatedChars = document.getElementById("estimated-chars");
+const collapseDuplicatesToggle = document.getElementById(
+	"collapse-duplicates-toggle",
+) as HTMLInputElement | null;
+const importanceSortToggle = document.getElementById(
+	"importance-sort-toggle",
+) as HTMLInputElement | null;
 
 // Initialize the application
 async function initialize() {
@@ -160,6 +172,9 @@ function extractAllPages(index: any): PageData[] {
 		// Use the flat pages array directly from the JSON structure
 		if (site.pages && Array.isArray(site.pages)) {
 			for (const page of site.pages) {
+				// Skip pages the crawler found deleted upstream
+				if (page.tombstonedAt) continue;
+
 				// Use existing estimatedWords or calculate from title
 				const estimatedWords =
 					page.estimatedWords ||
@@ -195,7 +210,7 @@ function renderDocumentationTree() {
 	const totalPages = allPages.length;
 	const siteCount = Object.keys(displayTree).length;
 
-	// Sort pages by config order, then by breadcrumb path
+	// Sort pages by config order, then by the site's sidebar order and breadcrumb path
 	const sortedPages = [...allPages].sort((a, b) => {
 		if (a.siteKey !== b.siteKey) {
 			// Sort by config order if available
@@ -212,6 +227,10 @@ function renderDocumentationTree() {
 			// If neither is in config, fall back to alphabetical
 			return (a.siteName || '').localeCompare(b.siteName || '');
 		}
+		const navOrder = compareNavOrder(a.navOrder, b.navOrder);
+		if (navOrder !== 0) {
+			return navOrder;
+		}
 		const pathA = a.breadcrumbs
 			? a.breadcrumbs.join(" / ")
 			: "";
@@ -242,6 +261,14 @@ function renderDocumentationTree() {
 	updateSelectionCount();
 }
 
+// Sidebar position first; pages the sidebar doesn't list go after those it does
+function compareNavOrder(a?: number, b?: number): number {
+	if (a === undefined && b === undefined) return 0;
+	if (a === undefined) return 1;
+	if (b === undefined) return -1;
+	return a - b;
+}
+
 // Render sites with their pages grouped together
 function renderSitesWithPages(sortedPages: PageData[]): string {
 	// Group pages by site
@@ -738,6 +765,8 @@ function updateSelectedPagesList() {
 		siteName: string;
 		siteKey: string;
 		breadcrumbPath: string;
+		importance: number;
+		navOrder?: number;
 	}> = [];
 
 	// Collect data for selected pages
@@ -755,11 +784,14 @@ function updateSelectedPagesList() {
 				siteName: page.siteName || 'Unknown Site',
 				siteKey: page.siteKey || 'unknown',
 				breadcrumbPath: breadcrumbPath,
+				importance: page.importance || 0,
+				navOrder: page.navOrder,
 			});
 		}
 	});
 
-	// Sort by config order then by breadcrumb path
+	// Sort by config order then by sidebar order and breadcrumb path (or most-linked first)
+	const byImportance = importanceSortToggle?.checked ?? false;
 	selectedPagesData.sort((a, b) => {
 		if (a.siteKey !== b.siteKey) {
 			// Sort by config order if available
@@ -776,6 +808,13 @@ function updateSelectedPagesList() {
 			// If neither is in config, fall back to alphabetical
 			return a.siteName.localeCompare(b.siteName);
 		}
+		if (byImportance && a.importance !== b.importance) {
+			return b.importance - a.importance;
+		}
+		if (!byImportance) {
+			const navOrder = compareNavOrder(a.navOrder, b.navOrder);
+			if (navOrder !== 0) return navOrder;
+		}
 		return a.breadcrumbPath.localeCompare(b.breadcrumbPath);
 	});
 
@@ -817,6 +856,13 @@ function showError(message: string) {
 	`;
 }
 
+// Reorder the selection list when importance ordering is toggled
+if (importanceSortToggle) {
+	importanceSortToggle.addEventListener("change", () => {
+		updateSelectedPagesList();
+	});
+}
+
 // Action button handlers
 if (selectAllBtn) {
 	selectAllBtn.addEventListener("click", () => {
@@ -957,8 +1003,33 @@ if (generateBtn) {
 				progressText.textContent = "Generating llms.txt...";
 			}
 
+			// Carry the crawler's near-duplicate clusters, link importance and sidebar order over to the fetched documents
+			const pageByUrl = new Map(allPages.map((page) => [page.url, page]));
+			const documents = cleanedPages.map((doc: any) => ({
+				...doc,
+				siteKey: pageByUrl.get(doc.url)?.siteKey,
+				clusterId: pageByUrl.get(doc.url)?.clusterId,
+				importance: pageByUrl.get(doc.url)?.importance,
+				navOrder: pageByUrl.get(doc.url)?.navOrder,
+			}));
+
+			// Sidebar ordering keeps sites in the order they arrive, so list them in config order
+			const siteIndex = (siteKey?: string) => {
+				const index = configOrder.indexOf(siteKey || '');
+				return index === -1 ? configOrder.length : index;
+			};
+			documents.sort((a: any, b: any) => siteIndex(a.siteKey) - siteIndex(b.siteKey));
+
 			// Generate llms.txt with quality disclaimer
-			const llmsTxt = generateLLMsTxt(cleanedPages, {}, qualityFiltered);
+			const llmsTxt = generateLLMsTxt(
+				documents,
+				{
+					collapseNearDuplicates: collapseDuplicatesToggle?.checked ?? true,
+					sortByImportance: importanceSortToggle?.checked ?? false,
+					sortByNavigation: !(importanceSortToggle?.checked ?? false),
+				},
+				qualityFiltered,
+			);
 
 			// Generate comprehensive parsing report
 			const parsingReport = generateParsingReport(batchResult);
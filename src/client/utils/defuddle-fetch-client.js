@@ -686,6 +686,81 @@ function assessContentQuality(content, options = {}) {
   };
 }
 
+/**
+ * Fetch error categories - browser copy of the server's fetch-errors.js taxonomy,
+ * so client and crawler reports count failures the same way (keep the lists identical)
+ */
+export const FETCH_ERROR_CATEGORIES = [
+  'timeout',
+  'dns',
+  'connection',
+  'http-4xx',
+  'http-5xx',
+  'too-large',
+  'unsupported-content-type',
+  'parse',
+  'soft-404',
+  'quality-filtered',
+  'other'
+];
+const TRANSIENT_ERROR_CATEGORIES = new Set(['timeout', 'dns', 'connection']);
+const TRANSIENT_HTTP_STATUSES = new Set([408, 425, 429]);
+
+// Page content types and largest body accepted - browser copy of safe-fetch.js's limits
+const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain', 'text/markdown'];
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Whether a failure is worth retrying later
+ * @param {string} category - Error category
+ * @param {number|null} [status] - HTTP status for http-4xx/http-5xx
+ * @returns {boolean} True for timeouts, connection failures, 5xx and 408/425/429
+ */
+function isTransientFailure(category, status = null) {
+  if (category === 'http-5xx') return true;
+  if (category === 'http-4xx') return TRANSIENT_HTTP_STATUSES.has(status);
+  return TRANSIENT_ERROR_CATEGORIES.has(category);
+}
+
+/**
+ * Create an error carrying its category
+ * @param {string} category - One of FETCH_ERROR_CATEGORIES
+ * @param {string} message - Error message
+ * @param {Object} [details] - { status } for HTTP errors
+ * @returns {Error} Error with `category`, `status` and `transient` set
+ */
+function createFetchError(category, message, { status = null } = {}) {
+  const error = new Error(message);
+  error.category = category;
+  error.status = status;
+  error.transient = isTransientFailure(category, status);
+  return error;
+}
+
+/**
+ * Work out the category of an error thrown while fetching or cleaning a page
+ * @param {Error|string} error - Thrown error or recorded error message
+ * @returns {{ category: string, status: number|null, transient: boolean }} Classification
+ */
+function classifyFetchError(error) {
+  const result = (category, status = null) => ({ category, status, transient: isTransientFailure(category, status) });
+  if (error?.category) return result(error.category, error.status ?? null);
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') return result('timeout');
+
+  const message = typeof error === 'string' ? error : error?.message || '';
+  const status = message.match(/\bHTTP (\d{3})\b/);
+  if (status) return result(Number(status[1]) >= 500 ? 'http-5xx' : 'http-4xx', Number(status[1]));
+  if (/timed? ?out|timeout|aborted/i.test(message)) return result('timeout');
+  // Browsers report DNS, connection and CORS failures alike ("Failed to fetch", "Load failed")
+  if (/failed to fetch|networkerror|load failed|network/i.test(message)) return result('connection');
+  if (/exceeds the .* limit/i.test(message)) return result('too-large');
+  if (/unsupported content type/i.test(message)) return result('unsupported-content-type');
+  if (/quality too low/i.test(message)) return result('quality-filtered');
+  if (/soft 404|404 page/i.test(message)) return result('soft-404');
+  if (/parse|extract/i.test(message)) return result('parse');
+  return result('other');
+}
+
 /**
  * Batch fetch and clean multiple URLs (client-side version)
  * @param {string[]} urls - Array of URLs to process
@@ -712,11 +787,9 @@ export async function batchFetchAndClean(urls, options = {}) {
     successful: 0,
     failed: 0,
     qualityFiltered: 0,
-    httpErrors: {
-      404: 0,
-      500: 0,
-      other: 0
-    },
+    // Failures per category, and per status for HTTP errors
+    errorCategories: {},
+    httpErrors: {},
     extractionMethods: {
       defuddle: 0,
       stripHTML: 0
@@ -744,8 +817,9 @@ export async function batchFetchAndClean(urls, options = {}) {
       completed++;
       onProgress(completed, urls.length, url, result.qualityScore);
     } catch (error) {
+      const { category, status } = classifyFetchError(error);
       // Check if this is a quality threshold error
-      if (error.message.includes('Content quality too low')) {
+      if (category === 'quality-filtered') {
         metrics.qualityFiltered++;
         const qualityScore = 0.1; // Default low score for filtered content
         
@@ -757,17 +831,12 @@ export async function batchFetchAndClean(urls, options = {}) {
         onQualityFilter(url, qualityScore, error.message);
       } else {
         metrics.failed++;
-        
-        // Track HTTP errors
-        if (error.message.includes('HTTP 404')) {
-          metrics.httpErrors[404]++;
-        } else if (error.message.includes('HTTP 500')) {
-          metrics.httpErrors[500]++;
-        } else if (error.message.includes('HTTP')) {
-          metrics.httpErrors.other++;
+        metrics.errorCategories[category] = (metrics.errorCategories[category] || 0) + 1;
+        if (status) {
+          metrics.httpErrors[status] = (metrics.httpErrors[status] || 0) + 1;
         }
         
-        errors.push({ url, error: error.message });
+        errors.push({ url, error: error.message, category, ...(status && { status }) });
         onError(url, error);
       }
       completed++;
@@ -848,10 +917,21 @@ export async function fetchAndClean(url, options = {}) {
     clearTimeout(timeoutId);
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const category = response.status >= 500 ? 'http-5xx' : 'http-4xx';
+      throw createFetchError(category, `HTTP ${response.status}: ${response.statusText}`, { status: response.status });
     }
 
+    // Refuse what the crawler refuses; a missing Content-Type is allowed
     const contentType = response.headers.get('content-type') || '';
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    if (mediaType && !PAGE_CONTENT_TYPES.includes(mediaType)) {
+      throw createFetchError('unsupported-content-type', `Unsupported content type "${contentType.split(';')[0]}"`);
+    }
+    const contentLength = Number(response.headers.get('content-length'));
+    if (contentLength > MAX_BODY_BYTES) {
+      throw createFetchError('too-large', `Response body of ${Math.round(contentLength / 1024)} KB exceeds the ${MAX_BODY_BYTES / 1024 / 1024} MB limit`);
+    }
+
     const html = await response.text();
 
     // Handle plain text files
@@ -898,7 +978,7 @@ export async function fetchAndClean(url, options = {}) {
 
     // Quality check
     if (qualityScore < qualityThreshold) {
-      throw new Error(`Content quality too low: ${qualityScore.toFixed(2)} < ${qualityThreshold}`);
+      throw createFetchError('quality-filtered', `Content quality too low: ${qualityScore.toFixed(2)} < ${qualityThreshold}`);
     }
 
     return {
@@ -913,10 +993,34 @@ export async function fetchAndClean(url, options = {}) {
     };
 
   } catch (error) {
-    throw new Error(`Failed to fetch and clean ${url}: ${error.message}`);
+    const { category, status } = classifyFetchError(error);
+    throw createFetchError(category, `Failed to fetch and clean ${url}: ${error.message}`, { status });
   }
 }
 
+/**
+ * Keep one document per near-duplicate cluster, preserving order
+ * Mirrors the server helper but relies on the clusterId the crawler stored in docs-index.json
+ * @param {Array} documents - Documents in preference order (best first)
+ * @returns {Object} { documents, collapsed } where collapsed lists { document, keptDocument } pairs
+ */
+function collapseNearDuplicateDocuments(documents) {
+  const kept = [];
+  const collapsed = [];
+  const keptByCluster = new Map();
+
+  for (const doc of documents) {
+    if (doc.clusterId && keptByCluster.has(doc.clusterId)) {
+      collapsed.push({ document: doc, keptDocument: keptByCluster.get(doc.clusterId) });
+      continue;
+    }
+    if (doc.clusterId) keptByCluster.set(doc.clusterId, doc);
+    kept.push(doc);
+  }
+
+  return { documents: kept, collapsed };
+}
+
 /**
  * Generate llms.txt format from cleaned documents
  * @param {Array} documents - Array of cleaned document objects
@@ -929,20 +1033,48 @@ export function generateLLMsTxt(documents, options = {}, qualityFiltered = []) {
     includeMetadata = true,
     includeQualityScores = false,
     sortByQuality = true,
+    sortByImportance = false,
+    sortByNavigation = false,
     maxDocuments = null,
-    includeQualityDisclaimer = true
+    includeQualityDisclaimer = true,
+    collapseNearDuplicates = false
   } = options;
 
   if (!Array.isArray(documents) || documents.length === 0) {
     throw new Error('No documents provided for llms.txt generation');
   }
 
-  // Sort by quality if requested
+  // Sort by each site's sidebar order (sites keep their input order, unlisted pages go last),
+  // by link importance (quality breaks ties) or by quality alone
   let sortedDocs = [...documents];
-  if (sortByQuality) {
+  if (sortByNavigation) {
+    const siteRank = new Map();
+    for (const doc of documents) {
+      if (!siteRank.has(doc.siteKey)) siteRank.set(doc.siteKey, siteRank.size);
+    }
+    const navOrderOf = (doc) => (Number.isInteger(doc.navOrder) ? doc.navOrder : Infinity);
+    sortedDocs.sort((a, b) =>
+      siteRank.get(a.siteKey) - siteRank.get(b.siteKey) ||
+      (navOrderOf(a) - navOrderOf(b) || 0) ||
+      (b.importance || 0) - (a.importance || 0) ||
+      (b.qualityScore || 0) - (a.qualityScore || 0)
+    );
+  } else if (sortByImportance) {
+    sortedDocs.sort((a, b) =>
+      (b.importance || 0) - (a.importance || 0) || (b.qualityScore || 0) - (a.qualityScore || 0)
+    );
+  } else if (sortByQuality) {
     sortedDocs.sort((a, b) => (b.qualityScore || 0) - (a.qualityScore || 0));
   }
 
+  // Keep only the best-ranked document of each near-duplicate cluster
+  let nearDuplicates = [];
+  if (collapseNearDuplicates) {
+    const collapsed = collapseNearDuplicateDocuments(sortedDocs);
+    sortedDocs = collapsed.documents;
+    nearDuplicates = collapsed.collapsed;
+  }
+
   // Limit documents if specified
   if (maxDocuments && maxDocuments > 0) {
     sortedDocs = sortedDocs.slice(0, maxDocuments);
@@ -988,6 +1120,16 @@ export function generateLLMsTxt(documents, options = {}, qualityFiltered = []) {
     llmsContent += '\n';
   }
 
+  // List near-duplicates that were left out in favour of another document
+  if (nearDuplicates.length > 0) {
+    llmsContent += '### Excluded Documents (Near-Duplicates)\n\n';
+    for (let i = 0; i < nearDuplicates.length; i++) {
+      const { document, keptDocument } = nearDuplicates[i];
+      llmsContent += `${i + 1}. ${document.url} (duplicate of ${keptDocument.url})\n`;
+    }
+    llmsContent += '\n';
+  }
+
   llmsContent += '---\n\n';
 
   // Process each document
@@ -1603,20 +1745,25 @@ export function generateParsingReport(batchResults) {
     report += '❌ ERROR ANALYSIS\n';
     report += '-'.repeat(30) + '\n';
     
-    const errorTypes = {};
+    const byCategory = {};
+    const byStatus = {};
+    let transient = 0;
     errors.forEach(error => {
-      const errorType = error.error.includes('HTTP 404') ? '404 Not Found' :
-                       error.error.includes('HTTP 500') ? '500 Server Error' :
-                       error.error.includes('HTTP') ? 'Other HTTP Error' :
-                       error.error.includes('timeout') ? 'Timeout' :
-                       error.error.includes('network') ? 'Network Error' :
-                       'Other Error';
-      errorTypes[errorType] = (errorTypes[errorType] || 0) + 1;
+      const { category, status, transient: isTransient } = error.category
+        ? { category: error.category, status: error.status ?? null, transient: isTransientFailure(error.category, error.status) }
+        : classifyFetchError(error.error);
+      byCategory[category] = (byCategory[category] || 0) + 1;
+      if (status) byStatus[status] = (byStatus[status] || 0) + 1;
+      if (isTransient) transient++;
     });
     
-    Object.entries(errorTypes).forEach(([type, count]) => {
-      report += `${type}: ${count}\n`;
+    Object.entries(byCategory).forEach(([category, count]) => {
+      report += `${category}: ${count}\n`;
+    });
+    Object.entries(byStatus).forEach(([status, count]) => {
+      report += `  HTTP ${status}: ${count}\n`;
     });
+    report += `Transient (worth retrying): ${transient}\n`;
     report += '\n';
   }
   
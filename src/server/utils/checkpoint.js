@@ -0,0 +1,81 @@
+/**
+ * Crawl Checkpoints
+ * Persists in-progress crawl state per site so an interrupted run can resume where it stopped
+ */
+
+import { promises as fs } from 'fs';
+import { resolve, join } from 'path';
+
+// Directory (relative to the working directory) holding one checkpoint file per site
+export const DEFAULT_CHECKPOINT_DIR = '.crawl-checkpoints';
+
+// Bumped whenever the checkpoint shape changes; older files are ignored
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Absolute path of a site's checkpoint file
+ * @param {string} siteKey - Site key from crawl-config.json
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {string} Checkpoint file path
+ */
+export function getCheckpointPath(siteKey, dir = DEFAULT_CHECKPOINT_DIR) {
+  return resolve(process.cwd(), join(dir, `${siteKey}.json`));
+}
+
+/**
+ * Write a site's checkpoint, replacing any previous one
+ * The file is written to a temp path first so a crash mid-write never leaves a truncated checkpoint
+ * @param {string} siteKey - Site key
+ * @param {Object} state - Serializable crawl state
+ * @param {string} [dir] - Checkpoint directory
+ */
+export async function saveCheckpoint(siteKey, state, dir = DEFAULT_CHECKPOINT_DIR) {
+  const path = getCheckpointPath(siteKey, dir);
+  await fs.mkdir(resolve(process.cwd(), dir), { recursive: true });
+
+  const data = {
+    version: CHECKPOINT_VERSION,
+    siteKey,
+    savedAt: new Date().toISOString(),
+    ...state
+  };
+
+  await fs.writeFile(`${path}.tmp`, JSON.stringify(data));
+  await fs.rename(`${path}.tmp`, path);
+}
+
+/**
+ * Read a site's checkpoint
+ * @param {string} siteKey - Site key
+ * @param {string} [dir] - Checkpoint directory
+ * @returns {Promise<Object|null>} Saved state, or null when missing, unreadable or from an older version
+ */
+export async function loadCheckpoint(siteKey, dir = DEFAULT_CHECKPOINT_DIR) {
+  try {
+    const data = JSON.parse(await fs.readFile(getCheckpointPath(siteKey, dir), 'utf8'));
+    if (data.version !== CHECKPOINT_VERSION || data.siteKey !== siteKey) {
+      return null;
+    }
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete checkpoints for the given sites
+ * @param {string[]} siteKeys - Sites whose checkpoints should be removed
+ * @param {string} [dir] - Checkpoint directory
+ */
+export async function clearCheckpoints(siteKeys, dir = DEFAULT_CHECKPOINT_DIR) {
+  for (const siteKey of siteKeys) {
+    await fs.rm(getCheckpointPath(siteKey, dir), { force: true });
+  }
+
+  // Drop the directory once it's empty so it doesn't linger between runs
+  try {
+    await fs.rmdir(resolve(process.cwd(), dir));
+  } catch {
+    // Not empty or already gone
+  }
+}
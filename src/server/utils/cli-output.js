@@ -0,0 +1,32 @@
+/**
+ * CLI Output
+ * Colored console logging shared by the crawler and its command line
+ */
+
+// Color utilities for clean console output
+export const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m',
+  gray: '\x1b[90m'
+};
+
+// With --json, stdout is reserved for the JSON report so progress goes to stderr
+const print = (msg) => (process.argv.includes('--json') ? console.error(msg) : console.log(msg));
+
+export const log = {
+  info: (msg) => print(`${colors.blue}INFO${colors.reset} ${msg}`),
+  success: (msg) => print(`${colors.green}SUCCESS${colors.reset} ${msg}`),
+  warn: (msg) => console.warn(`${colors.yellow}WARN${colors.reset} ${msg}`),
+  error: (msg) => console.error(`${colors.red}ERROR${colors.reset} ${msg}`),
+  discovery: (msg) => print(`${colors.magenta}DISCOVERY${colors.reset} ${msg}`),
+  debug: (msg) => {
+    if (process.env.DEBUG_CRAWL || process.argv.includes('--debug')) {
+      print(`${colors.cyan}DEBUG${colors.reset} ${msg}`);
+    }
+  }
+};
@@ -0,0 +1,356 @@
+/**
+ * Crawl Config Schema
+ * Describes the shape of public/crawl-config.json and checks a parsed config against it,
+ * reporting errors (the crawler refuses to start) and warnings (likely mistakes)
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { getBuiltInHandlerNames } from './site-handlers/index.js';
+
+// Field descriptors: type is one of string, url, integer, number, boolean, regex, object, array
+// Objects list their `properties`, or describe every value with `values` when the keys are free-form
+export const SITE_SCHEMA = {
+  name: { type: 'string', required: true },
+  baseUrl: { type: 'url', required: true },
+  maxDepth: { type: 'integer', min: 0, required: true },
+  maxPages: { type: 'integer', min: 1, required: true },
+  type: { type: 'string', enum: ['single-file'] },
+  fileUrl: { type: 'url' },
+  handler: { type: 'string' },
+  selectors: {
+    type: 'object',
+    required: true,
+    properties: {
+      title: { type: 'string', required: true },
+      content: { type: 'string', required: true },
+      navigation: { type: 'string' }
+    }
+  },
+  excludePatterns: { type: 'array', required: true, items: { type: 'regex' } },
+  includePatterns: { type: 'array', items: { type: 'regex' } },
+  pathPrefixes: { type: 'array', items: { type: 'string' } },
+  allowedHosts: { type: 'array', items: { type: 'string' } },
+  contentFilters: {
+    type: 'object',
+    properties: {
+      removeScripts: { type: 'boolean' },
+      removeStyles: { type: 'boolean' },
+      removeComments: { type: 'boolean' },
+      removeEmptyElements: { type: 'boolean' },
+      minWordCount: { type: 'integer', min: 0 },
+      maxCodeBlockLength: { type: 'integer', min: 1 }
+    }
+  },
+  seedUrls: { type: 'array', required: true, items: { type: 'string' } },
+  useSitemap: { type: 'boolean' },
+  pruneAfterDays: { type: 'number', min: 0 },
+  concurrency: { type: 'integer', min: 1 },
+  maxBodyBytes: { type: 'integer', min: 1024 },
+  failureThresholds: {
+    type: 'object',
+    properties: {
+      maxErrors: { type: 'integer', min: 0 },
+      maxFailureRate: { type: 'number', min: 0, max: 1 },
+      minPages: { type: 'integer', min: 0 }
+    }
+  },
+  crawlStrategy: { type: 'string', enum: ['priority', 'bfs', 'dfs'] },
+  priorityPatterns: {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'regex', required: true },
+        weight: { type: 'number', required: true }
+      }
+    }
+  },
+  seedMaxDepth: { type: 'object', values: { type: 'integer', min: 0 } },
+  urlNormalization: {
+    type: 'object',
+    properties: {
+      stripParams: { type: 'array', items: { type: 'string' } },
+      lowercasePaths: { type: 'boolean' }
+    }
+  }
+};
+
+/**
+ * Compile an excludePatterns entry: "/source/flags" literals or a bare regex source
+ * @param {string} pattern - Pattern string from the config
+ * @returns {RegExp} Compiled pattern (throws SyntaxError when invalid)
+ */
+export function parsePattern(pattern) {
+  const match = pattern.match(/^\/(.+)\/([gimuy]*)$/);
+  if (match) {
+    return new RegExp(match[1], match[2]);
+  }
+  return new RegExp(pattern);
+}
+
+/**
+ * Human-readable type of a JSON value
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a field descriptor, recursing into objects and arrays
+ * @param {*} value - Config value
+ * @param {Object} field - Field descriptor
+ * @param {string} path - Dotted path for messages
+ * @param {Object} report - { errors, warnings } being collected
+ */
+function checkField(value, field, path, report) {
+  const fail = (message) => report.errors.push({ path, message });
+
+  switch (field.type) {
+    case 'string':
+    case 'regex':
+      if (typeof value !== 'string' || value.length === 0) {
+        return fail(`expected a non-empty string, got ${describeType(value)}`);
+      }
+      if (field.type === 'regex') {
+        try {
+          parsePattern(value);
+        } catch (error) {
+          return fail(`invalid regular expression ${value}: ${error.message}`);
+        }
+      }
+      if (field.enum && !field.enum.includes(value)) {
+        return fail(`expected one of ${field.enum.map(option => `"${option}"`).join(', ')}, got "${value}"`);
+      }
+      return;
+
+    case 'url': {
+      let urlObj;
+      try {
+        urlObj = new URL(value);
+      } catch {
+        return fail(`expected an absolute URL, got ${JSON.stringify(value)}`);
+      }
+      if (!['http:', 'https:'].includes(urlObj.protocol)) {
+        return fail(`expected an http(s) URL, got ${urlObj.protocol}`);
+      }
+      return;
+    }
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return fail(`expected a number, got ${describeType(value)}`);
+      }
+      if (field.type === 'integer' && !Number.isInteger(value)) {
+        return fail(`expected an integer, got ${value}`);
+      }
+      if (field.min !== undefined && value < field.min) {
+        return fail(`must be at least ${field.min}, got ${value}`);
+      }
+      if (field.max !== undefined && value > field.max) {
+        return fail(`must be at most ${field.max}, got ${value}`);
+      }
+      return;
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return fail(`expected true or false, got ${describeType(value)}`);
+      }
+      return;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        return fail(`expected an array, got ${describeType(value)}`);
+      }
+      value.forEach((item, index) => checkField(item, field.items, `${path}[${index}]`, report));
+      return;
+
+    case 'object':
+      if (describeType(value) !== 'object') {
+        return fail(`expected an object, got ${describeType(value)}`);
+      }
+      if (field.values) {
+        for (const [key, item] of Object.entries(value)) {
+          checkField(item, field.values, `${path}.${key}`, report);
+        }
+        return;
+      }
+      checkProperties(value, field.properties, path, report);
+      return;
+  }
+}
+
+/**
+ * Check an object's properties: required keys, known keys, and each value
+ */
+function checkProperties(object, properties, path, report) {
+  for (const [key, field] of Object.entries(properties)) {
+    const keyPath = `${path}.${key}`;
+    if (object[key] === undefined) {
+      if (field.required) {
+        report.errors.push({ path: keyPath, message: 'is required' });
+      }
+      continue;
+    }
+    checkField(object[key], field, keyPath, report);
+  }
+
+  for (const key of Object.keys(object)) {
+    if (!(key in properties)) {
+      report.warnings.push({ path: `${path}.${key}`, message: 'unknown key (ignored by the crawler)' });
+    }
+  }
+}
+
+/**
+ * Cross-field checks that only make sense once the basic shape is valid
+ */
+function checkSite(siteKey, site, report) {
+  const warn = (path, message) => report.warnings.push({ path: `${siteKey}.${path}`, message });
+  const fail = (path, message) => report.errors.push({ path: `${siteKey}.${path}`, message });
+
+  if (site.type === 'single-file' && !site.fileUrl) {
+    fail('fileUrl', 'is required for single-file sites');
+  }
+  if (site.fileUrl && site.type !== 'single-file') {
+    warn('fileUrl', 'is only used when type is "single-file"');
+  }
+
+  if (typeof site.handler === 'string' && !getBuiltInHandlerNames().includes(site.handler)) {
+    if (!site.handler.startsWith('.') && !site.handler.startsWith('/')) {
+      fail('handler', `unknown site handler "${site.handler}" (built-in handlers: ${getBuiltInHandlerNames().join(', ')})`);
+    } else if (!existsSync(resolve(process.cwd(), site.handler))) {
+      fail('handler', `module not found: ${site.handler}`);
+    }
+  }
+
+  if (typeof site.baseUrl === 'string' && site.baseUrl.endsWith('/')) {
+    warn('baseUrl', 'has a trailing slash; seed paths are appended to it, producing "//" URLs');
+  }
+
+  if (describeType(site.seedMaxDepth) === 'object' && Array.isArray(site.seedUrls)) {
+    for (const seed of Object.keys(site.seedMaxDepth)) {
+      if (!site.seedUrls.includes(seed)) {
+        warn(`seedMaxDepth.${seed}`, 'is not one of seedUrls and has no effect');
+      }
+    }
+  }
+
+  const allowedHosts = Array.isArray(site.allowedHosts) ? site.allowedHosts.filter(host => typeof host === 'string') : [];
+  allowedHosts.forEach((host, index) => {
+    if (!/^[a-z0-9.-]+(:\d+)?$/i.test(host)) {
+      fail(`allowedHosts[${index}]`, `expected a host name such as "api.example.com", got "${host}"`);
+    }
+  });
+  const pathPrefixes = Array.isArray(site.pathPrefixes) ? site.pathPrefixes.filter(prefix => typeof prefix === 'string') : [];
+  pathPrefixes.forEach((prefix, index) => {
+    if (!prefix.startsWith('/')) {
+      fail(`pathPrefixes[${index}]`, `must be a path starting with "/", got "${prefix}"`);
+    }
+  });
+
+  // Seeds are appended to baseUrl, so anything that doesn't look like a path won't be fetched as intended
+  if (!Array.isArray(site.seedUrls) || !Array.isArray(site.excludePatterns)) return;
+  let baseUrlObj;
+  try {
+    baseUrlObj = new URL(site.baseUrl);
+  } catch {
+    return;
+  }
+  const compile = (list) => (Array.isArray(list) ? list : []).flatMap(pattern => {
+    try {
+      return [parsePattern(pattern)];
+    } catch {
+      return [];
+    }
+  });
+  const patterns = compile(site.excludePatterns);
+  const includePatterns = compile(site.includePatterns);
+
+  site.seedUrls.forEach((seed, index) => {
+    if (typeof seed !== 'string') return;
+    const path = `seedUrls[${index}]`;
+
+    // Absolute seeds are only crawled on one of the site's allowedHosts
+    let seedUrl;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(seed)) {
+      let seedUrlObj;
+      try {
+        seedUrlObj = new URL(seed);
+      } catch {
+        return fail(path, `is not a valid URL: ${seed}`);
+      }
+      if (!allowedHosts.includes(seedUrlObj.host)) {
+        return warn(path, seedUrlObj.origin === baseUrlObj.origin
+          ? `is an absolute URL; use the path "${seedUrlObj.pathname}" instead (seeds are appended to baseUrl)`
+          : `points outside baseUrl (${baseUrlObj.origin}) and allowedHosts, and will not be crawled`);
+      }
+      seedUrl = seed;
+    } else {
+      seedUrl = site.baseUrl.replace(/\/$/, '') + (seed.startsWith('/') ? seed : '/' + seed);
+      if (pathPrefixes.length > 0 && !pathPrefixes.some(prefix => new URL(seedUrl).pathname.startsWith(prefix))) {
+        warn(path, `is outside pathPrefixes (${pathPrefixes.join(', ')}) and will never be crawled`);
+      }
+    }
+
+    const excludedBy = patterns.find(pattern => pattern.test(seedUrl));
+    if (excludedBy) {
+      warn(path, `matches excludePatterns entry ${excludedBy} and will never be crawled`);
+    }
+    if (includePatterns.length > 0 && !includePatterns.some(pattern => pattern.test(seedUrl))) {
+      warn(path, 'matches none of includePatterns and will never be crawled');
+    }
+
+    const depth = new URL(seedUrl).pathname.split('/').filter(Boolean).length;
+    const seedLimit = site.seedMaxDepth?.[seed];
+    if (typeof seedLimit === 'number' && depth > seedLimit) {
+      warn(path, `is ${depth} levels deep, beyond its seedMaxDepth ${seedLimit}, and will be skipped`);
+    } else if (typeof seedLimit !== 'number' && typeof site.maxDepth === 'number' && depth > site.maxDepth) {
+      warn(path, `is ${depth} levels deep, beyond maxDepth ${site.maxDepth}, and will be skipped`);
+    }
+  });
+}
+
+/**
+ * Validate a parsed crawl-config.json
+ * @param {*} rawConfigs - Parsed JSON
+ * @returns {Object} { valid, errors, warnings } where issues are { path, message }
+ */
+export function validateCrawlConfig(rawConfigs) {
+  const report = { errors: [], warnings: [] };
+
+  if (describeType(rawConfigs) !== 'object') {
+    report.errors.push({ path: '(root)', message: `expected an object of sites, got ${describeType(rawConfigs)}` });
+    return { valid: false, ...report };
+  }
+  if (Object.keys(rawConfigs).length === 0) {
+    report.errors.push({ path: '(root)', message: 'no sites configured' });
+  }
+
+  for (const [siteKey, site] of Object.entries(rawConfigs)) {
+    if (describeType(site) !== 'object') {
+      report.errors.push({ path: siteKey, message: `expected an object, got ${describeType(site)}` });
+      continue;
+    }
+    if (!/^[a-z0-9][a-z0-9-]*$/i.test(siteKey)) {
+      report.warnings.push({ path: siteKey, message: 'site keys should be letters, digits and dashes (they name checkpoint files and CLI arguments)' });
+    }
+
+    checkProperties(site, SITE_SCHEMA, siteKey, report);
+    checkSite(siteKey, site, report);
+  }
+
+  return { valid: report.errors.length === 0, ...report };
+}
+
+/**
+ * Format an issue for terminal output
+ * @param {Object} issue - { path, message }
+ * @returns {string} "path: message"
+ */
+export function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`;
+}
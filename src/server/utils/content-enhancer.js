@@ -3,6 +3,8 @@
  * Provides post-processing pipeline for extracted content to improve LLM performance
  */
 
+import { parseHtmlSafely } from './safe-fetch.js';
+
 /**
  * Normalize whitespace while preserving document structure
  * @param {string} content - Raw content to normalize
@@ -340,18 +342,8 @@ export class ContentEnhancer {
    */
   async extractContent(html, url, config = {}) {
     try {
-      // Use environment-appropriate DOM parser
-      let doc;
-      if (typeof window === 'undefined') {
-        // Node.js environment
-        const { JSDOM } = await import('jsdom');
-        const dom = new JSDOM(html, { url });
-        doc = dom.window.document;
-      } else {
-        // Browser environment - use DOMParser
-        const parser = new DOMParser();
-        doc = parser.parseFromString(html, 'text/html');
-      }
+      // Environment-appropriate DOM parser with scripts and subresources disabled
+      const doc = await parseHtmlSafely(html, url);
       
       // Extract title
       const title = this.extractTitle(doc, config);
@@ -0,0 +1,203 @@
+/**
+ * Crawl Frontier
+ * Queue of URLs waiting to be crawled. The bfs and dfs strategies hand URLs out in discovery
+ * order; priority hands out the best-scoring URL first, so the pages that matter most are
+ * crawled before a site's page budget runs out
+ */
+
+export const CRAWL_STRATEGIES = ['bfs', 'dfs', 'priority'];
+
+// Discovery order, as crawls always ran; priority is opt-in per site (crawlStrategy)
+export const DEFAULT_CRAWL_STRATEGY = 'bfs';
+
+// Priority weights: seeds first, then sidebar pages, shallow pages and well-linked pages
+const SEED_BONUS = 10;
+const NAVIGATION_BONUS = 4;
+const DEPTH_PENALTY = 1;
+// Added per doubling of the pages linking to a URL
+const INBOUND_WEIGHT = 1;
+// Sitemap <priority> 1.0 adds this much, 0.0 subtracts it, 0.5 (the default) is neutral
+const SITEMAP_WEIGHT = 1;
+
+/**
+ * Priority of a queued URL; higher is crawled sooner
+ * @param {Object} item - Queue entry { url, depth, source }
+ * @param {Object} [signals] - What the crawl knows about the URL so far
+ * @param {boolean} [signals.inNavigation] - Listed in the site's sidebar
+ * @param {number} [signals.inboundLinks] - Crawled pages linking to it
+ * @param {number|null} [signals.sitemapPriority] - <priority> from the sitemap (0-1)
+ * @param {Array<Object>} [signals.patterns] - Config priorityPatterns as { pattern: RegExp, weight }
+ * @returns {number} Score
+ */
+export function scoreCandidate(item, { inNavigation = false, inboundLinks = 0, sitemapPriority = null, patterns = [] } = {}) {
+  let score = -DEPTH_PENALTY * item.depth;
+  if (item.source === 'seed') score += SEED_BONUS;
+  if (inNavigation) score += NAVIGATION_BONUS;
+  score += INBOUND_WEIGHT * Math.log2(1 + inboundLinks);
+  if (typeof sitemapPriority === 'number') {
+    score += SITEMAP_WEIGHT * 2 * (sitemapPriority - 0.5);
+  }
+  for (const { pattern, weight } of patterns) {
+    pattern.lastIndex = 0;
+    if (pattern.test(item.url)) score += weight;
+  }
+  return score;
+}
+
+/**
+ * URLs waiting to be crawled, handed out according to a crawl strategy
+ * The priority strategy keeps entries in a max-heap of cached scores; call rescore() with the keys
+ * of URLs whose signals changed (new inbound links, sidebar listing) to move them
+ */
+export class CrawlFrontier {
+  /**
+   * @param {Object} [options] - Frontier options
+   * @param {string} [options.strategy] - 'bfs' (first in, first out), 'dfs' (last in, first out) or 'priority'
+   * @param {Function} [options.score] - (item) => number for the priority strategy, computed when an
+   *   entry is queued and again when rescore() names it
+   * @param {Function} [options.keyOf] - (item) => key that rescore() refers to entries by
+   * @param {Array<Object>} [options.items] - Entries to start with, e.g. from a checkpoint
+   */
+  constructor({ strategy = DEFAULT_CRAWL_STRATEGY, score = () => 0, keyOf = (item) => item.url, items = [] } = {}) {
+    if (!CRAWL_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown crawl strategy "${strategy}" (expected one of ${CRAWL_STRATEGIES.join(', ')})`);
+    }
+    this.strategy = strategy;
+    this.score = score;
+    this.keyOf = keyOf;
+    // bfs/dfs: a queue whose first `head` slots were already handed out
+    this.items = [];
+    this.head = 0;
+    // priority: heap of { item, key, score, seq }, plus the heap nodes of every key
+    this.heap = [];
+    this.nodesByKey = new Map();
+    this.seq = 0;
+    for (const item of items) {
+      this.push(item);
+    }
+  }
+
+  get size() {
+    return this.strategy === 'priority' ? this.heap.length : this.items.length - this.head;
+  }
+
+  push(item) {
+    if (this.strategy !== 'priority') {
+      this.items.push(item);
+      return;
+    }
+    const key = this.keyOf(item);
+    const node = { item, key, score: this.score(item), seq: this.seq++, index: this.heap.length };
+    this.heap.push(node);
+    if (!this.nodesByKey.has(key)) this.nodesByKey.set(key, new Set());
+    this.nodesByKey.get(key).add(node);
+    this.siftUp(node.index);
+  }
+
+  /**
+   * Recompute the scores of queued entries
+   * @param {Iterable<string>} [keys] - Keys whose signals changed; all entries when omitted
+   */
+  rescore(keys = null) {
+    if (this.strategy !== 'priority') return;
+    if (keys === null) {
+      for (const node of this.heap) {
+        node.score = this.score(node.item);
+      }
+      for (let index = Math.floor(this.heap.length / 2) - 1; index >= 0; index--) {
+        this.siftDown(index);
+      }
+      return;
+    }
+    for (const key of keys) {
+      for (const node of this.nodesByKey.get(key) || []) {
+        const previous = node.score;
+        node.score = this.score(node.item);
+        if (node.score > previous) this.siftUp(node.index);
+        else if (node.score < previous) this.siftDown(node.index);
+      }
+    }
+  }
+
+  /**
+   * Entry next() would return, without removing it
+   */
+  peek() {
+    if (this.strategy === 'priority') return this.heap[0]?.item;
+    if (this.size === 0) return undefined;
+    return this.strategy === 'bfs' ? this.items[this.head] : this.items[this.items.length - 1];
+  }
+
+  /**
+   * Remove and return the next entry (undefined when empty)
+   */
+  next() {
+    if (this.size === 0) return undefined;
+    if (this.strategy === 'dfs') return this.items.pop();
+    if (this.strategy === 'bfs') {
+      const item = this.items[this.head++];
+      // Drop handed-out slots once they make up most of the queue
+      if (this.head > 1024 && this.head * 2 > this.items.length) {
+        this.items = this.items.slice(this.head);
+        this.head = 0;
+      }
+      return item;
+    }
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (last !== top) {
+      this.place(last, 0);
+      this.siftDown(0);
+    }
+    const nodes = this.nodesByKey.get(top.key);
+    nodes.delete(top);
+    if (nodes.size === 0) this.nodesByKey.delete(top.key);
+    return top.item;
+  }
+
+  /**
+   * Entries in the order they were queued, for checkpoints
+   */
+  toArray() {
+    if (this.strategy !== 'priority') return this.items.slice(this.head);
+    return [...this.heap].sort((a, b) => a.seq - b.seq).map(node => node.item);
+  }
+
+  // Higher score first; ties go to the entry queued first
+  before(a, b) {
+    return a.score > b.score || (a.score === b.score && a.seq < b.seq);
+  }
+
+  place(node, index) {
+    this.heap[index] = node;
+    node.index = index;
+  }
+
+  siftUp(index) {
+    const node = this.heap[index];
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.heap[parentIndex];
+      if (!this.before(node, parent)) break;
+      this.place(parent, index);
+      index = parentIndex;
+    }
+    this.place(node, index);
+  }
+
+  siftDown(index) {
+    const node = this.heap[index];
+    const length = this.heap.length;
+    for (;;) {
+      const left = index * 2 + 1;
+      if (left >= length) break;
+      const right = left + 1;
+      const child = right < length && this.before(this.heap[right], this.heap[left]) ? right : left;
+      if (!this.before(this.heap[child], node)) break;
+      this.place(this.heap[child], index);
+      index = child;
+    }
+    this.place(node, index);
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * Crawl History
+ * Appends one record per site per crawl run to a JSON Lines file and compares the latest
+ * run against earlier ones to spot drift (shrinking sites, empty content, rising failures)
+ */
+
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+import { classifyFetchError, summarizeFetchErrors } from './fetch-errors.js';
+
+// History file (relative to the working directory); committed by CI alongside the index
+export const DEFAULT_HISTORY_PATH = 'crawl-history.jsonl';
+
+// Oldest runs beyond this many per site are dropped when the file is rewritten
+const MAX_RUNS_PER_SITE = 100;
+
+// Earlier runs used as the baseline a new run is compared against
+const BASELINE_RUNS = 5;
+
+/**
+ * Bucket an error message into a category for trend reporting
+ * Records written before errors carried a category are classified from their message
+ * @param {string} message - Error message recorded by the crawler
+ * @returns {string} Category name (see FETCH_ERROR_CATEGORIES)
+ */
+export function categorizeError(message = '') {
+  return classifyFetchError(message).category;
+}
+
+/**
+ * Build the history record for one site's crawl result
+ * @param {Object} params - Record inputs
+ * @param {string} params.runId - Identifier shared by every site in the run (its start time)
+ * @param {string} params.siteKey - Site key
+ * @param {Object} params.config - Site config
+ * @param {Object} params.result - crawlSite result ({ pages, errors, telemetry })
+ * @param {boolean} [params.failed] - The site crawl threw before producing a result
+ * @returns {Object} History record
+ */
+export function buildHistoryEntry({ runId, siteKey, config, result, failed = false }) {
+  const pages = (result.pages || []).filter(page => !page.tombstonedAt);
+  const errors = result.errors || [];
+  const telemetry = result.telemetry || {};
+  const discovery = telemetry.discovery || {};
+
+  const errorSummary = summarizeFetchErrors(errors);
+
+  const requestCount = telemetry.requestCount || 0;
+  return {
+    runId,
+    siteKey,
+    recordedAt: new Date().toISOString(),
+    ...(config?.type === 'single-file' && { singleFile: true }),
+    failed,
+    pages: {
+      total: pages.length,
+      withContent: pages.filter(page => page.content && page.content.trim().length > 0).length,
+      added: (discovery.seed || 0) + (discovery.link || 0) + (discovery.sitemap || 0) + (discovery.handler || 0),
+      changed: telemetry.revalidation?.changed || 0,
+      unchanged: telemetry.revalidation?.unchanged || 0,
+      tombstoned: telemetry.pruning?.tombstoned || 0,
+      removed: telemetry.pruning?.removed || 0
+    },
+    averageWords: pages.length > 0
+      ? Math.round(pages.reduce((sum, page) => sum + (page.estimatedWords || 0), 0) / pages.length)
+      : 0,
+    errors: {
+      total: errors.length,
+      byCategory: errorSummary.byCategory,
+      byStatus: errorSummary.byStatus
+    },
+    requestCount,
+    failureRate: requestCount > 0 ? errors.length / requestCount : (errors.length > 0 ? 1 : 0),
+    duration: telemetry.duration || 0,
+    pagesPerSecond: telemetry.pagesPerSecond || 0
+  };
+}
+
+/**
+ * Read every history record
+ * @param {string} [path] - History file
+ * @returns {Promise<Array<Object>>} Records in the order they were written (unreadable lines skipped)
+ */
+export async function loadCrawlHistory(path = DEFAULT_HISTORY_PATH) {
+  let text;
+  try {
+    text = await fs.readFile(resolve(process.cwd(), path), 'utf8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Skip a line truncated by an interrupted write
+    }
+  }
+  return entries;
+}
+
+/**
+ * Append records to the history, trimming each site to its most recent runs
+ * @param {Array<Object>} entries - Records from buildHistoryEntry
+ * @param {string} [path] - History file
+ */
+export async function appendCrawlHistory(entries, path = DEFAULT_HISTORY_PATH) {
+  if (entries.length === 0) return;
+  const fullPath = resolve(process.cwd(), path);
+
+  const existing = await loadCrawlHistory(path);
+  const all = [...existing, ...entries];
+  const runsPerSite = new Map();
+  for (const entry of all) {
+    runsPerSite.set(entry.siteKey, (runsPerSite.get(entry.siteKey) || 0) + 1);
+  }
+
+  if ([...runsPerSite.values()].every(count => count <= MAX_RUNS_PER_SITE)) {
+    await fs.appendFile(fullPath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+    return;
+  }
+
+  // Keep the newest runs of each site, preserving file order
+  const keep = new Map([...runsPerSite].map(([siteKey, count]) => [siteKey, Math.max(0, count - MAX_RUNS_PER_SITE)]));
+  const trimmed = all.filter(entry => {
+    const skip = keep.get(entry.siteKey);
+    if (skip > 0) {
+      keep.set(entry.siteKey, skip - 1);
+      return false;
+    }
+    return true;
+  });
+
+  await fs.writeFile(`${fullPath}.tmp`, trimmed.map(entry => JSON.stringify(entry) + '\n').join(''));
+  await fs.rename(`${fullPath}.tmp`, fullPath);
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Baseline figures from a site's earlier successful runs (medians of the last few)
+ * @param {Array<Object>} runs - Earlier records for one site, oldest first
+ * @returns {Object|null} Baseline, or null when there are no earlier successful runs
+ */
+export function computeBaseline(runs) {
+  const recent = runs.filter(run => !run.failed).slice(-BASELINE_RUNS);
+  if (recent.length === 0) return null;
+
+  return {
+    runs: recent.length,
+    totalPages: median(recent.map(run => run.pages.total)),
+    withContent: median(recent.map(run => run.pages.withContent)),
+    averageWords: median(recent.map(run => run.averageWords)),
+    failureRate: median(recent.map(run => run.failureRate)),
+    pagesPerSecond: median(recent.map(run => run.pagesPerSecond))
+  };
+}
+
+/**
+ * Compare a run against its baseline
+ * @param {Object} run - Latest record for a site
+ * @param {Object|null} baseline - From computeBaseline over the earlier runs
+ * @returns {Array<Object>} Regressions as { rule, severity ('error' | 'warning'), message }
+ */
+export function detectRegressions(run, baseline) {
+  const regressions = [];
+  const flag = (rule, severity, message) => regressions.push({ rule, severity, message });
+
+  if (run.failed) {
+    flag('crawl-failed', 'error', 'crawl failed before producing any pages');
+    return regressions;
+  }
+
+  // The docs.ar.io incident: pages were indexed but every one of them lost its content
+  if (!run.singleFile && run.pages.total > 0 && run.pages.withContent === 0 && (!baseline || baseline.withContent > 0)) {
+    flag('empty-content', 'error', `pages with content: 0 of ${run.pages.total}`);
+  }
+
+  if (!baseline) return regressions;
+
+  if (baseline.totalPages > 0 && run.pages.total < baseline.totalPages * 0.8) {
+    flag('page-drop', 'error', `page count ${run.pages.total} is down from a median of ${baseline.totalPages}`);
+  }
+  if (baseline.withContent > 0 && run.pages.withContent > 0 && run.pages.withContent < baseline.withContent * 0.8) {
+    flag('content-drop', 'warning', `pages with content ${run.pages.withContent} is down from a median of ${baseline.withContent}`);
+  }
+  if (baseline.averageWords > 0 && run.averageWords < baseline.averageWords * 0.7) {
+    flag('words-drop', 'warning', `average words ${run.averageWords} is down from a median of ${baseline.averageWords}`);
+  }
+  if (run.failureRate > Math.max(0.1, baseline.failureRate * 2)) {
+    flag('failure-rate', 'error', `failure rate ${(run.failureRate * 100).toFixed(1)}% (median ${(baseline.failureRate * 100).toFixed(1)}%)`);
+  }
+  if (baseline.pagesPerSecond > 0 && run.pagesPerSecond > 0 && run.pagesPerSecond < baseline.pagesPerSecond * 0.5) {
+    flag('slowdown', 'warning', `${run.pagesPerSecond.toFixed(2)} pages/sec, median ${baseline.pagesPerSecond.toFixed(2)}`);
+  }
+
+  return regressions;
+}
+
+/**
+ * Group history by site with each site's latest run checked against its baseline
+ * @param {Array<Object>} entries - All history records
+ * @param {Object} [options] - Summary options
+ * @param {string} [options.siteKey] - Only summarize this site
+ * @param {number} [options.limit] - Runs to include per site (most recent)
+ * @returns {Object} Per-site { runs, latest, baseline, regressions }
+ */
+export function summarizeHistory(entries, options = {}) {
+  const { siteKey = null, limit = 10 } = options;
+
+  const bySite = new Map();
+  for (const entry of entries) {
+    if (siteKey && entry.siteKey !== siteKey) continue;
+    if (!bySite.has(entry.siteKey)) bySite.set(entry.siteKey, []);
+    bySite.get(entry.siteKey).push(entry);
+  }
+
+  const summary = {};
+  for (const [key, runs] of bySite) {
+    const latest = runs[runs.length - 1];
+    const baseline = computeBaseline(runs.slice(0, -1));
+    summary[key] = {
+      runs: runs.slice(-limit),
+      latest,
+      baseline,
+      regressions: detectRegressions(latest, baseline)
+    };
+  }
+  return summary;
+}
@@ -0,0 +1,298 @@
+/**
+ * Crawl Scheduler
+ * Frontier and work-pool wiring for one site crawl: picks the next queued URL worth fetching,
+ * keeps several fetches in flight while committing them in queue order, and queues the links
+ * and sidebar entries of every indexed page
+ */
+
+import { CrawlFrontier, scoreCandidate } from './crawl-frontier.js';
+import { runInOrder } from './work-pool.js';
+import { extractNavigation, mergeNavigation } from './navigation.js';
+import { getCanonicalKey } from './url-normalizer.js';
+import { log } from './cli-output.js';
+
+/**
+ * Deepest level crawled for a URL: the seedMaxDepth of the longest seed path containing it, otherwise maxDepth
+ */
+export function getDepthLimit(url, config, maxDepth) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return maxDepth;
+  }
+
+  let limit = maxDepth;
+  let longest = -1;
+  for (const [seed, seedLimit] of Object.entries(config.seedMaxDepth || {})) {
+    const prefix = seed.startsWith('/') ? seed : '/' + seed;
+    if (pathname.startsWith(prefix) && prefix.length > longest) {
+      limit = seedLimit;
+      longest = prefix.length;
+    }
+  }
+  return limit;
+}
+
+/**
+ * Frontier for a site crawl; the priority strategy scores URLs with the signals gathered so far
+ * @param {Object} config - Site config (priorityPatterns)
+ * @param {Object} state - { strategy, keyOf, navigationKeys: () => Set, inboundCounts, sitemapPriorities, items }
+ * @returns {CrawlFrontier} Frontier
+ */
+export function createFrontier(config, { strategy, keyOf, navigationKeys, inboundCounts, sitemapPriorities, items = [] }) {
+  return new CrawlFrontier({
+    strategy,
+    items,
+    keyOf: (item) => keyOf(item.url),
+    score: (item) => {
+      const key = keyOf(item.url);
+      return scoreCandidate(item, {
+        inNavigation: navigationKeys().has(key),
+        inboundLinks: inboundCounts.get(key) || 0,
+        sitemapPriority: sitemapPriorities.get(key) ?? null,
+        patterns: config.priorityPatterns
+      });
+    }
+  });
+}
+
+/**
+ * Queue state of one site crawl and the loops that drain it
+ */
+export class CrawlScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.config - Site config (priorityPatterns, seedMaxDepth)
+   * @param {Function} options.keyOf - Canonical key of a URL
+   * @param {string} options.strategy - Frontier strategy (bfs, dfs or priority)
+   * @param {number} options.maxDepth - Depth limit outside seedMaxDepth paths
+   * @param {number} options.maxPages - Budget of new pages
+   * @param {number} options.concurrency - Page fetches in flight at once
+   * @param {boolean} [options.forceReindex] - Crawl URLs even when another site indexed them
+   * @param {Set<string>} [options.existingUrls] - Canonical keys of URLs indexed under any site
+   * @param {Object|null} [options.restored] - Checkpoint of an interrupted run to continue
+   * @param {Object} options.robotsCache - RobotsCache deciding which URLs may be fetched
+   * @param {Set<string>} options.robotsSkipped - Collects URLs robots.txt disallowed
+   * @param {Function} [options.onProgress] - (current, total, url) as each page is taken
+   */
+  constructor({
+    config,
+    keyOf,
+    strategy,
+    maxDepth,
+    maxPages,
+    concurrency,
+    forceReindex = false,
+    existingUrls = new Set(),
+    restored = null,
+    robotsCache,
+    robotsSkipped,
+    onProgress = () => {}
+  }) {
+    this.config = config;
+    this.keyOf = keyOf;
+    this.strategy = strategy;
+    this.maxDepth = maxDepth;
+    this.maxPages = maxPages;
+    this.concurrency = concurrency;
+    this.forceReindex = forceReindex;
+    this.existingUrls = existingUrls;
+    this.robotsCache = robotsCache;
+    this.robotsSkipped = robotsSkipped;
+    this.onProgress = onProgress;
+
+    const counters = restored?.counters || {};
+    this.counters = {
+      // URLs left to the site that indexed them first
+      skippedCount: counters.skippedCount || 0,
+      // New pages left uncrawled because the page budget ran out
+      budgetSkipped: counters.budgetSkipped || 0,
+      // Queued URLs dropped for lying deeper than maxDepth (or their seed's seedMaxDepth)
+      depthSkipped: counters.depthSkipped || 0
+    };
+    // Sidebar table of contents: seeds' sidebars plus those of every page fetched in full
+    this.setNavigation(restored?.navigation || []);
+    // Pages linking to each URL so far (canonical key -> count) and sitemap <priority>, for the priority strategy
+    this.inboundCounts = new Map(restored?.inboundCounts);
+    this.sitemapPriorities = new Map(restored?.sitemapPriorities);
+    // URLs waiting to be crawled; entries are { url, depth, source }
+    this.frontier = createFrontier(config, {
+      strategy,
+      keyOf,
+      navigationKeys: () => this.navigationKeys,
+      inboundCounts: this.inboundCounts,
+      sitemapPriorities: this.sitemapPriorities,
+      items: restored?.stack
+    });
+    // Queue entries being fetched but not yet committed, oldest first
+    this.inFlight = [];
+  }
+
+  /**
+   * Replace the sidebar entries, e.g. with the ones discovery read from the seeds
+   */
+  setNavigation(entries) {
+    this.navigation = entries;
+    this.navigationKeys = new Set(entries.map(entry => this.keyOf(entry.url)));
+  }
+
+  /**
+   * Merge a fetched page's sidebar in; URLs it adds are rescored
+   */
+  addNavigation(doc, pageUrl) {
+    const previousKeys = this.navigationKeys;
+    this.setNavigation(mergeNavigation(this.navigation, extractNavigation(doc, pageUrl, this.config), this.keyOf));
+    this.frontier.rescore([...this.navigationKeys].filter(key => !previousKeys.has(key)));
+  }
+
+  /**
+   * Count an indexed page's links and queue the ones not seen yet (seedMaxDepth may allow
+   * more or fewer levels than maxDepth under a seed)
+   * @param {number} depth - Depth of the linking page
+   * @param {Array<string>} links - Its crawlable links
+   * @param {Object} pipeline - PagePipeline of the crawl
+   */
+  followLinks(depth, links, pipeline) {
+    const { keyOf, inboundCounts } = this;
+    const linkKeys = new Set(links.map(keyOf));
+    for (const linkKey of linkKeys) {
+      inboundCounts.set(linkKey, (inboundCounts.get(linkKey) || 0) + 1);
+    }
+    this.frontier.rescore(linkKeys);
+
+    if (pipeline.pages.length >= this.maxPages) return;
+
+    let queued = 0;
+    for (const link of links) {
+      const linkKey = keyOf(link);
+      if (!pipeline.seen.has(linkKey) && depth < getDepthLimit(link, this.config, this.maxDepth)) {
+        pipeline.seen.add(linkKey);
+        this.frontier.push({ url: link, depth: depth + 1, source: 'link' });
+        queued++;
+      }
+    }
+    log.discovery(`Found ${links.length} links -> ${queued} new URLs to crawl`);
+  }
+
+  /**
+   * Next frontier entry worth fetching; null when the frontier is empty or the page budget
+   * depends on pages still in flight
+   */
+  async takeNext(pipeline, running) {
+    const { frontier, keyOf, counters } = this;
+    while (frontier.size > 0) {
+      const item = frontier.peek();
+      const key = keyOf(item.url);
+      const previous = pipeline.existingByUrl.get(key);
+
+      // Pages already indexed for this site are revalidated; the page budget only limits new pages
+      if (!previous && pipeline.pages.length + running >= this.maxPages && running > 0) {
+        return null;
+      }
+      frontier.next();
+
+      if (pipeline.visited.has(key)) {
+        continue;
+      }
+      if (item.depth > getDepthLimit(item.url, this.config, this.maxDepth)) {
+        log.debug(`Beyond max depth (${item.depth}): ${item.url}`);
+        counters.depthSkipped++;
+        continue;
+      }
+      if (!previous && pipeline.pages.length >= this.maxPages) {
+        counters.budgetSkipped++;
+        continue;
+      }
+
+      // Skip if URL is indexed under another site (unless force reindex)
+      if (!this.forceReindex && !previous && this.existingUrls.has(getCanonicalKey(item.url))) {
+        counters.skippedCount++;
+        continue;
+      }
+
+      if (!(await this.robotsCache.isAllowed(item.url))) {
+        log.debug(`Disallowed by robots.txt: ${item.url}`);
+        this.robotsSkipped.add(item.url);
+        continue;
+      }
+
+      this.inFlight.push(item);
+      this.onProgress(pipeline.pages.length + running + 1, this.maxPages, item.url);
+      return { ...item, key, previous };
+    }
+    return null;
+  }
+
+  /**
+   * Crawl the frontier with several fetches in flight; results are committed in the order
+   * pages were taken, so runs are repeatable. Only bfs visits pages in the same order as a
+   * one-at-a-time crawl: with dfs or priority a page can be taken before links committed
+   * ahead of it are queued, so the order depends on the concurrency
+   * @param {Object} pipeline - PagePipeline that fetches and commits pages
+   * @param {Function} afterCommit - Async callback after each committed page (checkpoints)
+   */
+  async crawl(pipeline, afterCommit) {
+    await runInOrder({
+      concurrency: this.concurrency,
+      take: (running) => this.takeNext(pipeline, running),
+      run: (job) => pipeline.fetch(job.url, job.previous),
+      commit: async (item, outcome) => {
+        this.inFlight.shift();
+        await pipeline.commit(item, outcome, (response, links) => {
+          this.addNavigation(response.doc, response.finalUrl || item.url);
+          this.followLinks(item.depth, links, pipeline);
+        });
+        await afterCommit();
+      }
+    });
+  }
+
+  /**
+   * Revalidate indexed pages the crawl didn't reach so removed pages are detected
+   * @param {Object} pipeline - PagePipeline that fetches and commits pages
+   * @param {Function} afterCommit - Async callback after each revalidated page (checkpoints)
+   */
+  async revalidate(pipeline, afterCommit) {
+    const unreached = pipeline.existingPages.filter(page =>
+      !pipeline.visited.has(this.keyOf(page.url)) && !pipeline.removedUrls.has(page.url) && !pipeline.mergedUrls.has(page.url)
+    );
+    if (unreached.length > 0) {
+      log.info(`Revalidating ${unreached.length} indexed pages not reached by this crawl`);
+    }
+    await runInOrder({
+      concurrency: this.concurrency,
+      take: async () => {
+        while (unreached.length > 0) {
+          const previous = unreached.shift();
+          if (await this.robotsCache.isAllowed(previous.url)) {
+            return previous;
+          }
+          this.robotsSkipped.add(previous.url);
+        }
+        return null;
+      },
+      run: (previous) => pipeline.fetch(previous.url, previous),
+      commit: async (previous, outcome) => {
+        await pipeline.revalidate(previous, outcome, (response) => {
+          this.addNavigation(response.doc, response.finalUrl || previous.url);
+        });
+        await afterCommit();
+      }
+    });
+  }
+
+  /**
+   * Queue state for a checkpoint; in-flight pages go back to the front of the queue so a
+   * resumed run fetches them again
+   */
+  toCheckpoint() {
+    return {
+      stack: [...this.inFlight, ...this.frontier.toArray()],
+      counters: { ...this.counters },
+      navigation: this.navigation,
+      inboundCounts: [...this.inboundCounts],
+      sitemapPriorities: [...this.sitemapPriorities]
+    };
+  }
+}
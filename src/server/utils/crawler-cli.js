@@ -0,0 +1,1267 @@
+/**
+ * Crawler CLI
+ * Command line entry point for the documentation crawler: crawl, list-sites, stats, inspect, diff,
+ * evaluate-selectors, check-baseline, add-site, history, validate-config and reprocess, with --json output and CI exit codes
+ */
+
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+import { createInterface } from 'readline/promises';
+import {
+  runCrawl,
+  runReprocess,
+  previewCrawl,
+  locateUrl,
+  traceExtraction,
+  evaluateSiteSelectors,
+  probeSite,
+  checkCrawlConfig,
+  getCrawlConfigs,
+  getCrawlConfigPath,
+  DEFAULT_CRAWL_CONFIG_PATH,
+  DEFAULT_SITE_CONCURRENCY,
+  DEFAULT_MAX_CONCURRENT_REQUESTS,
+  DEFAULT_PARALLEL_SITES
+} from './crawler.js';
+import { validateCrawlConfig, formatIssue } from './config-schema.js';
+import { DEFAULT_HISTORY_PATH, buildHistoryEntry, loadCrawlHistory, summarizeHistory } from './crawl-history.js';
+import { DEFAULT_RETRY_QUEUE_PATH, loadRetryQueue } from './retry-queue.js';
+import { DEFAULT_SNAPSHOT_DIR } from './snapshot-store.js';
+import { getCanonicalKey } from './url-normalizer.js';
+import { cleanContent, DEFAULT_QUALITY_THRESHOLD } from './defuddle-fetch-server.js';
+import { assessContentQuality } from './quality-scorer.js';
+import { renderInspectionReport } from './inspect-report.js';
+import {
+  DEFAULT_BASELINE_DIR,
+  DEFAULT_BASELINE_TOLERANCES,
+  DEFAULT_SAMPLE_SIZE,
+  summarizePageContent,
+  compareToBaseline,
+  loadBaseline,
+  saveBaseline
+} from './selector-evaluator.js';
+import { deriveSiteKey, proposeSiteConfig } from './site-detector.js';
+import { colors, log } from './cli-output.js';
+
+// Exit codes: 1 for errors (bad arguments, failed runs), 2 when a crawl breached its failure thresholds
+// or its content dropped below the stored baseline, 64 (EX_USAGE) for options the command doesn't know
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_THRESHOLD = 2;
+const EXIT_USAGE = 64;
+
+// Index read by stats, inspect and list-sites, and the "old" side of diff
+const DEFAULT_INDEX_PATH = 'public/docs-index.json';
+
+// Where a local crawl writes its index; the "new" side of diff
+const LOCAL_INDEX_PATH = 'temp-docs-index.json';
+
+// Flags that take a value (--name value or --name=value); every other flag is a switch
+const VALUE_FLAGS = new Set([
+  'output', 'index', 'limit', 'site', 'report',
+  'concurrency', 'parallel-sites', 'max-requests',
+  'max-depth', 'max-pages', 'rate',
+  'max-errors', 'max-failure-rate', 'min-pages',
+  'sample', 'tolerance', 'baseline-dir', 'key', 'name'
+]);
+
+// Flags every command accepts: --help, and --debug, which cli-output reads for debug logging
+const GLOBAL_FLAGS = ['help', 'debug'];
+
+// Flags each command accepts besides the global ones; anything else is rejected, so a typo such as
+// --dryrun can't start a real crawl
+const BASELINE_FLAGS = ['baseline-dir', 'tolerance'];
+const COMMAND_FLAGS = {
+  crawl: [
+    'force', 'force-reindex', 'dry-run', 'json', 'resume', 'output', 'no-history', 'no-retries', 'snapshots',
+    'concurrency', 'parallel-sites', 'max-requests', 'max-depth', 'max-pages', 'rate',
+    'max-errors', 'max-failure-rate', 'min-pages', 'check-baseline', ...BASELINE_FLAGS
+  ],
+  'list-sites': ['index', 'json'],
+  stats: ['index', 'json'],
+  inspect: ['site', 'report', 'no-fetch', 'index', 'json'],
+  diff: ['json'],
+  'evaluate-selectors': ['sample', 'no-write', 'index', 'json', 'baseline-dir'],
+  'check-baseline': ['index', 'json', ...BASELINE_FLAGS],
+  'add-site': ['key', 'name', 'sample', 'yes', 'replace', 'no-write', 'json'],
+  history: ['limit', 'json'],
+  'validate-config': ['json'],
+  reprocess: ['output'],
+  help: []
+};
+
+// URLs listed per group in text reports before the rest are summarized
+const LIST_LIMIT = 10;
+
+/**
+ * Split arguments into the command, its positional arguments and flags
+ * Without a known command the arguments are a crawl, so `crawl ao --force` and `ao --force` match
+ */
+function parseArgs(argv) {
+  const flags = {};
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (!arg.startsWith('--')) {
+      positionals.push(arg);
+    } else {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s, 2);
+      if (VALUE_FLAGS.has(name)) {
+        const value = inline ?? argv[++i];
+        if (value === undefined) {
+          throw new Error(`--${name} needs a value`);
+        }
+        flags[name] = value;
+      } else {
+        flags[name] = true;
+      }
+    }
+  }
+
+  const command = Object.hasOwn(COMMANDS, positionals[0]) ? positionals.shift() : 'crawl';
+  const unknown = flags.help ? [] : Object.keys(flags)
+    .filter(name => !GLOBAL_FLAGS.includes(name) && !COMMAND_FLAGS[command].includes(name));
+  if (unknown.length > 0) {
+    const error = new Error(`Unknown option${unknown.length > 1 ? 's' : ''} for ${command}: ${unknown.map(name => `--${name}`).join(', ')}`);
+    error.code = 'EUSAGE';
+    error.command = command;
+    throw error;
+  }
+  return { command, positionals, flags };
+}
+
+/**
+ * Read a numeric flag
+ * @returns {number|undefined} The value, or undefined when the flag wasn't given
+ * @throws {Error} When the value isn't a number in range
+ */
+function numberFlag(flags, name, { integer = false, min = -Infinity, max = Infinity } = {}) {
+  if (flags[name] === undefined) return undefined;
+  const value = Number(flags[name]);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    const range = max === Infinity ? `${min} or more` : `between ${min} and ${max}`;
+    throw new Error(`--${name} expects ${integer ? 'an integer' : 'a number'} ${range}, got "${flags[name]}"`);
+  }
+  return value;
+}
+
+/**
+ * Read a docs index
+ * @returns {Promise<Object|null>} Parsed index, or null when the file doesn't exist
+ */
+async function readIndex(path) {
+  let index;
+  try {
+    index = JSON.parse(await fs.readFile(resolve(process.cwd(), path), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read ${path}: ${error.message}`);
+  }
+  if (!index?.sites || typeof index.sites !== 'object') {
+    throw new Error(`${path} is not a docs index (no "sites")`);
+  }
+  return index;
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function formatCount(value) {
+  return Number(value || 0).toLocaleString('en-US');
+}
+
+/**
+ * Check a run's per-site results against failure thresholds
+ * Thresholds come from each site's `failureThresholds` config; command line flags override them for every site
+ * @param {Object} summary - Crawl history records by site key
+ * @param {Object} configs - Crawl configs
+ * @param {Object} overrides - { maxErrors, maxFailureRate, minPages } from flags (undefined when not given)
+ * @returns {Array<Object>} Breaches { siteKey, rule, message }
+ */
+function checkFailureThresholds(summary, configs, overrides) {
+  const given = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const breaches = [];
+
+  for (const [siteKey, run] of Object.entries(summary)) {
+    const { maxErrors, maxFailureRate, minPages } = { ...configs[siteKey]?.failureThresholds, ...given };
+    const breach = (rule, message) => breaches.push({ siteKey, rule, message });
+
+    if (maxErrors !== undefined && run.errors.total > maxErrors) {
+      breach('maxErrors', `${run.errors.total} errors (limit ${maxErrors})`);
+    }
+    if (maxFailureRate !== undefined && run.failureRate > maxFailureRate) {
+      breach('maxFailureRate', `failure rate ${(run.failureRate * 100).toFixed(1)}% (limit ${(maxFailureRate * 100).toFixed(1)}%)`);
+    }
+    if (minPages !== undefined && run.pages.total < minPages) {
+      breach('minPages', `${run.pages.total} pages indexed (at least ${minPages} expected)`);
+    }
+  }
+  return breaches;
+}
+
+/**
+ * Crawl the given sites (all sites when none are given), or preview them with --dry-run
+ */
+async function crawlCommand(siteKeys, flags) {
+  const configs = await getCrawlConfigs();
+  const unknown = siteKeys.filter(siteKey => !configs[siteKey]);
+  if (unknown.length > 0) {
+    log.error(`Unknown site${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')} (run list-sites to see configured sites)`);
+    return EXIT_ERROR;
+  }
+  const forceReindex = Boolean(flags.force || flags['force-reindex']);
+
+  if (flags['dry-run']) {
+    const reports = {};
+    for (const siteKey of siteKeys.length > 0 ? siteKeys : Object.keys(configs)) {
+      reports[siteKey] = await previewCrawl(siteKey, { forceReindex });
+    }
+    if (flags.json) {
+      printJson(reports);
+    } else {
+      Object.values(reports).forEach(printCrawlPreview);
+    }
+    return EXIT_OK;
+  }
+
+  // Read every flag before crawling so a typo fails fast
+  const positive = { integer: true, min: 1 };
+  const options = {
+    concurrency: numberFlag(flags, 'concurrency', positive),
+    parallelSites: numberFlag(flags, 'parallel-sites', positive),
+    maxConcurrentRequests: numberFlag(flags, 'max-requests', positive),
+    maxDepth: numberFlag(flags, 'max-depth', { integer: true, min: 0 }) ?? null,
+    maxPages: numberFlag(flags, 'max-pages', positive) ?? null,
+    requestsPerSecond: numberFlag(flags, 'rate', { min: 0.01 }) ?? null
+  };
+  const thresholds = {
+    maxErrors: numberFlag(flags, 'max-errors', { integer: true, min: 0 }),
+    maxFailureRate: numberFlag(flags, 'max-failure-rate', { min: 0, max: 1 }),
+    minPages: numberFlag(flags, 'min-pages', { integer: true, min: 0 })
+  };
+  const baselineOptions = readBaselineFlags(flags);
+
+  const results = await runCrawl(siteKeys, {
+    ...options,
+    forceReindex,
+    resume: Boolean(flags.resume),
+    outputPath: flags.output || null,
+    history: !flags['no-history'],
+    retries: !flags['no-retries'],
+    snapshots: Boolean(flags.snapshots)
+  });
+
+  // Same per-site figures as a crawl-history.jsonl record; a site whose crawl threw has no telemetry
+  const runId = new Date().toISOString();
+  const summary = Object.fromEntries(Object.entries(results).map(([siteKey, result]) => [
+    siteKey,
+    buildHistoryEntry({ runId, siteKey, config: configs[siteKey], result, failed: !result.telemetry })
+  ]));
+  const breaches = checkFailureThresholds(summary, configs, thresholds);
+  if (flags['check-baseline']) {
+    const pagesBySite = Object.fromEntries(Object.entries(results).map(([siteKey, result]) => [siteKey, result.pages || []]));
+    const { sites } = await checkBaselines(pagesBySite, baselineOptions);
+    for (const [siteKey, { regressions }] of Object.entries(sites)) {
+      for (const regression of regressions) {
+        breaches.push({ siteKey, rule: `baseline ${regression.metric}`, message: describeBaselineDrop(regression) });
+      }
+    }
+  }
+
+  if (flags.json) {
+    printJson({ sites: summary, breaches, passed: breaches.length === 0 });
+  }
+  for (const { siteKey, rule, message } of breaches) {
+    log.error(`Failure threshold ${rule} breached by ${siteKey}: ${message}`);
+  }
+  return breaches.length > 0 ? EXIT_THRESHOLD : EXIT_OK;
+}
+
+/**
+ * List configured sites with their limits and how many pages the index holds for each
+ */
+async function listSitesCommand(positionals, flags) {
+  const configs = await getCrawlConfigs();
+  const indexPath = flags.index || DEFAULT_INDEX_PATH;
+  const index = await readIndex(indexPath);
+
+  const sites = Object.entries(configs).map(([siteKey, config]) => ({
+    siteKey,
+    name: config.name,
+    baseUrl: config.type === 'single-file' && config.fileUrl ? config.fileUrl : config.baseUrl,
+    type: config.type || 'site',
+    maxDepth: config.maxDepth,
+    maxPages: config.maxPages,
+    indexedPages: index?.sites?.[siteKey]?.pages?.length || 0,
+    lastCrawled: index?.sites?.[siteKey]?.lastCrawled || null
+  }));
+
+  if (flags.json) {
+    printJson(sites);
+    return EXIT_OK;
+  }
+
+  const keyWidth = Math.max(4, ...sites.map(site => site.siteKey.length));
+  console.log(`\n${colors.blue}Sites in ${getCrawlConfigPath()}${colors.reset} (indexed pages from ${indexPath}${index ? '' : ', not found'})`);
+  console.log(`${colors.gray}  ${'Site'.padEnd(keyWidth)} ${'Pages'.padStart(6)} ${'Limit'.padStart(6)} ${'Depth'.padStart(5)}  ${'Last crawled'.padEnd(16)}  Base URL${colors.reset}`);
+  for (const site of sites) {
+    const lastCrawled = site.lastCrawled ? site.lastCrawled.slice(0, 16).replace('T', ' ') : 'never';
+    console.log(`  ${colors.cyan}${site.siteKey.padEnd(keyWidth)}${colors.reset} ${String(site.indexedPages).padStart(6)} ${String(site.maxPages).padStart(6)} ${String(site.type === 'single-file' ? '-' : site.maxDepth).padStart(5)}  ${lastCrawled.padEnd(16)}  ${site.baseUrl}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Content and crawl statistics per site, read from the index
+ */
+async function statsCommand(siteKeys, flags) {
+  const indexPath = flags.index || DEFAULT_INDEX_PATH;
+  const index = await readIndex(indexPath);
+  if (!index) {
+    log.error(`No index at ${indexPath}; crawl first or pass --index <path>`);
+    return EXIT_ERROR;
+  }
+
+  const indexedSites = Object.keys(index.sites);
+  const missing = siteKeys.filter(siteKey => !indexedSites.includes(siteKey));
+  if (missing.length > 0) {
+    log.error(`Not in ${indexPath}: ${missing.join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  const stats = {};
+  for (const siteKey of siteKeys.length > 0 ? siteKeys : indexedSites) {
+    const site = index.sites[siteKey];
+    const live = site.pages.filter(page => !page.tombstonedAt);
+    const words = live.reduce((sum, page) => sum + (page.estimatedWords || 0), 0);
+    const telemetry = site.stats || {};
+    stats[siteKey] = {
+      name: site.name,
+      lastCrawled: site.lastCrawled || null,
+      pages: live.length,
+      tombstoned: site.pages.length - live.length,
+      withContent: live.filter(page => page.content && page.content.trim().length > 0).length,
+      nearDuplicates: live.filter(page => page.duplicateOf).length,
+      words,
+      averageWords: live.length > 0 ? Math.round(words / live.length) : 0,
+      maxDepth: live.reduce((deepest, page) => Math.max(deepest, page.depth || 0), 0),
+      lastRun: {
+        duration: telemetry.duration ?? null,
+        requestCount: telemetry.requestCount ?? null,
+        pagesPerSecond: telemetry.pagesPerSecond ?? null,
+        errors: telemetry.failures?.total ?? null
+      }
+    };
+  }
+
+  if (flags.json) {
+    printJson(stats);
+    return EXIT_OK;
+  }
+
+  const pad = (value, width) => String(value ?? '-').padStart(width);
+  const keyWidth = Math.max(5, ...Object.keys(stats).map(siteKey => siteKey.length));
+  console.log(`\n${colors.blue}Index stats: ${indexPath}${colors.reset} (generated ${index.generated || 'unknown'})`);
+  console.log(`${colors.gray}  ${'Site'.padEnd(keyWidth)} ${pad('Pages', 6)} ${pad('Content', 8)} ${pad('Dupes', 6)} ${pad('Words', 10)} ${pad('Avg', 6)} ${pad('Errors', 7)} ${pad('Time', 8)}${colors.reset}`);
+  for (const [siteKey, site] of Object.entries(stats)) {
+    const duration = site.lastRun.duration !== null ? `${(site.lastRun.duration / 1000).toFixed(1)}s` : null;
+    console.log(`  ${colors.cyan}${siteKey.padEnd(keyWidth)}${colors.reset} ${pad(site.pages, 6)} ${pad(site.withContent, 8)} ${pad(site.nearDuplicates, 6)} ${pad(formatCount(site.words), 10)} ${pad(site.averageWords, 6)} ${pad(site.lastRun.errors, 7)} ${pad(duration, 8)}`);
+  }
+
+  const all = Object.values(stats);
+  const totalPages = all.reduce((sum, site) => sum + site.pages, 0);
+  const totalWords = all.reduce((sum, site) => sum + site.words, 0);
+  console.log(`  ${'Total'.padEnd(keyWidth)} ${pad(totalPages, 6)} ${pad(all.reduce((sum, site) => sum + site.withContent, 0), 8)} ${pad(all.reduce((sum, site) => sum + site.nearDuplicates, 0), 6)} ${pad(formatCount(totalWords), 10)} ${pad(totalPages > 0 ? Math.round(totalWords / totalPages) : 0, 6)}`);
+  return EXIT_OK;
+}
+
+/**
+ * Fetch a page, run it through the crawler's extraction, then clean and score it as the llms.txt generator does
+ * @returns {Promise<{ pipeline: Object, body: string }>} Stage results (or { error }) and the raw response body
+ */
+async function runPipeline(url, siteKey) {
+  let traced;
+  try {
+    traced = await traceExtraction(url, siteKey);
+  } catch (error) {
+    return { pipeline: { error: error.message }, body: '' };
+  }
+
+  const { body, result, trace, ...fetched } = traced;
+  const { content = '', ...stages } = trace || {};
+  const pipeline = {
+    ...fetched,
+    outcome: !result ? 'too-short' : result.notFound ? 'not-found' : 'indexed',
+    title: result?.title || stages.title || null,
+    trace: trace ? stages : null,
+    content,
+    llms: null
+  };
+  if (!trace) {
+    return { pipeline, body };
+  }
+
+  try {
+    const cleaned = await cleanContent(body, fetched.finalUrl || url, { contentType: fetched.contentType || '', qualityThreshold: 0 });
+    pipeline.llms = {
+      words: cleaned.wordCount,
+      qualityScore: cleaned.qualityScore,
+      threshold: DEFAULT_QUALITY_THRESHOLD,
+      kept: cleaned.qualityScore >= DEFAULT_QUALITY_THRESHOLD,
+      extractionMethod: cleaned.extractionMethod,
+      // Same assessment cleanContent scored the page with; plain-text files aren't assessed
+      quality: cleaned.source === 'plain-text' ? null : assessContentQuality(cleaned.content, { minLength: 30, requireTechnical: false })
+    };
+  } catch (error) {
+    pipeline.llms = { error: error.message };
+  }
+  return { pipeline, body };
+}
+
+/**
+ * Print the extraction stages of an inspected page
+ */
+function printPipeline(pipeline) {
+  const verdict = (ok, text) => `${ok ? colors.green : colors.yellow}${text}${colors.reset}`;
+  const label = (text) => `  ${text.padEnd(16)}`;
+
+  console.log(`\n${colors.green}Extraction pipeline:${colors.reset}`);
+  if (pipeline.error) {
+    console.log(`${label('Fetch:')}${colors.red}failed: ${pipeline.error}${colors.reset}`);
+    return;
+  }
+  const redirected = pipeline.finalUrl && pipeline.finalUrl !== pipeline.url ? `, redirected to ${pipeline.finalUrl}` : '';
+  console.log(`${label('Fetch:')}HTTP ${pipeline.status}, ${pipeline.contentType || 'no content type'}, ${formatCount(pipeline.bytes)} bytes${redirected}`);
+
+  const { trace } = pipeline;
+  if (trace?.plainText) {
+    console.log(`${label('Plain text:')}${formatCount(trace.final.words)} words (no HTML extraction)`);
+  } else if (trace) {
+    const { defuddle, fallback } = trace;
+    console.log(`${label('Parsed HTML:')}${formatCount(trace.htmlLength)} characters`);
+    console.log(`${label('Defuddle:')}${defuddle.success
+      ? `${formatCount(defuddle.words)} words, ${formatCount(defuddle.characters)} characters (${defuddle.extractorType || 'default'} extractor)`
+      : verdict(false, `failed${defuddle.error ? `: ${defuddle.error}` : ''}`)}`);
+
+    console.log(`${label('Selectors:')}${colors.gray}selectors.content, tried in order by the fallback${colors.reset}`);
+    const width = Math.max(...trace.selectors.map(entry => entry.selector.length));
+    for (const entry of trace.selectors) {
+      const pick = fallback.triggered && fallback.selector === entry.selector
+        ? ` ${colors.cyan}<- fallback pick${fallback.used ? ', used' : ', Defuddle kept'}${colors.reset}`
+        : '';
+      const found = entry.matched
+        ? `${formatCount(entry.words).padStart(7)} words ${formatCount(entry.characters).padStart(9)} characters`
+        : verdict(false, entry.error ? `invalid selector: ${entry.error}` : 'no match');
+      console.log(`    ${entry.selector.padEnd(width)}  ${found}${pick}`);
+    }
+    if (!fallback.triggered) {
+      console.log(`${label('Fallback:')}not needed (Defuddle found 20 or more words)`);
+    } else if (fallback.used) {
+      console.log(`${label('Fallback:')}used ${fallback.selector} (${formatCount(fallback.words)} words, more than Defuddle's)`);
+    } else {
+      console.log(`${label('Fallback:')}${verdict(false, fallback.selector ? `${fallback.selector} had fewer words, Defuddle's content kept` : 'no selector matched')}`);
+    }
+
+    console.log(`${label('Filters:')}${formatCount(trace.beforeFilters.characters)} characters, ${formatCount(trace.beforeFilters.words)} words going in`);
+    if (trace.filters.length === 0) {
+      console.log(`    ${colors.gray}no contentFilters configured${colors.reset}`);
+    }
+    for (const filter of trace.filters) {
+      console.log(`    ${filter.rule.padEnd(24)} ${`-${formatCount(filter.removed)}`.padStart(9)} characters`);
+    }
+    const longEnough = trace.final.words >= trace.minWordCount;
+    console.log(`${label('Final content:')}${formatCount(trace.final.characters)} characters, ${verdict(longEnough, `${formatCount(trace.final.words)} words`)} (minWordCount ${trace.minWordCount})`);
+    console.log(`${label('404 check:')}${verdict(!trace.is404, trace.is404 ? 'looks like a 404 page' : 'not a 404 page')}`);
+  }
+
+  const outcomes = {
+    indexed: verdict(true, `indexed as "${pipeline.title}"`),
+    'not-found': verdict(false, 'dropped as a 404 page'),
+    'too-short': verdict(false, 'dropped: below minWordCount')
+  };
+  console.log(`${label('Result:')}${outcomes[pipeline.outcome]}`);
+
+  const { llms } = pipeline;
+  if (llms?.error) {
+    console.log(`${label('Quality score:')}${colors.red}llms.txt cleaning failed: ${llms.error}${colors.reset}`);
+  } else if (llms) {
+    console.log(`${label('Quality score:')}${verdict(llms.kept, `${llms.qualityScore.toFixed(2)}${llms.quality?.qualityLevel ? ` ${llms.quality.qualityLevel}` : ''}`)} after llms.txt cleaning (${formatCount(llms.words)} words, ${llms.extractionMethod}; pages below ${llms.threshold} are dropped)`);
+    if (llms.quality) {
+      const { details } = llms.quality;
+      for (const metric of ['readability', 'completeness', 'technicalRelevance', 'structure']) {
+        console.log(`    ${metric.padEnd(24)} ${(details[metric] ?? 0).toFixed(2).padStart(9)}`);
+      }
+      if (details.uniqueWords !== undefined) {
+        console.log(`    ${colors.gray}${formatCount(details.uniqueWords)} unique words; ${llms.quality.reason}${colors.reset}`);
+      }
+    }
+  }
+}
+
+/**
+ * Show which site a URL belongs to, whether a crawl would fetch it, its index entry,
+ * and (unless --no-fetch) every extraction stage for the live page
+ */
+async function inspectCommand([url], flags) {
+  if (!url) {
+    log.error('Usage: inspect <url> [--site <site>] [--report <path>] [--no-fetch]');
+    return EXIT_ERROR;
+  }
+  if (flags.report && flags['no-fetch']) {
+    log.error('--report needs the page fetched; drop --no-fetch');
+    return EXIT_ERROR;
+  }
+
+  const location = await locateUrl(url, { siteKey: flags.site || null });
+  if (!location) {
+    if (flags.json) {
+      printJson({ url, siteKey: null });
+    } else {
+      log.warn(`No configured site covers ${url}; pass --site <site> to inspect it with a site's config anyway`);
+    }
+    return EXIT_ERROR;
+  }
+
+  const configs = await getCrawlConfigs();
+  const urlOptions = configs[location.siteKey].urlNormalization || {};
+  const key = getCanonicalKey(location.url, urlOptions);
+  const index = await readIndex(flags.index || DEFAULT_INDEX_PATH);
+  const indexed = (index?.sites?.[location.siteKey]?.pages || [])
+    .find(entry => [entry.url, ...(entry.aliases || [])].some(alias => getCanonicalKey(alias, urlOptions) === key)) || null;
+  const retryQueue = await loadRetryQueue();
+  const retry = Object.values(retryQueue.sites[location.siteKey] || {})
+    .find(entry => getCanonicalKey(entry.url, urlOptions) === key) || null;
+
+  const withinDepth = location.depth <= location.depthLimit;
+  const { content: indexedContent, ...indexEntry } = indexed || {};
+  const inspection = {
+    ...location,
+    crawlable: location.rejection === null && location.robotsAllowed && withinDepth,
+    indexed: Boolean(indexed),
+    page: indexed ? { ...indexEntry, contentLength: indexedContent?.length || 0 } : null,
+    retry
+  };
+
+  let body = '';
+  if (!flags['no-fetch']) {
+    ({ pipeline: inspection.pipeline, body } = await runPipeline(location.url, location.siteKey));
+  }
+  if (flags.report) {
+    await fs.writeFile(resolve(process.cwd(), flags.report), renderInspectionReport(inspection, { html: body }));
+    log.success(`Report written to ${flags.report}`);
+  }
+  const status = inspection.pipeline?.error ? EXIT_ERROR : EXIT_OK;
+
+  if (flags.json) {
+    printJson(inspection);
+    return status;
+  }
+
+  const verdict = (ok, text) => `${ok ? colors.green : colors.yellow}${text}${colors.reset}`;
+  console.log(`\n${colors.blue}${location.url}${colors.reset}`);
+  console.log(`  Site:      ${colors.cyan}${location.siteKey}${colors.reset} (${location.name})`);
+  console.log(`  Scope:     ${verdict(location.rejection === null, location.rejection === null ? 'in scope' : `rejected: ${location.rejection}`)}`);
+  console.log(`  Depth:     ${verdict(withinDepth, `${location.depth} path segments (limit ${location.depthLimit})`)}`);
+  console.log(`  robots:    ${verdict(location.robotsAllowed, location.robotsAllowed ? 'allowed' : 'disallowed')}`);
+  console.log(`  Crawlable: ${verdict(inspection.crawlable, inspection.crawlable ? 'yes' : 'no')}`);
+
+  const { page } = inspection;
+  if (page) {
+    console.log(`\n${colors.green}Index entry:${colors.reset}`);
+    console.log(`  Title:        ${page.title}`);
+    console.log(`  Words:        ${page.estimatedWords ?? '-'} (${formatCount(page.contentLength)} characters)`);
+    console.log(`  Depth:        ${page.depth ?? '-'}`);
+    console.log(`  Crawled:      ${page.crawledAt || '-'}${page.lastModified ? `, last modified ${page.lastModified}` : ''}`);
+    if (page.contentHash) console.log(`  Content hash: ${page.contentHash}`);
+    if (page.aliases?.length > 0) console.log(`  Aliases:      ${page.aliases.join(', ')}`);
+    if (page.duplicateOf) console.log(`  Duplicate of: ${page.duplicateOf}`);
+    if (page.tombstonedAt) console.log(`  ${colors.yellow}Tombstoned ${page.tombstonedAt}${colors.reset}`);
+  } else {
+    console.log(`\n${colors.yellow}Not in the index${colors.reset}`);
+  }
+  if (retry) {
+    console.log(`\n${colors.yellow}Queued for retry:${colors.reset} ${retry.category}${retry.status ? ` (HTTP ${retry.status})` : ''}, ${retry.attempts} attempt(s), next after ${retry.nextRetryAt}`);
+  }
+  if (inspection.pipeline) {
+    printPipeline(inspection.pipeline);
+  }
+  return status;
+}
+
+/**
+ * Compare two indexes page by page: pages added, removed, and changed (by content hash)
+ */
+async function diffCommand([oldPath = DEFAULT_INDEX_PATH, newPath = LOCAL_INDEX_PATH], flags) {
+  const [before, after] = await Promise.all([readIndex(oldPath), readIndex(newPath)]);
+  for (const [path, index] of [[oldPath, before], [newPath, after]]) {
+    if (!index) {
+      log.error(`No index at ${path}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  const pagesOf = (index, siteKey) => new Map((index.sites[siteKey]?.pages || [])
+    .filter(page => !page.tombstonedAt)
+    .map(page => [page.url, page]));
+  const isChanged = (a, b) => (a.contentHash && b.contentHash ? a.contentHash !== b.contentHash : a.content !== b.content);
+
+  const diff = {};
+  for (const siteKey of new Set([...Object.keys(before.sites), ...Object.keys(after.sites)])) {
+    const oldPages = pagesOf(before, siteKey);
+    const newPages = pagesOf(after, siteKey);
+    const site = { added: [], removed: [], changed: [], unchanged: 0, wordDelta: 0 };
+    for (const [url, page] of newPages) {
+      const previous = oldPages.get(url);
+      if (!previous) {
+        site.added.push(url);
+        site.wordDelta += page.estimatedWords || 0;
+      } else if (isChanged(previous, page)) {
+        const words = (page.estimatedWords || 0) - (previous.estimatedWords || 0);
+        site.changed.push({ url, words });
+        site.wordDelta += words;
+      } else {
+        site.unchanged++;
+      }
+    }
+    for (const [url, page] of oldPages) {
+      if (!newPages.has(url)) {
+        site.removed.push(url);
+        site.wordDelta -= page.estimatedWords || 0;
+      }
+    }
+    diff[siteKey] = site;
+  }
+
+  if (flags.json) {
+    printJson({ old: oldPath, new: newPath, sites: diff });
+    return EXIT_OK;
+  }
+
+  const signed = (value) => (value > 0 ? `+${formatCount(value)}` : formatCount(value));
+  const list = (label, color, entries) => {
+    for (const entry of entries.slice(0, LIST_LIMIT)) {
+      console.log(`    ${color}${label}${colors.reset} ${entry}`);
+    }
+    if (entries.length > LIST_LIMIT) {
+      console.log(`    ${colors.gray}... and ${entries.length - LIST_LIMIT} more${colors.reset}`);
+    }
+  };
+
+  console.log(`\n${colors.blue}Index diff:${colors.reset} ${oldPath} -> ${newPath}`);
+  for (const [siteKey, site] of Object.entries(diff)) {
+    console.log(`\n  ${colors.cyan}${siteKey}${colors.reset}: ${site.added.length} added, ${site.removed.length} removed, ${site.changed.length} changed, ${site.unchanged} unchanged, ${signed(site.wordDelta)} words`);
+    list('+', colors.green, site.added);
+    list('-', colors.red, site.removed);
+    list('~', colors.yellow, site.changed.map(({ url, words }) => `${url} (${signed(words)} words)`));
+  }
+  return EXIT_OK;
+}
+
+/**
+ * Baseline directory and tolerance override from flags
+ */
+function readBaselineFlags(flags) {
+  const tolerance = numberFlag(flags, 'tolerance', { min: 0, max: 1 });
+  return {
+    dir: flags['baseline-dir'] || DEFAULT_BASELINE_DIR,
+    tolerances: tolerance === undefined ? {} : Object.fromEntries(Object.keys(DEFAULT_BASELINE_TOLERANCES).map(metric => [metric, tolerance]))
+  };
+}
+
+function describeBaselineDrop({ metric, baseline, current, drop, tolerance }) {
+  return `${metric} ${current} vs baseline ${baseline} (-${(drop * 100).toFixed(1)}%, tolerance ${(tolerance * 100).toFixed(0)}%)`;
+}
+
+/**
+ * Compare each site's pages with its stored baseline
+ * @param {Object} pagesBySite - Indexed pages by site key
+ * @param {Object} options - { dir, tolerances }
+ * @returns {Promise<{ sites: Object, missing: Array<string> }>} Per checked site { metrics, baseline, regressions },
+ *   and the sites without a baseline
+ */
+async function checkBaselines(pagesBySite, { dir, tolerances }) {
+  const sites = {};
+  const missing = [];
+  for (const [siteKey, pages] of Object.entries(pagesBySite)) {
+    const baseline = await loadBaseline(siteKey, dir);
+    if (!baseline?.crawl) {
+      missing.push(siteKey);
+      continue;
+    }
+    const metrics = summarizePageContent(pages);
+    sites[siteKey] = { metrics, baseline: baseline.crawl, regressions: compareToBaseline(metrics, baseline, tolerances) };
+  }
+  return { sites, missing };
+}
+
+/**
+ * Score candidate content selectors on sampled pages of each site and store the results,
+ * with the site's current content metrics, as its baseline
+ */
+async function evaluateSelectorsCommand(siteKeys, flags) {
+  const configs = await getCrawlConfigs();
+  const unknown = siteKeys.filter(siteKey => !configs[siteKey]);
+  if (unknown.length > 0) {
+    log.error(`Unknown site${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    return EXIT_ERROR;
+  }
+  const sampleSize = numberFlag(flags, 'sample', { integer: true, min: 1 }) ?? DEFAULT_SAMPLE_SIZE;
+  const { dir } = readBaselineFlags(flags);
+  const index = await readIndex(flags.index || DEFAULT_INDEX_PATH);
+
+  const targets = siteKeys.length > 0
+    ? siteKeys
+    : Object.keys(configs).filter(siteKey => configs[siteKey].type !== 'single-file');
+  const reports = {};
+  let failures = 0;
+  for (const siteKey of targets) {
+    log.info(`Evaluating content selectors for ${siteKey} on up to ${sampleSize} pages...`);
+    const indexedPages = index?.sites?.[siteKey]?.pages;
+    let evaluation;
+    try {
+      evaluation = await evaluateSiteSelectors(siteKey, {
+        sampleSize,
+        urls: indexedPages?.filter(page => !page.tombstonedAt).map(page => page.url)
+      });
+    } catch (error) {
+      log.error(`Selector evaluation failed for ${siteKey}: ${error.message}`);
+      failures++;
+      continue;
+    }
+    if (evaluation.sampled.length === 0) {
+      log.error(`No page of ${siteKey} could be fetched; baseline not written`);
+      failures++;
+      reports[siteKey] = { evaluation, crawl: null };
+      continue;
+    }
+
+    const { selectors, ...results } = evaluation;
+    const baseline = {
+      siteKey,
+      createdAt: new Date().toISOString(),
+      selectors,
+      evaluation: results,
+      // Content metrics of the indexed crawl, which check-baseline compares later crawls with
+      crawl: indexedPages ? summarizePageContent(indexedPages) : null
+    };
+    if (!flags['no-write']) {
+      baseline.path = await saveBaseline(baseline, dir);
+    }
+    reports[siteKey] = baseline;
+  }
+
+  if (flags.json) {
+    printJson(reports);
+  } else {
+    Object.values(reports).filter(report => report.siteKey).forEach(printSelectorEvaluation);
+  }
+  return failures > 0 ? EXIT_ERROR : EXIT_OK;
+}
+
+/**
+ * Print a site's selector evaluation and baseline metrics
+ */
+function printSelectorEvaluation({ siteKey, selectors, evaluation, crawl, path }) {
+  const pad = (value, width) => String(value).padStart(width);
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  console.log(`\n${colors.blue}${siteKey}${colors.reset}: ${evaluation.sampled.length} page(s) sampled${evaluation.failed.length > 0 ? `, ${evaluation.failed.length} failed` : ''}`);
+  const width = Math.max(8, ...evaluation.candidates.map(entry => entry.selector.length));
+  console.log(`${colors.gray}  ${'Selector'.padEnd(width)} ${'Source'.padEnd(6)} ${pad('Match', 6)} ${pad('Words', 6)} ${pad('Quality', 7)} ${pad('Chrome', 6)} ${pad('Score', 6)}${colors.reset}`);
+  for (const entry of evaluation.candidates) {
+    const color = entry.matchRate === 0 ? colors.gray : entry.source === 'config' ? colors.cyan : '';
+    console.log(`  ${color}${entry.selector.padEnd(width)}${colors.reset} ${entry.source.padEnd(6)} ${pad(percent(entry.matchRate), 6)} ${pad(entry.averageWords, 6)} ${pad(entry.averageQuality.toFixed(2), 7)} ${pad(percent(entry.boilerplateShare), 6)} ${pad(entry.score.toFixed(3), 6)}`);
+  }
+  console.log(`  Configured: ${selectors.content}`);
+  console.log(`  Suggested:  ${evaluation.recommended ? `${colors.green}${evaluation.recommended}${colors.reset}` : `${colors.yellow}no selector matched at least half the sample${colors.reset}`}`);
+
+  // Extraction keeping far less than the configured selector holds means content is lost after matching
+  const lossy = evaluation.sampled.filter(page => page.selectorWords > 0 && page.extractedWords < page.selectorWords * 0.5);
+  for (const page of lossy.slice(0, LIST_LIMIT)) {
+    log.warn(`${page.url}: extraction kept ${page.extractedWords} of the ${page.selectorWords} words the configured selector matched`);
+  }
+  for (const { url, error } of evaluation.failed) {
+    log.warn(`Could not sample ${url}: ${error}`);
+  }
+
+  if (crawl) {
+    console.log(`  Baseline:   ${crawl.pagesWithContent}/${crawl.pages} pages with content, ${crawl.averageWords} average words, ${crawl.averageQuality.toFixed(2)} average quality`);
+  } else {
+    console.log(`  ${colors.yellow}Baseline:   site not in the index; crawl it and re-run to record content metrics${colors.reset}`);
+  }
+  if (path) {
+    console.log(`  ${colors.gray}Written to ${path}${colors.reset}`);
+  }
+}
+
+/**
+ * Compare the indexed pages of each site with its baseline; exits 2 when a metric dropped beyond tolerance
+ */
+async function checkBaselineCommand(siteKeys, flags) {
+  const indexPath = flags.index || DEFAULT_INDEX_PATH;
+  const index = await readIndex(indexPath);
+  if (!index) {
+    log.error(`No index at ${indexPath}; crawl first or pass --index <path>`);
+    return EXIT_ERROR;
+  }
+  const baselineOptions = readBaselineFlags(flags);
+  const targets = siteKeys.length > 0 ? siteKeys : Object.keys(index.sites);
+  const pagesBySite = Object.fromEntries(targets.map(siteKey => [siteKey, index.sites[siteKey]?.pages || []]));
+  const { sites, missing } = await checkBaselines(pagesBySite, baselineOptions);
+  const passed = Object.values(sites).every(site => site.regressions.length === 0);
+
+  if (flags.json) {
+    printJson({ index: indexPath, sites, missing, passed });
+  } else {
+    for (const [siteKey, { metrics, baseline, regressions }] of Object.entries(sites)) {
+      const status = regressions.length === 0 ? `${colors.green}OK${colors.reset}` : `${colors.red}REGRESSED${colors.reset}`;
+      console.log(`  ${colors.cyan}${siteKey}${colors.reset} ${status} - ${metrics.pagesWithContent} pages with content (baseline ${baseline.pagesWithContent}), ${metrics.averageWords} average words (${baseline.averageWords}), quality ${metrics.averageQuality.toFixed(2)} (${baseline.averageQuality.toFixed(2)})`);
+      for (const regression of regressions) {
+        log.error(`Baseline regression in ${siteKey}: ${describeBaselineDrop(regression)}`);
+      }
+    }
+  }
+  if (missing.length > 0) {
+    log.warn(`No baseline in ${baselineOptions.dir}/ for: ${missing.join(', ')} (run evaluate-selectors to record one)`);
+  }
+  if (Object.keys(sites).length === 0) {
+    log.error('No site had a baseline to check against');
+    return EXIT_ERROR;
+  }
+  return passed ? EXIT_OK : EXIT_THRESHOLD;
+}
+
+/**
+ * Per-site crawl trends from the history; exits 1 when the latest run regressed
+ */
+async function historyCommand([siteKey], flags) {
+  const limit = numberFlag(flags, 'limit', { integer: true, min: 1 }) ?? 10;
+  const summary = summarizeHistory(await loadCrawlHistory(), { siteKey, limit });
+
+  if (flags.json) {
+    printJson(summary);
+  } else if (Object.keys(summary).length === 0) {
+    log.info(`No crawl history${siteKey ? ` for ${siteKey}` : ''} in ${DEFAULT_HISTORY_PATH}`);
+  } else {
+    printHistory(summary);
+  }
+  const regressed = Object.values(summary).some(site => site.regressions.some(regression => regression.severity === 'error'));
+  return regressed ? EXIT_ERROR : EXIT_OK;
+}
+
+/**
+ * Check a crawl config against the schema
+ */
+async function validateConfigCommand([configPath = getCrawlConfigPath()], flags) {
+  const { report } = await checkCrawlConfig(configPath);
+  if (flags.json) {
+    printJson({ path: configPath, ...report });
+    return report.valid ? EXIT_OK : EXIT_ERROR;
+  }
+
+  for (const issue of report.errors) {
+    log.error(formatIssue(issue));
+  }
+  for (const issue of report.warnings) {
+    log.warn(formatIssue(issue));
+  }
+  if (report.valid) {
+    log.success(`${configPath} is valid (${report.warnings.length} warning(s))`);
+  } else {
+    log.error(`${configPath} is invalid: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  }
+  return report.valid ? EXIT_OK : EXIT_ERROR;
+}
+
+/**
+ * Ask a yes/no question on the terminal
+ */
+async function confirm(question) {
+  const readline = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await readline.question(`${question} [y/N] `)).trim());
+  } finally {
+    readline.close();
+  }
+}
+
+/**
+ * Probe a documentation site, propose a config entry for it and, after a preview, add it to crawl-config.json
+ */
+async function addSiteCommand([url], flags) {
+  if (!url) {
+    log.error('Usage: bun run crawl add-site <url> [--key <site>] [--name <name>] [--yes]');
+    return EXIT_ERROR;
+  }
+  const sampleSize = numberFlag(flags, 'sample', { integer: true, min: 1 }) ?? DEFAULT_SAMPLE_SIZE;
+  const configPath = getCrawlConfigPath();
+  const { rawConfigs, report: currentReport } = await checkCrawlConfig(configPath);
+  if (!rawConfigs) {
+    log.error(`Cannot read ${configPath}: ${currentReport.errors.map(issue => issue.message).join('; ')}`);
+    return EXIT_ERROR;
+  }
+
+  log.info(`Probing ${url} (up to ${sampleSize} pages)...`);
+  const probe = await probeSite(url, { sampleSize });
+  const siteKey = flags.key || deriveSiteKey(probe.finalUrl);
+  if (Object.hasOwn(rawConfigs, siteKey) && !flags.replace) {
+    log.error(`${siteKey} is already configured; pass --key <site> to add it under another key, or --replace to overwrite it`);
+    return EXIT_ERROR;
+  }
+  const { config, languages } = proposeSiteConfig(probe, { name: flags.name || null });
+
+  // Validate against the whole file, but only report what concerns the new entry
+  const report = validateCrawlConfig({ ...rawConfigs, [siteKey]: config });
+  const concernsSite = (issue) => issue.path === siteKey || issue.path.startsWith(`${siteKey}.`);
+  const errors = report.errors.filter(concernsSite);
+  const warnings = report.warnings.filter(concernsSite);
+  const overlapping = Object.entries(rawConfigs)
+    .filter(([key, site]) => key !== siteKey && site?.baseUrl && new URL(site.baseUrl).host === new URL(config.baseUrl).host)
+    .map(([key]) => key);
+
+  if (flags.json) {
+    printJson({ siteKey, url: probe.finalUrl, detection: probe.detection, languages, candidates: probe.candidates, config, errors, warnings, overlapping });
+  } else {
+    printSiteProposal(siteKey, probe, config, languages);
+    for (const issue of errors) {
+      log.error(formatIssue(issue));
+    }
+    for (const issue of warnings) {
+      log.warn(formatIssue(issue));
+    }
+    if (overlapping.length > 0) {
+      log.warn(`Already crawled from the same host by: ${overlapping.join(', ')}`);
+    }
+  }
+  if (errors.length > 0) {
+    log.error('The proposed entry is invalid and was not written');
+    return EXIT_ERROR;
+  }
+  if (flags['no-write']) {
+    return EXIT_OK;
+  }
+  if (!flags.yes) {
+    if (flags.json || !process.stdin.isTTY) {
+      log.info(`Not written; re-run with --yes to add ${siteKey} to ${configPath}`);
+      return EXIT_OK;
+    }
+    if (!(await confirm(`Add ${siteKey} to ${configPath}?`))) {
+      log.info('Not written');
+      return EXIT_OK;
+    }
+  }
+
+  await fs.writeFile(resolve(process.cwd(), configPath), JSON.stringify({ ...rawConfigs, [siteKey]: config }, null, 2) + '\n');
+  log.success(`Added ${siteKey} to ${configPath}; try it with: bun run crawl ${siteKey} --dry-run`);
+  return EXIT_OK;
+}
+
+/**
+ * Print what add-site found on a site and the entry it proposes
+ */
+function printSiteProposal(siteKey, probe, config, languages) {
+  const { detection } = probe;
+  console.log(`\n${colors.blue}${probe.finalUrl}${colors.reset}`);
+  console.log(`  Framework: ${detection.framework ? `${colors.green}${detection.name}${colors.reset} (${detection.evidence.join(', ')})` : `${colors.yellow}not recognized${colors.reset}, using common selectors`}`);
+  console.log(`  Pages found: ${probe.navigationUrls.length} from the ${probe.navigationSource === 'sidebar' ? 'sidebar' : 'page links (no sidebar found)'}, ${probe.sitemapUrls.length} in sitemaps`);
+  if (languages.length > 0) {
+    console.log(`  Translations excluded: ${languages.join(', ')}`);
+  }
+
+  console.log(`  Content selectors on ${probe.sampled.length} page(s)${probe.failed.length > 0 ? ` (${probe.failed.length} could not be fetched)` : ''}:`);
+  const matched = probe.candidates.filter(entry => entry.matchRate > 0).slice(0, LIST_LIMIT);
+  const width = Math.max(8, ...matched.map(entry => entry.selector.length));
+  for (const entry of matched) {
+    console.log(`    ${entry.selector.padEnd(width)} ${entry.source.padEnd(9)} ${`${Math.round(entry.matchRate * 100)}%`.padStart(4)} match, ${String(entry.averageWords).padStart(5)} words, quality ${entry.averageQuality.toFixed(2)}, score ${entry.score.toFixed(3)}`);
+  }
+  if (matched.length === 0) {
+    log.warn('No candidate selector matched; the content may be rendered client-side');
+  }
+
+  console.log(`\n${colors.green}Proposed entry${colors.reset} for ${colors.cyan}${siteKey}${colors.reset}:`);
+  console.log(JSON.stringify({ [siteKey]: config }, null, 2));
+}
+
+/**
+ * Rebuild the index from stored snapshots, offline
+ */
+async function reprocessCommand([siteKey], flags) {
+  await runReprocess(siteKey || null, { outputPath: flags.output || null });
+  return EXIT_OK;
+}
+
+async function helpCommand() {
+  await showHelp();
+  return EXIT_OK;
+}
+
+// Command handlers, called with (positionals, flags) and returning the exit code
+const COMMANDS = {
+  crawl: crawlCommand,
+  'list-sites': listSitesCommand,
+  stats: statsCommand,
+  inspect: inspectCommand,
+  'evaluate-selectors': evaluateSelectorsCommand,
+  'add-site': addSiteCommand,
+  'check-baseline': checkBaselineCommand,
+  diff: diffCommand,
+  history: historyCommand,
+  'validate-config': validateConfigCommand,
+  reprocess: reprocessCommand,
+  help: helpCommand
+};
+
+/**
+ * Print a dry-run report
+ */
+function printCrawlPreview(report) {
+  const statusColors = {
+    new: colors.green,
+    indexed: colors.blue,
+    'other-site': colors.gray,
+    'beyond-max-depth': colors.yellow,
+    'robots-disallowed': colors.yellow,
+    'over-budget': colors.yellow
+  };
+  const relative = (url) => url.startsWith(report.baseUrl) ? url.slice(report.baseUrl.length) || '/' : url;
+  const counts = report.urls.reduce((acc, entry) => ({ ...acc, [entry.status]: (acc[entry.status] || 0) + 1 }), {});
+
+  console.log(`\n${colors.blue}Dry run: ${report.name}${colors.reset} (${report.baseUrl}, maxDepth ${report.maxDepth}, maxPages ${report.maxPages}, ${report.strategy} crawl order)`);
+  const { scope } = report;
+  console.log(`${colors.green}Scope:${colors.reset} ${scope.hosts.join(', ')}${scope.pathPrefixes.length > 0 ? ` under ${scope.pathPrefixes.join(', ')} (base host)` : ''}`);
+  if (scope.includePatterns.length > 0) {
+    console.log(`  include: ${scope.includePatterns.join(', ')}`);
+  }
+  if (scope.excludePatterns.length > 0) {
+    console.log(`  exclude: ${scope.excludePatterns.join(', ')}`);
+  }
+  console.log(`\n${colors.green}Entry points (${report.urls.length}, in crawl order):${colors.reset} ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'none'}`);
+  for (const entry of report.urls) {
+    console.log(`  ${statusColors[entry.status] || ''}${entry.status.toUpperCase().padEnd(18)}${colors.reset} ${relative(entry.url)} ${colors.gray}[${entry.source}, depth ${entry.depth}]${colors.reset}`);
+  }
+
+  const reasons = Object.entries(report.rejected);
+  if (reasons.length > 0) {
+    console.log(`\n${colors.green}Rejected links:${colors.reset}`);
+    for (const [reason, urls] of reasons) {
+      console.log(`  ${colors.yellow}${reason}${colors.reset} (${urls.length})`);
+      for (const url of urls.slice(0, LIST_LIMIT)) {
+        console.log(`    ${url}`);
+      }
+      if (urls.length > LIST_LIMIT) {
+        console.log(`    ${colors.gray}... and ${urls.length - LIST_LIMIT} more${colors.reset}`);
+      }
+    }
+  }
+  if (report.robotsSkipped.length > 0) {
+    console.log(`\n${colors.green}Disallowed by robots.txt:${colors.reset} ${report.robotsSkipped.length}`);
+  }
+
+  const { indexed, estimatedRequests: estimate } = report;
+  console.log(`\n${colors.green}Index:${colors.reset} ${indexed.total} pages already indexed (${indexed.notDiscovered} not among the entry points, revalidated anyway)`);
+  console.log(`${colors.green}Estimated requests:${colors.reset} ${estimate.total} (${estimate.discovery} discovery, ${estimate.revalidation} conditional revalidation, ${estimate.newPages} new pages)`);
+  if (estimate.mayDiscoverMore > 0) {
+    console.log(`  Links found while crawling may add up to ${estimate.mayDiscoverMore} more new pages (maxPages budget)`);
+  }
+}
+
+/**
+ * Print per-site crawl history with trends and regressions
+ */
+function printHistory(summary) {
+  const pad = (value, width) => String(value).padStart(width);
+
+  for (const [siteKey, { runs, latest, baseline, regressions }] of Object.entries(summary)) {
+    console.log(`\n${colors.blue}${siteKey}${colors.reset} - last ${runs.length} run(s)`);
+    console.log(`${colors.gray}  ${'Run'.padEnd(16)} ${pad('Pages', 6)} ${pad('+New', 5)} ${pad('~Chg', 5)} ${pad('-Rm', 4)} ${pad('Content', 8)} ${pad('Words', 6)} ${pad('Errors', 7)} ${pad('Fail%', 6)} ${pad('Time', 8)} ${pad('Pg/s', 6)}${colors.reset}`);
+    for (const run of runs) {
+      const row = run.failed
+        ? `${colors.red}crawl failed (${run.errors.total} error(s))${colors.reset}`
+        : [
+          pad(run.pages.total, 6),
+          pad(run.pages.added, 5),
+          pad(run.pages.changed, 5),
+          pad(run.pages.removed, 4),
+          pad(run.pages.withContent, 8),
+          pad(run.averageWords, 6),
+          pad(run.errors.total, 7),
+          pad((run.failureRate * 100).toFixed(1), 6),
+          pad(`${(run.duration / 1000).toFixed(1)}s`, 8),
+          pad(run.pagesPerSecond.toFixed(2), 6)
+        ].join(' ');
+      console.log(`  ${run.runId.slice(0, 16).replace('T', ' ')} ${row}`);
+    }
+
+    const categories = Object.entries(latest.errors.byCategory || {});
+    if (categories.length > 0) {
+      const statuses = Object.entries(latest.errors.byStatus || {});
+      const statusNote = statuses.length > 0 ? ` (HTTP ${statuses.map(([status, count]) => `${status} x${count}`).join(', ')})` : '';
+      console.log(`  Latest errors: ${categories.map(([category, count]) => `${count} ${category}`).join(', ')}${statusNote}`);
+    }
+    if (baseline && !latest.failed) {
+      console.log(`  Trend vs median of previous ${baseline.runs} run(s): pages ${baseline.totalPages} -> ${latest.pages.total}, average words ${baseline.averageWords} -> ${latest.averageWords}`);
+    }
+
+    if (regressions.length === 0) {
+      console.log(`  ${colors.green}No regressions${colors.reset}`);
+    }
+    for (const regression of regressions) {
+      const color = regression.severity === 'error' ? colors.red : colors.yellow;
+      console.log(`  ${color}${regression.severity.toUpperCase()} ${regression.rule}:${colors.reset} ${regression.message}`);
+    }
+  }
+}
+
+/**
+ * Show help information
+ */
+async function showHelp() {
+  let configs = {};
+  try {
+    configs = await getCrawlConfigs();
+  } catch {
+    // Still show usage; the errors above point at validate-config
+  }
+  const sites = Object.keys(configs);
+
+  console.log(`
+${colors.blue}Permaweb Documentation Crawler${colors.reset}
+
+${colors.green}Usage:${colors.reset}
+  bun run crawl [crawl] [site...] [options]   Crawl the given sites (all sites when none are given)
+  bun run crawl list-sites                    Configured sites, their limits and indexed page counts
+  bun run crawl stats [site...]               Pages, words, duplicates and last-run figures from the index
+  bun run crawl inspect <url>                 Which site claims a URL, whether it would be crawled, its index entry,
+                                              and every extraction stage run on the live page
+  bun run crawl diff [old] [new]              Pages added, removed and changed between two indexes
+                                              (default ${DEFAULT_INDEX_PATH} -> ${LOCAL_INDEX_PATH})
+  bun run crawl evaluate-selectors [site...]  Score candidate content selectors on sampled pages and write
+                                              each site's baseline to ${DEFAULT_BASELINE_DIR}/<site>.json
+  bun run crawl check-baseline [site...]      Compare the index with the stored baselines
+  bun run crawl add-site <url>                Detect a docs site's framework, propose its config entry and,
+                                              after a preview, add it to the crawl config
+  bun run crawl history [site] [--limit <n>]  Show crawl trends and regressions
+  bun run crawl validate-config [path]        Check crawl-config.json against the schema
+  bun run crawl reprocess [site]              Rebuild the index from snapshots, offline
+
+${colors.green}Sites:${colors.reset}
+${sites.map(site => `  ${colors.cyan}${site}${colors.reset} - ${configs[site].name}`).join('\n')}
+
+${colors.green}Crawl options:${colors.reset}
+  ${colors.yellow}--force, --force-reindex${colors.reset}  Force reindex all pages (ignore cache)
+  ${colors.yellow}--output <path>${colors.reset}           Custom output path for index file (also for reprocess)
+  ${colors.yellow}--resume${colors.reset}                 Continue an interrupted crawl from .crawl-checkpoints/
+  ${colors.yellow}--dry-run${colors.reset}                Run discovery only and print what would be crawled
+  ${colors.yellow}--no-history${colors.reset}             Don't append this run to ${DEFAULT_HISTORY_PATH}
+  ${colors.yellow}--no-retries${colors.reset}             Don't retry or record transient failures in ${DEFAULT_RETRY_QUEUE_PATH}
+  ${colors.yellow}--snapshots${colors.reset}              Store raw responses in ${DEFAULT_SNAPSHOT_DIR}/ for reprocess
+  ${colors.yellow}--max-depth <n>${colors.reset}          Override every crawled site's maxDepth
+  ${colors.yellow}--max-pages <n>${colors.reset}          Override every crawled site's maxPages
+  ${colors.yellow}--rate <n>${colors.reset}               Requests per second per site (robots.txt Crawl-delay still applies)
+  ${colors.yellow}--concurrency <n>${colors.reset}        Page fetches in flight per site (default: config \`concurrency\` or ${DEFAULT_SITE_CONCURRENCY})
+  ${colors.yellow}--parallel-sites <n>${colors.reset}     Sites crawled at the same time (default: ${DEFAULT_PARALLEL_SITES})
+  ${colors.yellow}--max-requests <n>${colors.reset}       Page fetches in flight across all sites (default: ${DEFAULT_MAX_CONCURRENT_REQUESTS})
+
+${colors.green}Failure thresholds${colors.reset} (override each site's \`failureThresholds\`; a breach exits with code ${EXIT_THRESHOLD}):
+  ${colors.yellow}--max-errors <n>${colors.reset}         Most failed pages allowed per site
+  ${colors.yellow}--max-failure-rate <r>${colors.reset}   Highest share of failed requests per site, 0-1
+  ${colors.yellow}--min-pages <n>${colors.reset}          Fewest indexed pages expected per site
+  ${colors.yellow}--check-baseline${colors.reset}         Also compare crawled sites with their baselines (see check-baseline)
+
+${colors.green}Other options:${colors.reset}
+  ${colors.yellow}--json${colors.reset}                   Print a machine-readable report on stdout (logs go to stderr)
+  ${colors.yellow}--index <path>${colors.reset}           Index read by list-sites, stats, inspect and the baseline commands (default: ${DEFAULT_INDEX_PATH})
+  ${colors.yellow}--debug${colors.reset}                  Print debug logging (same as DEBUG_CRAWL=1)
+  ${colors.yellow}--help, -h${colors.reset}               Show this help message
+
+${colors.green}Inspect options:${colors.reset}
+  ${colors.yellow}--site <site>${colors.reset}            Use this site's config even when another site (or none) claims the URL
+  ${colors.yellow}--report <path>${colors.reset}          Also write an HTML report: stages, original page and extracted content side by side
+  ${colors.yellow}--no-fetch${colors.reset}               Only show scope, index entry and retry state
+
+${colors.green}Add-site options:${colors.reset}
+  ${colors.yellow}--key <site>${colors.reset}             Config key for the new site (default: derived from its host)
+  ${colors.yellow}--name <name>${colors.reset}            Display name (default: og:site_name or the page title)
+  ${colors.yellow}--yes${colors.reset}                    Write the entry without asking
+  ${colors.yellow}--replace${colors.reset}                Overwrite an existing entry with the same key
+
+${colors.green}Baseline options:${colors.reset}
+  ${colors.yellow}--sample <n>${colors.reset}             Pages fetched per site by evaluate-selectors and add-site (default: ${DEFAULT_SAMPLE_SIZE})
+  ${colors.yellow}--no-write${colors.reset}               Print the evaluation (or proposed entry) without writing it
+  ${colors.yellow}--baseline-dir <path>${colors.reset}    Baseline directory (default: ${DEFAULT_BASELINE_DIR})
+  ${colors.yellow}--tolerance <r>${colors.reset}          Largest accepted drop for every metric, 0-1 (default: per baseline file)
+
+${colors.green}Exit codes:${colors.reset}
+  ${EXIT_OK} success, ${EXIT_ERROR} error (bad arguments, invalid config, history regression), ${EXIT_THRESHOLD} failure threshold breached or baseline regression, ${EXIT_USAGE} unknown option
+
+${colors.green}Examples:${colors.reset}
+  bun run crawl                            # Crawl all sites (saves to temp file locally, public/docs-index.json in CI)
+  bun run crawl hyperbeam                  # Crawl only Hyperbeam docs
+  bun run crawl ao wao --force             # Force reindex AO and WAO docs
+  bun run crawl --resume                   # Pick up where a crashed or timed-out crawl stopped
+  bun run crawl validate-config            # Report config errors and warnings without crawling
+  bun run crawl wao --dry-run              # Preview WAO discovery, exclusions and request count
+  bun run crawl ario --max-pages 20 --max-depth 1 --rate 0.5  # Quick, gentle partial crawl
+  bun run crawl --json --max-failure-rate 0.1 --min-pages 5   # CI gate: JSON summary, exit 2 on a breach
+  bun run crawl history ario --limit 5     # Last five AR.IO runs; exits 1 if the latest regressed
+  bun run crawl stats ao                   # AO page and word counts from the index
+  bun run crawl inspect https://cookbook_ao.arweave.net/concepts/  # Why a page is (or isn't) indexed, stage by stage
+  bun run crawl inspect https://docs.ar.io/sdks/ar-io-sdk --report inspect.html  # Side-by-side HTML report
+  bun run crawl diff                       # What a local crawl changed compared to the published index
+  bun run crawl evaluate-selectors ario    # Rank AR.IO content selectors and refresh baselines/ario.json
+  bun run crawl ao --check-baseline        # Crawl AO; exit 2 if its content dropped below the baseline
+  bun run crawl add-site https://docs.example.com/docs/ --key example  # Propose and add a new site
+  bun run crawl --snapshots                # Crawl and keep raw HTML for offline reprocessing
+  bun run crawl --parallel-sites 1 --concurrency 1  # Sequential crawl, one request at a time
+  bun run crawl reprocess ao               # Re-run extraction on AO's snapshots after changing filters
+  bun run crawl --output public/docs-index.json  # Output to public/docs-index.json (publicly accessible)
+
+${colors.green}Production Mode:${colors.reset}
+  Set NODE_ENV=production or MINIFY_INDEX=true to save minified JSON
+  Saves ~26% storage space for deployment pipelines
+
+${colors.green}Other Configs:${colors.reset}
+  Set CRAWL_CONFIG_PATH to crawl the sites of another config file (default ${DEFAULT_CRAWL_CONFIG_PATH}),
+  e.g. the one written by \`bun run mock-docs\` for offline runs against local mock sites
+`);
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    log.error(error.message);
+    if (error.code !== 'EUSAGE') {
+      return EXIT_ERROR;
+    }
+    const accepted = COMMAND_FLAGS[error.command].map(name => `--${name}`).join(' ');
+    log.info(`Usage: bun run crawl ${error.command === 'crawl' ? '[crawl] [site...]' : error.command} [options]${accepted ? `; options: ${accepted}` : ''} (see --help)`);
+    return EXIT_USAGE;
+  }
+
+  const { command, positionals, flags } = parsed;
+  if (flags.help) {
+    return helpCommand();
+  }
+
+  try {
+    return await COMMANDS[command](positionals, flags);
+  } catch (error) {
+    const label = command === 'crawl' && flags['dry-run'] ? 'dry run' : command;
+    log.error(`${label[0].toUpperCase()}${label.slice(1)} failed: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+if (import.meta.main) {
+  process.exit(await main(process.argv.slice(2)));
+}
@@ -18,75 +18,108 @@
 import { promises as fs } from 'fs';
 import { resolve } from 'path';
 import Defuddle from 'defuddle';
-
-// Color utilities for clean console output
-const colors = {
-  reset: '\x1b[0m',
-  red: '\x1b[31m',
-  green: '\x1b[32m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m',
-  magenta: '\x1b[35m',
-  cyan: '\x1b[36m',
-  gray: '\x1b[90m'
-};
-
-const log = {
-  info: (msg) => console.log(`${colors.blue}INFO${colors.reset} ${msg}`),
-  success: (msg) => console.log(`${colors.green}SUCCESS${colors.reset} ${msg}`),
-  warn: (msg) => console.warn(`${colors.yellow}WARN${colors.reset} ${msg}`),
-  error: (msg) => console.error(`${colors.red}ERROR${colors.reset} ${msg}`),
-  discovery: (msg) => console.log(`${colors.magenta}DISCOVERY${colors.reset} ${msg}`),
-  debug: (msg) => {
-    if (process.env.DEBUG_CRAWL || process.argv.includes('--debug')) {
-      console.log(`${colors.cyan}DEBUG${colors.reset} ${msg}`);
-    }
-  }
-};
-
-// Cache for loaded configuration
+import { discoverSitemapUrls, findSitemapLinks } from './sitemap.js';
+import { RobotsCache } from './robots.js';
+import {
+  normalizeUrl,
+  getCanonicalKey,
+  collapseDuplicatePages
+} from './url-normalizer.js';
+import { computeFingerprint, assignDuplicateClusters } from './fingerprint.js';
+import { analyzeLinkGraph } from './link-graph.js';
+import { extractNavigation, mergeNavigation, applyNavigation } from './navigation.js';
+import { loadCheckpoint, saveCheckpoint, clearCheckpoints } from './checkpoint.js';
+import {
+  DEFAULT_SNAPSHOT_DIR,
+  readSnapshotBody,
+  loadSnapshotManifest,
+  pruneSnapshotObjects
+} from './snapshot-store.js';
+import { loadSiteHandler } from './site-handlers/index.js';
+import { validateCrawlConfig, parsePattern, formatIssue } from './config-schema.js';
+import {
+  DEFAULT_HISTORY_PATH,
+  buildHistoryEntry,
+  appendCrawlHistory,
+  loadCrawlHistory,
+  summarizeHistory
+} from './crawl-history.js';
+import {
+  RateLimiterRegistry,
+  DEFAULT_REQUESTS_PER_SECOND,
+  DEFAULT_BURST_SIZE,
+  MAX_RETRY_AFTER_MS,
+  parseRetryAfter
+} from './rate-limiter.js';
+import { Semaphore, runInOrder } from './work-pool.js';
+import { DEFAULT_CRAWL_STRATEGY } from './crawl-frontier.js';
+import { CrawlScheduler, createFrontier, getDepthLimit } from './crawl-scheduler.js';
+import { PagePipeline, hashContent, getValidators, resolveLastModified } from './page-pipeline.js';
+import { log } from './cli-output.js';
+import { readBodyWithLimit, parseHtmlSafely, TEXT_CONTENT_TYPES } from './safe-fetch.js';
+import { createFetchError, createHttpError, toFetchError, summarizeFetchErrors } from './fetch-errors.js';
+import {
+  DEFAULT_SAMPLE_SIZE,
+  getCandidateSelectors,
+  measureSelectors,
+  rankSelectors,
+  recommendSelectors,
+  sampleEvenly
+} from './selector-evaluator.js';
+import { detectFramework, getFrameworkSelectors } from './site-detector.js';
+import {
+  DEFAULT_RETRY_QUEUE_PATH,
+  loadRetryQueue,
+  saveRetryQueue,
+  getDueRetries,
+  clearRetry
+} from './retry-queue.js';
+
+// Cache for loaded configuration, and the path it was loaded from
 let crawlConfigs = null;
+let crawlConfigsPath = null;
+
+export const DEFAULT_CRAWL_CONFIG_PATH = 'public/crawl-config.json';
 
 /**
- * Rate limiter for respectful crawling
+ * Config file in use: CRAWL_CONFIG_PATH from the environment (e.g. a fixture config
+ * pointing at scripts/mock-docs-server.js), otherwise public/crawl-config.json
  */
-class RateLimiter {
-  constructor(requestsPerSecond = 2, burstSize = 5) {
-    this.requestsPerSecond = requestsPerSecond;
-    this.burstSize = burstSize;
-    this.tokens = burstSize;
-    this.lastRefill = Date.now();
-  }
-
-  async acquire() {
-    return new Promise((resolve) => {
-      const now = Date.now();
-      const timePassed = (now - this.lastRefill) / 1000;
-      
-      // Refill tokens based on time passed
-      this.tokens = Math.min(
-        this.burstSize,
-        this.tokens + timePassed * this.requestsPerSecond
-      );
-      this.lastRefill = now;
-
-      if (this.tokens >= 1) {
-        this.tokens -= 1;
-        resolve();
-      } else {
-        // Calculate wait time for next token
-        const waitTime = (1 - this.tokens) / this.requestsPerSecond * 1000;
-        setTimeout(() => {
-          this.tokens = Math.max(0, this.tokens - 1);
-          resolve();
-        }, waitTime);
-      }
-    });
-  }
+export function getCrawlConfigPath() {
+  return process.env.CRAWL_CONFIG_PATH || DEFAULT_CRAWL_CONFIG_PATH;
 }
 
-// Global rate limiter - 2 requests per second with burst of 5
-const rateLimiter = new RateLimiter(2, 5);
+const USER_AGENT = 'Mozilla/5.0 (compatible; PermawebLLMFuel/1.0)';
+
+// Days a page missing upstream stays tombstoned in the index before it is removed
+const DEFAULT_PRUNE_AFTER_DAYS = 7;
+
+// Requests between checkpoint writes during a site crawl
+const DEFAULT_CHECKPOINT_INTERVAL = 25;
+
+// Starting depth of sitemap and site-handler entry points, however deep their paths are
+const LISTED_ENTRY_DEPTH = 1;
+
+// Rate limiters keyed by host; each adapts to its server's responses
+const rateLimiters = new RateLimiterRegistry();
+
+// Retries allowed per request after a 429/503 response
+const MAX_THROTTLE_RETRIES = 2;
+
+// Page fetches in flight at once for one site (crawl-config `concurrency` overrides it)
+export const DEFAULT_SITE_CONCURRENCY = 4;
+
+// Page fetches in flight at once across all sites being crawled
+export const DEFAULT_MAX_CONCURRENT_REQUESTS = 8;
+
+// Sites runCrawl crawls at the same time
+export const DEFAULT_PARALLEL_SITES = 2;
+
+// Shared cap on in-flight page fetches; per-host rate limits still apply on top
+const requestSlots = new Semaphore(DEFAULT_MAX_CONCURRENT_REQUESTS);
+
+// robots.txt rules, fetched once per origin
+const robotsCache = new RobotsCache({ fetchRobots: (url) => fetchRobotsTxt(url) });
 
 
 
@@ -111,11 +144,13 @@ async function loadExistingIndex() {
     
     const indexData = JSON.parse(indexJson);
     
-    // Create a Set of all existing URLs for fast lookup
+    // Create a Set of canonical keys for all existing URLs (and their aliases) for fast lookup
     const existingUrls = new Set();
     for (const siteData of Object.values(indexData.sites || {})) {
       for (const page of siteData.pages || []) {
-        existingUrls.add(page.url);
+        for (const url of [page.url, ...(page.aliases || [])]) {
+          existingUrls.add(getCanonicalKey(url) || url);
+        }
       }
     }
     
@@ -131,101 +166,264 @@ async function loadExistingIndex() {
   }
 }
 
+/**
+ * Read and validate crawl-config.json
+ * @param {string} [configPath] - Config file path, relative to the working directory
+ * @returns {Promise<Object>} { rawConfigs, report } with the parsed JSON and the validation report
+ */
+export async function checkCrawlConfig(configPath = getCrawlConfigPath()) {
+  const fullPath = resolve(process.cwd(), configPath);
+  let rawConfigs;
+  try {
+    rawConfigs = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+  } catch (error) {
+    const reason = error.code === 'ENOENT' ? 'file not found' : error.message;
+    return {
+      rawConfigs: null,
+      report: { valid: false, errors: [{ path: configPath, message: reason }], warnings: [] }
+    };
+  }
+  return { rawConfigs, report: validateCrawlConfig(rawConfigs) };
+}
+
 /**
  * Load crawl configuration from JSON file
+ * Throws when the file is missing, unparseable or fails schema validation
  */
 async function loadCrawlConfigs() {
-  if (crawlConfigs) {
+  const configPath = getCrawlConfigPath();
+  if (crawlConfigs && crawlConfigsPath === configPath) {
     return crawlConfigs;
   }
 
-  try {
-    const { readFileSync } = await import('fs');
-    const { resolve } = await import('path');
-    const configPath = resolve(process.cwd(), 'public/crawl-config.json');
-    const configJson = readFileSync(configPath, 'utf8');
-    const rawConfigs = JSON.parse(configJson);
-    
-    // Convert string regex patterns back to RegExp objects
-    crawlConfigs = {};
-    for (const [key, config] of Object.entries(rawConfigs)) {
-      crawlConfigs[key] = {
-        ...config,
-        excludePatterns: config.excludePatterns.map(pattern => {
-          const match = pattern.match(/^\/(.+)\/([gimuy]*)$/);
-          if (match) {
-            return new RegExp(match[1], match[2]);
-          }
-          return new RegExp(pattern);
-        })
-      };
+  const { rawConfigs, report } = await checkCrawlConfig(configPath);
+  if (!report.valid) {
+    for (const issue of report.errors) {
+      log.error(formatIssue(issue));
     }
+    throw new Error(`Invalid crawl configuration (${report.errors.length} error(s)); run \`bun run crawl validate-config\` for details`);
+  }
+  if (report.warnings.length > 0) {
+    log.warn(`${configPath} has ${report.warnings.length} warning(s); run \`bun run crawl validate-config\` for details`);
+  }
 
-    return crawlConfigs;
-  } catch (error) {
-    log.error('Failed to load crawl configuration');
-    crawlConfigs = {};
-    return crawlConfigs;
+  // Convert string regex patterns back to RegExp objects and resolve site handlers
+  const configs = {};
+  for (const [key, config] of Object.entries(rawConfigs)) {
+    configs[key] = {
+      ...config,
+      excludePatterns: config.excludePatterns.map(parsePattern),
+      priorityPatterns: (config.priorityPatterns || []).map(({ pattern, weight }) => ({ pattern: parsePattern(pattern), weight })),
+      includePatterns: (config.includePatterns || []).map(parsePattern),
+      allowedHosts: (config.allowedHosts || []).map(host => host.toLowerCase()),
+      siteHandler: await loadSiteHandler(config.handler)
+    };
+  }
+
+  crawlConfigs = configs;
+  crawlConfigsPath = configPath;
+  return crawlConfigs;
+}
+
+/**
+ * Fetch through the host's rate limiter, reporting each response back so the
+ * limiter can adapt. 429/503 responses are retried after the server's
+ * Retry-After delay (or the slowed-down rate when none is given).
+ */
+async function fetchWithBackoff(url, init = {}) {
+  const limiter = rateLimiters.get(url);
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.acquire();
+    const requestStart = Date.now();
+
+    let response;
+    try {
+      response = await fetch(url, {
+        ...init,
+        signal: AbortSignal.timeout(15000)
+      });
+    } catch (error) {
+      limiter.recordResponse({ responseTime: Date.now() - requestStart });
+      throw error;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+    limiter.recordResponse({
+      status: response.status,
+      responseTime: Date.now() - requestStart,
+      retryAfter
+    });
+
+    if (response.status !== 429 && response.status !== 503) {
+      return response;
+    }
+
+    const host = new URL(url).host;
+    if (attempt >= MAX_THROTTLE_RETRIES || (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS)) {
+      log.warn(`HTTP ${response.status} from ${host}, giving up on ${url}`);
+      return response;
+    }
+
+    await response.body?.cancel();
+    const delay = Math.max(0, limiter.pausedUntil - Date.now());
+    log.warn(`HTTP ${response.status} from ${host}, slowing to ${limiter.requestsPerSecond.toFixed(2)} req/sec and retrying after ${(delay / 1000).toFixed(1)}s: ${url}`);
   }
 }
 
 /**
  * Fetch page with rate limiting
+ *
+ * Resolves to { doc, body, contentType, status, finalUrl, etag, lastModified, lastModifiedHeader, notModified };
+ * finalUrl is the URL after following redirects. 404/410 responses resolve to { notFound: true } so callers
+ * can tell removed pages from other failures, which reject with a categorized error (see fetch-errors.js).
+ * Passing `validators` ({ etag, lastModified }) makes the request conditional, where
+ * lastModified is the raw Last-Modified header from a previous response;
+ * a 304 response resolves to { notModified: true } without a document.
+ * Bodies over `maxBytes` (decoded) or with a content type other than HTML/plain text are
+ * abandoned mid-stream and the fetch fails.
+ * Each call holds one of the shared request slots until its response is parsed.
  */
 async function fetchPage(url, options = {}) {
-  await rateLimiter.acquire();
+  const { validators = null, maxBytes } = options;
+  
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  };
+  if (validators?.etag) {
+    headers['If-None-Match'] = validators.etag;
+  }
+  if (validators?.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified;
+  }
   
+  return requestSlots.use(async () => {
+    try {
+      const response = await fetchWithBackoff(url, { headers });
+
+      const lastModifiedHeader = response.headers.get('last-modified');
+      const responseInfo = {
+        status: response.status,
+        finalUrl: response.url || url,
+        etag: response.headers.get('etag'),
+        lastModifiedHeader,
+        lastModified: parseHttpDate(lastModifiedHeader)
+      };
+
+      if (response.status === 304) {
+        return { ...responseInfo, doc: null, notModified: true };
+      }
+
+      if (response.status === 404 || response.status === 410) {
+        log.warn(`${response.status} page detected: ${url}`);
+        return { ...responseInfo, doc: null, notModified: false, notFound: true };
+      }
+
+      if (!response.ok) {
+        await response.body?.cancel();
+        throw createHttpError(response.status, response.statusText);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const body = await readBodyWithLimit(response, { maxBytes });
+      let doc;
+      try {
+        doc = await parseDocument(body, contentType, url, responseInfo.finalUrl);
+      } catch (error) {
+        throw createFetchError('parse', `Failed to parse response: ${error.message}`, { cause: error });
+      }
+      return { ...responseInfo, notModified: false, doc, body, contentType };
+    } catch (error) {
+      const fetchError = toFetchError(error);
+      log.debug(`Fetch failed for ${url} (${fetchError.category}): ${fetchError.message}`);
+      throw fetchError;
+    }
+  });
+}
+
+/**
+ * Turn a response body into the document extraction works on
+ * Plain-text files become { isPlainText, textContent, url }; HTML is parsed with scripts and
+ * subresource loading disabled (JSDOM in Node.js, DOMParser in the browser)
+ */
+async function parseDocument(body, contentType, url, finalUrl = url) {
+  // Handle plain text files
+  if (contentType.includes('text/plain') || url.endsWith('.txt')) {
+    return {
+      isPlainText: true,
+      textContent: body,
+      url: url
+    };
+  }
+
+  return parseHtmlSafely(body, finalUrl);
+}
+
+/**
+ * Convert an HTTP date header to an ISO string (null when missing or invalid)
+ */
+function parseHttpDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Fetch raw text (sitemaps and other non-page resources) with rate limiting
+ */
+async function fetchText(url) {
   try {
-    const response = await fetch(url, {
+    const response = await fetchWithBackoff(url, {
       headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; PermawebLLMFuel/1.0)',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-      },
-      signal: AbortSignal.timeout(15000),
-      ...options
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/xml,text/xml,text/plain;q=0.9,*/*;q=0.8',
+      }
     });
 
     if (!response.ok) {
-      if (response.status === 404) {
-        log.warn(`404 page detected: ${url}`);
-      }
       return null;
     }
 
-    const contentType = response.headers.get('content-type') || '';
-    const content = await response.text();
-
-    // Handle plain text files
-    if (contentType.includes('text/plain') || url.endsWith('.txt')) {
-      return {
-        isPlainText: true,
-        textContent: content,
-        url: url
-      };
-    }
+    return await readBodyWithLimit(response, { allowedTypes: TEXT_CONTENT_TYPES });
+  } catch (error) {
+    log.debug(`Fetch failed for ${url}: ${error.message}`);
+    return null;
+  }
+}
 
-    // Handle HTML content - use dynamic import for JSDOM in Node.js
-    if (typeof window === 'undefined') {
-      // Node.js environment
-      const { JSDOM } = await import('jsdom');
-      const dom = new JSDOM(content, { url });
-      return dom.window.document;
-    } else {
-      // Browser environment - use DOMParser
-      const parser = new DOMParser();
-      return parser.parseFromString(content, 'text/html');
+/**
+ * Fetch a robots.txt file for the robots cache
+ * Resolves to { status, text } for any HTTP response, so the cache can tell a missing file (4xx)
+ * from a server error; network failures reject
+ */
+async function fetchRobotsTxt(url) {
+  const response = await fetchWithBackoff(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/plain,*/*;q=0.8',
     }
+  });
+  if (!response.ok) {
+    await response.body?.cancel();
+    return { status: response.status, text: null };
+  }
+  try {
+    return { status: response.status, text: await readBodyWithLimit(response, { allowedTypes: TEXT_CONTENT_TYPES }) };
   } catch (error) {
-    log.error(`Fetch failed for ${url}: ${error.message}`);
-    return null;
+    // A body we won't read (oversized, served as another type) counts as an empty file
+    log.debug(`Ignoring robots.txt body from ${url}: ${error.message}`);
+    return { status: response.status, text: '' };
   }
 }
 
 /**
  * Extract all links from a page with simple filtering
  */
-function extractLinks(doc, currentPageUrl, baseUrl, config) {
-  const links = [];
+function extractLinks(doc, currentPageUrl, baseUrl, config, onReject = null) {
+  if (!doc || doc.isPlainText) return [];
+  
+  const links = new Map();
   const allLinks = doc.querySelectorAll('a[href]');
   
 
@@ -234,19 +432,25 @@ function extractLinks(doc, currentPageUrl, baseUrl, config) {
     const href = link.getAttribute('href');
     if (!href) continue;
     
-    // Use current page URL as base for resolving relative paths
-    const resolvedUrl = resolveUrl(href, currentPageUrl);
+    // Use current page URL as base for resolving relative paths; drop fragments and tracking params
+    const resolvedUrl = normalizeUrl(resolveUrl(href, currentPageUrl), config.urlNormalization);
     
 
     
-    if (isValidUrl(resolvedUrl, baseUrl, config)) {
-      links.push(resolvedUrl);
+    const rejection = getRejectionReason(resolvedUrl, baseUrl, config);
+    if (!rejection) {
+      const key = getCanonicalKey(resolvedUrl, config.urlNormalization);
+      if (!links.has(key)) {
+        links.set(key, resolvedUrl);
+      }
+    } else if (onReject && resolvedUrl) {
+      onReject(resolvedUrl, rejection);
     }
   }
   
 
   
-  return [...new Set(links)]; // Remove duplicates
+  return [...links.values()]; // One URL per canonical page
 }
 
 /**
@@ -262,38 +466,55 @@ function resolveUrl(href, baseUrl) {
 }
 
 /**
- * Check if URL is valid for crawling
+ * Explain why a URL would not be crawled
+ * @returns {string|null} Reason ('invalid URL', 'other host', 'fragment', 'outside pathPrefixes',
+ *   'excludePatterns <pattern>' or 'not in includePatterns'), or null when crawlable
  */
-function isValidUrl(url, baseUrl, config) {
-  if (!url) return false;
+function getRejectionReason(url, baseUrl, config) {
+  if (!url) return 'invalid URL';
   
   try {
     const urlObj = new URL(url);
-    const baseUrlObj = new URL(baseUrl);
+    const onBaseHost = urlObj.host === new URL(baseUrl).host;
     
-
-    
-    // Must be same domain
-    if (urlObj.hostname !== baseUrlObj.hostname) {
-      return false;
+    // Must be the base host (and port, when the site isn't on the default one) or one of the site's allowedHosts
+    if (!onBaseHost && !(config.allowedHosts || []).includes(urlObj.host)) {
+      return 'other host';
     }
     
     // Skip URLs with hash fragments (anchor links)
-    if (urlObj.hash) return false;
+    if (urlObj.hash) return 'fragment';
+    
+    // pathPrefixes limit the crawl to part of a shared base host; allowed hosts are crawled whole
+    if (onBaseHost && config.pathPrefixes?.length > 0 && !config.pathPrefixes.some(prefix => urlObj.pathname.startsWith(prefix))) {
+      return 'outside pathPrefixes';
+    }
     
     // Check exclude patterns
     for (const pattern of config.excludePatterns) {
       if (pattern.test(url)) {
-        return false;
+        return `excludePatterns ${pattern}`;
       }
     }
     
-    return true;
+    // When includePatterns are given, a URL has to match one of them
+    if (config.includePatterns?.length > 0 && !config.includePatterns.some(pattern => pattern.test(url))) {
+      return 'not in includePatterns';
+    }
+    
+    return null;
   } catch (error) {
-    return false;
+    return 'invalid URL';
   }
 }
 
+/**
+ * Check if URL is valid for crawling
+ */
+function isValidUrl(url, baseUrl, config) {
+  return getRejectionReason(url, baseUrl, config) === null;
+}
+
 /**
  * Detect if a page is a 404 error page based on content
  */
@@ -341,13 +562,21 @@ function is404Page(doc, title, content) {
 
 /**
  * Apply content filters to clean up extracted content
+ * @param {string} content - Extracted content
+ * @param {Object} config - Site config
+ * @param {Array<Object>} [trace] - Receives { rule, removed } (characters) for every rule applied
  */
-export function applyContentFilters(content, config) {
+export function applyContentFilters(content, config, trace = null) {
   if (!content || !config.contentFilters) {
     return content;
   }
 
   let filteredContent = content;
+  let lengthBefore = filteredContent.length;
+  const record = (rule) => {
+    trace?.push({ rule, removed: lengthBefore - filteredContent.length });
+    lengthBefore = filteredContent.length;
+  };
 
   // Remove JavaScript code blocks and inline scripts
   if (config.contentFilters.removeScripts) {
@@ -362,6 +591,7 @@ export function applyContentFilters(content, config) {
     filteredContent = filteredContent.replace(/=>\s*\{[^}]*\}/g, '');
     filteredContent = filteredContent.replace(/\.catch\([^)]*\)/g, '');
     filteredContent = filteredContent.replace(/\.then\([^)]*\)/g, '');
+    record('removeScripts');
   }
 
   // Remove CSS and style content
@@ -369,6 +599,7 @@ export function applyContentFilters(content, config) {
     filteredContent = filteredContent.replace(/```(?:css|scss|sass)[\s\S]*?```/g, '');
     filteredContent = filteredContent.replace(/style\s*=\s*["'][^"']*["']/g, '');
     filteredContent = filteredContent.replace(/class\s*=\s*["'][^"']*["']/g, '');
+    record('removeStyles');
   }
 
   // Remove HTML comments
@@ -376,12 +607,14 @@ export function applyContentFilters(content, config) {
     filteredContent = filteredContent.replace(/<!--[\s\S]*?-->/g, '');
     filteredContent = filteredContent.replace(/\/\*[\s\S]*?\*\//g, '');
     filteredContent = filteredContent.replace(/\/\/.*$/gm, '');
+    record('removeComments');
   }
 
   // Remove empty elements and excessive whitespace
   if (config.contentFilters.removeEmptyElements) {
     filteredContent = filteredContent.replace(/\s+/g, ' ');
     filteredContent = filteredContent.replace(/^\s+|\s+$/gm, '');
+    record('removeEmptyElements');
   }
 
   // Limit code block length
@@ -392,71 +625,50 @@ export function applyContentFilters(content, config) {
       }
       return match;
     });
+    record('maxCodeBlockLength');
   }
 
   // Remove common non-content patterns
   filteredContent = filteredContent.replace(/CopyCopied!/g, '');
   filteredContent = filteredContent.replace(/Find something\.\.\./g, '');
-  filteredContent = filteredContent.replace(/self\.__next_f\.push\([^)]*\)/g, '');
-  filteredContent = filteredContent.replace(/\[\"\$[^\"]*\",[^\]]*\]/g, '');
-  filteredContent = filteredContent.replace(/\"\$\d+\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$L[^\"]*\"/g, '');
-  
-  // Remove Next.js specific patterns
-  filteredContent = filteredContent.replace(/self\.__next_f\.push\(\[[^\]]*\]\)/g, '');
-  filteredContent = filteredContent.replace(/\[\"\$[^\"]*\",[^\]]*\]/g, '');
-  filteredContent = filteredContent.replace(/\"\$\d+\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$L[^\"]*\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$undefined\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$S[^\"]*\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$1[^\"]*\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$L\d+\"/g, '');
-  filteredContent = filteredContent.replace(/\"\$L[a-zA-Z0-9]+\"/g, '');
-  
-  // Remove React/Next.js component patterns
-  filteredContent = filteredContent.replace(/\[\"\$\",\"\$[^\"]*\",[^\]]*\]/g, '');
-  filteredContent = filteredContent.replace(/\[\"\$\",\"html\",[^\]]*\]/g, '');
-  filteredContent = filteredContent.replace(/\[\"\$\",\"\$L[^\"]*\",[^\]]*\]/g, '');
-  
-  // Remove template and style patterns
-  filteredContent = filteredContent.replace(/templateStyles.*?\"\$undefined\"/g, '');
-  filteredContent = filteredContent.replace(/templateScripts.*?\"\$undefined\"/g, '');
-  filteredContent = filteredContent.replace(/notFound.*?\"\$undefined\"/g, '');
-  filteredContent = filteredContent.replace(/forbidden.*?\"\$undefined\"/g, '');
-  filteredContent = filteredContent.replace(/unauthorized.*?\"\$undefined\"/g, '');
-  
-  // Remove specific AR.IO site patterns
-  filteredContent = filteredContent.replace(/else\s*\}\s*else\s*if\s*\([^)]*\)/g, '');
-  filteredContent = filteredContent.replace(/if\s*\([^)]*===\s*['"]light['"]\|\|[^)]*===\s*['"]dark['"]\)/g, '');
-  filteredContent = filteredContent.replace(/d\.style\.colorScheme\s*=\s*[^;]+/g, '');
-  filteredContent = filteredContent.replace(/catch\s*\([^)]*\)\s*\{\s*\}\s*\}\s*\(\)/g, '');
-
-  return filteredContent.trim();
+  filteredContent = filteredContent.trim();
+  record('commonPatterns');
+
+  return filteredContent;
 }
 
 /**
  * Extract page content and metadata using Defuddle or plain text processing
+ * Returns null for pages rejected by quality filters and { notFound: true } for soft 404s
+ * @param {Object} [trace] - Filled with what each stage produced, for traceExtraction
  */
-async function extractPageMetadata(doc, url, config) {
+async function extractPageMetadata(doc, url, config, trace = null) {
+  const handler = config.siteHandler;
+  if (doc && handler?.transformDocument) {
+    doc = (await handler.transformDocument(doc, { url, config })) || doc;
+  }
+
   // Handle plain text files
   if (doc && doc.isPlainText) {
-    const content = doc.textContent.replace(/\s+/g, ' ').trim();
+    let content = doc.textContent.replace(/\s+/g, ' ').trim();
+    if (handler?.postProcessContent) {
+      content = handler.postProcessContent(content, { url, config });
+    }
     const estimatedWords = content.split(/\s+/).filter(word => word.length > 0).length;
+    if (trace) {
+      trace.plainText = true;
+      trace.final = { characters: content.length, words: estimatedWords };
+      trace.content = content;
+    }
     let title = generateTitleFromUrl(url);
-    if (url.includes('glossary') && content.length > 0) {
-      const firstLine = content.split('\n')[0];
-      if (firstLine && firstLine.length < 100) {
-        title = firstLine.trim();
-      } else {
-        title = 'Permaweb Glossary';
-      }
+    if (handler?.deriveTitle) {
+      title = handler.deriveTitle({ url, doc, content, title }) || title;
     }
     return {
       url,
       title: cleanTitle(title),
       content,
       estimatedWords,
-      lastModified: new Date().toISOString(),
       metadata: {},
       extractorType: 'plain-text',
       qualityScore: null
@@ -470,6 +682,7 @@ async function extractPageMetadata(doc, url, config) {
   let content = '';
   let estimatedWords = 0;
   let title = '';
+  let defuddleError = null;
 
   try {
     const defuddle = new Defuddle(html, {
@@ -489,8 +702,33 @@ async function extractPageMetadata(doc, url, config) {
       }
     }
   } catch (error) {
+    defuddleError = error.message;
     log.debug(`Defuddle error for ${url}: ${error.message}`);
   }
+  if (trace) {
+    trace.htmlLength = html.length;
+    trace.defuddle = {
+      success: defuddleSuccess,
+      words: estimatedWords,
+      characters: content.length,
+      title,
+      extractorType: defuddleResult?.extractorType || null,
+      qualityScore: defuddleResult?.qualityScore ?? null,
+      error: defuddleError
+    };
+    // Every content selector, not just the first match the fallback would use
+    trace.selectors = config.selectors.content.split(',').map(s => s.trim()).map(selector => {
+      let element = null;
+      try {
+        element = doc.querySelector(selector);
+      } catch (error) {
+        return { selector, matched: false, characters: 0, words: 0, error: error.message };
+      }
+      const text = (element?.textContent || '').replace(/\s+/g, ' ').trim();
+      return { selector, matched: Boolean(element), characters: text.length, words: text.split(/\s+/).filter(word => word.length > 0).length };
+    });
+    trace.fallback = { triggered: false, selector: null, words: 0, used: false };
+  }
 
   // Fallback to manual extraction if Defuddle fails or extracts too little
   if (!defuddleSuccess || estimatedWords < 20) {
@@ -517,6 +755,14 @@ async function extractPageMetadata(doc, url, config) {
     }
     manualContent = manualContent.replace(/\s+/g, ' ').trim();
     const manualWords = manualContent.split(/\s+/).filter(word => word.length > 0).length;
+    if (trace) {
+      trace.fallback = {
+        triggered: true,
+        selector: contentSelectors.find(selector => doc.querySelector(selector)) || null,
+        words: manualWords,
+        used: manualWords > estimatedWords
+      };
+    }
     if (manualWords > estimatedWords) {
       content = manualContent;
       estimatedWords = manualWords;
@@ -555,16 +801,37 @@ async function extractPageMetadata(doc, url, config) {
     }
   }
 
-  // Apply content filters
-  content = applyContentFilters(content, config);
+  // Apply content filters, then any site-specific cleanup
+  if (trace) {
+    trace.extractorType = extractorType;
+    trace.title = title;
+    trace.beforeFilters = { characters: content.length, words: estimatedWords };
+    trace.filters = [];
+  }
+  content = applyContentFilters(content, config, trace?.filters);
+  if (handler?.postProcessContent) {
+    const lengthBefore = content.length;
+    content = handler.postProcessContent(content, { url, config });
+    trace?.filters.push({ rule: `handler ${config.handler}`, removed: lengthBefore - content.length });
+  }
+  if (handler?.deriveTitle) {
+    title = handler.deriveTitle({ url, doc, content, title }) || title;
+  }
   estimatedWords = content.split(/\s+/).filter(word => word.length > 0).length;
 
   // 404 and quality checks
-  if (is404Page(doc, title, content)) {
+  const minWordCount = config.contentFilters?.minWordCount || 10;
+  const notFound = is404Page(doc, title, content);
+  if (trace) {
+    trace.final = { characters: content.length, words: estimatedWords };
+    trace.content = content;
+    trace.is404 = notFound;
+    trace.minWordCount = minWordCount;
+  }
+  if (notFound) {
     log.warn(`404 page detected by content analysis: ${url} (${estimatedWords} words)`);
-    return null;
+    return { url, notFound: true };
   }
-  const minWordCount = config.contentFilters?.minWordCount || 10;
   if (estimatedWords < minWordCount) {
     log.debug(`Page ${url} has only ${estimatedWords} words (below minimum ${minWordCount}), skipping`);
     return null;
@@ -575,7 +842,6 @@ async function extractPageMetadata(doc, url, config) {
     title: cleanTitle(title),
     content,
     estimatedWords,
-    lastModified: new Date().toISOString(),
     metadata,
     extractorType,
     qualityScore
@@ -614,45 +880,211 @@ function generateTitleFromUrl(url) {
 }
 
 /**
- * Comprehensive discovery by scanning all links from seed URLs
+ * Breadcrumbs from a page's URL path, adjusted by the site handler
+ * Used for pages the site's sidebar doesn't list
+ */
+function breadcrumbsFromUrl(url, title, config) {
+  const pathParts = new URL(url).pathname.split('/').filter(Boolean);
+  const breadcrumbs = pathParts.map(part => 
+    part.replace(/[-_]/g, ' ')
+        .replace(/\.(html?|php|aspx?)$/i, '')
+        .toLowerCase()
+  );
+  if (config.siteHandler?.deriveBreadcrumbs) {
+    return config.siteHandler.deriveBreadcrumbs({ url, title, breadcrumbs }) || breadcrumbs;
+  }
+  return breadcrumbs;
+}
+
+/**
+ * Comprehensive discovery by scanning all links from seed URLs and the site's sitemaps
+ * `onReject(url, reason)` is called for every link or sitemap entry that won't be crawled
  */
-async function discoverSiblings(baseUrl, config) {
+async function discoverSiblings(baseUrl, config, { onReject = null } = {}) {
   const discovered = new Set();
+  const robots = await robotsCache.get(baseUrl);
+  const sitemapHints = new Set(robots.sitemaps);
+  const robotsSkipped = [];
+  const keyOf = (url) => getCanonicalKey(url, config.urlNormalization);
+  let navigation = [];
+  // Sitemap <priority> by canonical key, for the priority crawl strategy
+  const sitemapPriorities = new Map();
   
   // Check each seed URL for all discoverable pages
   for (const seedPath of config.seedUrls) {
-    const seedUrl = baseUrl + (seedPath.startsWith('/') ? seedPath : '/' + seedPath);
-    const doc = await fetchPage(seedUrl);
+    const seedUrl = resolveEntryPoint(seedPath, baseUrl);
+    
+    const seedRejection = getRejectionReason(seedUrl, config.baseUrl, config);
+    if (seedRejection) {
+      log.warn(`Seed out of scope (${seedRejection}): ${seedPath}`);
+      onReject?.(seedUrl, seedRejection);
+      continue;
+    }
+    
+    if (!(await robotsCache.isAllowed(seedUrl))) {
+      log.warn(`Seed disallowed by robots.txt: ${seedPath}`);
+      robotsSkipped.push(seedUrl);
+      continue;
+    }
+    
+    let seedPage;
+    try {
+      seedPage = await fetchPage(seedUrl, { maxBytes: config.maxBodyBytes });
+    } catch (error) {
+      log.warn(`Invalid seed: ${seedPath} (${error.category}: ${error.message})`);
+      continue;
+    }
     
-    if (!doc) {
-      log.warn(`Invalid seed: ${seedPath}`);
+    if (seedPage.notFound) {
+      log.warn(`Invalid seed: ${seedPath} (HTTP ${seedPage.status})`);
       continue;
     }
     
+    const doc = seedPage.doc;
+    
     log.success(`Valid seed: ${seedPath}`);
     
+    for (const hint of findSitemapLinks(doc, seedUrl)) {
+      sitemapHints.add(hint);
+    }
+    
+    // Seeds are always fetched in full, so their sidebars give every run a table of contents
+    navigation = mergeNavigation(navigation, extractNavigation(doc, seedUrl, config), keyOf);
+    
     // Extract all valid links using the same logic as main crawler
-    const links = extractLinks(doc, seedUrl, config.baseUrl, config);
+    const links = extractLinks(doc, seedUrl, config.baseUrl, config, onReject);
     
     // Add all discovered paths (not just siblings)
     for (const link of links) {
       try {
-        const linkUrl = new URL(link);
-        const linkPath = linkUrl.pathname;
-        discovered.add(linkPath);
+        discovered.add(toEntryPath(link, baseUrl));
       } catch {
         // Skip invalid URLs
       }
     }
   }
   
-  const discoveredArray = Array.from(discovered);
+  const linkPaths = Array.from(discovered);
+  const sitemapPaths = [];
+  let sitemapFiles = [];
+  
+  if (config.useSitemap !== false) {
+    const sitemapResult = await discoverSitemapUrls(baseUrl, {
+      fetchText,
+      hints: [...sitemapHints]
+    });
+    sitemapFiles = sitemapResult.sitemapFiles;
+    
+    const sitemapSet = new Set();
+    for (const entry of sitemapResult.entries) {
+      const rejection = getRejectionReason(entry.loc, config.baseUrl, config);
+      if (rejection) {
+        onReject?.(entry.loc, rejection);
+        continue;
+      }
+      if (!(await robotsCache.isAllowed(entry.loc))) {
+        robotsSkipped.push(entry.loc);
+        continue;
+      }
+      if (entry.priority !== null) {
+        sitemapPriorities.set(keyOf(entry.loc), entry.priority);
+      }
+      const entryPath = toEntryPath(entry.loc, baseUrl);
+      if (!discovered.has(entryPath) && !sitemapSet.has(entryPath)) {
+        sitemapSet.add(entryPath);
+        sitemapPaths.push(entryPath);
+      }
+    }
+    
+    if (sitemapFiles.length > 0) {
+      log.discovery(`Read ${sitemapFiles.length} sitemap file(s): ${sitemapResult.entries.length} entries, ${sitemapPaths.length} not linked from seeds`);
+    } else {
+      log.debug(`No sitemap found for ${baseUrl}`);
+    }
+  }
+  
+  // Let the site handler contribute URLs the links and sitemaps don't reach
+  const handlerPaths = [];
+  if (config.siteHandler?.discoverUrls) {
+    const handlerUrls = await config.siteHandler.discoverUrls({ baseUrl, config, fetchText });
+    for (const entry of handlerUrls || []) {
+      let entryUrl;
+      try {
+        entryUrl = new URL(entry, baseUrl).href;
+      } catch {
+        continue;
+      }
+      const rejection = getRejectionReason(entryUrl, config.baseUrl, config);
+      if (rejection) {
+        onReject?.(entryUrl, rejection);
+        continue;
+      }
+      const entryPath = toEntryPath(entryUrl, baseUrl);
+      if (!discovered.has(entryPath) && !sitemapPaths.includes(entryPath) && !handlerPaths.includes(entryPath)) {
+        handlerPaths.push(entryPath);
+      }
+    }
+    log.discovery(`Site handler ${config.handler} contributed ${handlerPaths.length} additional paths`);
+  }
+  
+  log.discovery(`Found ${linkPaths.length + sitemapPaths.length + handlerPaths.length} discoverable pages (${linkPaths.length} via links, ${sitemapPaths.length} via sitemap, ${handlerPaths.length} via site handler)`);
   
+  return { linkPaths, sitemapPaths, handlerPaths, sitemapFiles, robotsSkipped, navigation, sitemapPriorities };
+}
 
+/**
+ * Order discovered paths into crawl entry points
+ * Seeds come first, then link-discovered paths (50 entry points in total), then
+ * sitemap-only and site-handler paths; maxPages bounds how many of those get crawled.
+ * Seeds and linked paths start at the depth of their path; sitemap and handler paths are
+ * listed rather than linked, so they start one level down whatever their path
+ * @param {Object} config - Site config
+ * @param {Object} discovery - Result of discoverSiblings
+ * @returns {Array<Object>} { path, source, depth } in queue order
+ */
+function planEntryPoints(config, discovery) {
+  const { linkPaths, sitemapPaths, handlerPaths } = discovery;
+  
+  // PRIORITIZE SEED URLS: Always include all seed URLs first, then add discovered paths
+  const entryPointsToUse = [
+    ...config.seedUrls, // All seed URLs come first
+    ...linkPaths.filter(path => !config.seedUrls.includes(path)) // Add discovered paths that aren't already seed URLs
+  ].slice(0, 50); // Increased limit to accommodate all seed URLs + some discovered paths
+  
+  // Sitemap-only pages are queued after link-discovered entry points
+  const sitemapEntryPoints = sitemapPaths.filter(path => !entryPointsToUse.includes(path));
   
-  log.discovery(`Found ${discoveredArray.length} discoverable pages`);
+  log.discovery(`Using ${entryPointsToUse.length} entry points from ${linkPaths.length} discovered + ${config.seedUrls.length} seed paths (prioritized), plus ${sitemapEntryPoints.length} sitemap paths`);
   
-  return discoveredArray;
+  return [
+    ...entryPointsToUse.reverse().map(path => ({ path, source: config.seedUrls.includes(path) ? 'seed' : 'link', depth: getPathDepth(path) })),
+    ...sitemapEntryPoints.map(path => ({ path, source: 'sitemap', depth: LISTED_ENTRY_DEPTH })),
+    ...handlerPaths.map(path => ({ path, source: 'handler', depth: LISTED_ENTRY_DEPTH }))
+  ];
+}
+
+/**
+ * How discovery refers to a URL: its path on the base host, or the full URL (without query) on an allowed host
+ */
+function toEntryPath(url, baseUrl) {
+  const urlObj = new URL(url);
+  return urlObj.host === new URL(baseUrl).host ? urlObj.pathname : urlObj.origin + urlObj.pathname;
+}
+
+/**
+ * Absolute URL of a seed or entry point: paths are appended to baseUrl, full URLs (allowed hosts) are kept
+ */
+function resolveEntryPoint(path, baseUrl) {
+  if (/^https?:\/\//i.test(path)) return path;
+  return baseUrl + (path.startsWith('/') ? path : '/' + path);
+}
+
+/**
+ * Crawl depth of an entry point: the number of segments in its path
+ */
+function getPathDepth(path) {
+  const pathname = /^https?:\/\//i.test(path) ? new URL(path).pathname : path;
+  return pathname.split('/').filter(Boolean).length;
 }
 
 /**
@@ -670,53 +1102,180 @@ export async function crawlSite(siteKey, options = {}) {
     maxPages = config.maxPages,
     onProgress = () => {},
     onError = () => {},
-    forceReindex = false
+    forceReindex = false,
+    pruneAfterDays = config.pruneAfterDays ?? DEFAULT_PRUNE_AFTER_DAYS,
+    checkpoint = false,
+    checkpointInterval = DEFAULT_CHECKPOINT_INTERVAL,
+    resume = false,
+    snapshots = false,
+    snapshotDir = DEFAULT_SNAPSHOT_DIR,
+    concurrency = config.concurrency ?? DEFAULT_SITE_CONCURRENCY,
+    strategy = config.crawlStrategy ?? DEFAULT_CRAWL_STRATEGY,
+    requestsPerSecond = null,
+    retryQueue = null
   } = options;
   
+  // Pick up an interrupted run's state when resuming
+  const saved = checkpoint ? await loadCheckpoint(siteKey) : null;
+  if (saved && !resume) {
+    log.info(`Ignoring checkpoint for ${siteKey} from ${saved.savedAt} (pass --resume to continue it)`);
+  }
+  const restored = resume ? saved : null;
+  if (restored?.status === 'complete') {
+    log.info(`Resuming: ${config.name} already finished at ${restored.savedAt}, reusing checkpointed result`);
+    return restored.result;
+  }
+  
   // Load existing index to avoid re-crawling (unless force reindex)
   const { indexData, existingUrls } = await loadExistingIndex();
-  const existingPages = forceReindex ? [] : (indexData.sites[siteKey]?.pages || []);
+  const urlOptions = config.urlNormalization || {};
+  const keyOf = (url) => getCanonicalKey(url, urlOptions);
+  const indexedPages = forceReindex ? [] : (indexData.sites[siteKey]?.pages || []);
+  const existingPages = collapseDuplicatePages(indexedPages, urlOptions);
+  if (existingPages.length < indexedPages.length) {
+    log.info(`Merged ${indexedPages.length - existingPages.length} duplicate URL variants in the existing index`);
+  }
   
-  const visited = new Set();
-  const seen = new Set();
-  const pages = [...existingPages]; // Start with existing pages (empty if force reindex)
-  const stack = [];
-  const errors = [];
-  const startTime = Date.now();
-  let requestCount = 0;
-  let totalResponseTime = 0;
-  let skippedCount = 0;
+  const startTime = Date.now() - (restored?.elapsed || 0);
+  const robotsSkipped = new Set(restored?.robotsSkipped);
+  let sitemapFiles = restored?.sitemapFiles || [];
+  
+  // Fetches pages and keeps the page list; raw responses are kept for offline reprocessing when snapshots are enabled
+  const pipeline = new PagePipeline({
+    siteKey,
+    config,
+    keyOf,
+    urlOptions,
+    existingPages,
+    restored,
+    maxPages,
+    pruneAfterDays,
+    snapshots: snapshots ? restored?.snapshots || await loadSnapshotManifest(siteKey, snapshotDir) : null,
+    snapshotDir,
+    retryQueue,
+    onError,
+    fetchPage,
+    extractPage: (doc, url) => extractPageMetadata(doc, url, config),
+    extractLinks: (doc, pageUrl) => extractLinks(doc, pageUrl, config.baseUrl, config),
+    acceptUrl: (url) => isValidUrl(url, config.baseUrl, config),
+    breadcrumbsFor: (url, title) => breadcrumbsFromUrl(url, title, config)
+  });
+  // Decides what is fetched next and queues the links of indexed pages
+  const scheduler = new CrawlScheduler({
+    config,
+    keyOf,
+    strategy,
+    maxDepth,
+    maxPages,
+    concurrency,
+    forceReindex,
+    existingUrls,
+    restored,
+    robotsCache,
+    robotsSkipped,
+    onProgress
+  });
+  const { pages, errors, rejections, retryStats } = pipeline;
+  
+  // Persist enough state to continue this site after a crash; 'complete' stores the final result
+  let lastCheckpointRequest = pipeline.counters.requestCount;
+  const writeCheckpoint = async (status = 'in-progress', result = null) => {
+    if (!checkpoint) return;
+    
+    const pageState = pipeline.toCheckpoint();
+    const queueState = scheduler.toCheckpoint();
+    const state = status === 'complete' ? { status, result } : {
+      status,
+      elapsed: Date.now() - startTime,
+      ...pageState,
+      ...queueState,
+      counters: { ...pageState.counters, ...queueState.counters },
+      robotsSkipped: [...robotsSkipped],
+      sitemapFiles
+    };
+    
+    try {
+      await saveCheckpoint(siteKey, state);
+      lastCheckpointRequest = pipeline.counters.requestCount;
+      log.debug(`Checkpoint saved for ${siteKey} (${pages.length} pages, ${scheduler.frontier.size} queued)`);
+    } catch (error) {
+      log.warn(`Failed to save checkpoint for ${siteKey}: ${error.message}`);
+    }
+  };
+  const maybeCheckpoint = async () => {
+    if (pipeline.counters.requestCount - lastCheckpointRequest >= checkpointInterval) {
+      await writeCheckpoint();
+    }
+  };
   
   log.info(`Starting crawl of ${config.name}`);
-  log.info(`Limits: ${maxDepth} depth, ${maxPages} pages`);
-  log.info(`Rate limit: 2 req/sec with burst of 5`);
+  log.info(`Limits: ${maxDepth} depth, ${maxPages} pages, ${concurrency} concurrent fetches, ${strategy} crawl order`);
+  
+  // Honor robots.txt Crawl-delay by slowing each host's rate limiter (the site's own host and every
+  // allowedHosts entry); a requestsPerSecond override sets the ceiling but never crawls faster than Crawl-delay allows
+  const primaryUrl = config.type === 'single-file' && config.fileUrl ? config.fileUrl : config.baseUrl;
+  const { protocol } = new URL(config.baseUrl);
+  const hostUrls = [primaryUrl, ...(config.allowedHosts || []).map(host => `${protocol}//${host}/`)];
+  const robotsByHost = new Map();
+  const rateCeiling = requestsPerSecond ?? DEFAULT_REQUESTS_PER_SECOND;
+  for (const hostUrl of hostUrls) {
+    const host = new URL(hostUrl).host;
+    if (robotsByHost.has(host)) continue;
+    const hostRobots = await robotsCache.get(hostUrl);
+    robotsByHost.set(host, hostRobots);
+    // Messages about the site's own host read as before; allowed hosts are named
+    const label = robotsByHost.size === 1 ? '' : ` for ${host}`;
+    
+    if (hostRobots.unreachable) {
+      const reason = hostRobots.status ? `HTTP ${hostRobots.status}` : 'network error';
+      log.warn(`robots.txt${label} unreachable (${reason}); treating ${label ? 'the host' : 'the site'} as disallowed for this run`);
+    }
+    if (hostRobots.crawlDelay > 0) {
+      const delayedRate = Math.min(rateCeiling, 1 / hostRobots.crawlDelay);
+      // With an override the rate starts at the ceiling; Crawl-delay alone only ever slows the host down
+      rateLimiters.get(hostUrl).configure(delayedRate, 1, { setRate: requestsPerSecond !== null });
+      log.info(`Rate limit${label}: ${delayedRate.toFixed(2)} req/sec (robots.txt Crawl-delay: ${hostRobots.crawlDelay}s)`);
+    } else if (requestsPerSecond) {
+      rateLimiters.get(hostUrl).configure(requestsPerSecond, DEFAULT_BURST_SIZE, { setRate: true });
+      log.info(`Rate limit${label}: ${requestsPerSecond} req/sec with burst of ${DEFAULT_BURST_SIZE} (override)`);
+    } else if (!label) {
+      log.info(`Rate limit: ${DEFAULT_REQUESTS_PER_SECOND} req/sec with burst of ${DEFAULT_BURST_SIZE}`);
+    }
+  }
+  const robots = robotsByHost.get(new URL(primaryUrl).host);
+  const robotsTelemetry = () => ({
+    crawlDelay: robots.crawlDelay,
+    ...(robotsByHost.size > 1 && {
+      crawlDelays: Object.fromEntries([...robotsByHost].map(([host, hostRobots]) => [host, hostRobots.crawlDelay]))
+    }),
+    skippedCount: robotsSkipped.size,
+    skippedUrls: [...robotsSkipped]
+  });
+  const rateLimitTelemetry = () => rateLimiters.getStats([config.baseUrl, config.fileUrl, ...hostUrls]);
   
   if (forceReindex) {
     log.info(`Force reindex enabled - will crawl all pages from scratch`);
   } else if (existingPages.length > 0) {
-    log.info(`Found ${existingPages.length} existing pages, will skip already crawled URLs`);
-    // Mark existing URLs as seen to avoid re-crawling
-    for (const page of existingPages) {
-      seen.add(page.url);
-    }
-
+    log.info(`Found ${existingPages.length} existing pages, will revalidate them with conditional requests`);
   }
   
   // Handle single-file sites (like text files)
   if (config.type === 'single-file' && config.fileUrl) {
     log.info(`Processing single file: ${config.fileUrl}`);
     
-    // Skip if already exists and not force reindex
-    if (!forceReindex && existingUrls.has(config.fileUrl)) {
-      log.info(`Single file already exists in index, skipping`);
+    if (!(await robotsCache.isAllowed(config.fileUrl))) {
+      log.warn(`Single file disallowed by robots.txt: ${config.fileUrl}`);
+      robotsSkipped.add(config.fileUrl);
       return {
         pages: existingPages,
         errors: [],
         telemetry: {
-          duration: 0,
+          duration: Date.now() - startTime,
           requestCount: 0,
           averageResponseTime: 0,
-          pagesPerSecond: 0
+          pagesPerSecond: 0,
+          robots: robotsTelemetry(),
+          rateLimits: rateLimitTelemetry()
         }
       };
     }
@@ -724,27 +1283,86 @@ export async function crawlSite(siteKey, options = {}) {
     try {
       onProgress(1, 1, config.fileUrl);
       
+      const previous = pipeline.existingByUrl.get(keyOf(config.fileUrl));
       const requestStart = Date.now();
-      const doc = await fetchPage(config.fileUrl);
+      const response = await fetchPage(config.fileUrl, { validators: getValidators(previous), maxBytes: config.maxBodyBytes });
       const requestTime = Date.now() - requestStart;
       
-      if (!doc) {
-        throw new Error('Failed to fetch file');
+      // A file that was indexed before is tombstoned like any other page, and removed after the grace period
+      if (response.notFound && previous) {
+        const tombstonedAt = previous.tombstonedAt || new Date().toISOString();
+        const expired = Date.now() - new Date(tombstonedAt).getTime() >= pipeline.pruneAfterMs;
+        if (expired) {
+          log.warn(`Removing deleted file (HTTP ${response.status}): ${config.fileUrl}`);
+        } else {
+          log.warn(`Tombstoned file (HTTP ${response.status}), removal after ${pruneAfterDays} day(s): ${config.fileUrl}`);
+        }
+        return {
+          pages: existingPages.flatMap(page => (page === previous ? (expired ? [] : [{ ...page, tombstonedAt }]) : [page])),
+          errors: [],
+          telemetry: {
+            duration: Date.now() - startTime,
+            requestCount: 1,
+            averageResponseTime: requestTime,
+            pagesPerSecond: 0,
+            robots: robotsTelemetry(),
+            rateLimits: rateLimitTelemetry()
+          }
+        };
+      }
+      
+      if (response.notFound) {
+        throw createHttpError(response.status);
+      }
+      
+      if (response.notModified) {
+        log.info(`Single file unchanged (304), keeping existing entry`);
+        if (previous?.tombstonedAt) {
+          log.info(`File restored: ${config.fileUrl}`);
+        }
+        return {
+          pages: existingPages.map(page => {
+            if (page !== previous || !page.tombstonedAt) return page;
+            const { tombstonedAt, ...restored } = page;
+            return restored;
+          }),
+          errors: [],
+          telemetry: {
+            duration: Date.now() - startTime,
+            requestCount: 1,
+            averageResponseTime: requestTime,
+            pagesPerSecond: 0,
+            revalidation: { unchanged: 1, changed: 0 },
+            robots: robotsTelemetry(),
+            rateLimits: rateLimitTelemetry()
+          }
+        };
       }
       
-      const pageData = await extractPageMetadata(doc, config.fileUrl, config);
-      if (!pageData) {
-        throw new Error('Failed to extract content from file');
+      const pageData = await extractPageMetadata(response.doc, config.fileUrl, config);
+      if (!pageData || pageData.notFound) {
+        throw createFetchError(pageData ? 'soft-404' : 'quality-filtered', 'Failed to extract content from file');
       }
+      await pipeline.captureSnapshot(config.fileUrl, response);
       
       // Generate minimal breadcrumbs for single file
-      const breadcrumbs = [config.name];
+      let breadcrumbs = [config.name];
+      if (config.siteHandler?.deriveBreadcrumbs) {
+        breadcrumbs = config.siteHandler.deriveBreadcrumbs({ url: pageData.url, title: pageData.title, breadcrumbs }) || breadcrumbs;
+      }
+      const contentHash = hashContent(pageData.content);
+      const contentChanged = !previous || previous.contentHash !== contentHash;
+      const fingerprint = computeFingerprint(pageData.content);
       
       const singlePage = {
         url: pageData.url,
         title: pageData.title,
         estimatedWords: pageData.estimatedWords,
-        lastModified: pageData.lastModified,
+        lastModified: resolveLastModified(response, previous, contentChanged),
+        etag: response.etag,
+        httpLastModified: response.lastModifiedHeader,
+        contentHash,
+        ...(fingerprint && { fingerprint }),
         breadcrumbs,
         siteKey,
         siteName: config.name,
@@ -753,6 +1371,7 @@ export async function crawlSite(siteKey, options = {}) {
       };
       
       log.success(`Single file processed: ${pageData.title} (${pageData.estimatedWords} words, ${requestTime}ms)`);
+      await pipeline.saveSnapshots([singlePage]);
       
       const crawlDuration = Date.now() - requestStart;
       
@@ -763,202 +1382,660 @@ export async function crawlSite(siteKey, options = {}) {
           duration: crawlDuration,
           requestCount: 1,
           averageResponseTime: requestTime,
-          pagesPerSecond: 1 / (crawlDuration / 1000)
+          pagesPerSecond: 1 / (crawlDuration / 1000),
+          revalidation: {
+            unchanged: previous && !contentChanged ? 1 : 0,
+            changed: previous && contentChanged ? 1 : 0
+          },
+          robots: robotsTelemetry(),
+          rateLimits: rateLimitTelemetry()
         }
       };
-      
+    
     } catch (error) {
-      log.error(`Failed to process single file: ${error.message}`);
+      const { category, status, transient } = toFetchError(error);
+      log.error(`Failed to process single file (${category}): ${error.message}`);
+      const fileErrors = [{ url: config.fileUrl, error: error.message, depth: 0, category, ...(status && { status }) }];
+      // Like pages of other sites, an indexed file outlives timeouts, 5xx and network failures
+      if (transient && existingPages.length > 0) {
+        log.warn(`Keeping the indexed entry for ${config.fileUrl} until it can be fetched again`);
+      }
       return {
-        pages: [],
-        errors: [{ url: config.fileUrl, error: error.message, depth: 0 }],
+        pages: transient ? existingPages : [],
+        errors: fileErrors,
         telemetry: {
           duration: Date.now() - startTime,
           requestCount: 1,
           averageResponseTime: 0,
-          pagesPerSecond: 0
+          pagesPerSecond: 0,
+          failures: summarizeFetchErrors(fileErrors),
+          rateLimits: rateLimitTelemetry()
         }
       };
     }
   }
   
-  // Discover entry points
-  const discoveredPaths = await discoverSiblings(config.baseUrl, config);
-  
-  // PRIORITIZE SEED URLS: Always include all seed URLs first, then add discovered paths
-  const entryPointsToUse = [
-    ...config.seedUrls, // All seed URLs come first
-    ...discoveredPaths.filter(path => !config.seedUrls.includes(path)) // Add discovered paths that aren't already seed URLs
-  ].slice(0, 50); // Increased limit to accommodate all seed URLs + some discovered paths
-  
-
-  
-  log.discovery(`Using ${entryPointsToUse.length} entry points from ${discoveredPaths.length} discovered + ${config.seedUrls.length} seed paths (prioritized)`);
-  
-  // Add entry points to stack with proper depth calculation
-  for (const entryPoint of entryPointsToUse.reverse()) {
-    const url = config.baseUrl + (entryPoint.startsWith('/') ? entryPoint : '/' + entryPoint);
-    if (!seen.has(url)) {
-      const pathParts = entryPoint.split('/').filter(Boolean);
-      const calculatedDepth = pathParts.length;
-      
-
-      
-      stack.push({ url, depth: calculatedDepth });
-      seen.add(url);
+  const { seen, visited } = pipeline;
+  if (restored) {
+    log.info(`Resuming ${config.name} from checkpoint (${restored.savedAt}): ${pages.length} pages, ${visited.size} visited, ${scheduler.frontier.size} queued`);
+  } else {
+    // Discover entry points
+    const discovery = await discoverSiblings(config.baseUrl, config);
+    sitemapFiles = discovery.sitemapFiles;
+    scheduler.setNavigation(discovery.navigation);
+    for (const [key, priority] of discovery.sitemapPriorities) {
+      scheduler.sitemapPriorities.set(key, priority);
     }
-  }
-  
-  // Crawl pages with simple FIFO queue
-  while (stack.length > 0 && pages.length < maxPages) {
-    const { url, depth } = stack.shift(); // Take next item (FIFO)
-    
-    if (visited.has(url) || depth > maxDepth) {
-      continue;
+    for (const url of discovery.robotsSkipped) {
+      robotsSkipped.add(url);
     }
     
-    // Skip if URL already exists in index (unless force reindex)
-    if (!forceReindex && existingUrls.has(url)) {
-      skippedCount++;
-      continue;
+    // Add entry points to the frontier with proper depth calculation
+    for (const { path, source, depth } of planEntryPoints(config, discovery)) {
+      const url = normalizeUrl(resolveEntryPoint(path, config.baseUrl), urlOptions);
+      const key = keyOf(url);
+      // Seeds outside the site's scope are listed in config but never crawled
+      if (url && !seen.has(key) && isValidUrl(url, config.baseUrl, config)) {
+        scheduler.frontier.push({ url, depth, source });
+        seen.add(key);
+      }
     }
     
-    visited.add(url);
-    onProgress(pages.length + 1, maxPages, url);
-    
-    try {
-      const requestStart = Date.now();
-      const doc = await fetchPage(url);
-      const requestTime = Date.now() - requestStart;
-      
-      requestCount++;
-      totalResponseTime += requestTime;
-      
-      if (!doc) {
-        errors.push({ url, error: 'Failed to fetch page', depth });
-        onError(url, 'Failed to fetch page');
+    // Pages that failed transiently in earlier runs and whose backoff has passed
+    for (const entry of retryQueue ? getDueRetries(retryQueue, siteKey) : []) {
+      if (!isValidUrl(entry.url, config.baseUrl, config)) {
+        clearRetry(retryQueue, siteKey, entry.url);
         continue;
       }
-      
-      const pageData = await extractPageMetadata(doc, url, config);
-      if (!pageData) {
-        log.warn(`Page rejected by quality filters: ${url}`);
-        continue;
-      }
-      
-      // Generate breadcrumbs from URL path
-      const urlObj = new URL(pageData.url);
-      const pathParts = urlObj.pathname.split('/').filter(Boolean);
-      const breadcrumbs = pathParts.map(part => 
-        part.replace(/[-_]/g, ' ')
-            .replace(/\.(html?|php|aspx?)$/i, '')
-            .toLowerCase()
-      );
-
-      pages.push({
-        url: pageData.url,
-        title: pageData.title,
-        content: pageData.content,
-        estimatedWords: pageData.estimatedWords,
-        lastModified: pageData.lastModified,
-        breadcrumbs,
-        siteKey,
-        siteName: config.name,
-        depth,
-        crawledAt: new Date().toISOString()
-      });
-      
-      log.success(`Page [${pages.length}/${maxPages}] ${pageData.title} (${pageData.estimatedWords} words, ${requestTime}ms)`);
-      
-      // Extract links for next level
-      if (pages.length < maxPages && depth < maxDepth) {
-        const links = extractLinks(doc, url, config.baseUrl, config);
-        
-        const newLinks = [];
-        for (const link of links) {
-          if (!seen.has(link)) {
-            seen.add(link);
-            newLinks.push({ url: link, depth: depth + 1 });
-          }
-        }
-        
-        // Add all new links to stack
-        for (const linkData of newLinks) {
-          stack.push(linkData);
-        }
-        
-        log.discovery(`Found ${links.length} links -> ${newLinks.length} new URLs to crawl`);
+      const key = keyOf(entry.url);
+      if (!seen.has(key)) {
+        scheduler.frontier.push({ url: entry.url, depth: entry.depth, source: entry.source });
+        seen.add(key);
+        retryStats.retried++;
       }
-      
-    } catch (error) {
-      log.error(`Error crawling ${url}: ${error.message}`);
-      errors.push({ url, error: error.message, depth });
-      onError(url, error.message);
     }
+    if (retryStats.retried > 0) {
+      log.info(`Retrying ${retryStats.retried} URLs that failed transiently in earlier crawls and weren't rediscovered`);
+    }
+    
+    await writeCheckpoint();
+  }
+  
+  await scheduler.crawl(pipeline, maybeCheckpoint);
+  await scheduler.revalidate(pipeline, maybeCheckpoint);
+  
+  const { removedUrls, mergedUrls, brokenUrls, discoveryCounts } = pipeline;
+  const { requestCount, totalResponseTime, unchangedCount, changedCount, duplicateCount } = pipeline.counters;
+  const { skippedCount, budgetSkipped, depthSkipped } = scheduler.counters;
+  const { navigation } = scheduler;
+  const removedPages = pages.filter(page => removedUrls.has(page.url));
+  const finalPages = pages.filter(page => !removedUrls.has(page.url) && !mergedUrls.has(page.url));
+  const tombstonedCount = finalPages.filter(page => page.tombstonedAt).length;
+  
+  // Broken targets from the last run stay broken unless this run fetched them again
+  for (const { to, status } of indexData.sites[siteKey]?.stats?.linkGraph?.brokenLinks || []) {
+    const key = keyOf(to);
+    if (key && !visited.has(key) && !brokenUrls.has(key)) {
+      brokenUrls.set(key, status);
+    }
+  }
+  for (const url of removedUrls) {
+    if (!brokenUrls.has(keyOf(url))) brokenUrls.set(keyOf(url), 404);
+  }
+  const linkGraph = analyzeLinkGraph(finalPages, { keyOf, brokenUrls });
+  await pipeline.saveSnapshots(finalPages);
+  
+  // Sidebar hierarchy takes over breadcrumbs and categories for the pages it lists
+  const { matched: navigatedPages, unlisted } = applyNavigation(finalPages, navigation, keyOf);
+  for (const page of navigatedPages) {
+    if (config.siteHandler?.deriveBreadcrumbs) {
+      page.breadcrumbs = config.siteHandler.deriveBreadcrumbs({ url: page.url, title: page.title, breadcrumbs: page.breadcrumbs }) || page.breadcrumbs;
+    }
+  }
+  for (const page of unlisted) {
+    page.breadcrumbs = breadcrumbsFromUrl(page.url, page.title, config);
   }
   
   const crawlDuration = Date.now() - startTime;
   const avgResponseTime = requestCount > 0 ? totalResponseTime / requestCount : 0;
   const newPagesCount = pages.length - existingPages.length;
   
-  log.success(`Crawl complete: ${pages.length} pages (${newPagesCount} new, ${existingPages.length} existing), ${errors.length} errors`);
+  log.success(`Crawl complete: ${finalPages.length} pages (${newPagesCount} new, ${existingPages.length} existing), ${errors.length} errors`);
   log.info(`Duration: ${(crawlDuration / 1000).toFixed(1)}s, Avg response: ${avgResponseTime.toFixed(0)}ms`);
   log.info(`Rate: ${(requestCount / (crawlDuration / 1000)).toFixed(2)} req/sec`);
   
+  log.info(`Discovery sources: ${discoveryCounts.seed} seed, ${discoveryCounts.link} link-following, ${discoveryCounts.sitemap} sitemap`);
+  
+  if (existingPages.length > 0) {
+    log.info(`Revalidated: ${unchangedCount} unchanged, ${changedCount} changed`);
+  }
+  
+  if (tombstonedCount > 0) {
+    log.warn(`Tombstoned: ${tombstonedCount} pages missing upstream (kept for ${pruneAfterDays} day(s) before removal)`);
+  }
+  
+  if (removedPages.length > 0) {
+    log.warn(`Removed ${removedPages.length} deleted pages:`);
+    for (const page of removedPages) {
+      log.warn(`  - ${page.url}`);
+    }
+  }
+  
   if (skippedCount > 0) {
-    log.info(`Skipped ${skippedCount} already indexed URLs`);
+    log.info(`Skipped ${skippedCount} URLs indexed under other sites`);
+  }
+  
+  if (depthSkipped > 0) {
+    log.info(`Depth limit: skipped ${depthSkipped} queued URLs deeper than maxDepth ${maxDepth} (or their seed's seedMaxDepth)`);
+  }
+  
+  if (budgetSkipped > 0) {
+    log.info(`Page budget: maxPages ${maxPages} reached, ${budgetSkipped} queued URLs left uncrawled (${strategy} crawl order)`);
+  }
+  
+  if (duplicateCount > 0 || mergedUrls.size > 0) {
+    log.info(`Canonicalization: ${duplicateCount} duplicate URLs recorded as aliases, ${mergedUrls.size} indexed entries merged`);
+  }
+  
+  if (robotsSkipped.size > 0) {
+    log.info(`Skipped ${robotsSkipped.size} URLs disallowed by robots.txt`);
+  }
+  
+  if (navigation.length > 0) {
+    log.info(`Navigation: ${navigation.length} sidebar entries, ${navigatedPages.length} of ${finalPages.length} pages placed in the site's hierarchy`);
+  } else {
+    log.debug(`Navigation: no sidebar found for ${config.name}`);
+  }
+  
+  log.info(`Link graph: ${linkGraph.edges} internal links, ${linkGraph.orphans.length} orphaned and ${linkGraph.weaklyLinked.length} weakly linked pages`);
+  if (linkGraph.brokenLinks.length > 0) {
+    log.warn(`Broken internal links: ${linkGraph.brokenLinks.length}`);
+    for (const link of linkGraph.brokenLinks.slice(0, 10)) {
+      log.warn(`  - ${link.from} -> ${link.to} (HTTP ${link.status})`);
+    }
+  }
+  
+  for (const [host, hostStats] of Object.entries(rateLimitTelemetry())) {
+    if (hostStats.throttled > 0 || hostStats.slowResponses > 0) {
+      log.warn(`Rate limit ${host}: ${hostStats.throttled} throttled, ${hostStats.slowResponses} slow responses, ended at ${hostStats.requestsPerSecond.toFixed(2)} req/sec`);
+    }
   }
   
+  const failures = summarizeFetchErrors([...errors, ...rejections]);
   if (errors.length > 0) {
-    log.error(`Errors: ${errors.length}`);
+    const byCategory = Object.entries(summarizeFetchErrors(errors).byCategory);
+    log.error(`Errors: ${errors.length} (${byCategory.map(([category, count]) => `${count} ${category}`).join(', ')})`);
+  }
+  if (rejections.length > 0) {
+    log.info(`Rejected: ${failures.byCategory['soft-404'] || 0} soft 404s, ${failures.byCategory['quality-filtered'] || 0} below quality filters`);
+  }
+  if (retryQueue && (retryStats.recovered > 0 || retryStats.queued > 0 || retryStats.abandoned > 0)) {
+    log.info(`Retry queue: ${retryStats.recovered} earlier failures recovered, ${retryStats.queued} URLs queued for a later run, ${retryStats.abandoned} given up`);
   }
   
-  log.success(`Final result: ${pages.length} total pages (${newPagesCount} newly crawled)`);
+  log.success(`Final result: ${finalPages.length} total pages (${newPagesCount} newly crawled)`);
   
-  return {
-    pages,
+  const result = {
+    pages: finalPages,
     errors,
+    removedPages: removedPages.map(page => ({ url: page.url, title: page.title, tombstonedAt: page.tombstonedAt || null })),
     telemetry: {
       duration: crawlDuration,
       requestCount,
       averageResponseTime: avgResponseTime,
-      pagesPerSecond: pages.length / (crawlDuration / 1000)
+      pagesPerSecond: finalPages.length / (crawlDuration / 1000),
+      discovery: {
+        ...discoveryCounts,
+        sitemapFiles: sitemapFiles.length
+      },
+      revalidation: {
+        unchanged: unchangedCount,
+        changed: changedCount
+      },
+      pruning: {
+        tombstoned: tombstonedCount,
+        removed: removedPages.length
+      },
+      canonicalization: {
+        duplicates: duplicateCount,
+        merged: mergedUrls.size,
+        aliases: finalPages.reduce((sum, page) => sum + (page.aliases?.length || 0), 0)
+      },
+      linkGraph,
+      navigation: {
+        entries: navigation.length,
+        matched: navigatedPages.length
+      },
+      frontier: {
+        strategy,
+        budgetSkipped,
+        depthSkipped
+      },
+      failures,
+      ...(retryQueue && { retries: retryStats }),
+      robots: robotsTelemetry(),
+      rateLimits: rateLimitTelemetry()
     }
   };
+  
+  await writeCheckpoint('complete', result);
+  return result;
 }
 
 /**
- * Run crawl for all sites or specific site
+ * Preview a site crawl without extracting pages or writing the index
+ * Runs discovery only, then classifies every entry point the crawl would queue
+ * @param {string} siteKey - Site to preview
+ * @param {Object} [options] - Preview options
+ * @param {boolean} [options.forceReindex] - Preview a crawl that ignores the existing index
+ * @returns {Promise<Object>} Dry-run report: urls (with status), rejected links by reason, index overlap and request estimate
  */
-export async function runCrawl(specificSiteKey = null, options = {}) {
+export async function previewCrawl(siteKey, options = {}) {
   const configs = await loadCrawlConfigs();
-  const results = {};
-  const { forceReindex = false, outputPath = null } = options;
+  const config = configs[siteKey];
+  if (!config) {
+    throw new Error(`Unknown site: ${siteKey}`);
+  }
+  const { forceReindex = false } = options;
+  
+  const { indexData, existingUrls } = await loadExistingIndex();
+  const urlOptions = config.urlNormalization || {};
+  const keyOf = (url) => getCanonicalKey(url, urlOptions);
+  const existingPages = forceReindex ? [] : collapseDuplicatePages(indexData.sites[siteKey]?.pages || [], urlOptions);
+  const existingByUrl = new Map(existingPages.map(page => [keyOf(page.url), page]));
   
-  const sitesToCrawl = specificSiteKey ? [specificSiteKey] : Object.keys(configs);
+  const report = {
+    siteKey,
+    name: config.name,
+    baseUrl: config.baseUrl,
+    maxDepth: config.maxDepth,
+    maxPages: config.maxPages,
+    strategy: config.crawlStrategy ?? DEFAULT_CRAWL_STRATEGY,
+    scope: {
+      hosts: [new URL(config.baseUrl).host, ...config.allowedHosts],
+      pathPrefixes: config.pathPrefixes || [],
+      includePatterns: config.includePatterns.map(String),
+      excludePatterns: config.excludePatterns.map(String)
+    },
+    forceReindex,
+    urls: [],
+    rejected: {},
+    robotsSkipped: [],
+    indexed: { total: existingPages.length, notDiscovered: 0 },
+    estimatedRequests: { discovery: 0, revalidation: 0, newPages: 0, total: 0, mayDiscoverMore: 0 }
+  };
   
-  if (forceReindex) {
-    log.info(`Running with force reindex - all sites will be crawled from scratch`);
+  if (config.type === 'single-file' && config.fileUrl) {
+    const indexed = existingByUrl.has(keyOf(config.fileUrl));
+    const allowed = await robotsCache.isAllowed(config.fileUrl);
+    report.urls.push({ url: config.fileUrl, source: 'file', depth: 0, status: !allowed ? 'robots-disallowed' : indexed ? 'indexed' : 'new' });
+    report.estimatedRequests = {
+      discovery: 0,
+      revalidation: allowed && indexed ? 1 : 0,
+      newPages: allowed && !indexed ? 1 : 0,
+      total: allowed ? 1 : 0,
+      mayDiscoverMore: 0
+    };
+    return report;
   }
   
-  for (const siteKey of sitesToCrawl) {
-    if (!configs[siteKey]) {
-      log.error(`Unknown site: ${siteKey}`);
+  const rejected = new Map();
+  const discovery = await discoverSiblings(config.baseUrl, config, {
+    onReject: (url, reason) => {
+      if (!rejected.has(reason)) rejected.set(reason, new Set());
+      rejected.get(reason).add(url);
+    }
+  });
+  
+  // Mirror crawlSite's queueing rules: aliases are never queued, entry points are taken in
+  // frontier order (scored with what discovery learned) and only new pages count against maxPages
+  const seen = new Set(existingPages.flatMap(page => (page.aliases || []).map(keyOf)));
+  const navigationKeys = new Set(discovery.navigation.map(entry => keyOf(entry.url)));
+  const frontier = createFrontier(config, {
+    strategy: report.strategy,
+    keyOf,
+    navigationKeys: () => navigationKeys,
+    inboundCounts: new Map(),
+    sitemapPriorities: discovery.sitemapPriorities
+  });
+  for (const { path, source, depth } of planEntryPoints(config, discovery)) {
+    const url = normalizeUrl(resolveEntryPoint(path, config.baseUrl), urlOptions);
+    const key = keyOf(url);
+    if (!url || seen.has(key) || !isValidUrl(url, config.baseUrl, config)) continue;
+    seen.add(key);
+    frontier.push({ url, depth, source });
+  }
+  
+  let newPageBudget = Math.max(0, config.maxPages - existingPages.length);
+  for (let item = frontier.next(); item; item = frontier.next()) {
+    const { url, depth, source } = item;
+    const key = keyOf(url);
+    let status;
+    if (depth > getDepthLimit(url, config, config.maxDepth)) {
+      status = 'beyond-max-depth';
+    } else if (existingByUrl.has(key)) {
+      status = 'indexed';
+    } else if (!forceReindex && existingUrls.has(getCanonicalKey(url))) {
+      status = 'other-site';
+    } else if (!(await robotsCache.isAllowed(url))) {
+      status = 'robots-disallowed';
+    } else if (newPageBudget === 0) {
+      status = 'over-budget';
+    } else {
+      status = 'new';
+      newPageBudget--;
+    }
+    report.urls.push({ url, source, depth, status });
+  }
+  
+  for (const [reason, urls] of rejected) {
+    report.rejected[reason] = [...urls];
+  }
+  report.robotsSkipped = discovery.robotsSkipped;
+  
+  const discoveredKeys = new Set(report.urls.map(entry => keyOf(entry.url)));
+  report.indexed.notDiscovered = existingPages.filter(page => !discoveredKeys.has(keyOf(page.url))).length;
+  
+  // Every indexed page gets a conditional request; seeds and sitemaps are fetched again for discovery
+  const newPages = report.urls.filter(entry => entry.status === 'new').length;
+  report.estimatedRequests = {
+    discovery: config.seedUrls.length + discovery.sitemapFiles.length,
+    revalidation: existingPages.length,
+    newPages,
+    total: config.seedUrls.length + discovery.sitemapFiles.length + existingPages.length + newPages,
+    mayDiscoverMore: newPageBudget
+  };
+  
+  return report;
+}
+
+/**
+ * Find the site a URL belongs to and whether crawling that site would fetch it
+ * @param {string} url - Page URL
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.siteKey] - Check against this site only, even when it doesn't claim the URL's host
+ * @returns {Promise<Object|null>} { siteKey, name, url, rejection, depth, depthLimit, robotsAllowed }
+ *   for the site whose hosts include the URL (preferring one whose scope accepts it), or null
+ */
+export async function locateUrl(url, { siteKey: onlySite = null } = {}) {
+  const configs = await loadCrawlConfigs();
+  if (onlySite && !configs[onlySite]) {
+    throw new Error(`Unknown site: ${onlySite}`);
+  }
+  
+  const candidates = [];
+  for (const [siteKey, config] of Object.entries(configs)) {
+    if (onlySite && siteKey !== onlySite) continue;
+    const normalized = normalizeUrl(url, config.urlNormalization || {}) || url;
+    const rejection = getRejectionReason(normalized, config.baseUrl, config);
+    if (onlySite ? rejection !== 'invalid URL' : rejection !== 'other host' && rejection !== 'invalid URL') {
+      candidates.push({ siteKey, config, url: normalized, rejection });
+    }
+  }
+  
+  const match = candidates.find(candidate => candidate.rejection === null) || candidates[0];
+  if (!match) return null;
+  
+  const { siteKey, config } = match;
+  return {
+    siteKey,
+    name: config.name,
+    url: match.url,
+    rejection: match.rejection,
+    depth: getPathDepth(match.url),
+    depthLimit: getDepthLimit(match.url, config, config.maxDepth),
+    robotsAllowed: await robotsCache.isAllowed(match.url)
+  };
+}
+
+/**
+ * Fetch one page and run it through the crawler's extraction, recording what every stage did
+ * @param {string} url - Page URL
+ * @param {string} siteKey - Site whose selectors, content filters and handler apply
+ * @returns {Promise<Object>} { siteKey, url, finalUrl, status, contentType, bytes, body, trace, result };
+ *   result is the extracted page, { notFound: true } for 404s, or null when below minWordCount
+ */
+export async function traceExtraction(url, siteKey) {
+  const configs = await loadCrawlConfigs();
+  const config = configs[siteKey];
+  if (!config) {
+    throw new Error(`Unknown site: ${siteKey}`);
+  }
+  
+  const response = await fetchPage(url, { maxBytes: config.maxBodyBytes });
+  const fetched = {
+    siteKey,
+    url,
+    finalUrl: response.finalUrl,
+    status: response.status,
+    contentType: response.contentType || null,
+    bytes: response.body ? Buffer.byteLength(response.body) : 0,
+    body: response.body || ''
+  };
+  if (response.notFound) {
+    return { ...fetched, trace: null, result: { url, notFound: true } };
+  }
+  
+  const trace = {};
+  const result = await extractPageMetadata(response.doc, url, config, trace);
+  return { ...fetched, trace, result };
+}
+
+/**
+ * Fetch a sample of a site's pages and score candidate content selectors on them
+ * Pages are spread over the site's indexed pages or, before its first crawl, taken from its seeds
+ * @param {string} siteKey - Site to evaluate
+ * @param {Object} [options] - Evaluation options
+ * @param {number} [options.sampleSize] - Pages to fetch
+ * @param {Array<string>} [options.urls] - Pages to sample from instead of those in public/docs-index.json
+ * @returns {Promise<Object>} { siteKey, selectors, sampled, failed, candidates, recommended }; each sampled
+ *   page lists the words extraction kept, the first configured selector's words and the most any candidate found
+ */
+export async function evaluateSiteSelectors(siteKey, { sampleSize = DEFAULT_SAMPLE_SIZE, urls = null } = {}) {
+  const configs = await loadCrawlConfigs();
+  const config = configs[siteKey];
+  if (!config) {
+    throw new Error(`Unknown site: ${siteKey}`);
+  }
+  if (config.type === 'single-file') {
+    throw new Error(`${siteKey} is a single file; it has no content selectors to evaluate`);
+  }
+  
+  let indexedUrls = urls;
+  if (!indexedUrls) {
+    const { indexData } = await loadExistingIndex();
+    indexedUrls = (indexData.sites[siteKey]?.pages || []).filter(page => !page.tombstonedAt).map(page => page.url);
+  }
+  const pool = indexedUrls.length > 0 ? indexedUrls : config.seedUrls.map(path => resolveEntryPoint(path, config.baseUrl));
+  const candidates = getCandidateSelectors(config);
+  const configured = candidates.filter(candidate => candidate.source === 'config').map(candidate => candidate.selector);
+  
+  const measurements = [];
+  const sampled = [];
+  const failed = [];
+  for (const url of sampleEvenly(pool, sampleSize)) {
+    if (!(await robotsCache.isAllowed(url))) {
+      failed.push({ url, error: 'disallowed by robots.txt' });
       continue;
     }
-    
     try {
-      log.info(`Starting crawl for site: ${siteKey}...`);
-      const result = await crawlSite(siteKey, { forceReindex });
-      results[siteKey] = result;
-      log.success(`Crawl for ${siteKey} completed successfully!`);
-      log.info(`Total pages: ${result.pages.length}`);
+      const response = await fetchPage(url, { maxBytes: config.maxBodyBytes });
+      if (response.notFound || !response.doc || response.doc.isPlainText) {
+        failed.push({ url, error: response.notFound ? `HTTP ${response.status}` : 'not an HTML page' });
+        continue;
+      }
+      // Measure before extraction, which may let a site handler rewrite the document
+      const pageMeasurements = measureSelectors(response.doc, candidates);
+      const pageData = await extractPageMetadata(response.doc, url, config);
+      const firstConfigured = pageMeasurements.find(entry => entry.matched && configured.includes(entry.selector));
+      measurements.push(pageMeasurements);
+      sampled.push({
+        url,
+        extractedWords: pageData && !pageData.notFound ? pageData.estimatedWords : 0,
+        selectorWords: firstConfigured?.words || 0,
+        bestWords: Math.max(0, ...pageMeasurements.map(entry => entry.words))
+      });
+    } catch (error) {
+      failed.push({ url, error: error.message });
+    }
+  }
+  
+  const ranked = rankSelectors(measurements, candidates);
+  return {
+    siteKey,
+    selectors: { title: config.selectors.title, content: config.selectors.content },
+    sampled,
+    failed,
+    candidates: ranked,
+    recommended: recommendSelectors(ranked)
+  };
+}
+
+/**
+ * Probe a documentation site that isn't configured yet, for `add-site`
+ * Fetches the entry page, reads its sidebar (or, without one, its links) and sitemaps, detects the
+ * docs framework and scores content selectors on a sample of the sidebar pages
+ * @param {string} url - Entry page of the docs
+ * @param {Object} [options] - Probe options
+ * @param {number} [options.sampleSize] - Pages to score selectors on, the entry page included
+ * @returns {Promise<Object>} { url, finalUrl, doc, body, detection, navigationUrls, navigationSource,
+ *   sitemapUrls, sampled, failed, candidates, recommended }
+ */
+export async function probeSite(url, { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+  let entryUrl;
+  try {
+    entryUrl = new URL(url).href;
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (!(await robotsCache.isAllowed(entryUrl))) {
+    throw new Error(`robots.txt disallows ${entryUrl}`);
+  }
+  
+  const response = await fetchPage(entryUrl);
+  if (response.notFound) {
+    throw new Error(`${entryUrl} returned HTTP ${response.status}`);
+  }
+  if (!response.doc || response.doc.isPlainText) {
+    throw new Error(`${entryUrl} is not an HTML page; add plain-text files as a single-file site`);
+  }
+  const { doc, body, finalUrl } = response;
+  const origin = new URL(finalUrl).origin;
+  // Just enough config for the navigation reader: same-host links, built-in sidebar selectors
+  const scope = { baseUrl: origin, selectors: {} };
+  
+  let navigationSource = 'sidebar';
+  let navigationUrls = extractNavigation(doc, finalUrl, scope).map(entry => entry.url);
+  if (navigationUrls.length === 0) {
+    navigationSource = 'links';
+    navigationUrls = [...doc.querySelectorAll('a[href]')]
+      .map(link => {
+        try {
+          const target = new URL(link.getAttribute('href'), finalUrl);
+          target.hash = '';
+          return target.origin === origin && /^https?:$/.test(target.protocol) ? target.href : null;
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+  navigationUrls = [...new Set(navigationUrls)].filter(link => link !== finalUrl);
+  
+  const robots = await robotsCache.get(origin);
+  const sitemap = await discoverSitemapUrls(origin, {
+    fetchText,
+    hints: [...robots.sitemaps, ...findSitemapLinks(doc, finalUrl)]
+  });
+  const sitemapUrls = sitemap.entries.map(entry => entry.loc);
+  
+  const detection = detectFramework(doc, body);
+  const candidates = getCandidateSelectors({ selectors: { content: getFrameworkSelectors(detection.framework).join(', ') } })
+    .map(candidate => ({ ...candidate, source: candidate.source === 'config' ? 'framework' : candidate.source }));
+  
+  const measurements = [measureSelectors(doc, candidates)];
+  const sampled = [finalUrl];
+  const failed = [];
+  const pool = navigationUrls.length > 0 ? navigationUrls : sitemapUrls.filter(link => link !== finalUrl);
+  for (const pageUrl of sampleEvenly(pool, Math.max(0, sampleSize - 1))) {
+    if (!(await robotsCache.isAllowed(pageUrl))) {
+      failed.push({ url: pageUrl, error: 'disallowed by robots.txt' });
+      continue;
+    }
+    try {
+      const page = await fetchPage(pageUrl);
+      if (page.notFound || !page.doc || page.doc.isPlainText) {
+        failed.push({ url: pageUrl, error: page.notFound ? `HTTP ${page.status}` : 'not an HTML page' });
+        continue;
+      }
+      measurements.push(measureSelectors(page.doc, candidates));
+      sampled.push(pageUrl);
     } catch (error) {
-      log.error(`Failed to crawl ${siteKey}: ${error.message}`);
-      results[siteKey] = { pages: [], errors: [{ error: error.message }] };
+      failed.push({ url: pageUrl, error: error.message });
     }
   }
   
+  const ranked = rankSelectors(measurements, candidates);
+  return {
+    url: entryUrl,
+    finalUrl,
+    doc,
+    body,
+    detection,
+    navigationUrls,
+    navigationSource,
+    sitemapUrls,
+    sampled,
+    failed,
+    candidates: ranked,
+    recommended: recommendSelectors(ranked)
+  };
+}
+
+/**
+ * Append this run to the crawl history and warn about regressions against earlier runs
+ */
+async function recordCrawlHistory(runId, results, configs, failedSites, historyPath) {
+  const entries = Object.entries(results).map(([siteKey, result]) => buildHistoryEntry({
+    runId,
+    siteKey,
+    config: configs[siteKey],
+    result,
+    failed: failedSites.has(siteKey)
+  }));
+  
+  try {
+    await appendCrawlHistory(entries, historyPath);
+  } catch (error) {
+    log.warn(`Failed to record crawl history: ${error.message}`);
+    return;
+  }
+  
+  const summary = summarizeHistory(await loadCrawlHistory(historyPath));
+  for (const siteKey of Object.keys(results)) {
+    for (const regression of summary[siteKey]?.regressions || []) {
+      const report = regression.severity === 'error' ? log.error : log.warn;
+      report(`Regression in ${siteKey} (${regression.rule}): ${regression.message}`);
+    }
+  }
+}
+
+/**
+ * Cluster near-duplicates across sites and write the docs index
+ * @param {Object} results - Per-site { pages, telemetry, lastCrawled? }
+ * @param {Object} configs - Crawl configs
+ * @param {string|null} outputPath - Custom output path (default depends on CI vs local)
+ */
+async function writeIndexFile(results, configs, outputPath) {
+  // Cluster near-duplicate pages across every crawled site; config order decides which copy is kept
+  const duplicateClusters = assignDuplicateClusters(
+    Object.values(results).flatMap(result => result.pages || [])
+  );
+  if (duplicateClusters.length > 0) {
+    const duplicatePages = duplicateClusters.reduce((sum, cluster) => sum + cluster.members.length - 1, 0);
+    log.info(`Near-duplicates: ${duplicatePages} pages in ${duplicateClusters.length} clusters marked with duplicateOf`);
+  }
+  
   // Prepare index data
   const indexData = {
     generated: new Date().toISOString(),
@@ -971,12 +2048,13 @@ export async function runCrawl(specificSiteKey = null, options = {}) {
         name: configs[siteKey].name,
         baseUrl: configs[siteKey].baseUrl,
         pages: result.pages,
-        lastCrawled: new Date().toISOString(),
+        lastCrawled: result.lastCrawled || new Date().toISOString(),
         stats: {
           totalPages: result.pages.length,
           averageWords: Math.round(
             result.pages.reduce((sum, p) => sum + p.estimatedWords, 0) / result.pages.length
           ),
+          nearDuplicates: result.pages.filter(p => p.duplicateOf).length,
           ...(result.telemetry || {})
         }
       };
@@ -1013,71 +2091,279 @@ export async function runCrawl(specificSiteKey = null, options = {}) {
   if (!outputPath && !(process.env.CI === 'true' || process.env.GITHUB_ACTIONS === 'true')) {
     log.info('Note: Running locally - index written to temp file to avoid committing partial updates');
   }
-  
-  return results;
 }
 
 /**
- * Show help information
+ * Run crawl for all sites, one site, or a list of sites
+ * @param {string|Array<string>|null} [siteKeys] - Sites to crawl; all configured sites when empty
+ * @param {Object} [options] - Run options; maxDepth, maxPages, requestsPerSecond and concurrency
+ *   override every crawled site's config
+ * @returns {Promise<Object>} Crawl results by site key
  */
-async function showHelp() {
+export async function runCrawl(siteKeys = null, options = {}) {
   const configs = await loadCrawlConfigs();
-  const sites = Object.keys(configs);
+  const results = {};
+  const {
+    forceReindex = false,
+    outputPath = null,
+    resume = false,
+    history = true,
+    historyPath = DEFAULT_HISTORY_PATH,
+    snapshots = false,
+    snapshotDir = DEFAULT_SNAPSHOT_DIR,
+    concurrency = null,
+    maxDepth = null,
+    maxPages = null,
+    requestsPerSecond = null,
+    parallelSites = DEFAULT_PARALLEL_SITES,
+    maxConcurrentRequests = DEFAULT_MAX_CONCURRENT_REQUESTS,
+    retries = true,
+    retryQueuePath = DEFAULT_RETRY_QUEUE_PATH
+  } = options;
+  const runId = new Date().toISOString();
+  // Transiently failed URLs from earlier runs; each site retries its due entries and queues new failures
+  const retryQueue = retries ? await loadRetryQueue(retryQueuePath) : null;
   
-  console.log(`
-${colors.blue}Permaweb Documentation Crawler${colors.reset}
-
-${colors.green}Usage:${colors.reset}
-  bun run crawl [site] [options]
-
-${colors.green}Sites:${colors.reset}
-${sites.map(site => `  ${colors.cyan}${site}${colors.reset} - ${configs[site].name}`).join('\n')}
-
-${colors.green}Options:${colors.reset}
-  ${colors.yellow}--force, --force-reindex${colors.reset}  Force reindex all pages (ignore cache)
-  ${colors.yellow}--output <path>${colors.reset}           Custom output path for index file
-  ${colors.yellow}--help, -h${colors.reset}               Show this help message
-
-${colors.green}Examples:${colors.reset}
-  bun run crawl                            # Crawl all sites (saves to temp file locally, public/docs-index.json in CI)
-  bun run crawl hyperbeam                  # Crawl only Hyperbeam docs
-  bun run crawl ao --force                 # Force reindex AO docs
-  bun run crawl --output public/docs-index.json  # Output to public/docs-index.json (publicly accessible)
-
-${colors.green}Production Mode:${colors.reset}
-  Set NODE_ENV=production or MINIFY_INDEX=true to save minified JSON
-  Saves ~26% storage space for deployment pipelines
-`);
+  const requested = [siteKeys || []].flat();
+  const sitesToCrawl = requested.length > 0 ? [...new Set(requested)] : Object.keys(configs);
+  const failedSites = new Set();
+  
+  if (forceReindex) {
+    log.info(`Running with force reindex - all sites will be crawled from scratch`);
+  }
+  
+  if (resume) {
+    log.info(`Resuming from checkpoints where available`);
+  }
+  
+  if (snapshots) {
+    log.info(`Storing raw responses in ${snapshotDir} for offline reprocessing`);
+  }
+  
+  requestSlots.setMax(maxConcurrentRequests);
+  if (sitesToCrawl.length > 1) {
+    log.info(`Crawling up to ${parallelSites} sites at once, ${maxConcurrentRequests} page fetches in flight overall`);
+  }
+  
+  // Sites are crawled side by side but their results are collected in config order
+  const queue = sitesToCrawl.filter(siteKey => {
+    if (!configs[siteKey]) log.error(`Unknown site: ${siteKey}`);
+    return Boolean(configs[siteKey]);
+  });
+  await runInOrder({
+    concurrency: parallelSites,
+    take: async () => queue.shift() || null,
+    run: (siteKey) => {
+      log.info(`Starting crawl for site: ${siteKey}...`);
+      return crawlSite(siteKey, {
+        forceReindex,
+        resume,
+        checkpoint: true,
+        snapshots,
+        snapshotDir,
+        retryQueue,
+        ...(concurrency && { concurrency }),
+        ...(maxDepth !== null && { maxDepth }),
+        ...(maxPages !== null && { maxPages }),
+        ...(requestsPerSecond && { requestsPerSecond })
+      });
+    },
+    commit: async (siteKey, result) => {
+      if (result.error) {
+        log.error(`Failed to crawl ${siteKey}: ${result.error.message}`);
+        results[siteKey] = { pages: [], errors: [{ error: result.error.message }] };
+        failedSites.add(siteKey);
+        return;
+      }
+      results[siteKey] = result;
+      log.success(`Crawl for ${siteKey} completed successfully!`);
+      log.info(`Total pages: ${result.pages.length}`);
+      if (result.removedPages?.length > 0) {
+        log.info(`Removed pages: ${result.removedPages.length}`);
+      }
+    }
+  });
+  
+  await writeIndexFile(results, configs, outputPath);
+  
+  if (retryQueue) {
+    try {
+      await saveRetryQueue(retryQueue, retryQueuePath);
+      const pending = Object.values(retryQueue.sites).reduce((sum, entries) => sum + Object.keys(entries).length, 0);
+      if (pending > 0) {
+        log.info(`Retry queue: ${pending} URLs in ${retryQueuePath} will be retried by a later crawl`);
+      }
+    } catch (error) {
+      log.warn(`Failed to save retry queue: ${error.message}`);
+    }
+  }
+  
+  // Progress is now in the index; keep checkpoints only for sites that failed so --resume can retry them
+  await clearCheckpoints(sitesToCrawl.filter(siteKey => configs[siteKey] && !failedSites.has(siteKey)));
+  
+  if (history) {
+    await recordCrawlHistory(runId, results, configs, failedSites, historyPath);
+  }
+  
+  if (snapshots) {
+    const pruned = await pruneSnapshotObjects(snapshotDir);
+    if (pruned > 0) {
+      log.info(`Snapshots: pruned ${pruned} bodies no indexed page refers to`);
+    }
+  }
+  
+  return results;
 }
 
-// CLI support
-if (import.meta.main) {
-  const args = process.argv.slice(2);
+/**
+ * Rebuild a site's indexed pages from stored snapshots, without network access
+ * Re-runs extraction, content filters, navigation and link analysis on the raw responses
+ * kept by the last crawl run with snapshots; pages without a snapshot are kept as indexed
+ * @param {string} siteKey - Site to reprocess
+ * @param {Object} [options] - Reprocess options
+ * @param {Object} [options.indexData] - Parsed docs index (read from public/docs-index.json by default)
+ * @param {string} [options.snapshotDir] - Snapshot directory
+ * @returns {Promise<Object>} Crawl-shaped result { pages, errors, telemetry, lastCrawled }
+ */
+export async function reprocessSite(siteKey, options = {}) {
+  const configs = await loadCrawlConfigs();
+  const config = configs[siteKey];
+  if (!config) {
+    throw new Error(`Unknown site: ${siteKey}`);
+  }
   
-  // Check for help flag
-  if (args.includes('--help') || args.includes('-h')) {
-    await showHelp();
-    process.exit(0);
+  const { snapshotDir = DEFAULT_SNAPSHOT_DIR } = options;
+  const indexData = options.indexData || (await loadExistingIndex()).indexData;
+  const siteData = indexData.sites[siteKey];
+  if (!siteData?.pages?.length) {
+    throw new Error(`No indexed pages for ${siteKey}; crawl it first`);
   }
   
-  const forceReindex = args.includes('--force-reindex') || args.includes('--force');
+  const keyOf = (url) => getCanonicalKey(url, config.urlNormalization || {});
+  const manifest = await loadSnapshotManifest(siteKey, snapshotDir);
+  const startTime = Date.now();
+  const counts = { reprocessed: 0, changed: 0, missing: 0, rejected: 0 };
+  let navigation = [];
+  
+  log.info(`Reprocessing ${config.name}: ${siteData.pages.length} indexed pages, ${Object.keys(manifest).length} snapshots`);
+  
+  const pages = [];
+  for (const page of siteData.pages) {
+    const snapshot = page.tombstonedAt
+      ? null
+      : [page.url, ...(page.aliases || [])].map(url => manifest[keyOf(url)]).find(Boolean);
+    const body = snapshot ? await readSnapshotBody(snapshot.hash, snapshotDir) : null;
+    if (body === null) {
+      if (!page.tombstonedAt) {
+        counts.missing++;
+        log.debug(`No snapshot, keeping indexed entry: ${page.url}`);
+      }
+      pages.push(page);
+      continue;
+    }
+    
+    const doc = await parseDocument(body, snapshot.contentType || '', snapshot.url, snapshot.finalUrl);
+    const pageData = await extractPageMetadata(doc, page.url, config);
+    if (!pageData || pageData.notFound) {
+      counts.rejected++;
+      log.warn(`Extraction now rejects ${page.url}; keeping its indexed entry`);
+      pages.push(page);
+      continue;
+    }
+    
+    navigation = mergeNavigation(navigation, extractNavigation(doc, snapshot.finalUrl || page.url, config), keyOf);
+    const contentHash = hashContent(pageData.content);
+    const fingerprint = computeFingerprint(pageData.content);
+    if (contentHash !== page.contentHash) {
+      counts.changed++;
+      log.success(`Updated ${pageData.title} (${pageData.estimatedWords} words)`);
+    }
+    counts.reprocessed++;
+    
+    // lastModified tracks upstream changes, so it stays as crawled
+    const { fingerprint: previousFingerprint, ...indexed } = page;
+    pages.push({
+      ...indexed,
+      title: pageData.title,
+      content: pageData.content,
+      estimatedWords: pageData.estimatedWords,
+      contentHash,
+      ...(fingerprint && { fingerprint }),
+      breadcrumbs: page.navPath ? page.breadcrumbs : breadcrumbsFromUrl(page.url, pageData.title, config),
+      outboundLinks: extractLinks(doc, snapshot.finalUrl || page.url, config.baseUrl, config)
+    });
+  }
   
-  // Parse --output flag
-  let customOutputPath = null;
-  const outputIndex = args.findIndex(arg => arg === '--output');
-  if (outputIndex !== -1 && args[outputIndex + 1]) {
-    customOutputPath = args[outputIndex + 1];
+  // Sidebars come from the snapshots; without any, pages keep the hierarchy they were crawled with
+  const { matched: navigatedPages, unlisted } = applyNavigation(pages, navigation, keyOf);
+  for (const page of navigatedPages) {
+    if (config.siteHandler?.deriveBreadcrumbs) {
+      page.breadcrumbs = config.siteHandler.deriveBreadcrumbs({ url: page.url, title: page.title, breadcrumbs: page.breadcrumbs }) || page.breadcrumbs;
+    }
+  }
+  for (const page of unlisted) {
+    page.breadcrumbs = breadcrumbsFromUrl(page.url, page.title, config);
   }
   
-  // Filter out flags to get the site key
-  const siteKey = args.find(arg => !arg.startsWith('--') && arg !== customOutputPath);
+  const brokenUrls = new Map(
+    (siteData.stats?.linkGraph?.brokenLinks || []).map(({ to, status }) => [keyOf(to), status])
+  );
+  const linkGraph = analyzeLinkGraph(pages, { keyOf, brokenUrls });
   
-  try {
-    await runCrawl(siteKey, { forceReindex, outputPath: customOutputPath });
-  } catch (error) {
-    log.error(`Crawl failed: ${error.message}`);
-    process.exit(1);
+  log.success(`Reprocessed ${counts.reprocessed} pages (${counts.changed} changed), ${counts.missing} without snapshot, ${counts.rejected} rejected by extraction`);
+  
+  // Crawl telemetry stays as recorded; link graph, navigation and the reprocess summary are refreshed
+  const { totalPages, averageWords, nearDuplicates, ...telemetry } = siteData.stats || {};
+  return {
+    pages,
+    errors: [],
+    lastCrawled: siteData.lastCrawled,
+    telemetry: {
+      ...telemetry,
+      linkGraph,
+      ...(navigation.length > 0 && {
+        navigation: { entries: navigation.length, matched: navigatedPages.length }
+      }),
+      reprocessed: {
+        at: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        ...counts
+      }
+    }
+  };
+}
+
+/**
+ * Rebuild the docs index from snapshots for all sites or a specific site
+ * Sites not being reprocessed are carried over from the existing index unchanged
+ */
+export async function runReprocess(specificSiteKey = null, options = {}) {
+  const configs = await loadCrawlConfigs();
+  const { outputPath = null, snapshotDir = DEFAULT_SNAPSHOT_DIR } = options;
+  const { indexData } = await loadExistingIndex();
+  
+  if (specificSiteKey && !indexData.sites[specificSiteKey]) {
+    throw new Error(`No indexed pages for ${specificSiteKey}; crawl it first`);
   }
+  
+  const results = {};
+  for (const [siteKey, siteData] of Object.entries(indexData.sites)) {
+    if (!configs[siteKey]) {
+      log.warn(`Leaving out ${siteKey}: not in ${getCrawlConfigPath()}`);
+      continue;
+    }
+    
+    if (specificSiteKey && siteKey !== specificSiteKey) {
+      const { totalPages, averageWords, nearDuplicates, ...telemetry } = siteData.stats || {};
+      results[siteKey] = { pages: siteData.pages || [], errors: [], lastCrawled: siteData.lastCrawled, telemetry };
+      continue;
+    }
+    
+    results[siteKey] = await reprocessSite(siteKey, { indexData, snapshotDir });
+  }
+  
+  await writeIndexFile(results, configs, outputPath);
+  return results;
 }
 
 /**
@@ -1102,9 +2388,11 @@ export function buildDisplayTree(crawlResults) {
       error: siteData.error || null
     };
     
-    // Group pages by category
+    // Group pages by category; sidebar order decides both category and page order
     if (siteData.pages && Array.isArray(siteData.pages)) {
-      for (const page of siteData.pages) {
+      const navOrderOf = (page) => (Number.isInteger(page.navOrder) ? page.navOrder : Infinity);
+      const ordered = [...siteData.pages].sort((a, b) => (navOrderOf(a) - navOrderOf(b)) || 0);
+      for (const page of ordered) {
         const category = page.category || 'general';
         
         if (!tree[siteKey].categories[category]) {
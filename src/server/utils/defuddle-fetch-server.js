@@ -1,11 +1,17 @@
 import Defuddle from 'defuddle';
 import { enhancedDefuddleExtraction } from './content-enhancer.js';
+import { collapseNearDuplicateDocuments } from './fingerprint.js';
 import { assessContentQuality } from './quality-scorer.js';
 import { optimizedBatchExtraction } from './batch-processor.js';
+import { readBodyWithLimit, parseHtmlSafely, DEFAULT_MAX_BODY_BYTES } from './safe-fetch.js';
+import { createFetchError, createHttpError, classifyFetchError, toFetchError, summarizeFetchErrors } from './fetch-errors.js';
 
 // Import content filters from crawler
 import { applyContentFilters } from './crawler.js';
 
+// Pages scoring below this are dropped from the llms.txt files
+export const DEFAULT_QUALITY_THRESHOLD = 0.2;
+
 /**
  * Strip HTML tags and decode HTML entities from text content
  * Node.js environment only - uses manual processing
@@ -62,18 +68,15 @@ function stripHTML(text) {
 
 /**
  * Get document from HTML string using JSDOM (Node.js only)
+ * Scripts are not run and subresources are not loaded
  * @param {string} html - HTML content
  * @param {string} url - URL for context
  * @returns {Document} JSDOM document
  */
 async function getDocumentFromHtml(html, url) {
   try {
-    // Use dynamic import to ensure jsdom is not bundled in browser builds
-    const jsdomModule = await import('jsdom');
-    const { JSDOM } = jsdomModule;
-    
-    const dom = new JSDOM(html, { url });
-    return dom.window.document;
+    // parseHtmlSafely imports jsdom dynamically so it is not bundled in browser builds
+    return await parseHtmlSafely(html, url);
   } catch (error) {
     if (error.code === 'MODULE_NOT_FOUND') {
       throw new Error(`Failed to import jsdom in Node.js environment: ${error.message}. Make sure jsdom is installed as a dependency.`);
@@ -302,8 +305,9 @@ export async function fetchAndClean(url, options = {}) {
   const {
     timeout = 30000,
     userAgent = 'Mozilla/5.0 (compatible; PermawebLLMFuel/1.0)',
-    qualityThreshold = 0.2,
+    qualityThreshold = DEFAULT_QUALITY_THRESHOLD,
     contentSelectors = null,
+    maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
     urlSpecificOptions
   } = options;
 
@@ -324,88 +328,104 @@ export async function fetchAndClean(url, options = {}) {
       signal: controller.signal
     });
 
-    clearTimeout(timeoutId);
-
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      clearTimeout(timeoutId);
+      throw createHttpError(response.status, response.statusText);
     }
 
     const contentType = response.headers.get('content-type') || '';
-    const html = await response.text();
-
-    // Handle plain text files
-    if (contentType.includes('text/plain') || url.endsWith('.txt')) {
-      let cleanText = html;
-      cleanText = normalizeUnicode(cleanText);
-      cleanText = removeBoilerplate(cleanText);
-      cleanText = removeVideoContent(cleanText);
-      cleanText = cleanHtmlWithDOM(cleanText);
-      cleanText = decodeHtmlEntities(cleanText);
-      cleanText = removeMarkdownFormatting(cleanText);
-      cleanText = normalizeSpecialChars(cleanText);
-      cleanText = normalizeWhitespace(cleanText);
-      const wordCount = cleanText.split(/\s+/).filter(word => word.length > 0).length;
-      return {
-        url,
-        title: generateTitleFromUrl(url),
-        content: cleanText,
-        wordCount,
-        qualityScore: 1.0,
-        source: 'plain-text',
-        extractionMethod: 'plain-text',
-        extractionReason: 'plain-text-file'
-      };
-    }
+    // The timeout keeps running while the body streams in, so a trickling response can't stall the fetch
+    const html = await readBodyWithLimit(response, { maxBytes: maxBodyBytes }).finally(() => clearTimeout(timeoutId));
+    return await cleanContent(html, url, { contentType, qualityThreshold });
+  } catch (error) {
+    const { category, status } = toFetchError(error);
+    throw createFetchError(category, `Failed to fetch and clean ${url}: ${error.message}`, { status, cause: error });
+  }
+}
 
-    // Parse HTML with JSDOM and extract content
-    const doc = await getDocumentFromHtml(html, url);
-    // Extract title
-    let title = '';
-    const titleElement = doc.querySelector('title, h1');
-    if (titleElement) {
-      title = titleElement.textContent.trim();
-    }
-    const genericTitle = /^(|untitled document|index|home|get(ting)? started)$/i;
-    if (!title || genericTitle.test(title)) {
-      title = generateTitleFromUrl(url);
-    }
-    // Extract content using extractContent (Defuddle with fallback)
-    const extractionResult = extractContent(doc, url);
-    let content = extractionResult.content;
-    let wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
-    // Apply cleaning pipeline in logical order
-    content = normalizeUnicode(content);
-    content = removeBoilerplate(content);
-    content = removeVideoContent(content);
-    content = cleanHtmlWithDOM(content);
-    content = decodeHtmlEntities(content);
-    content = removeMarkdownFormatting(content);
-    content = normalizeSpecialChars(content);
-    content = normalizeWhitespace(content);
-    wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
-    // Assess quality
-    const qualityAssessment = assessContentQuality(content, {
-      minLength: 30,
-      requireTechnical: false
-    });
-    const qualityScore = qualityAssessment.overallScore;
-    // Quality check
-    if (qualityScore < qualityThreshold) {
-      throw new Error(`Content quality too low: ${qualityScore.toFixed(2)} < ${qualityThreshold}`);
-    }
+/**
+ * Extract, clean and quality-check an already fetched response body
+ * Used by fetchAndClean and to rebuild documents from crawl snapshots without network access
+ * @param {string} html - Response body (HTML or plain text)
+ * @param {string} url - URL the body was fetched from
+ * @param {Object} options - Cleaning options
+ * @param {string} [options.contentType] - Response Content-Type
+ * @param {number} [options.qualityThreshold] - Minimum quality score (throws "Content quality too low" below it)
+ * @returns {Promise<Object>} Cleaned content with metadata
+ */
+export async function cleanContent(html, url, options = {}) {
+  const { contentType = '', qualityThreshold = DEFAULT_QUALITY_THRESHOLD } = options;
+
+  // Handle plain text files
+  if (contentType.includes('text/plain') || url.endsWith('.txt')) {
+    let cleanText = html;
+    cleanText = normalizeUnicode(cleanText);
+    cleanText = removeBoilerplate(cleanText);
+    cleanText = removeVideoContent(cleanText);
+    cleanText = cleanHtmlWithDOM(cleanText);
+    cleanText = decodeHtmlEntities(cleanText);
+    cleanText = removeMarkdownFormatting(cleanText);
+    cleanText = normalizeSpecialChars(cleanText);
+    cleanText = normalizeWhitespace(cleanText);
+    const wordCount = cleanText.split(/\s+/).filter(word => word.length > 0).length;
     return {
       url,
-      title: cleanTitle(title),
-      content: content.trim(),
+      title: generateTitleFromUrl(url),
+      content: cleanText,
       wordCount,
-      qualityScore,
-      source: 'html',
-      extractionMethod: extractionResult.method,
-      extractionReason: extractionResult.reason
+      qualityScore: 1.0,
+      source: 'plain-text',
+      extractionMethod: 'plain-text',
+      extractionReason: 'plain-text-file'
     };
-  } catch (error) {
-    throw new Error(`Failed to fetch and clean ${url}: ${error.message}`);
   }
+
+  // Parse HTML with JSDOM and extract content
+  const doc = await getDocumentFromHtml(html, url);
+  // Extract title
+  let title = '';
+  const titleElement = doc.querySelector('title, h1');
+  if (titleElement) {
+    title = titleElement.textContent.trim();
+  }
+  const genericTitle = /^(|untitled document|index|home|get(ting)? started)$/i;
+  if (!title || genericTitle.test(title)) {
+    title = generateTitleFromUrl(url);
+  }
+  // Extract content using extractContent (Defuddle with fallback)
+  const extractionResult = extractContent(doc, url);
+  let content = extractionResult.content;
+  let wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+  // Apply cleaning pipeline in logical order
+  content = normalizeUnicode(content);
+  content = removeBoilerplate(content);
+  content = removeVideoContent(content);
+  content = cleanHtmlWithDOM(content);
+  content = decodeHtmlEntities(content);
+  content = removeMarkdownFormatting(content);
+  content = normalizeSpecialChars(content);
+  content = normalizeWhitespace(content);
+  wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+  // Assess quality
+  const qualityAssessment = assessContentQuality(content, {
+    minLength: 30,
+    requireTechnical: false
+  });
+  const qualityScore = qualityAssessment.overallScore;
+  // Quality check
+  if (qualityScore < qualityThreshold) {
+    throw createFetchError('quality-filtered', `Content quality too low: ${qualityScore.toFixed(2)} < ${qualityThreshold}`);
+  }
+  return {
+    url,
+    title: cleanTitle(title),
+    content: content.trim(),
+    wordCount,
+    qualityScore,
+    source: 'html',
+    extractionMethod: extractionResult.method,
+    extractionReason: extractionResult.reason
+  };
 }
 
 /**
@@ -417,7 +437,7 @@ export async function fetchAndClean(url, options = {}) {
 export async function batchFetchAndClean(urls, options = {}) {
   const {
     concurrency = 5,
-    qualityThreshold = 0.2,
+    qualityThreshold = DEFAULT_QUALITY_THRESHOLD,
     onProgress = () => {},
     onError = () => {},
     onQualityFilter = () => {}
@@ -434,11 +454,9 @@ export async function batchFetchAndClean(urls, options = {}) {
     successful: 0,
     failed: 0,
     qualityFiltered: 0,
-    httpErrors: {
-      404: 0,
-      500: 0,
-      other: 0
-    },
+    // Failures per fetch-errors.js category, and per status for HTTP errors
+    errorCategories: {},
+    httpErrors: {},
     extractionMethods: {},
     extractionReasons: {},
     qualityScores: [],
@@ -457,21 +475,19 @@ export async function batchFetchAndClean(urls, options = {}) {
       completed++;
       onProgress(completed, urls.length, url, result.qualityScore);
     } catch (error) {
-      if (error.message.includes('Content quality too low')) {
+      const { category, status } = classifyFetchError(error);
+      if (category === 'quality-filtered') {
         metrics.qualityFiltered++;
         const qualityScore = 0.1;
         qualityFiltered.push({ url, error: error.message, qualityScore });
         onQualityFilter(url, qualityScore, error.message);
       } else {
         metrics.failed++;
-        if (error.message.includes('HTTP 404')) {
-          metrics.httpErrors[404]++;
-        } else if (error.message.includes('HTTP 500')) {
-          metrics.httpErrors[500]++;
-        } else if (error.message.includes('HTTP')) {
-          metrics.httpErrors.other++;
+        metrics.errorCategories[category] = (metrics.errorCategories[category] || 0) + 1;
+        if (status) {
+          metrics.httpErrors[status] = (metrics.httpErrors[status] || 0) + 1;
         }
-        errors.push({ url, error: error.message });
+        errors.push({ url, error: error.message, category, ...(status && { status }) });
         onError(url, error);
       }
       completed++;
@@ -601,19 +617,14 @@ export function generateParsingReport(batchResults) {
   if (errors.length > 0) {
     report += '❌ ERROR ANALYSIS\n';
     report += '-'.repeat(30) + '\n';
-    const errorTypes = {};
-    errors.forEach(error => {
-      const errorType = error.error.includes('HTTP 404') ? '404 Not Found' :
-                       error.error.includes('HTTP 500') ? '500 Server Error' :
-                       error.error.includes('HTTP') ? 'Other HTTP Error' :
-                       error.error.includes('timeout') ? 'Timeout' :
-                       error.error.includes('network') ? 'Network Error' :
-                       'Other Error';
-      errorTypes[errorType] = (errorTypes[errorType] || 0) + 1;
+    const { byCategory, byStatus, transient } = summarizeFetchErrors(errors);
+    Object.entries(byCategory).forEach(([category, count]) => {
+      report += `${category}: ${count}\n`;
     });
-    Object.entries(errorTypes).forEach(([type, count]) => {
-      report += `${type}: ${count}\n`;
+    Object.entries(byStatus).forEach(([status, count]) => {
+      report += `  HTTP ${status}: ${count}\n`;
     });
+    report += `Transient (worth retrying): ${transient}\n`;
     report += '\n';
   }
   // Performance Summary
@@ -642,20 +653,48 @@ export function generateLLMsTxt(documents, options = {}, qualityFiltered = []) {
     includeMetadata = true,
     includeQualityScores = false,
     sortByQuality = true,
+    sortByImportance = false,
+    sortByNavigation = false,
     maxDocuments = null,
-    includeQualityDisclaimer = true
+    includeQualityDisclaimer = true,
+    collapseNearDuplicates = false
   } = options;
 
   if (!Array.isArray(documents) || documents.length === 0) {
     throw new Error('No documents provided for llms.txt generation');
   }
 
-  // Sort by quality if requested
+  // Sort by each site's sidebar order (sites keep their input order, unlisted pages go last),
+  // by link importance (quality breaks ties) or by quality alone
   let sortedDocs = [...documents];
-  if (sortByQuality) {
+  if (sortByNavigation) {
+    const siteRank = new Map();
+    for (const doc of documents) {
+      if (!siteRank.has(doc.siteKey)) siteRank.set(doc.siteKey, siteRank.size);
+    }
+    const navOrderOf = (doc) => (Number.isInteger(doc.navOrder) ? doc.navOrder : Infinity);
+    sortedDocs.sort((a, b) =>
+      siteRank.get(a.siteKey) - siteRank.get(b.siteKey) ||
+      (navOrderOf(a) - navOrderOf(b) || 0) ||
+      (b.importance || 0) - (a.importance || 0) ||
+      (b.qualityScore || 0) - (a.qualityScore || 0)
+    );
+  } else if (sortByImportance) {
+    sortedDocs.sort((a, b) =>
+      (b.importance || 0) - (a.importance || 0) || (b.qualityScore || 0) - (a.qualityScore || 0)
+    );
+  } else if (sortByQuality) {
     sortedDocs.sort((a, b) => (b.qualityScore || 0) - (a.qualityScore || 0));
   }
 
+  // Keep only the best-ranked document of each near-duplicate cluster
+  let nearDuplicates = [];
+  if (collapseNearDuplicates) {
+    const collapsed = collapseNearDuplicateDocuments(sortedDocs);
+    sortedDocs = collapsed.documents;
+    nearDuplicates = collapsed.collapsed;
+  }
+
   // Limit documents if specified
   if (maxDocuments && maxDocuments > 0) {
     sortedDocs = sortedDocs.slice(0, maxDocuments);
@@ -701,6 +740,16 @@ export function generateLLMsTxt(documents, options = {}, qualityFiltered = []) {
     llmsContent += '\n';
   }
 
+  // List near-duplicates that were left out in favour of another document
+  if (nearDuplicates.length > 0) {
+    llmsContent += '### Excluded Documents (Near-Duplicates)\n\n';
+    for (let i = 0; i < nearDuplicates.length; i++) {
+      const { document, keptDocument } = nearDuplicates[i];
+      llmsContent += `${i + 1}. ${document.url} (duplicate of ${keptDocument.url})\n`;
+    }
+    llmsContent += '\n';
+  }
+
   llmsContent += '---\n\n';
 
   // Process each document
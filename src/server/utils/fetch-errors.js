@@ -0,0 +1,150 @@
+/**
+ * Fetch Errors
+ * Shared taxonomy for failed page fetches, so the crawler, the defuddle fetch pipeline and
+ * crawl reports count failures the same way and can tell transient failures from permanent ones
+ */
+
+// Every category a failed or rejected page is counted under
+export const FETCH_ERROR_CATEGORIES = [
+  'timeout',
+  'dns',
+  'connection',
+  'http-4xx',
+  'http-5xx',
+  'too-large',
+  'unsupported-content-type',
+  'parse',
+  'soft-404',
+  'quality-filtered',
+  'other'
+];
+
+// Categories worth fetching again later; HTTP errors are decided by status code
+const TRANSIENT_CATEGORIES = new Set(['timeout', 'dns', 'connection']);
+
+// 4xx codes that mean "try again later" rather than "this page is gone"
+const TRANSIENT_STATUSES = new Set([408, 425, 429]);
+
+const DNS_CODES = new Set(['ENOTFOUND', 'EAI_AGAIN', 'EAI_NONAME', 'EAI_FAIL']);
+const CONNECTION_CODES = new Set([
+  'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ECONNABORTED',
+  'UND_ERR_SOCKET', 'UND_ERR_CLOSED', 'ConnectionRefused', 'ConnectionClosed', 'FailedToOpenSocket'
+]);
+
+// Codes set by safe-fetch's readBodyWithLimit
+const BODY_CODES = {
+  'too-large': 'too-large',
+  'compression-bomb': 'too-large',
+  'unsupported-content-type': 'unsupported-content-type'
+};
+
+/**
+ * Category for an HTTP error status
+ */
+function httpCategory(status) {
+  return status >= 500 ? 'http-5xx' : 'http-4xx';
+}
+
+/**
+ * Whether a failure is worth retrying on a later crawl
+ * @param {string} category - Error category
+ * @param {number|null} [status] - HTTP status for http-4xx/http-5xx
+ * @returns {boolean} True for timeouts, DNS and connection failures, 5xx and 408/425/429
+ */
+export function isTransientFailure(category, status = null) {
+  if (category === 'http-5xx') return true;
+  if (category === 'http-4xx') return TRANSIENT_STATUSES.has(status);
+  return TRANSIENT_CATEGORIES.has(category);
+}
+
+/**
+ * Create an error carrying its category
+ * @param {string} category - One of FETCH_ERROR_CATEGORIES
+ * @param {string} message - Error message
+ * @param {Object} [details] - Extra fields
+ * @param {number} [details.status] - HTTP status
+ * @param {Error} [details.cause] - Underlying error
+ * @returns {Error} Error with `category`, `status` and `transient` set
+ */
+export function createFetchError(category, message, { status = null, cause } = {}) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.category = category;
+  error.status = status;
+  error.transient = isTransientFailure(category, status);
+  return error;
+}
+
+/**
+ * Error for a non-2xx response
+ * @param {number} status - HTTP status
+ * @param {string} [statusText] - Reason phrase
+ */
+export function createHttpError(status, statusText = '') {
+  return createFetchError(httpCategory(status), `HTTP ${status}${statusText ? `: ${statusText}` : ''}`, { status });
+}
+
+/**
+ * Work out the category of any error thrown while fetching or parsing a page
+ * Errors from createFetchError keep their category; fetch, socket and body-limit errors
+ * are recognised by name and code, and anything else by its message
+ * @param {Error|string} error - Thrown error or recorded error message
+ * @returns {{ category: string, status: number|null, transient: boolean }} Classification
+ */
+export function classifyFetchError(error) {
+  const result = (category, status = null) => ({ category, status, transient: isTransientFailure(category, status) });
+
+  if (error && typeof error === 'object') {
+    if (error.category) return result(error.category, error.status ?? null);
+    if (BODY_CODES[error.code]) return result(BODY_CODES[error.code]);
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') return result('timeout');
+
+    const code = error.cause?.code || error.code;
+    if (DNS_CODES.has(code)) return result('dns');
+    if (code === 'ETIMEDOUT' || code === 'UND_ERR_CONNECT_TIMEOUT' || code === 'UND_ERR_HEADERS_TIMEOUT') return result('timeout');
+    if (CONNECTION_CODES.has(code)) return result('connection');
+  }
+
+  const message = typeof error === 'string' ? error : error?.message || '';
+  const status = message.match(/\bHTTP (\d{3})\b/);
+  if (status) return result(httpCategory(Number(status[1])), Number(status[1]));
+  if (/timed? ?out|timeout|aborted/i.test(message)) return result('timeout');
+  if (/ENOTFOUND|EAI_AGAIN|getaddrinfo/i.test(message)) return result('dns');
+  if (/ECONNREFUSED|ECONNRESET|socket|network|fetch failed|failed to fetch|unable to connect/i.test(message)) return result('connection');
+  if (/exceeds the .* limit|inflated past/i.test(message)) return result('too-large');
+  if (/unsupported content type/i.test(message)) return result('unsupported-content-type');
+  if (/quality too low|quality filter/i.test(message)) return result('quality-filtered');
+  if (/soft 404|404 page/i.test(message)) return result('soft-404');
+  if (/parse|extract/i.test(message)) return result('parse');
+  return result('other');
+}
+
+/**
+ * Make sure an error carries its category, wrapping it when it doesn't
+ * @param {Error} error - Any error thrown while fetching a page
+ * @returns {Error} The same error if already categorized, else a categorized error with it as cause
+ */
+export function toFetchError(error) {
+  if (error?.category) return error;
+  const { category, status } = classifyFetchError(error);
+  return createFetchError(category, error?.message || String(error), { status, cause: error });
+}
+
+/**
+ * Count failures per category and per HTTP status
+ * @param {Array<Object>} failures - Entries with `category` (and `status` for HTTP errors);
+ *   entries with only an `error` message are classified from it
+ * @returns {{ total: number, byCategory: Object, byStatus: Object, transient: number }} Counts
+ */
+export function summarizeFetchErrors(failures = []) {
+  const summary = { total: 0, byCategory: {}, byStatus: {}, transient: 0 };
+  for (const failure of failures) {
+    const { category, status, transient } = failure.category
+      ? { category: failure.category, status: failure.status ?? null, transient: isTransientFailure(failure.category, failure.status) }
+      : classifyFetchError(failure.error);
+    summary.total++;
+    summary.byCategory[category] = (summary.byCategory[category] || 0) + 1;
+    if (status) summary.byStatus[status] = (summary.byStatus[status] || 0) + 1;
+    if (transient) summary.transient++;
+  }
+  return summary;
+}
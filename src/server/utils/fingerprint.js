@@ -0,0 +1,347 @@
+/**
+ * Near-Duplicate Detection
+ * 64-bit SimHash fingerprints over word shingles, and clustering of pages whose
+ * fingerprints are close and whose shingles overlap (mirrored docs, copied guides)
+ */
+
+// Words per shingle; 3-grams are robust to small edits while still capturing phrasing
+const SHINGLE_SIZE = 3;
+
+// Pages with fewer shingles than this are too short to fingerprint reliably
+const MIN_SHINGLES = 20;
+
+// Fingerprints differing in at most this many bits are treated as near-duplicates
+export const DEFAULT_DUPLICATE_THRESHOLD = 3;
+
+// Wider SimHash radius for candidate pairs that are then confirmed by shingle overlap;
+// reformatted mirrors of the same page typically land 10-15 bits apart
+const CANDIDATE_THRESHOLD = 16;
+
+// MinHash banding used to find candidate pairs for shingle comparison without comparing every pair
+const MINHASH_BANDS = 40;
+const MINHASH_ROWS = 3;
+
+// Minimum Jaccard similarity of shingle sets for a candidate pair to count as a duplicate
+export const DEFAULT_MIN_SIMILARITY = 0.55;
+
+/**
+ * 32-bit FNV-1a hash of a string with a configurable offset basis
+ * @param {string} text - Input text
+ * @param {number} seed - Offset basis
+ * @returns {number} Unsigned 32-bit hash
+ */
+function fnv1a32(text, seed) {
+  let hash = seed;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Count of set bits in an unsigned 32-bit integer
+ */
+function popcount32(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+/**
+ * Split content into lowercase word shingles with occurrence counts
+ * @param {string} content - Page text
+ * @returns {Map<string, number>} Shingle weights
+ */
+function getShingles(content) {
+  const words = (content || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  const shingles = new Map();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const shingle = words.slice(i, i + SHINGLE_SIZE).join(' ');
+    shingles.set(shingle, (shingles.get(shingle) || 0) + 1);
+  }
+  return shingles;
+}
+
+/**
+ * Jaccard similarity of two shingle maps
+ */
+function jaccard(a, b) {
+  let shared = 0;
+  for (const shingle of a.keys()) {
+    if (b.has(shingle)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union === 0 ? 0 : shared / union;
+}
+
+/**
+ * Compute a 64-bit SimHash fingerprint for page content
+ * @param {string} content - Page text
+ * @returns {string|null} 16-character hex fingerprint, or null for content too short to compare
+ */
+export function computeFingerprint(content) {
+  const shingles = getShingles(content);
+  if (shingles.size < MIN_SHINGLES) {
+    return null;
+  }
+
+  // One weight vector per 32-bit half; two differently seeded hashes make up 64 bits
+  const high = new Array(32).fill(0);
+  const low = new Array(32).fill(0);
+
+  for (const [shingle, weight] of shingles) {
+    const h1 = fnv1a32(shingle, 0x811c9dc5);
+    const h2 = fnv1a32(shingle, 0x050c5d1f);
+    for (let bit = 0; bit < 32; bit++) {
+      high[bit] += (h1 >>> bit) & 1 ? weight : -weight;
+      low[bit] += (h2 >>> bit) & 1 ? weight : -weight;
+    }
+  }
+
+  const toWord = (vector) => vector.reduce((word, value, bit) => (value > 0 ? word | (1 << bit) : word), 0) >>> 0;
+  return toWord(high).toString(16).padStart(8, '0') + toWord(low).toString(16).padStart(8, '0');
+}
+
+/**
+ * Number of differing bits between two fingerprints
+ * @param {string} a - Hex fingerprint
+ * @param {string} b - Hex fingerprint
+ * @returns {number} Hamming distance (0-64)
+ */
+export function hammingDistance(a, b) {
+  const highA = parseInt(a.slice(0, 8), 16);
+  const lowA = parseInt(a.slice(8), 16);
+  const highB = parseInt(b.slice(0, 8), 16);
+  const lowB = parseInt(b.slice(8), 16);
+  return popcount32((highA ^ highB) >>> 0) + popcount32((lowA ^ lowB) >>> 0);
+}
+
+/**
+ * Split a hex fingerprint into `threshold + 1` contiguous bands, keyed by position
+ * Two fingerprints within `threshold` bits differ in at most that many bands, so they share one
+ * @param {string} fingerprint - Hex fingerprint
+ * @param {number} threshold - Hamming distance the bands must cover (up to 15)
+ * @returns {Array<string>} Band keys
+ */
+function fingerprintBands(fingerprint, threshold) {
+  const count = Math.min(Math.max(threshold, 0) + 1, fingerprint.length);
+  const bands = [];
+  for (let band = 0; band < count; band++) {
+    const start = Math.floor((band * fingerprint.length) / count);
+    const end = Math.floor(((band + 1) * fingerprint.length) / count);
+    bands.push(`${band}:${fingerprint.slice(start, end)}`);
+  }
+  return bands;
+}
+
+/**
+ * MinHash signature of a shingle set, cut into bands, keyed by position
+ * With 40 bands of 3 rows, pairs at the default similarity (0.55) share a band all but about
+ * 1 time in 1,400 and pairs at 0.7 or more practically always; unrelated pages (under 0.1) rarely do
+ * @param {Map<string, number>} shingles - Shingle weights
+ * @returns {Array<string>} Band keys (none for an empty set)
+ */
+function minHashBands(shingles) {
+  if (shingles.size === 0) return [];
+  const signature = new Uint32Array(MINHASH_BANDS * MINHASH_ROWS).fill(0xffffffff);
+  for (const shingle of shingles.keys()) {
+    const hash = fnv1a32(shingle, 0x811c9dc5);
+    for (let row = 0; row < signature.length; row++) {
+      // Cheap per-row hash: mix the shingle hash with a row seed (murmur3 finalizer)
+      let value = Math.imul(hash ^ Math.imul(row + 1, 0x27d4eb2d), 0x9e3779b1);
+      value ^= value >>> 15;
+      value = Math.imul(value, 0x85ebca6b);
+      value ^= value >>> 13;
+      value >>>= 0;
+      if (value < signature[row]) signature[row] = value;
+    }
+  }
+  const bands = [];
+  for (let band = 0; band < MINHASH_BANDS; band++) {
+    const rows = signature.subarray(band * MINHASH_ROWS, (band + 1) * MINHASH_ROWS);
+    bands.push(`${band}:${rows.join(',')}`);
+  }
+  return bands;
+}
+
+/**
+ * Group pages into near-duplicate clusters
+ * Fingerprints within `threshold` bits are duplicates outright; pairs within a wider radius
+ * are confirmed by comparing shingle sets when both pages still have their content.
+ * Only pairs sharing a fingerprint or MinHash band are compared, so this scales with the index.
+ * Each cluster's representative is its longest page (the earliest one on ties), so
+ * content listed first - e.g. the original site ahead of a mirror - wins
+ * @param {Array<Object>} pages - Page entries with fingerprint and/or content
+ * @param {Object} [options] - Clustering options
+ * @param {number} [options.threshold] - Hamming distance at or below which pages are duplicates
+ * @param {number} [options.minSimilarity] - Shingle Jaccard similarity confirming a wider candidate pair
+ * @returns {Array<Object>} Clusters of { id, representative, members } (only clusters with 2+ pages)
+ */
+export function clusterNearDuplicates(pages, options = {}) {
+  const {
+    threshold = DEFAULT_DUPLICATE_THRESHOLD,
+    minSimilarity = DEFAULT_MIN_SIMILARITY
+  } = options;
+
+  const candidates = pages
+    .map((page, index) => ({ page, index, fingerprint: page.fingerprint || computeFingerprint(page.content) }))
+    .filter(candidate => candidate.fingerprint)
+    .map(candidate => ({
+      ...candidate,
+      high: parseInt(candidate.fingerprint.slice(0, 8), 16),
+      low: parseInt(candidate.fingerprint.slice(8), 16)
+    }));
+
+  // Shingle sets are only built for pages that can be confirmed by overlap
+  const shingleCache = new Map();
+  const shinglesOf = (candidate) => {
+    if (!shingleCache.has(candidate)) {
+      shingleCache.set(candidate, getShingles(candidate.page.content));
+    }
+    return shingleCache.get(candidate);
+  };
+
+  const isDuplicate = (a, b) => {
+    const distance = popcount32((a.high ^ b.high) >>> 0) + popcount32((a.low ^ b.low) >>> 0);
+    if (distance <= threshold) return true;
+    if (distance > Math.max(threshold, CANDIDATE_THRESHOLD) || !a.page.content || !b.page.content) return false;
+    const sizeA = shinglesOf(a).size;
+    const sizeB = shinglesOf(b).size;
+    // Jaccard can't exceed the ratio of the set sizes, so pages of very different length never match
+    if (Math.min(sizeA, sizeB) < minSimilarity * Math.max(sizeA, sizeB)) return false;
+    return jaccard(shinglesOf(a), shinglesOf(b)) >= minSimilarity;
+  };
+
+  // Union-find over candidate pairs only: pages sharing a fingerprint band (every pair within
+  // `threshold` bits shares one) or a MinHash band of their shingles (pairs worth confirming)
+  const parent = candidates.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const buckets = new Map();
+  const addToBucket = (key, i) => {
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(i);
+  };
+  candidates.forEach((candidate, i) => {
+    for (const band of fingerprintBands(candidate.fingerprint, threshold)) {
+      addToBucket(`f${band}`, i);
+    }
+    if (candidate.page.content) {
+      for (const band of minHashBands(shinglesOf(candidate))) {
+        addToBucket(`m${band}`, i);
+      }
+    }
+  });
+
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const i = members[a];
+        const j = members[b];
+        const pair = i * candidates.length + j;
+        if (compared.has(pair) || find(i) === find(j)) continue;
+        compared.add(pair);
+        if (isDuplicate(candidates[i], candidates[j])) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  candidates.forEach((candidate, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(candidate);
+  });
+
+  const clusters = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+
+    const representative = members.reduce((best, candidate) =>
+      (candidate.page.estimatedWords || 0) > (best.page.estimatedWords || 0) ? candidate : best
+    );
+
+    clusters.push({
+      id: `dup-${representative.fingerprint}`,
+      representative: representative.page,
+      members: members.map(member => member.page)
+    });
+  }
+
+  return clusters;
+}
+
+/**
+ * Stamp fingerprints and cluster membership onto index pages
+ * Pages in a cluster get clusterId; all but the representative also get duplicateOf (its URL).
+ * Stale cluster fields from earlier runs are cleared first.
+ * @param {Array<Object>} pages - Page entries (mutated in place)
+ * @param {Object} [options] - Clustering options (see clusterNearDuplicates)
+ * @returns {Array<Object>} The clusters that were found
+ */
+export function assignDuplicateClusters(pages, options = {}) {
+  for (const page of pages) {
+    delete page.clusterId;
+    delete page.duplicateOf;
+    if (!page.fingerprint && page.content) {
+      const fingerprint = computeFingerprint(page.content);
+      if (fingerprint) page.fingerprint = fingerprint;
+    }
+  }
+
+  // Tombstoned pages are on their way out and must not hide a live copy
+  const clusters = clusterNearDuplicates(pages.filter(page => !page.tombstonedAt), options);
+  for (const cluster of clusters) {
+    for (const page of cluster.members) {
+      page.clusterId = cluster.id;
+      if (page !== cluster.representative) {
+        page.duplicateOf = cluster.representative.url;
+      }
+    }
+  }
+
+  return clusters;
+}
+
+/**
+ * Keep one document per near-duplicate cluster, preserving order
+ * Documents carrying a clusterId (from the index) use it; others are fingerprinted from content
+ * @param {Array<Object>} documents - Documents in preference order (best first)
+ * @param {Object} [options] - Clustering options (see clusterNearDuplicates)
+ * @returns {Object} { documents, collapsed } where collapsed lists { document, keptDocument } pairs
+ */
+export function collapseNearDuplicateDocuments(documents, options = {}) {
+  const clusterByDocument = new Map();
+
+  const unlabeled = documents.filter(doc => !doc.clusterId);
+  for (const cluster of clusterNearDuplicates(unlabeled, options)) {
+    for (const member of cluster.members) {
+      clusterByDocument.set(member, cluster.id);
+    }
+  }
+
+  const kept = [];
+  const collapsed = [];
+  const keptByCluster = new Map();
+
+  for (const doc of documents) {
+    const clusterId = doc.clusterId || clusterByDocument.get(doc);
+    if (clusterId && keptByCluster.has(clusterId)) {
+      collapsed.push({ document: doc, keptDocument: keptByCluster.get(clusterId) });
+      continue;
+    }
+    if (clusterId) keptByCluster.set(clusterId, doc);
+    kept.push(doc);
+  }
+
+  return { documents: kept, collapsed };
+}
@@ -0,0 +1,146 @@
+/**
+ * Inspect Report
+ * Renders an `inspect <url>` result as a standalone HTML page: every extraction stage,
+ * with the original page and the extracted content side by side
+ */
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatNumber(value) {
+  return Number(value || 0).toLocaleString('en-US');
+}
+
+function row(label, value, status = '') {
+  return `<tr class="${status}"><th>${escapeHtml(label)}</th><td>${value}</td></tr>`;
+}
+
+/**
+ * Stage rows for the extraction trace
+ */
+function renderStages(pipeline) {
+  const { trace } = pipeline;
+  const rows = [
+    row('Fetch', `HTTP ${pipeline.status}, ${escapeHtml(pipeline.contentType || 'no content type')}, ${formatNumber(pipeline.bytes)} bytes`)
+  ];
+  if (!trace) {
+    return rows;
+  }
+
+  if (trace.plainText) {
+    rows.push(row('Plain text', `${formatNumber(trace.final.words)} words`));
+  } else {
+    const { defuddle, fallback } = trace;
+    rows.push(row('Parsed HTML', `${formatNumber(trace.htmlLength)} characters`));
+    rows.push(row(
+      'Defuddle',
+      defuddle.success
+        ? `${formatNumber(defuddle.words)} words, ${formatNumber(defuddle.characters)} characters (${escapeHtml(defuddle.extractorType || 'default')} extractor)`
+        : `failed${defuddle.error ? `: ${escapeHtml(defuddle.error)}` : ''}`,
+      defuddle.success ? '' : 'warn'
+    ));
+    for (const selector of trace.selectors) {
+      const picked = fallback.triggered && fallback.selector === selector.selector;
+      rows.push(row(
+        `Selector ${selector.selector}`,
+        selector.matched
+          ? `${formatNumber(selector.words)} words, ${formatNumber(selector.characters)} characters${picked ? ` (fallback pick${fallback.used ? ', used' : ', Defuddle kept'})` : ''}`
+          : selector.error ? `invalid: ${escapeHtml(selector.error)}` : 'no match',
+        selector.matched ? '' : 'warn'
+      ));
+    }
+    rows.push(row('Before filters', `${formatNumber(trace.beforeFilters.words)} words, ${formatNumber(trace.beforeFilters.characters)} characters`));
+    for (const filter of trace.filters) {
+      rows.push(row(`Filter ${filter.rule}`, `${formatNumber(filter.removed)} characters removed`));
+    }
+    rows.push(row('Final content', `${formatNumber(trace.final.words)} words, ${formatNumber(trace.final.characters)} characters (minWordCount ${trace.minWordCount})`,
+      trace.final.words < trace.minWordCount ? 'bad' : ''));
+    rows.push(row('404 check', trace.is404 ? 'looks like a 404 page' : 'not a 404 page', trace.is404 ? 'bad' : ''));
+  }
+
+  const { llms } = pipeline;
+  if (llms?.error) {
+    rows.push(row('llms.txt cleaning', `failed: ${escapeHtml(llms.error)}`, 'bad'));
+  } else if (llms) {
+    // Plain-text files get a fixed score without an assessment
+    const breakdown = llms.quality
+      ? ` ${escapeHtml(llms.quality.qualityLevel || '')} - ` + ['readability', 'completeness', 'technicalRelevance', 'structure']
+        .map(metric => `${metric} ${(llms.quality.details[metric] ?? 0).toFixed(2)}`)
+        .join(', ')
+      : ' (plain text, not assessed)';
+    rows.push(row(
+      'Quality score',
+      `${llms.qualityScore.toFixed(2)}${breakdown}; threshold ${llms.threshold}, ${formatNumber(llms.words)} words after llms.txt cleaning`,
+      llms.kept ? '' : 'bad'
+    ));
+  }
+  return rows;
+}
+
+/**
+ * Render an inspection as HTML
+ * @param {Object} inspection - Result built by the inspect command
+ * @param {Object} [options] - Render options
+ * @param {string} [options.html] - Raw response body, shown in a sandboxed frame (no scripts run)
+ * @returns {string} HTML document
+ */
+export function renderInspectionReport(inspection, { html = '' } = {}) {
+  const { pipeline } = inspection;
+  const outcome = pipeline?.error
+    ? `fetch failed: ${pipeline.error}`
+    : { indexed: `indexed as "${pipeline.title}"`, 'not-found': 'dropped as a 404 page', 'too-short': 'dropped: below minWordCount' }[pipeline.outcome];
+  // A base element makes relative stylesheets and images resolve against the page's own URL
+  const base = `<base href="${escapeHtml(pipeline?.finalUrl || inspection.url)}">`;
+  const frameDocument = !html ? '' : /<head[^>]*>/i.test(html) ? html.replace(/<head[^>]*>/i, (head) => head + base) : base + html;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Inspect ${escapeHtml(inspection.url)}</title>
+<style>
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 0; color: #1f2328; }
+  header, section { padding: 12px 20px; }
+  h1 { font-size: 16px; margin: 0 0 4px; word-break: break-all; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #d0d7de; vertical-align: top; }
+  th { width: 240px; font-weight: 600; word-break: break-all; }
+  tr.warn td { color: #9a6700; }
+  tr.bad td { color: #cf222e; }
+  .panes { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; padding: 0 20px 20px; height: 80vh; }
+  .panes > div { display: flex; flex-direction: column; min-height: 0; }
+  .panes h2 { font-size: 14px; margin: 0 0 6px; }
+  iframe, pre { flex: 1; border: 1px solid #d0d7de; margin: 0; }
+  pre { overflow: auto; padding: 8px; white-space: pre-wrap; font-size: 13px; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(inspection.url)}</h1>
+  <div>Site <strong>${escapeHtml(inspection.siteKey)}</strong> (${escapeHtml(inspection.name)}) - ${escapeHtml(outcome)}</div>
+  <div>Scope: ${escapeHtml(inspection.rejection === null ? 'in scope' : `rejected: ${inspection.rejection}`)}, depth ${inspection.depth} (limit ${inspection.depthLimit}), robots.txt ${inspection.robotsAllowed ? 'allows' : 'disallows'} it</div>
+</header>
+<section>
+  <table>
+${pipeline?.error ? '' : renderStages(pipeline).map(line => `    ${line}`).join('\n')}
+  </table>
+</section>
+<div class="panes">
+  <div>
+    <h2>Original page</h2>
+    <iframe sandbox="" srcdoc="${escapeHtml(frameDocument)}" title="Original page"></iframe>
+  </div>
+  <div>
+    <h2>Extracted content${pipeline?.trace?.final ? ` (${formatNumber(pipeline.trace.final.words)} words)` : ''}</h2>
+    <pre>${escapeHtml(pipeline?.content || '')}</pre>
+  </div>
+</div>
+</body>
+</html>
+`;
+}
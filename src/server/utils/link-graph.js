@@ -0,0 +1,111 @@
+/**
+ * Internal Link Graph
+ * Builds a site's page-to-page link graph from the outbound links stored on each page,
+ * scores pages by PageRank and reports orphaned, weakly linked and broken-link pages
+ */
+
+// PageRank damping factor: chance a reader follows a link rather than jumping anywhere
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-8;
+
+// Pages with at most this many linking pages count as weakly linked
+const WEAK_LINK_THRESHOLD = 1;
+
+/**
+ * PageRank over an adjacency list; pages without outbound links spread their rank evenly
+ * @param {Array<Array<number>>} outbound - Target node indexes per node
+ * @returns {Array<number>} Rank per node (sums to 1)
+ */
+export function computePageRank(outbound) {
+  const count = outbound.length;
+  if (count === 0) return [];
+
+  let ranks = new Array(count).fill(1 / count);
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const danglingRank = ranks.reduce((sum, rank, node) => (outbound[node].length === 0 ? sum + rank : sum), 0);
+    const base = (1 - DAMPING) / count + (DAMPING * danglingRank) / count;
+    const next = new Array(count).fill(base);
+
+    for (let node = 0; node < count; node++) {
+      const targets = outbound[node];
+      for (const target of targets) {
+        next[target] += (DAMPING * ranks[node]) / targets.length;
+      }
+    }
+
+    const delta = next.reduce((sum, rank, node) => sum + Math.abs(rank - ranks[node]), 0);
+    ranks = next;
+    if (delta < TOLERANCE) break;
+  }
+  return ranks;
+}
+
+/**
+ * Analyze a site's link graph and stamp link metrics onto its pages
+ * Pages get inboundLinks (number of distinct linking pages) and importance (PageRank scaled
+ * so the top page is 1). Links to a page's aliases count as links to the page.
+ * @param {Array<Object>} pages - Page entries with outboundLinks (mutated in place)
+ * @param {Object} options - Analysis options
+ * @param {Function} options.keyOf - (url) => canonical key used to match links to pages
+ * @param {Map<string, number>} [options.brokenUrls] - Canonical key -> HTTP status of internal URLs known to be missing
+ * @returns {Object} { edges, orphans, weaklyLinked, brokenLinks }
+ */
+export function analyzeLinkGraph(pages, { keyOf, brokenUrls = new Map() }) {
+  const livePages = pages.filter(page => !page.tombstonedAt);
+  const nodeByKey = new Map();
+  livePages.forEach((page, index) => {
+    for (const url of [page.url, ...(page.aliases || [])]) {
+      const key = keyOf(url);
+      if (key && !nodeByKey.has(key)) nodeByKey.set(key, index);
+    }
+  });
+
+  // Tombstoned pages are gone upstream, so links to them are broken too
+  const missing = new Map(brokenUrls);
+  for (const page of pages) {
+    if (page.tombstonedAt) missing.set(keyOf(page.url), 404);
+  }
+
+  const outbound = livePages.map(() => []);
+  const inbound = livePages.map(() => 0);
+  const brokenLinks = [];
+  let edges = 0;
+
+  livePages.forEach((page, index) => {
+    const targets = new Set();
+    for (const link of page.outboundLinks || []) {
+      const key = keyOf(link);
+      if (nodeByKey.has(key)) {
+        const target = nodeByKey.get(key);
+        if (target !== index) targets.add(target);
+      } else if (missing.has(key)) {
+        brokenLinks.push({ from: page.url, to: link, status: missing.get(key) });
+      }
+    }
+    for (const target of targets) {
+      outbound[index].push(target);
+      inbound[target]++;
+      edges++;
+    }
+  });
+
+  const ranks = computePageRank(outbound);
+  const topRank = Math.max(...ranks, 0);
+
+  const orphans = [];
+  const weaklyLinked = [];
+  livePages.forEach((page, index) => {
+    page.inboundLinks = inbound[index];
+    page.importance = topRank > 0 ? Math.round((ranks[index] / topRank) * 10000) / 10000 : 0;
+
+    // Seeds are reached by configuration, so only discovered pages can be orphans
+    if (inbound[index] === 0 && page.discoverySource !== 'seed') {
+      orphans.push(page.url);
+    } else if (inbound[index] > 0 && inbound[index] <= WEAK_LINK_THRESHOLD) {
+      weaklyLinked.push(page.url);
+    }
+  });
+
+  return { edges, orphans, weaklyLinked, brokenLinks };
+}
@@ -0,0 +1,206 @@
+/**
+ * Navigation Hierarchy
+ * Reads a docs site's sidebar into an ordered table of contents so pages can carry the
+ * section path, position and category the site itself gives them
+ */
+
+// Sidebar containers by platform, tried in order after a site's own selectors.navigation
+const NAV_SELECTORS = [
+  'nav.md-nav--primary', // MkDocs Material (HyperBEAM)
+  '#VPSidebarNav, .VPSidebar nav', // VitePress (AO cookbook)
+  'nav.vocs_Sidebar, .vocs_Sidebar', // Vocs (WAO)
+  'aside nav, nav[aria-label*="sidebar" i], [class*="sidebar" i] nav', // Next.js/Nextra and other sidebars
+  'aside, [class*="sidebar" i]'
+];
+
+// A sidebar with fewer internal links than this is probably something else (header, footer)
+const MIN_NAV_LINKS = 3;
+
+// Section labels longer than this are prose, not headings
+const MAX_LABEL_LENGTH = 80;
+
+// Elements that are entries or lists, never section headings
+const NON_LABEL_TAGS = new Set(['A', 'LI', 'UL', 'OL', 'NAV', 'SCRIPT', 'STYLE', 'SVG', 'INPUT']);
+
+/**
+ * Collapse an element's text to a single line
+ */
+function textOf(element) {
+  return (element.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Resolve a link to an absolute URL without fragment, if it is on the site's host or one of its allowedHosts
+ */
+function resolveNavLink(href, pageUrl, config) {
+  try {
+    const url = new URL(href, pageUrl);
+    if (url.host !== new URL(config.baseUrl).host && !(config.allowedHosts || []).includes(url.host)) return null;
+    url.hash = '';
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the sidebar element of a page
+ * @param {Document} doc - Parsed page
+ * @param {string} pageUrl - Page URL (for resolving links)
+ * @param {Object} config - Site config (selectors.navigation takes precedence)
+ * @returns {Element|null} Sidebar root
+ */
+export function findNavigationRoot(doc, pageUrl, config) {
+  if (!doc || typeof doc.querySelectorAll !== 'function') return null;
+
+  const selectors = [config.selectors?.navigation, ...NAV_SELECTORS].filter(Boolean);
+  for (const selector of selectors) {
+    let best = null;
+    let bestCount = 0;
+    for (const element of doc.querySelectorAll(selector)) {
+      const count = [...element.querySelectorAll('a[href]')]
+        .filter(link => resolveNavLink(link.getAttribute('href'), pageUrl, config)).length;
+      if (count > bestCount) {
+        best = element;
+        bestCount = count;
+      }
+    }
+    if (best && bestCount >= MIN_NAV_LINKS) {
+      return best;
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a sibling is shaped like the element holding a link (another entry, not a heading)
+ * VitePress renders leaf items as divs and nested groups as sections, both .VPSidebarItem
+ */
+function isSameKindOfEntry(element, entry) {
+  if (element.tagName === entry.tagName && element.className === entry.className) return true;
+  const kind = entry.classList[0];
+  return Boolean(kind) && element.classList[0] === kind;
+}
+
+/**
+ * Heading text an ancestor gives the subtree holding a link
+ * The heading is an earlier child of the ancestor that isn't itself an entry (link, list item,
+ * or a sibling shaped like the entry's own container) - e.g. MkDocs' label before a nested
+ * nav, VitePress' group title, Vocs' section header or a <summary>
+ */
+function sectionLabel(ancestor, childWithLink) {
+  for (const child of ancestor.children) {
+    if (child === childWithLink) return null;
+    if (NON_LABEL_TAGS.has(child.tagName.toUpperCase())) continue;
+    if (isSameKindOfEntry(child, childWithLink)) continue;
+
+    const text = textOf(child);
+    if (text && text.length <= MAX_LABEL_LENGTH) {
+      return text;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a page's sidebar into ordered entries
+ * @param {Document} doc - Parsed page
+ * @param {string} pageUrl - Page URL
+ * @param {Object} config - Site config
+ * @returns {Array<Object>} { url, title, sections } in sidebar order; sections are outermost first
+ */
+export function extractNavigation(doc, pageUrl, config) {
+  const root = findNavigationRoot(doc, pageUrl, config);
+  if (!root) return [];
+
+  const entries = [];
+  const seen = new Set();
+  for (const link of root.querySelectorAll('a[href]')) {
+    const url = resolveNavLink(link.getAttribute('href'), pageUrl, config);
+    const title = textOf(link);
+    if (!url || !title || seen.has(url)) continue;
+    seen.add(url);
+
+    const sections = [];
+    let child = link;
+    for (let ancestor = link.parentElement; ancestor && ancestor !== root; ancestor = ancestor.parentElement) {
+      const label = sectionLabel(ancestor, child);
+      // A section's own index link shares the section's label; don't nest the page under itself
+      if (label && label !== title && sections[0] !== label) {
+        sections.unshift(label);
+      }
+      child = ancestor;
+    }
+
+    entries.push({ url, title, sections });
+  }
+  return entries;
+}
+
+/**
+ * Combine sidebars read from several pages into one table of contents
+ * The most complete sidebar decides the order; entries only seen elsewhere are appended
+ * @param {Array<Object>} current - Entries collected so far
+ * @param {Array<Object>} entries - Entries from another page
+ * @param {Function} keyOf - (url) => canonical key
+ * @returns {Array<Object>} Merged entries
+ */
+export function mergeNavigation(current, entries, keyOf) {
+  const [primary, secondary] = entries.length > current.length ? [entries, current] : [current, entries];
+  const keys = new Set(primary.map(entry => keyOf(entry.url)));
+  const merged = [...primary];
+  for (const entry of secondary) {
+    const key = keyOf(entry.url);
+    if (!keys.has(key)) {
+      keys.add(key);
+      merged.push(entry);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Stamp navigation fields onto pages listed in the table of contents
+ * Listed pages get navPath (section labels), navTitle, navOrder (0-based sidebar position),
+ * category (outermost section, or 'general' for top-level entries) and nav-based breadcrumbs.
+ * Pages no longer listed lose stale navigation fields.
+ * @param {Array<Object>} pages - Page entries (mutated in place)
+ * @param {Array<Object>} entries - Table of contents from extractNavigation/mergeNavigation
+ * @param {Function} keyOf - (url) => canonical key
+ * @returns {Object} { matched, unlisted } - pages given sidebar fields, and pages that lost them
+ */
+export function applyNavigation(pages, entries, keyOf) {
+  if (entries.length === 0) return { matched: [], unlisted: [] };
+
+  const positions = new Map();
+  entries.forEach((entry, index) => {
+    const key = keyOf(entry.url);
+    if (key && !positions.has(key)) positions.set(key, index);
+  });
+
+  const matched = [];
+  const unlisted = [];
+  for (const page of pages) {
+    const index = [page.url, ...(page.aliases || [])]
+      .map(url => positions.get(keyOf(url)))
+      .find(position => position !== undefined);
+
+    if (index === undefined) {
+      if (page.navPath) unlisted.push(page);
+      delete page.navPath;
+      delete page.navTitle;
+      delete page.navOrder;
+      delete page.category;
+      continue;
+    }
+
+    const entry = entries[index];
+    page.navPath = entry.sections;
+    page.navTitle = entry.title;
+    page.navOrder = index;
+    page.category = entry.sections[0] || 'general';
+    page.breadcrumbs = [...entry.sections, entry.title];
+    matched.push(page);
+  }
+  return { matched, unlisted };
+}
@@ -0,0 +1,465 @@
+/**
+ * Page Pipeline
+ * Per-page half of a site crawl: fetches and extracts a page, then commits the result to the
+ * crawl's page list - new and changed pages under their canonical URL, 304s kept, pages that
+ * are gone tombstoned - along with raw-response snapshots and the retry queue
+ */
+
+import { createHash } from 'crypto';
+import { resolveCanonicalUrl, mergeAliases } from './url-normalizer.js';
+import { computeFingerprint } from './fingerprint.js';
+import { storeSnapshotBody, saveSnapshotManifest } from './snapshot-store.js';
+import { MAX_RETRY_ATTEMPTS, recordRetryFailure, clearRetry } from './retry-queue.js';
+import { createHttpError, toFetchError } from './fetch-errors.js';
+import { log } from './cli-output.js';
+
+/**
+ * Short content hash used to tell changed pages from unchanged ones
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content || '').digest('hex').substring(0, 16);
+}
+
+/**
+ * Conditional request validators stored on an indexed page
+ */
+export function getValidators(page) {
+  if (!page || (!page.etag && !page.httpLastModified)) {
+    return null;
+  }
+  return { etag: page.etag || null, lastModified: page.httpLastModified || null };
+}
+
+/**
+ * Pick a page's lastModified: the server's Last-Modified when sent, otherwise
+ * the time we first saw the current content
+ */
+export function resolveLastModified(response, previous, contentChanged) {
+  if (response.lastModified) {
+    return response.lastModified;
+  }
+  if (previous?.lastModified && !contentChanged) {
+    return previous.lastModified;
+  }
+  return new Date().toISOString();
+}
+
+/**
+ * Page state of one site crawl and the steps that change it
+ */
+export class PagePipeline {
+  /**
+   * @param {Object} options - Pipeline options
+   * @param {string} options.siteKey - Site being crawled
+   * @param {Object} options.config - Site config (name, maxBodyBytes)
+   * @param {Function} options.keyOf - Canonical key of a URL
+   * @param {Object} [options.urlOptions] - Site urlNormalization, for canonical URL resolution
+   * @param {Array<Object>} [options.existingPages] - Pages indexed for the site, duplicates collapsed
+   * @param {Object|null} [options.restored] - Checkpoint of an interrupted run to continue
+   * @param {number} options.maxPages - Page budget, for progress messages
+   * @param {number} options.pruneAfterDays - Days a missing page stays tombstoned
+   * @param {Object|null} [options.snapshots] - Snapshot manifest entries to add to, or null when snapshots are off
+   * @param {string} [options.snapshotDir] - Snapshot directory
+   * @param {Object|null} [options.retryQueue] - Retry queue to settle fetched URLs in
+   * @param {Function} [options.onError] - (url, message) for each failed page
+   * @param {Function} options.fetchPage - Async (url, { validators, maxBytes }) => response
+   * @param {Function} options.extractPage - Async (doc, url) => page data, { notFound: true } or null
+   * @param {Function} options.extractLinks - (doc, pageUrl) => crawlable links on the page
+   * @param {Function} options.acceptUrl - (url) => whether a canonical URL is in the site's scope
+   * @param {Function} options.breadcrumbsFor - (url, title) => URL-path breadcrumbs
+   */
+  constructor({
+    siteKey,
+    config,
+    keyOf,
+    urlOptions = {},
+    existingPages = [],
+    restored = null,
+    maxPages,
+    pruneAfterDays,
+    snapshots = null,
+    snapshotDir,
+    retryQueue = null,
+    onError = () => {},
+    fetchPage,
+    extractPage,
+    extractLinks,
+    acceptUrl,
+    breadcrumbsFor
+  }) {
+    this.siteKey = siteKey;
+    this.config = config;
+    this.keyOf = keyOf;
+    this.urlOptions = urlOptions;
+    this.maxPages = maxPages;
+    this.pruneAfterDays = pruneAfterDays;
+    this.pruneAfterMs = pruneAfterDays * 24 * 60 * 60 * 1000;
+    this.snapshots = snapshots;
+    this.snapshotDir = snapshotDir;
+    this.retryQueue = retryQueue;
+    this.onError = onError;
+    this.fetchPage = fetchPage;
+    this.extractPage = extractPage;
+    this.extractLinks = extractLinks;
+    this.acceptUrl = acceptUrl;
+    this.breadcrumbsFor = breadcrumbsFor;
+
+    this.existingPages = existingPages;
+    this.existingByUrl = new Map(existingPages.map(page => [keyOf(page.url), page]));
+    this.visited = new Set(restored?.visited);
+    // Known aliases are never queued; their canonical page is revalidated instead
+    this.seen = new Set(restored?.seen || existingPages.flatMap(page => (page.aliases || []).map(keyOf)));
+    this.pages = restored ? restored.pages : [...existingPages]; // Start with existing pages (empty if force reindex)
+    this.pageIndex = new Map(this.pages.map((page, index) => [keyOf(page.url), index]));
+    this.errors = restored ? restored.errors : [];
+    // Pages fetched but not indexed (soft 404s, quality filter), counted with errors in telemetry
+    this.rejections = restored?.rejections || [];
+    // URLs queued only because the retry queue listed them, queued URLs fetched successfully, and this run's failures
+    this.retryStats = { retried: 0, recovered: 0, queued: 0, abandoned: 0, ...restored?.retryStats };
+    const counters = restored?.counters || {};
+    this.counters = {
+      requestCount: counters.requestCount || 0,
+      totalResponseTime: counters.totalResponseTime || 0,
+      unchangedCount: counters.unchangedCount || 0,
+      changedCount: counters.changedCount || 0,
+      duplicateCount: counters.duplicateCount || 0
+    };
+    this.removedUrls = new Set(restored?.removedUrls);
+    // Indexed entries folded into another page's aliases after a redirect or rel=canonical
+    this.mergedUrls = new Set(restored?.mergedUrls);
+    // Internal URLs that returned 404/410 this run (canonical key -> status), for broken link reporting
+    this.brokenUrls = new Map(restored?.brokenUrls);
+    this.discoveryCounts = { seed: 0, link: 0, sitemap: 0, handler: 0, ...restored?.discoveryCounts };
+  }
+
+  /**
+   * Fetch a page and extract it; runs concurrently, so it only reads crawl state
+   * @param {string} url - Page URL
+   * @param {Object} [previous] - Indexed entry, revalidated with a conditional request
+   * @returns {Promise<Object>} { response, requestTime, pageData, links }
+   */
+  async fetch(url, previous) {
+    // Pages indexed before link tracking are fetched in full once so their outbound links get recorded
+    const validators = previous && !previous.outboundLinks ? null : getValidators(previous);
+    const requestStart = Date.now();
+    const response = await this.fetchPage(url, { validators, maxBytes: this.config.maxBodyBytes });
+    const requestTime = Date.now() - requestStart;
+    if (!response?.doc) {
+      return { response, requestTime };
+    }
+
+    const pageData = await this.extractPage(response.doc, url);
+    // Links are kept on the page for the link graph even when they won't be followed
+    const links = pageData && !pageData.notFound
+      ? this.extractLinks(response.doc, response.finalUrl || url)
+      : [];
+    return { response, requestTime, pageData, links };
+  }
+
+  /**
+   * Apply a queued page's fetch to the crawl state; called in queue order
+   * @param {Object} item - Queue entry { url, depth, source, key, previous }
+   * @param {Object} outcome - Result of fetch(), or { error }
+   * @param {Function} onPage - (response, links) once the page is indexed, to follow its links
+   */
+  async commit(item, outcome, onPage) {
+    const { url, depth, source, key, previous } = item;
+
+    // Reached through an earlier page's redirect or canonical link while this one was in flight
+    if (this.visited.has(key)) {
+      log.debug(`Already crawled: ${url}`);
+      return;
+    }
+    this.visited.add(key);
+
+    let failure = null;
+    try {
+      if (outcome.error) {
+        throw outcome.error;
+      }
+
+      const { response, requestTime, pageData, links } = outcome;
+      this.counters.requestCount++;
+      this.counters.totalResponseTime += requestTime;
+
+      if (previous && (response?.notFound || response?.status === 410)) {
+        this.markGone(previous, `HTTP ${response.status}`);
+        return;
+      }
+
+      if (response.notFound) {
+        this.brokenUrls.set(key, response.status);
+        failure = createHttpError(response.status);
+        return;
+      }
+
+      if (response.notModified) {
+        this.keepUnchanged(previous);
+        log.debug(`Unchanged (304): ${url}`);
+        return;
+      }
+
+      if (pageData?.notFound) {
+        if (previous) {
+          this.markGone(previous, 'soft 404');
+        }
+        this.rejections.push({ url, category: 'soft-404' });
+        return;
+      }
+      if (!pageData) {
+        log.warn(`Page rejected by quality filters: ${url}`);
+        this.rejections.push({ url, category: 'quality-filtered' });
+        return;
+      }
+
+      const recordedUrl = this.recordPage(previous, response, pageData, { depth, source, requestTime, links });
+      if (recordedUrl) await this.captureSnapshot(recordedUrl, response);
+      onPage(response, links);
+
+    } catch (error) {
+      failure = toFetchError(error);
+      log.error(`Error crawling ${url} (${failure.category}): ${failure.message}`);
+    } finally {
+      if (failure) {
+        this.errors.push({ url, error: failure.message, depth, category: failure.category, ...(failure.status && { status: failure.status }) });
+        this.onError(url, failure.message);
+      }
+      this.settleRetry(item, failure);
+    }
+  }
+
+  /**
+   * Apply the fetch of an indexed page the crawl didn't reach; failures keep the page as-is
+   * @param {Object} previous - Indexed entry
+   * @param {Object} outcome - Result of fetch(), or { error }
+   * @param {Function} onPage - (response) when the page was fetched in full
+   */
+  async revalidate(previous, { response, requestTime, pageData, links, error }, onPage) {
+    this.visited.add(this.keyOf(previous.url));
+    if (!error) {
+      this.counters.requestCount++;
+      this.counters.totalResponseTime += requestTime;
+    }
+
+    if (error) {
+      // Keep the page as-is; it is revalidated again next run
+      log.warn(`Failed to revalidate ${previous.url} (${error.category}): ${error.message}`);
+    } else if (response.notFound) {
+      this.markGone(previous, `HTTP ${response.status}`);
+    } else if (response.notModified) {
+      this.keepUnchanged(previous);
+    } else if (pageData?.notFound) {
+      this.markGone(previous, 'soft 404');
+    } else if (pageData) {
+      onPage(response);
+      const recordedUrl = this.recordPage(previous, response, pageData, {
+        depth: previous.depth,
+        source: previous.discoverySource,
+        requestTime,
+        links
+      });
+      if (recordedUrl) await this.captureSnapshot(recordedUrl, response);
+    }
+  }
+
+  /**
+   * Store extracted page data under its canonical URL, replacing the indexed entry when the page was crawled before
+   * @returns {string|null} The canonical URL, or null when the page was only recorded as an alias
+   */
+  recordPage(previous, response, pageData, { depth, source, requestTime, links }) {
+    const { keyOf, pages, pageIndex, config } = this;
+    const { url: canonicalUrl, aliases } = resolveCanonicalUrl({
+      requestedUrl: pageData.url,
+      finalUrl: response.finalUrl,
+      doc: response.doc,
+      accept: this.acceptUrl,
+      options: this.urlOptions
+    });
+    const key = keyOf(canonicalUrl);
+    const moved = key !== keyOf(pageData.url);
+    const targetIndex = pageIndex.get(key);
+    const target = targetIndex !== undefined ? pages[targetIndex] : null;
+
+    // The entry indexed under the requested URL now lives under the canonical one
+    if (moved && previous && previous !== target) {
+      this.mergedUrls.add(previous.url);
+      log.info(`Merged ${previous.url} into ${canonicalUrl}`);
+    }
+
+    // Already crawled under its canonical URL in this run: only remember the alias
+    if (moved && target && this.visited.has(key)) {
+      pages[targetIndex] = { ...target, aliases: mergeAliases(target.url, target.aliases || [], aliases) };
+      this.counters.duplicateCount++;
+      log.debug(`Duplicate of ${target.url}: ${pageData.url}`);
+      return null;
+    }
+
+    this.visited.add(key);
+    this.seen.add(key);
+
+    // URL-path breadcrumbs; replaced by the sidebar's hierarchy once the crawl finishes
+    const breadcrumbs = this.breadcrumbsFor(canonicalUrl, pageData.title);
+
+    const prior = target || previous;
+    const contentHash = hashContent(pageData.content);
+    const fingerprint = computeFingerprint(pageData.content);
+    const contentChanged = !prior || prior.contentHash !== contentHash;
+    const allAliases = mergeAliases(
+      canonicalUrl,
+      prior?.aliases || [],
+      moved && previous ? [previous.url, ...(previous.aliases || [])] : [],
+      prior ? [prior.url] : [],
+      aliases
+    );
+
+    const pageEntry = {
+      url: canonicalUrl,
+      title: pageData.title,
+      content: pageData.content,
+      estimatedWords: pageData.estimatedWords,
+      lastModified: resolveLastModified(response, prior, contentChanged),
+      etag: response.etag,
+      httpLastModified: response.lastModifiedHeader,
+      contentHash,
+      ...(fingerprint && { fingerprint }),
+      breadcrumbs,
+      siteKey: this.siteKey,
+      siteName: config.name,
+      depth,
+      discoverySource: prior?.discoverySource || source,
+      ...(allAliases.length > 0 && { aliases: allAliases }),
+      outboundLinks: links,
+      crawledAt: new Date().toISOString()
+    };
+
+    if (target) {
+      pages[targetIndex] = pageEntry;
+      if (target.tombstonedAt) {
+        log.info(`Page restored: ${target.url}`);
+      }
+      if (contentChanged) {
+        this.counters.changedCount++;
+        log.success(`Updated ${pageData.title} (${pageData.estimatedWords} words, ${requestTime}ms)`);
+      } else {
+        this.counters.unchangedCount++;
+        log.debug(`Unchanged content: ${canonicalUrl}`);
+      }
+    } else {
+      pageIndex.set(key, pages.length);
+      pages.push(pageEntry);
+      this.discoveryCounts[source] = (this.discoveryCounts[source] || 0) + 1;
+      log.success(`Page [${pages.length}/${this.maxPages}] ${pageData.title} (${pageData.estimatedWords} words, ${requestTime}ms)`);
+    }
+    return canonicalUrl;
+  }
+
+  /**
+   * A 304 for an indexed page; also clears a tombstone if the page came back unchanged
+   */
+  keepUnchanged(previous) {
+    this.counters.unchangedCount++;
+    if (previous.tombstonedAt) {
+      const { tombstonedAt, ...restored } = previous;
+      this.pages[this.pageIndex.get(this.keyOf(previous.url))] = restored;
+      log.info(`Page restored: ${previous.url}`);
+    }
+  }
+
+  /**
+   * Handle a previously indexed page that is gone: tombstone it, or drop it once the grace period is over
+   */
+  markGone(previous, reason) {
+    const tombstonedAt = previous.tombstonedAt || new Date().toISOString();
+    if (Date.now() - new Date(tombstonedAt).getTime() >= this.pruneAfterMs) {
+      this.removedUrls.add(previous.url);
+      log.warn(`Removing deleted page (${reason}): ${previous.url}`);
+    } else {
+      this.pages[this.pageIndex.get(this.keyOf(previous.url))] = { ...previous, tombstonedAt };
+      log.warn(`Tombstoned page (${reason}), removal after ${this.pruneAfterDays} day(s): ${previous.url}`);
+    }
+  }
+
+  /**
+   * Queue a transient failure for a later run; any other outcome takes the URL off the queue
+   */
+  settleRetry({ url, depth, source }, failure) {
+    const { retryQueue, siteKey, retryStats } = this;
+    if (!retryQueue) return;
+    if (failure?.transient) {
+      const entry = recordRetryFailure(retryQueue, siteKey, {
+        url,
+        depth,
+        source,
+        category: failure.category,
+        status: failure.status,
+        message: failure.message
+      });
+      if (entry) {
+        retryStats.queued++;
+        log.debug(`Queued for retry (attempt ${entry.attempts} failed, next after ${entry.nextRetryAt}): ${url}`);
+      } else {
+        retryStats.abandoned++;
+        log.warn(`Giving up on ${url} after ${MAX_RETRY_ATTEMPTS} transient failures`);
+      }
+    } else if (clearRetry(retryQueue, siteKey, url) && !failure) {
+      retryStats.recovered++;
+      log.info(`Recovered after earlier failures: ${url}`);
+    }
+  }
+
+  /**
+   * Store a fetched page's raw response under its canonical URL; pages answering 304 keep the snapshot from their last full fetch
+   */
+  async captureSnapshot(url, response) {
+    if (!this.snapshots || typeof response.body !== 'string') return;
+    try {
+      this.snapshots[this.keyOf(url)] = {
+        url,
+        finalUrl: response.finalUrl,
+        status: response.status,
+        contentType: response.contentType,
+        etag: response.etag,
+        lastModified: response.lastModifiedHeader,
+        fetchedAt: new Date().toISOString(),
+        hash: await storeSnapshotBody(response.body, this.snapshotDir)
+      };
+    } catch (error) {
+      log.warn(`Failed to store snapshot of ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the manifest, keeping only snapshots of pages that are in the index
+   */
+  async saveSnapshots(indexedPages) {
+    if (!this.snapshots) return;
+    const keys = new Set(indexedPages.flatMap(page => [page.url, ...(page.aliases || [])].map(this.keyOf)));
+    const entries = Object.fromEntries(Object.entries(this.snapshots).filter(([key]) => keys.has(key)));
+    try {
+      await saveSnapshotManifest(this.siteKey, entries, this.snapshotDir);
+      log.info(`Snapshots: ${Object.keys(entries).length} raw responses in ${this.snapshotDir}`);
+    } catch (error) {
+      log.warn(`Failed to save snapshot manifest for ${this.siteKey}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Page state for a checkpoint; the crawl adds the frontier and its own fields
+   */
+  toCheckpoint() {
+    return {
+      visited: [...this.visited],
+      seen: [...this.seen],
+      pages: this.pages,
+      errors: this.errors,
+      rejections: this.rejections,
+      retryStats: this.retryStats,
+      counters: { ...this.counters },
+      discoveryCounts: this.discoveryCounts,
+      removedUrls: [...this.removedUrls],
+      mergedUrls: [...this.mergedUrls],
+      brokenUrls: [...this.brokenUrls],
+      ...(this.snapshots && { snapshots: this.snapshots })
+    };
+  }
+}
@@ -0,0 +1,249 @@
+/**
+ * Adaptive Rate Limiting
+ * Per-host token buckets that slow down when a server pushes back (429/503, Retry-After)
+ * and speed back up while responses stay fast and healthy
+ */
+
+// Default limits - 2 requests per second with burst of 5
+export const DEFAULT_REQUESTS_PER_SECOND = 2;
+export const DEFAULT_BURST_SIZE = 5;
+
+// Never slow a host below one request every ten seconds
+const MIN_REQUESTS_PER_SECOND = 0.1;
+
+// Responses slower than this count as a sign the host is struggling
+const SLOW_RESPONSE_MS = 2000;
+
+// Healthy responses needed in a row before the rate is raised again
+const RECOVERY_STREAK = 10;
+
+// Longest Retry-After we are willing to wait for; longer values give up on the request
+export const MAX_RETRY_AFTER_MS = 120000;
+
+// Pause after a 429/503 without Retry-After, doubled for every further one in a row
+const THROTTLE_BACKOFF_MS = 1000;
+const MAX_THROTTLE_BACKOFF_MS = 60000;
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+
+  const date = new Date(trimmed);
+  if (Number.isNaN(date.getTime())) return null;
+  return Math.max(0, date.getTime() - Date.now());
+}
+
+/**
+ * Token bucket rate limiter for a single host
+ */
+export class RateLimiter {
+  constructor(requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND, burstSize = DEFAULT_BURST_SIZE) {
+    // Ceiling the adaptive rate recovers towards (lowered by robots.txt Crawl-delay)
+    this.maxRequestsPerSecond = requestsPerSecond;
+    this.requestsPerSecond = requestsPerSecond;
+    this.burstSize = burstSize;
+    this.tokens = burstSize;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.healthyStreak = 0;
+    this.throttleStreak = 0;
+    this.stats = {
+      requests: 0,
+      throttled: 0,
+      slowResponses: 0,
+      failures: 0,
+      retryAfterWaits: 0,
+      backoffWaits: 0,
+      totalResponseTime: 0,
+      minRequestsPerSecond: requestsPerSecond
+    };
+  }
+
+  /**
+   * Set the ceiling rate (and burst) for this host
+   * The current rate only ever drops to the new ceiling, unless `setRate` asks to start at it
+   * (an explicit --rate override rather than a robots.txt Crawl-delay)
+   */
+  configure(requestsPerSecond, burstSize = this.burstSize, { setRate = false } = {}) {
+    this.maxRequestsPerSecond = requestsPerSecond;
+    if (setRate) {
+      this.requestsPerSecond = requestsPerSecond;
+      if (this.stats.requests === 0) {
+        this.stats.minRequestsPerSecond = requestsPerSecond;
+      }
+    } else {
+      this.requestsPerSecond = Math.min(this.requestsPerSecond, requestsPerSecond);
+    }
+    this.stats.minRequestsPerSecond = Math.min(this.stats.minRequestsPerSecond, this.requestsPerSecond);
+    this.burstSize = burstSize;
+    this.tokens = Math.min(this.tokens, burstSize);
+  }
+
+  /**
+   * Wait until a request may be sent
+   * Tokens are reserved up front so concurrent callers queue behind each other;
+   * during a pause the bucket doesn't refill, so callers are spaced out from the end of the pause
+   */
+  async acquire() {
+    const now = Date.now();
+    this.refill(now);
+    this.tokens -= 1;
+
+    const pauseWait = this.lastRefill - now;
+    const tokenWait = this.tokens >= 0 ? 0 : (-this.tokens / this.requestsPerSecond) * 1000;
+    const waitTime = pauseWait + tokenWait;
+
+    if (waitTime > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+
+  /**
+   * Add the tokens earned since the last refill (none before the end of a pause)
+   */
+  refill(now) {
+    if (now <= this.lastRefill) return;
+
+    const timePassed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(
+      this.burstSize,
+      this.tokens + timePassed * this.requestsPerSecond
+    );
+    this.lastRefill = now;
+  }
+
+  /**
+   * Feed a response back into the limiter so it can adapt its rate
+   * @param {Object} result - Outcome of a request
+   * @param {number} [result.status] - HTTP status (omitted for network errors)
+   * @param {number} result.responseTime - Request duration in milliseconds
+   * @param {number|null} [result.retryAfter] - Parsed Retry-After delay in milliseconds
+   */
+  recordResponse({ status, responseTime, retryAfter = null }) {
+    this.stats.requests++;
+    this.stats.totalResponseTime += responseTime;
+
+    if (status === 429 || status === 503) {
+      this.stats.throttled++;
+      this.throttleStreak++;
+      this.slowDown(0.5);
+
+      if (retryAfter !== null) {
+        this.stats.retryAfterWaits++;
+        this.pause(Math.min(retryAfter, MAX_RETRY_AFTER_MS));
+      } else {
+        this.stats.backoffWaits++;
+        this.pause(Math.min(MAX_THROTTLE_BACKOFF_MS, THROTTLE_BACKOFF_MS * 2 ** (this.throttleStreak - 1)));
+      }
+      return;
+    }
+
+    this.throttleStreak = 0;
+
+    if (status === undefined || status >= 500) {
+      this.stats.failures++;
+      this.slowDown(0.75);
+      return;
+    }
+
+    if (responseTime > SLOW_RESPONSE_MS) {
+      this.stats.slowResponses++;
+      this.slowDown(0.8);
+      return;
+    }
+
+    // Additive recovery towards the ceiling after a run of fast responses
+    this.healthyStreak++;
+    if (this.healthyStreak >= RECOVERY_STREAK && this.requestsPerSecond < this.maxRequestsPerSecond) {
+      this.requestsPerSecond = Math.min(
+        this.maxRequestsPerSecond,
+        this.requestsPerSecond + this.maxRequestsPerSecond * 0.25
+      );
+      this.healthyStreak = 0;
+    }
+  }
+
+  /**
+   * Hold back every request to this host for a while
+   */
+  pause(delayMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+    // One request may go out when the pause ends; the burst has to build up again after it
+    this.tokens = 1;
+    this.lastRefill = this.pausedUntil;
+  }
+
+  /**
+   * Multiply the current rate by a factor, bounded below by the minimum rate
+   */
+  slowDown(factor) {
+    this.healthyStreak = 0;
+    this.requestsPerSecond = Math.max(MIN_REQUESTS_PER_SECOND, this.requestsPerSecond * factor);
+    this.stats.minRequestsPerSecond = Math.min(this.stats.minRequestsPerSecond, this.requestsPerSecond);
+  }
+
+  /**
+   * Snapshot of this host's counters for crawl telemetry
+   */
+  getStats() {
+    const { totalResponseTime, ...counters } = this.stats;
+    return {
+      ...counters,
+      averageResponseTime: counters.requests > 0 ? totalResponseTime / counters.requests : 0,
+      requestsPerSecond: this.requestsPerSecond,
+      maxRequestsPerSecond: this.maxRequestsPerSecond
+    };
+  }
+}
+
+/**
+ * Registry of rate limiters keyed by host
+ */
+export class RateLimiterRegistry {
+  constructor({ requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND, burstSize = DEFAULT_BURST_SIZE } = {}) {
+    this.requestsPerSecond = requestsPerSecond;
+    this.burstSize = burstSize;
+    this.limiters = new Map();
+  }
+
+  /**
+   * Get (creating on first use) the limiter for the host of a URL
+   * @param {string} url - Any URL on the host
+   * @returns {RateLimiter} Host limiter
+   */
+  get(url) {
+    const host = new URL(url).host;
+    if (!this.limiters.has(host)) {
+      this.limiters.set(host, new RateLimiter(this.requestsPerSecond, this.burstSize));
+    }
+    return this.limiters.get(host);
+  }
+
+  /**
+   * Per-host stats, optionally limited to the hosts of the given URLs
+   * @param {string[]} [urls] - URLs whose hosts should be reported
+   * @returns {Object} Stats keyed by host
+   */
+  getStats(urls = null) {
+    const hosts = urls
+      ? new Set(urls.filter(Boolean).map(url => new URL(url).host))
+      : null;
+
+    const stats = {};
+    for (const [host, limiter] of this.limiters) {
+      if (!hosts || hosts.has(host)) {
+        stats[host] = limiter.getStats();
+      }
+    }
+    return stats;
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Retry Queue
+ * Persists URLs that failed with a transient error (timeouts, connection failures, 5xx, 429)
+ * so later crawls fetch them again, backing off further after each failed attempt
+ */
+
+import { promises as fs } from 'fs';
+import { resolve } from 'path';
+
+// Queue file (relative to the working directory); committed by CI alongside the crawl history
+export const DEFAULT_RETRY_QUEUE_PATH = 'crawl-retry-queue.json';
+
+// A URL is dropped from the queue after failing this many times in a row
+export const MAX_RETRY_ATTEMPTS = 5;
+
+// Delay before the first retry; doubled after every further failure, up to MAX_RETRY_DELAY_MS
+const BASE_RETRY_DELAY_MS = 30 * 60 * 1000;
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+const RETRY_QUEUE_VERSION = 1;
+
+/**
+ * Delay before retrying a URL that has failed `attempts` times
+ * @param {number} attempts - Failed attempts so far (1 or more)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Read the retry queue
+ * @param {string} [path] - Queue file
+ * @returns {Promise<Object>} Queue { sites: { [siteKey]: { [url]: entry } } }; empty when missing or unreadable
+ */
+export async function loadRetryQueue(path = DEFAULT_RETRY_QUEUE_PATH) {
+  try {
+    const data = JSON.parse(await fs.readFile(resolve(process.cwd(), path), 'utf8'));
+    if (data.version === RETRY_QUEUE_VERSION && data.sites && typeof data.sites === 'object') {
+      return { sites: data.sites };
+    }
+  } catch {
+    // Missing or corrupt queue: start empty
+  }
+  return { sites: {} };
+}
+
+/**
+ * Write the retry queue, leaving out sites with nothing queued
+ * @param {Object} queue - Queue from loadRetryQueue
+ * @param {string} [path] - Queue file
+ */
+export async function saveRetryQueue(queue, path = DEFAULT_RETRY_QUEUE_PATH) {
+  const sites = Object.fromEntries(
+    Object.entries(queue.sites).filter(([, entries]) => Object.keys(entries).length > 0)
+  );
+  const fullPath = resolve(process.cwd(), path);
+  await fs.writeFile(`${fullPath}.tmp`, JSON.stringify({ version: RETRY_QUEUE_VERSION, sites }, null, 2) + '\n');
+  await fs.rename(`${fullPath}.tmp`, fullPath);
+}
+
+/**
+ * Queued entries for a site that are due for another attempt
+ * @param {Object} queue - Retry queue
+ * @param {string} siteKey - Site key
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Array<Object>} Entries { url, depth, source, category, status, attempts, nextRetryAt, ... }
+ */
+export function getDueRetries(queue, siteKey, now = Date.now()) {
+  return Object.values(queue.sites[siteKey] || {})
+    .filter(entry => new Date(entry.nextRetryAt).getTime() <= now);
+}
+
+/**
+ * Record a transient failure, scheduling the next attempt
+ * @param {Object} queue - Retry queue
+ * @param {string} siteKey - Site key
+ * @param {Object} failure - { url, depth, source, category, status, message }
+ * @returns {Object|null} The queued entry, or null when the URL has used up its attempts and was dropped
+ */
+export function recordRetryFailure(queue, siteKey, { url, depth = 0, source = 'link', category, status = null, message = '' }) {
+  const entries = queue.sites[siteKey] ||= {};
+  const previous = entries[url];
+  const attempts = (previous?.attempts || 0) + 1;
+  if (attempts > MAX_RETRY_ATTEMPTS) {
+    delete entries[url];
+    return null;
+  }
+
+  const now = Date.now();
+  entries[url] = {
+    url,
+    depth,
+    source,
+    category,
+    status,
+    message,
+    attempts,
+    firstFailedAt: previous?.firstFailedAt || new Date(now).toISOString(),
+    lastFailedAt: new Date(now).toISOString(),
+    nextRetryAt: new Date(now + getRetryDelay(attempts)).toISOString()
+  };
+  return entries[url];
+}
+
+/**
+ * Remove a URL from the queue after it was fetched (or failed permanently)
+ * @returns {boolean} True when the URL was queued
+ */
+export function clearRetry(queue, siteKey, url) {
+  const entries = queue.sites[siteKey];
+  if (!entries?.[url]) return false;
+  delete entries[url];
+  return true;
+}
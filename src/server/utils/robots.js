@@ -0,0 +1,192 @@
+/**
+ * robots.txt Support
+ * Parses robots.txt files and answers allow/disallow questions for the crawler's user agent
+ */
+
+// Product token matched against User-agent groups
+export const ROBOTS_USER_AGENT = 'PermawebLLMFuel';
+
+// An unreachable robots.txt blocks its origin this long before it is requested again
+const UNREACHABLE_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Parse robots.txt content into the rule set that applies to a user agent
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token to select a group for
+ * @returns {Object} Applicable rules, crawl delay and declared sitemaps
+ */
+export function parseRobotsTxt(text, userAgent = ROBOTS_USER_AGENT) {
+  const agent = userAgent.toLowerCase();
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) {
+        current.rules.push({ allow: field === 'allow', pattern: value });
+      }
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) {
+        current.crawlDelay = delay;
+      }
+    }
+  }
+
+  // Prefer groups naming our agent (the product token, case-insensitively, ignoring any /version);
+  // fall back to the wildcard group
+  const specific = groups.filter(group => group.agents.some(name => name.split(/[/\s]/)[0] === agent));
+  const selected = specific.length > 0
+    ? specific
+    : groups.filter(group => group.agents.includes('*'));
+
+  const delays = selected.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: selected.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+    sitemaps
+  };
+}
+
+/**
+ * Test a robots.txt path pattern (supports * wildcards and $ anchors)
+ * @param {string} pattern - Rule pattern
+ * @param {string} path - URL path plus query
+ * @returns {boolean} Whether the pattern matches
+ */
+function matchesPattern(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Decide whether a path may be crawled under a parsed rule set
+ * The longest matching rule wins; Allow wins ties
+ * @param {Object} robots - Result of parseRobotsTxt
+ * @param {string} path - URL path plus query
+ * @returns {boolean} True when crawling is permitted
+ */
+export function isPathAllowed(robots, path) {
+  if (!robots || robots.rules.length === 0) return true;
+
+  let decision = null;
+  for (const rule of robots.rules) {
+    if (!matchesPattern(rule.pattern, path)) continue;
+
+    if (!decision ||
+        rule.pattern.length > decision.pattern.length ||
+        (rule.pattern.length === decision.pattern.length && rule.allow)) {
+      decision = rule;
+    }
+  }
+
+  return decision ? decision.allow : true;
+}
+
+/**
+ * Rule set for a robots.txt that couldn't be fetched because of the server (5xx, 429) or the
+ * network: RFC 9309 has crawlers assume a complete disallow until it can be read again
+ */
+function unreachableRules(status) {
+  return { rules: [{ allow: false, pattern: '/' }], crawlDelay: null, sitemaps: [], unreachable: true, status };
+}
+
+/**
+ * Per-origin cache of robots.txt rule sets
+ */
+export class RobotsCache {
+  /**
+   * @param {Object} options - Cache options
+   * @param {Function} options.fetchRobots - Async (url) => { status, text }; rejects when the
+   *   server can't be reached
+   * @param {string} [options.userAgent] - Product token used for group selection
+   * @param {number} [options.unreachableRetryMs] - How long an unreachable robots.txt disallows
+   *   its origin before it is fetched again
+   */
+  constructor({ fetchRobots, userAgent = ROBOTS_USER_AGENT, unreachableRetryMs = UNREACHABLE_RETRY_MS } = {}) {
+    this.fetchRobots = fetchRobots;
+    this.userAgent = userAgent;
+    this.unreachableRetryMs = unreachableRetryMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get (fetching once) the rule set for the origin of a URL
+   * A missing robots.txt (4xx) allows everything; a server error or network failure disallows
+   * everything for `unreachableRetryMs`, and the result then carries `unreachable: true`
+   * @param {string} url - Any URL on the origin
+   * @returns {Promise<Object>} Parsed robots rules
+   */
+  async get(url) {
+    const origin = new URL(url).origin;
+    const cached = this.entries.get(origin);
+
+    if (!cached || cached.expiresAt <= Date.now()) {
+      const entry = { expiresAt: Infinity };
+      entry.rules = (async () => {
+        let response = null;
+        try {
+          response = await this.fetchRobots(`${origin}/robots.txt`);
+        } catch {
+          // Unreachable, handled below
+        }
+        if (!response || response.status >= 500 || response.status === 429) {
+          entry.expiresAt = Date.now() + this.unreachableRetryMs;
+          return unreachableRules(response?.status ?? null);
+        }
+        return parseRobotsTxt(response.status >= 400 ? '' : response.text || '', this.userAgent);
+      })();
+      this.entries.set(origin, entry);
+    }
+
+    return this.entries.get(origin).rules;
+  }
+
+  /**
+   * Check whether a URL may be crawled
+   * @param {string} url - URL to check
+   * @returns {Promise<boolean>} True when allowed
+   */
+  async isAllowed(url) {
+    const robots = await this.get(url);
+    const { pathname, search } = new URL(url);
+    return isPathAllowed(robots, pathname + search);
+  }
+}
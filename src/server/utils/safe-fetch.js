@@ -0,0 +1,128 @@
+/**
+ * Safe Fetch
+ * Guards for reading untrusted responses: bodies are streamed under a byte limit, only
+ * expected content types are read, and HTML is parsed without running scripts or loading subresources
+ */
+
+// Largest decoded body read from a single response
+export const DEFAULT_MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+// Content types a documentation page may be served as
+export const PAGE_CONTENT_TYPES = ['text/html', 'application/xhtml+xml', 'text/plain', 'text/markdown'];
+
+// Content types sitemaps and robots.txt may be served as
+export const TEXT_CONTENT_TYPES = ['application/xml', 'text/xml', 'application/rss+xml', 'application/atom+xml', 'text/plain', 'text/html'];
+
+// A compressed body that inflates past this ratio (and MIN_BOMB_BYTES) is treated as a decompression bomb
+const MAX_COMPRESSION_RATIO = 100;
+const MIN_BOMB_BYTES = 1024 * 1024;
+
+/**
+ * Error for a response that was refused before or while reading its body
+ * @param {string} code - 'too-large', 'compression-bomb' or 'unsupported-content-type'
+ * @param {string} message - Error message
+ * @returns {Error} Error with `code` set
+ */
+export function createBodyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Whether a Content-Type header is one of the allowed media types
+ * A missing header is allowed; plenty of static hosts omit it for extensionless paths
+ */
+export function isAllowedContentType(contentType, allowedTypes = PAGE_CONTENT_TYPES) {
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  return mediaType === '' || allowedTypes.includes(mediaType);
+}
+
+/**
+ * Read a fetch Response body as text without buffering more than maxBytes
+ * The limit applies to the decoded body, so gzip/brotli bombs are stopped as they inflate.
+ * The stream is cancelled (closing the connection) as soon as a check fails.
+ * @param {Response} response - Fetch response whose body has not been read
+ * @param {Object} [options] - Read options
+ * @param {number} [options.maxBytes] - Largest decoded body to accept
+ * @param {Array<string>} [options.allowedTypes] - Accepted media types; null accepts anything
+ * @returns {Promise<string>} Body text (UTF-8)
+ * @throws {Error} With code 'unsupported-content-type', 'too-large' or 'compression-bomb'
+ */
+export async function readBodyWithLimit(response, { maxBytes = DEFAULT_MAX_BODY_BYTES, allowedTypes = PAGE_CONTENT_TYPES } = {}) {
+  const contentType = response.headers.get('content-type') || '';
+  if (allowedTypes && !isAllowedContentType(contentType, allowedTypes)) {
+    await response.body?.cancel();
+    throw createBodyError('unsupported-content-type', `Unsupported content type "${contentType.split(';')[0]}"`);
+  }
+
+  const contentLength = Number(response.headers.get('content-length'));
+  if (Number.isFinite(contentLength) && contentLength > maxBytes) {
+    await response.body?.cancel();
+    throw createBodyError('too-large', `Response body of ${formatBytes(contentLength)} exceeds the ${formatBytes(maxBytes)} limit`);
+  }
+
+  if (!response.body) {
+    return '';
+  }
+
+  // Content-Length is the encoded size when the body is compressed
+  const encoded = (response.headers.get('content-encoding') || 'identity') !== 'identity';
+  const decoder = new TextDecoder();
+  const reader = response.body.getReader();
+  const parts = [];
+  let received = 0;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      received += value.byteLength;
+      if (received > maxBytes) {
+        throw createBodyError('too-large', `Response body exceeds the ${formatBytes(maxBytes)} limit`);
+      }
+      if (encoded && contentLength > 0 && received > MIN_BOMB_BYTES && received > contentLength * MAX_COMPRESSION_RATIO) {
+        throw createBodyError('compression-bomb', `Compressed body of ${formatBytes(contentLength)} inflated past ${formatBytes(received)}`);
+      }
+      parts.push(decoder.decode(value, { stream: true }));
+    }
+  } catch (error) {
+    await reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  parts.push(decoder.decode());
+  return parts.join('');
+}
+
+/**
+ * JSDOM options for parsing fetched HTML
+ * Scripts never run and no subresources (scripts, stylesheets, iframes, images) are fetched;
+ * both are JSDOM defaults, spelled out so a later change can't quietly enable them
+ */
+export function safeDomOptions(url) {
+  return {
+    ...(url ? { url } : {}),
+    contentType: 'text/html',
+    runScripts: undefined,
+    resources: undefined,
+    pretendToBeVisual: false
+  };
+}
+
+/**
+ * Parse untrusted HTML into a Document (JSDOM in Node.js, DOMParser in the browser)
+ * DOMParser documents never run scripts or load subresources either
+ */
+export async function parseHtmlSafely(html, url) {
+  if (typeof window === 'undefined') {
+    const { JSDOM } = await import('jsdom');
+    return new JSDOM(html, safeDomOptions(url)).window.document;
+  }
+  return new DOMParser().parseFromString(html, 'text/html');
+}
@@ -0,0 +1,222 @@
+/**
+ * Selector Evaluator
+ * Scores content selectors on sampled pages, and keeps a per-site baseline of crawl results
+ * so lost content (selectors that stop matching, or match but come back empty) fails a check
+ */
+
+import { promises as fs } from 'fs';
+import { resolve, join } from 'path';
+import { assessContentQuality } from './quality-scorer.js';
+
+// Baseline files, one per site (<dir>/<siteKey>.json); committed so CI can compare against them
+export const DEFAULT_BASELINE_DIR = 'baselines';
+
+// Pages fetched per site when evaluating selectors
+export const DEFAULT_SAMPLE_SIZE = 8;
+
+// Largest relative drop from the baseline still accepted, per metric
+export const DEFAULT_BASELINE_TOLERANCES = {
+  pagesWithContent: 0.1,
+  averageWords: 0.25,
+  averageQuality: 0.1
+};
+
+// Content containers used by common documentation themes, tried alongside the configured selectors
+export const COMMON_CONTENT_SELECTORS = [
+  'main',
+  'article',
+  '[role="main"]',
+  '.md-content__inner',
+  '.vp-doc',
+  '.theme-doc-markdown',
+  '.vocs_Content',
+  '.nextra-content',
+  '.prose',
+  '.markdown',
+  '.markdown-body',
+  '.content',
+  '#content',
+  '.docs-content'
+];
+
+// Page chrome inside a matched container; its share of the text counts against a selector
+const BOILERPLATE_SELECTOR = 'nav, header, footer, aside';
+
+const BASELINE_VERSION = 1;
+
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+function textOf(element) {
+  return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Selectors to evaluate for a site: its configured content selectors, then the common theme selectors
+ * @param {Object} config - Site config
+ * @returns {Array<{ selector: string, source: string }>} Candidates; source is 'config' or 'common'
+ */
+export function getCandidateSelectors(config) {
+  const configured = (config.selectors?.content || '').split(',').map(selector => selector.trim()).filter(Boolean);
+  return [...new Set([...configured, ...COMMON_CONTENT_SELECTORS])]
+    .map(selector => ({ selector, source: configured.includes(selector) ? 'config' : 'common' }));
+}
+
+/**
+ * Measure what each candidate selector captures on one page
+ * @param {Document} doc - Parsed page
+ * @param {Array<{ selector: string }>} candidates - Selectors to try
+ * @returns {Array<Object>} Per selector { selector, matched, words, characters, quality, boilerplateShare }
+ */
+export function measureSelectors(doc, candidates) {
+  return candidates.map(({ selector }) => {
+    let element = null;
+    try {
+      element = doc.querySelector(selector);
+    } catch {
+      // Invalid selectors simply never match
+    }
+    if (!element) {
+      return { selector, matched: false, words: 0, characters: 0, quality: 0, boilerplateShare: 0 };
+    }
+
+    const text = textOf(element);
+    const boilerplate = [...element.querySelectorAll(BOILERPLATE_SELECTOR)]
+      .reduce((sum, child) => sum + textOf(child).length, 0);
+    return {
+      selector,
+      matched: true,
+      words: countWords(text),
+      characters: text.length,
+      quality: assessContentQuality(text, { minLength: 30, requireTechnical: false }).overallScore,
+      boilerplateShare: text.length > 0 ? Math.min(1, boilerplate / text.length) : 0
+    };
+  });
+}
+
+/**
+ * Combine per-page measurements into one ranked score per selector
+ * score = match rate x average quality x size (relative to the biggest candidate) x share that isn't page chrome
+ * @param {Array<Array<Object>>} measurements - measureSelectors output for every sampled page
+ * @param {Array<{ selector: string, source: string }>} candidates - Evaluated selectors
+ * @returns {Array<Object>} { selector, source, matchRate, averageWords, averageQuality, boilerplateShare, score }, best first
+ */
+export function rankSelectors(measurements, candidates) {
+  const pageCount = measurements.length;
+  const ranked = candidates.map(({ selector, source }) => {
+    const matches = measurements.map(page => page.find(entry => entry.selector === selector)).filter(entry => entry?.matched);
+    const average = (key) => (matches.length > 0 ? matches.reduce((sum, entry) => sum + entry[key], 0) / matches.length : 0);
+    return {
+      selector,
+      source,
+      matchRate: pageCount > 0 ? matches.length / pageCount : 0,
+      averageWords: Math.round(average('words')),
+      averageQuality: Number(average('quality').toFixed(3)),
+      boilerplateShare: Number(average('boilerplateShare').toFixed(3))
+    };
+  });
+
+  const largest = Math.max(1, ...ranked.map(entry => entry.averageWords));
+  for (const entry of ranked) {
+    const score = entry.matchRate * entry.averageQuality * (entry.averageWords / largest) * (1 - entry.boilerplateShare);
+    entry.score = Number(score.toFixed(3));
+  }
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Suggested selectors.content value: the best scoring selectors that match at least half the sample
+ * @param {Array<Object>} ranked - rankSelectors output
+ * @param {number} [count] - Selectors to keep as fallbacks
+ * @returns {string|null} Comma-separated selectors, or null when nothing matched well enough
+ */
+export function recommendSelectors(ranked, count = 3) {
+  const picks = ranked.filter(entry => entry.score > 0 && entry.matchRate >= 0.5).slice(0, count);
+  return picks.length > 0 ? picks.map(entry => entry.selector).join(', ') : null;
+}
+
+/**
+ * Pick up to `size` URLs spread evenly over a list
+ */
+export function sampleEvenly(items, size) {
+  if (items.length <= size) return [...items];
+  const step = items.length / size;
+  return Array.from({ length: size }, (_, index) => items[Math.floor(index * step)]);
+}
+
+/**
+ * Content metrics a baseline tracks, for a site's pages (from an index or a crawl result)
+ * @param {Array<Object>} pages - Indexed pages
+ * @returns {{ pages: number, pagesWithContent: number, averageWords: number, averageQuality: number }} Metrics;
+ *   averages are over the pages with content
+ */
+export function summarizePageContent(pages = []) {
+  const live = pages.filter(page => !page.tombstonedAt);
+  const withContent = live.filter(page => page.content && page.content.trim().length > 0);
+  const total = (values) => values.reduce((sum, value) => sum + value, 0);
+  return {
+    pages: live.length,
+    pagesWithContent: withContent.length,
+    averageWords: withContent.length > 0 ? Math.round(total(withContent.map(page => page.estimatedWords || 0)) / withContent.length) : 0,
+    averageQuality: withContent.length > 0
+      ? Number((total(withContent.map(page => assessContentQuality(page.content, { minLength: 30, requireTechnical: false }).overallScore)) / withContent.length).toFixed(3))
+      : 0
+  };
+}
+
+/**
+ * Compare a site's current content metrics with its baseline
+ * @param {Object} metrics - summarizePageContent output for the new crawl
+ * @param {Object} baseline - Stored baseline
+ * @param {Object} [tolerances] - Overrides for the baseline's own tolerances
+ * @returns {Array<Object>} Regressions { metric, baseline, current, drop, tolerance }, empty when within tolerance
+ */
+export function compareToBaseline(metrics, baseline, tolerances = {}) {
+  const limits = { ...DEFAULT_BASELINE_TOLERANCES, ...baseline.tolerances, ...tolerances };
+  const regressions = [];
+  for (const metric of Object.keys(DEFAULT_BASELINE_TOLERANCES)) {
+    const expected = baseline.crawl?.[metric];
+    if (!(expected > 0)) continue;
+    const drop = (expected - (metrics[metric] || 0)) / expected;
+    if (drop > limits[metric]) {
+      regressions.push({ metric, baseline: expected, current: metrics[metric] || 0, drop: Number(drop.toFixed(3)), tolerance: limits[metric] });
+    }
+  }
+  return regressions;
+}
+
+function baselinePath(siteKey, dir) {
+  return resolve(process.cwd(), join(dir, `${siteKey}.json`));
+}
+
+/**
+ * Read a site's baseline
+ * @returns {Promise<Object|null>} Baseline, or null when the site has none
+ */
+export async function loadBaseline(siteKey, dir = DEFAULT_BASELINE_DIR) {
+  try {
+    const baseline = JSON.parse(await fs.readFile(baselinePath(siteKey, dir), 'utf8'));
+    return baseline.version === BASELINE_VERSION ? baseline : null;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`Could not read baseline for ${siteKey}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a site's baseline, keeping tolerances already tuned in an existing file
+ * @param {Object} baseline - { siteKey, selectors, evaluation, crawl }
+ * @returns {Promise<string>} Path written
+ */
+export async function saveBaseline(baseline, dir = DEFAULT_BASELINE_DIR) {
+  const previous = await loadBaseline(baseline.siteKey, dir).catch(() => null);
+  const path = baselinePath(baseline.siteKey, dir);
+  await fs.mkdir(resolve(process.cwd(), dir), { recursive: true });
+  await fs.writeFile(path, JSON.stringify({
+    version: BASELINE_VERSION,
+    ...baseline,
+    tolerances: previous?.tolerances || DEFAULT_BASELINE_TOLERANCES
+  }, null, 2) + '\n');
+  return path;
+}
@@ -0,0 +1,263 @@
+/**
+ * Site Detector
+ * Recognizes the documentation framework behind a site and proposes a crawl-config.json entry
+ * for it: selectors, seeds from its sidebar and sitemap, content filters and language excludes
+ */
+
+// Framework signatures and the config each one starts from; detection counts matching signals
+export const FRAMEWORKS = {
+  mkdocs: {
+    name: 'MkDocs',
+    generator: /mkdocs/i,
+    markers: ['.md-content', '[data-md-component]', 'nav.md-nav'],
+    contentSelectors: ['.md-content__inner', 'main'],
+    excludePatterns: ['/\\/search\\/?$/', '/\\/404\\.html$/']
+  },
+  vitepress: {
+    name: 'VitePress',
+    generator: /vitepress/i,
+    markers: ['.vp-doc', '.VPDoc', '#VPContent', '.VPSidebar'],
+    contentSelectors: ['.vp-doc', 'main'],
+    excludePatterns: ['/\\/404\\.html$/']
+  },
+  docusaurus: {
+    name: 'Docusaurus',
+    generator: /docusaurus/i,
+    markers: ['#__docusaurus', '.theme-doc-markdown', '[class*="docusaurus"]'],
+    contentSelectors: ['.theme-doc-markdown', 'article', 'main'],
+    excludePatterns: ['/\\/tags\\//', '/\\/blog\\/(page|tags|archive)\\b/', '/\\/search\\/?$/']
+  },
+  vocs: {
+    name: 'Vocs',
+    generator: /vocs/i,
+    markers: ['.vocs_Content', '.vocs_DocsLayout', '.vocs_Sidebar'],
+    contentSelectors: ['article.vocs_Content', 'main']
+  },
+  nextra: {
+    name: 'Nextra',
+    generator: /nextra/i,
+    markers: ['.nextra-content', '.nextra-sidebar-container', '.nextra-nav-container', '[class*="nextra-"]'],
+    contentSelectors: ['article main', 'article', 'main'],
+    // Nextra runs on Next.js, whose RSC payloads leak into extracted text
+    handler: 'nextjs'
+  },
+  gitbook: {
+    name: 'GitBook',
+    generator: /gitbook/i,
+    markers: ['[class*="gitbook"]', 'a[href*="gitbook.com"]', 'img[src*="gitbook"]'],
+    contentSelectors: ['main', 'article'],
+    excludePatterns: ['/\\/~gitbook\\//']
+  }
+};
+
+// Excludes every site gets: binary downloads, mail links and the site's own llms.txt files
+const BASE_EXCLUDE_PATTERNS = [
+  '/\\.(pdf|zip|tar|gz)$/',
+  '/mailto:/',
+  '/llms\\.txt$/',
+  '/llms-full\\.txt$/'
+];
+
+// Same filters as the hand-written entries in public/crawl-config.json
+const DEFAULT_CONTENT_FILTERS = {
+  removeScripts: true,
+  removeStyles: true,
+  removeComments: true,
+  removeEmptyElements: true,
+  minWordCount: 50,
+  maxCodeBlockLength: 1000
+};
+
+// First path segments that hold a translation of the docs (ISO 639-1, optionally with a region)
+const LANGUAGE_CODES = new Set([
+  'ar', 'bn', 'cs', 'da', 'de', 'el', 'es', 'fa', 'fi', 'fr', 'he', 'hi', 'hu', 'id', 'it', 'ja',
+  'ko', 'ms', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sv', 'th', 'tr', 'uk', 'vi', 'zh'
+]);
+
+// Seeds proposed at most, besides the entry page
+const MAX_SEEDS = 8;
+
+// Bounds for the proposed limits
+const DEPTH_RANGE = [2, 6];
+const PAGES_RANGE = [50, 500];
+
+function clamp(value, [low, high]) {
+  return Math.min(high, Math.max(low, value));
+}
+
+function matches(doc, selector) {
+  try {
+    return doc.querySelector(selector) !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Identify a page's docs framework from its generator meta tag and theme markup
+ * @param {Document} doc - Parsed page
+ * @param {string} [html] - Raw HTML, searched for framework names in asset paths and inline data
+ * @returns {{ framework: string|null, name: string|null, evidence: Array<string> }} Best match, or nulls
+ *   when no signal was found
+ */
+export function detectFramework(doc, html = '') {
+  const generator = doc.querySelector?.('meta[name="generator"]')?.getAttribute('content') || '';
+  let best = { framework: null, name: null, evidence: [], score: 0 };
+
+  for (const [framework, signature] of Object.entries(FRAMEWORKS)) {
+    const evidence = [];
+    let score = 0;
+    if (generator && signature.generator.test(generator)) {
+      evidence.push(`generator "${generator}"`);
+      score += 3;
+    }
+    for (const marker of signature.markers) {
+      if (matches(doc, marker)) {
+        evidence.push(`element ${marker}`);
+        score += 1;
+      }
+    }
+    // Client-rendered frameworks may only show up in their script and stylesheet paths
+    if (score === 0 && signature.generator.test(html)) {
+      evidence.push(`"${signature.name}" in page source`);
+      score += 1;
+    }
+    if (score > best.score) {
+      best = { framework, name: signature.name, evidence, score };
+    }
+  }
+
+  const { score, ...detected } = best;
+  return detected;
+}
+
+/**
+ * Language codes used as first path segment by the given URLs, other than the entry page's own
+ * @param {Array<string>} urls - Discovered page URLs
+ * @param {string} entryUrl - Page the site was probed from
+ * @returns {Array<string>} Codes as they appear in the paths (e.g. ja, zh-cn), sorted
+ */
+export function findLanguagePaths(urls, entryUrl) {
+  const languageOf = (url) => {
+    const segment = new URL(url).pathname.split('/')[1]?.toLowerCase() || '';
+    const match = segment.match(/^([a-z]{2})(?:[-_][a-z]{2,4})?$/);
+    return match && LANGUAGE_CODES.has(match[1]) ? segment : null;
+  };
+  const own = languageOf(entryUrl);
+  const found = new Set();
+  for (const url of urls) {
+    const language = languageOf(url);
+    if (language && language !== own) found.add(language);
+  }
+  return [...found].sort();
+}
+
+/**
+ * Shared first-level path prefix of the entry page and its sidebar, e.g. /docs/ for docs
+ * hosted under a marketing site
+ */
+function findPathPrefix(entryUrl, urls) {
+  const firstSegment = (url) => new URL(url).pathname.split('/').filter(Boolean)[0] || null;
+  const prefix = firstSegment(entryUrl);
+  if (!prefix || urls.length === 0 || LANGUAGE_CODES.has(prefix)) return null;
+  return urls.every(url => firstSegment(url) === prefix) ? `/${prefix}/` : null;
+}
+
+/**
+ * Seed paths: the entry page, then one page per top-level section of the sidebar (or sitemap),
+ * preferring the section's own index page
+ */
+function proposeSeeds(entryUrl, urls, prefix) {
+  const entryPath = new URL(entryUrl).pathname;
+  const depth = prefix ? 2 : 1;
+  const sections = new Map();
+  for (const url of [entryUrl, ...urls]) {
+    const path = new URL(url).pathname;
+    const segments = path.split('/').filter(Boolean);
+    if (segments.length < depth) continue;
+    const section = `/${segments.slice(0, depth).join('/')}/`;
+    const current = sections.get(section);
+    if (!current || path === section || (current !== section && path.length < current.length)) {
+      sections.set(section, path);
+    }
+  }
+  return [...new Set([entryPath, ...sections.values()])].slice(0, MAX_SEEDS + 1);
+}
+
+/**
+ * Short config key for a site: its host without www./docs. and the domain suffix
+ */
+export function deriveSiteKey(url) {
+  const labels = new URL(url).hostname.toLowerCase().split('.').filter(label => !['www', 'docs', 'doc'].includes(label));
+  const label = labels.length > 1 ? labels.slice(0, -1).join('-') : labels[0] || 'site';
+  return label.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'site';
+}
+
+/**
+ * Display name for a site: og:site_name, else the part of the title after its separator
+ */
+export function deriveSiteName(doc, url) {
+  const siteName = doc.querySelector?.('meta[property="og:site_name"]')?.getAttribute('content')?.trim();
+  if (siteName) return siteName;
+  const title = (doc.querySelector?.('title')?.textContent || '').trim();
+  const parts = title.split(/\s+[|\-–—·]\s+/).filter(Boolean);
+  return parts.length > 1 ? parts[parts.length - 1] : new URL(url).hostname;
+}
+
+/**
+ * Build a config entry for a probed site
+ * @param {Object} probe - The crawler's probeSite output: { finalUrl, doc, detection, navigationUrls,
+ *   sitemapUrls, recommended }, where recommended are the best scoring content selectors, if any
+ * @param {Object} [options] - Proposal options
+ * @param {string} [options.name] - Site name, instead of the one derived from the page
+ * @returns {{ config: Object, languages: Array<string> }} Proposed entry and the excluded language paths
+ */
+export function proposeSiteConfig(probe, { name = null } = {}) {
+  const signature = FRAMEWORKS[probe.detection.framework] || {};
+  const entry = new URL(probe.finalUrl);
+  const discovered = [...new Set([...probe.navigationUrls, ...probe.sitemapUrls])]
+    .filter(url => new URL(url).host === entry.host);
+
+  const languages = findLanguagePaths(discovered, entry.href);
+  const localized = (url) => languages.includes(new URL(url).pathname.split('/')[1]?.toLowerCase());
+  const pages = discovered.filter(url => !localized(url));
+
+  // Sidebar pages are the curated docs; the sitemap only fills in when there is no sidebar
+  const seedSource = probe.navigationUrls.filter(url => !localized(url));
+  const prefix = findPathPrefix(entry.href, seedSource.length > 0 ? seedSource : pages);
+  const seedUrls = proposeSeeds(entry.href, seedSource.length > 0 ? seedSource : pages, prefix);
+  const deepest = Math.max(0, ...pages.map(url => new URL(url).pathname.split('/').filter(Boolean).length));
+
+  const config = {
+    name: name || deriveSiteName(probe.doc, entry.href),
+    baseUrl: entry.origin,
+    maxDepth: clamp(deepest, DEPTH_RANGE),
+    maxPages: clamp(Math.ceil((pages.length * 1.2) / 50) * 50, PAGES_RANGE),
+    selectors: {
+      title: 'h1, title',
+      content: probe.recommended || (signature.contentSelectors || ['main', 'article', '.content']).join(', ')
+    },
+    excludePatterns: [
+      ...BASE_EXCLUDE_PATTERNS,
+      ...(signature.excludePatterns || []),
+      ...languages.map(language => `/\\/${language}\\//`)
+    ],
+    contentFilters: { ...DEFAULT_CONTENT_FILTERS },
+    seedUrls
+  };
+  if (prefix) {
+    config.pathPrefixes = [prefix];
+  }
+  if (signature.handler) {
+    config.handler = signature.handler;
+  }
+
+  return { config, languages };
+}
+
+/**
+ * Content selectors worth evaluating for a framework, before the common theme selectors
+ */
+export function getFrameworkSelectors(framework) {
+  return FRAMEWORKS[framework]?.contentSelectors || [];
+}
@@ -0,0 +1,23 @@
+/**
+ * Glossary Site Handler
+ * Titles plain-text glossary files from their first line
+ */
+
+export default {
+  name: 'glossary',
+
+  /**
+   * Use a short first line as the title, otherwise a fixed glossary title
+   */
+  deriveTitle({ content, title }) {
+    if (!content) {
+      return title;
+    }
+
+    const firstLine = content.split('\n')[0];
+    if (firstLine && firstLine.length < 100) {
+      return firstLine.trim();
+    }
+    return 'Permaweb Glossary';
+  }
+};
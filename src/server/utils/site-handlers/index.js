@@ -0,0 +1,87 @@
+/**
+ * Site Handlers
+ * Per-site hooks named by the `handler` key in crawl-config.json, so quirks of a
+ * documentation platform live in one module instead of being special-cased in the crawler
+ *
+ * A handler is a module whose default export implements any of:
+ * - discoverUrls({ baseUrl, config, fetchText }) => string[] of extra URLs or paths to crawl
+ * - transformDocument(doc, { url, config }) => Document adjusted before content extraction
+ * - postProcessContent(content, { url, config }) => cleaned content after the generic filters
+ * - deriveTitle({ url, doc, content, title }) => page title
+ * - deriveBreadcrumbs({ url, title, breadcrumbs }) => breadcrumb trail
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import glossary from './glossary.js';
+import nextjs from './nextjs.js';
+
+const BUILT_IN_HANDLERS = {
+  glossary,
+  nextjs
+};
+
+export const HANDLER_HOOKS = [
+  'discoverUrls',
+  'transformDocument',
+  'postProcessContent',
+  'deriveTitle',
+  'deriveBreadcrumbs'
+];
+
+/**
+ * Names of the handlers that ship with the crawler
+ * @returns {string[]} Built-in handler names
+ */
+export function getBuiltInHandlerNames() {
+  return Object.keys(BUILT_IN_HANDLERS);
+}
+
+/**
+ * Check that a handler exposes at least one known hook and nothing but functions for them
+ * @param {Object} handler - Handler module export
+ * @param {string} spec - Name or path the handler was loaded from (for error messages)
+ * @returns {Object} The handler
+ */
+function validateHandler(handler, spec) {
+  if (!handler || typeof handler !== 'object') {
+    throw new Error(`Site handler "${spec}" must default-export an object`);
+  }
+
+  const hooks = HANDLER_HOOKS.filter(hook => hook in handler);
+  if (hooks.length === 0) {
+    throw new Error(`Site handler "${spec}" implements none of: ${HANDLER_HOOKS.join(', ')}`);
+  }
+
+  for (const hook of hooks) {
+    if (typeof handler[hook] !== 'function') {
+      throw new Error(`Site handler "${spec}" hook ${hook} must be a function`);
+    }
+  }
+
+  return handler;
+}
+
+/**
+ * Resolve a `handler` config value to a handler object
+ * Built-in handlers are referenced by name; anything starting with "." or "/" is a module
+ * path resolved against the working directory
+ * @param {string} [spec] - Handler name or module path
+ * @returns {Promise<Object|null>} Handler, or null when no handler is configured
+ */
+export async function loadSiteHandler(spec) {
+  if (!spec) {
+    return null;
+  }
+
+  if (BUILT_IN_HANDLERS[spec]) {
+    return BUILT_IN_HANDLERS[spec];
+  }
+
+  if (!spec.startsWith('.') && !spec.startsWith('/')) {
+    throw new Error(`Unknown site handler "${spec}" (built-in handlers: ${getBuiltInHandlerNames().join(', ')})`);
+  }
+
+  const module = await import(pathToFileURL(resolve(process.cwd(), spec)).href);
+  return validateHandler(module.default, spec);
+}
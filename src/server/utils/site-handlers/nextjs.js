@@ -0,0 +1,58 @@
+/**
+ * Next.js Site Handler
+ * Strips React Server Component payloads and theme bootstrap scripts that leak into
+ * text extracted from Next.js (and Nextra) documentation sites
+ */
+
+// Flight payload fragments (self.__next_f.push chunks and "$"-prefixed references)
+const FLIGHT_PATTERNS = [
+  /self\.__next_f\.push\([^)]*\)/g,
+  /self\.__next_f\.push\(\[[^\]]*\]\)/g,
+  /\["\$[^"]*",[^\]]*\]/g,
+  /"\$\d+"/g,
+  /"\$L[^"]*"/g,
+  /"\$undefined"/g,
+  /"\$S[^"]*"/g,
+  /"\$1[^"]*"/g,
+  /"\$L\d+"/g,
+  /"\$L[a-zA-Z0-9]+"/g
+];
+
+// Serialized React element tuples
+const COMPONENT_PATTERNS = [
+  /\["\$","\$[^"]*",[^\]]*\]/g,
+  /\["\$","html",[^\]]*\]/g,
+  /\["\$","\$L[^"]*",[^\]]*\]/g
+];
+
+// Layout props rendered as "$undefined" placeholders
+const TEMPLATE_PATTERNS = [
+  /templateStyles.*?"\$undefined"/g,
+  /templateScripts.*?"\$undefined"/g,
+  /notFound.*?"\$undefined"/g,
+  /forbidden.*?"\$undefined"/g,
+  /unauthorized.*?"\$undefined"/g
+];
+
+// Inline color-scheme bootstrap script (seen on the AR.IO docs)
+const THEME_SCRIPT_PATTERNS = [
+  /else\s*\}\s*else\s*if\s*\([^)]*\)/g,
+  /if\s*\([^)]*===\s*['"]light['"]\|\|[^)]*===\s*['"]dark['"]\)/g,
+  /d\.style\.colorScheme\s*=\s*[^;]+/g,
+  /catch\s*\([^)]*\)\s*\{\s*\}\s*\}\s*\(\)/g
+];
+
+export default {
+  name: 'nextjs',
+
+  /**
+   * Remove Next.js runtime noise from extracted content
+   */
+  postProcessContent(content) {
+    let cleaned = content;
+    for (const pattern of [...FLIGHT_PATTERNS, ...COMPONENT_PATTERNS, ...TEMPLATE_PATTERNS, ...THEME_SCRIPT_PATTERNS]) {
+      cleaned = cleaned.replace(pattern, '');
+    }
+    return cleaned.trim();
+  }
+};
@@ -0,0 +1,158 @@
+/**
+ * Sitemap Discovery
+ * Finds page URLs through sitemap.xml files, sitemap indexes and <link rel="sitemap"> hints
+ */
+
+// Locations probed on every site when no explicit hint points elsewhere
+const DEFAULT_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml'];
+
+// Upper bound on sitemap files fetched per site (indexes can nest)
+const MAX_SITEMAP_FILES = 25;
+
+/**
+ * Decode the handful of XML entities allowed inside <loc> values
+ * @param {string} text - Raw element text
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/^<!\[CDATA\[([\s\S]*?)\]\]>$/, '$1')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .trim();
+}
+
+/**
+ * Read the text of the first child element with the given tag name
+ * @param {string} block - XML fragment
+ * @param {string} tag - Tag name without namespace prefix
+ * @returns {string|null} Element text
+ */
+function readTag(block, tag) {
+  const match = block.match(new RegExp(`<(?:\\w+:)?${tag}>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Parse a sitemap or sitemap index document
+ * @param {string} xml - Sitemap XML content
+ * @returns {Object} Page entries and nested sitemap locations
+ */
+export function parseSitemapXml(xml) {
+  const urls = [];
+  const sitemaps = [];
+
+  if (!xml || typeof xml !== 'string') {
+    return { urls, sitemaps };
+  }
+
+  for (const [, block] of xml.matchAll(/<(?:\w+:)?url>([\s\S]*?)<\/(?:\w+:)?url>/gi)) {
+    const loc = readTag(block, 'loc');
+    if (!loc) continue;
+
+    const priority = parseFloat(readTag(block, 'priority'));
+    urls.push({
+      loc,
+      lastmod: readTag(block, 'lastmod'),
+      changefreq: readTag(block, 'changefreq'),
+      priority: Number.isFinite(priority) ? priority : null
+    });
+  }
+
+  for (const [, block] of xml.matchAll(/<(?:\w+:)?sitemap>([\s\S]*?)<\/(?:\w+:)?sitemap>/gi)) {
+    const loc = readTag(block, 'loc');
+    if (loc) {
+      sitemaps.push(loc);
+    }
+  }
+
+  return { urls, sitemaps };
+}
+
+/**
+ * Collect <link rel="sitemap"> hints from a parsed page
+ * @param {Document} doc - Parsed HTML document
+ * @param {string} pageUrl - URL of the page, used to resolve relative hrefs
+ * @returns {string[]} Absolute sitemap URLs
+ */
+export function findSitemapLinks(doc, pageUrl) {
+  if (!doc || typeof doc.querySelectorAll !== 'function') {
+    return [];
+  }
+
+  const hints = [];
+  for (const link of doc.querySelectorAll('link[rel~="sitemap"][href]')) {
+    try {
+      hints.push(new URL(link.getAttribute('href'), pageUrl).href);
+    } catch {
+      // Ignore malformed hrefs
+    }
+  }
+  return hints;
+}
+
+/**
+ * Discover page URLs from every sitemap reachable for a site
+ * @param {string} baseUrl - Site base URL
+ * @param {Object} options - Discovery options
+ * @param {Function} options.fetchText - Async (url) => string|null used for all requests
+ * @param {string[]} [options.hints] - Extra sitemap URLs (link hints, robots.txt entries)
+ * @param {number} [options.maxFiles] - Maximum sitemap files to fetch
+ * @returns {Promise<Object>} Unique page entries plus the sitemap files that were read
+ */
+export async function discoverSitemapUrls(baseUrl, options = {}) {
+  const {
+    fetchText,
+    hints = [],
+    maxFiles = MAX_SITEMAP_FILES
+  } = options;
+
+  if (typeof fetchText !== 'function') {
+    throw new Error('discoverSitemapUrls requires a fetchText function');
+  }
+
+  const queue = [
+    ...hints,
+    ...DEFAULT_SITEMAP_PATHS.map(path => new URL(path, baseUrl).href)
+  ];
+  const fetched = new Set();
+  const sitemapFiles = [];
+  const entries = new Map();
+
+  while (queue.length > 0 && fetched.size < maxFiles) {
+    const sitemapUrl = queue.shift();
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+
+    // Compressed sitemaps would need a decompression step we don't do here
+    if (sitemapUrl.endsWith('.gz')) continue;
+
+    const xml = await fetchText(sitemapUrl);
+    if (!xml) continue;
+
+    const { urls, sitemaps } = parseSitemapXml(xml);
+    if (urls.length === 0 && sitemaps.length === 0) continue;
+
+    sitemapFiles.push(sitemapUrl);
+
+    for (const entry of urls) {
+      if (!entries.has(entry.loc)) {
+        entries.set(entry.loc, entry);
+      }
+    }
+
+    for (const nested of sitemaps) {
+      if (!fetched.has(nested)) {
+        queue.push(nested);
+      }
+    }
+  }
+
+  return {
+    entries: [...entries.values()],
+    sitemapFiles
+  };
+}
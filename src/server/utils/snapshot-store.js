@@ -0,0 +1,145 @@
+/**
+ * Snapshot Store
+ * Keeps the raw responses the crawler fetched so extraction can be re-run offline.
+ * Bodies are stored once per distinct content under their SHA-256; each site has a
+ * manifest mapping its URLs to the body and response details of their latest fetch
+ */
+
+import { promises as fs } from 'fs';
+import { resolve, join } from 'path';
+import { createHash } from 'crypto';
+
+// Directory (relative to the working directory) holding manifests and bodies
+export const DEFAULT_SNAPSHOT_DIR = '.crawl-snapshots';
+
+// Bumped whenever the manifest shape changes; older manifests are ignored
+const MANIFEST_VERSION = 1;
+
+/**
+ * Absolute path of a directory or file inside the snapshot store
+ */
+function storePath(dir, ...parts) {
+  return resolve(process.cwd(), join(dir, ...parts));
+}
+
+/**
+ * Path of a stored body, fanned out by the first two hex digits of its hash
+ */
+function objectPath(hash, dir) {
+  return storePath(dir, 'objects', hash.slice(0, 2), hash);
+}
+
+/**
+ * Write a response body unless identical content is already stored
+ * @param {string} body - Raw response text
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<string>} SHA-256 of the body, used as its address
+ */
+export async function storeSnapshotBody(body, dir = DEFAULT_SNAPSHOT_DIR) {
+  const hash = createHash('sha256').update(body).digest('hex');
+  const path = objectPath(hash, dir);
+
+  try {
+    await fs.access(path);
+    return hash;
+  } catch {
+    // Not stored yet
+  }
+
+  await fs.mkdir(storePath(dir, 'objects', hash.slice(0, 2)), { recursive: true });
+  await fs.writeFile(`${path}.tmp`, body);
+  await fs.rename(`${path}.tmp`, path);
+  return hash;
+}
+
+/**
+ * Read a stored response body
+ * @param {string} hash - Address returned by storeSnapshotBody
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<string|null>} Body, or null when it is missing
+ */
+export async function readSnapshotBody(hash, dir = DEFAULT_SNAPSHOT_DIR) {
+  try {
+    return await fs.readFile(objectPath(hash, dir), 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a site's manifest
+ * @param {string} siteKey - Site key
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<Object>} Canonical URL key -> { url, finalUrl, status, contentType, etag, lastModified, fetchedAt, hash }
+ */
+export async function loadSnapshotManifest(siteKey, dir = DEFAULT_SNAPSHOT_DIR) {
+  try {
+    const data = JSON.parse(await fs.readFile(storePath(dir, `${siteKey}.json`), 'utf8'));
+    if (data.version !== MANIFEST_VERSION || data.siteKey !== siteKey) {
+      return {};
+    }
+    return data.entries || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Replace a site's manifest
+ * @param {string} siteKey - Site key
+ * @param {Object} entries - Canonical URL key -> snapshot record
+ * @param {string} [dir] - Snapshot directory
+ */
+export async function saveSnapshotManifest(siteKey, entries, dir = DEFAULT_SNAPSHOT_DIR) {
+  const path = storePath(dir, `${siteKey}.json`);
+  await fs.mkdir(storePath(dir), { recursive: true });
+
+  const data = {
+    version: MANIFEST_VERSION,
+    siteKey,
+    savedAt: new Date().toISOString(),
+    entries
+  };
+
+  await fs.writeFile(`${path}.tmp`, JSON.stringify(data));
+  await fs.rename(`${path}.tmp`, path);
+}
+
+/**
+ * Delete stored bodies no manifest refers to any more
+ * @param {string} [dir] - Snapshot directory
+ * @returns {Promise<number>} Bodies removed
+ */
+export async function pruneSnapshotObjects(dir = DEFAULT_SNAPSHOT_DIR) {
+  let files;
+  try {
+    files = await fs.readdir(storePath(dir));
+  } catch {
+    return 0;
+  }
+
+  const referenced = new Set();
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const entries = await loadSnapshotManifest(file.slice(0, -'.json'.length), dir);
+    for (const entry of Object.values(entries)) {
+      referenced.add(entry.hash);
+    }
+  }
+
+  let removed = 0;
+  let buckets = [];
+  try {
+    buckets = await fs.readdir(storePath(dir, 'objects'));
+  } catch {
+    return 0;
+  }
+  for (const bucket of buckets) {
+    for (const hash of await fs.readdir(storePath(dir, 'objects', bucket))) {
+      if (!referenced.has(hash)) {
+        await fs.rm(storePath(dir, 'objects', bucket, hash), { force: true });
+        removed++;
+      }
+    }
+  }
+  return removed;
+}
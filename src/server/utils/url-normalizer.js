@@ -0,0 +1,168 @@
+/**
+ * URL Canonicalization
+ * Normalizes URL variants (trailing slashes, index files, tracking params, case) so one page
+ * is only crawled and indexed once, and picks the canonical URL a page declares for itself
+ */
+
+// Query parameters that only track campaigns or referrers and never change page content
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(ref|ref_src|referrer|source_ref)$/i,
+  /^(fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|_ga|_gl)$/i
+];
+
+// Directory index documents that serve the same page as the directory itself
+const INDEX_FILE_PATTERN = /\/(index|default)\.(html?|php|aspx?)$/i;
+
+/**
+ * Check whether a query parameter should be dropped
+ * @param {string} name - Parameter name
+ * @param {string[]} extraParams - Additional site-specific parameter names
+ * @returns {boolean} True when the parameter is tracking noise
+ */
+function isIgnoredParam(name, extraParams) {
+  return TRACKING_PARAMS.some(pattern => pattern.test(name)) || extraParams.includes(name);
+}
+
+/**
+ * Clean a URL without changing which resource it fetches: drops the fragment and
+ * tracking params, sorts the remaining query and lowercases scheme and host
+ * @param {string} url - Absolute URL
+ * @param {Object} [options] - Normalization options
+ * @param {string[]} [options.stripParams] - Extra query parameters to drop
+ * @returns {string|null} Cleaned URL, or null when it can't be parsed
+ */
+export function normalizeUrl(url, options = {}) {
+  const { stripParams = [] } = options;
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return null;
+  }
+
+  // WHATWG URL already lowercases scheme and host and drops default ports
+  urlObj.hash = '';
+  urlObj.pathname = urlObj.pathname.replace(/\/{2,}/g, '/');
+
+  const params = [...urlObj.searchParams.entries()]
+    .filter(([name]) => !isIgnoredParam(name, stripParams))
+    .sort(([a], [b]) => a.localeCompare(b));
+  urlObj.search = new URLSearchParams(params).toString();
+
+  return urlObj.href;
+}
+
+/**
+ * Reduce a URL to the key used to detect duplicates: normalizeUrl plus
+ * index-file and trailing-slash folding (and optionally a lowercased path)
+ * Keys are for comparison only and are never fetched
+ * @param {string} url - Absolute URL
+ * @param {Object} [options] - Normalization options
+ * @param {string[]} [options.stripParams] - Extra query parameters to drop
+ * @param {boolean} [options.lowercasePaths] - Treat paths case-insensitively
+ * @returns {string|null} Canonical key, or null when the URL can't be parsed
+ */
+export function getCanonicalKey(url, options = {}) {
+  const { lowercasePaths = false } = options;
+
+  const normalized = normalizeUrl(url, options);
+  if (!normalized) return null;
+
+  const urlObj = new URL(normalized);
+  let path = urlObj.pathname.replace(INDEX_FILE_PATTERN, '/');
+  if (path.length > 1 && path.endsWith('/')) {
+    path = path.slice(0, -1);
+  }
+  if (lowercasePaths) {
+    path = path.toLowerCase();
+  }
+
+  return `${urlObj.origin}${path}${urlObj.search}`;
+}
+
+/**
+ * Read the <link rel="canonical"> a page declares
+ * @param {Document} doc - Parsed HTML document
+ * @param {string} pageUrl - URL the document was served from
+ * @returns {string|null} Absolute canonical URL
+ */
+export function findCanonicalLink(doc, pageUrl) {
+  if (!doc || typeof doc.querySelector !== 'function') {
+    return null;
+  }
+
+  const link = doc.querySelector('link[rel~="canonical"][href]');
+  if (!link) return null;
+
+  try {
+    return new URL(link.getAttribute('href'), pageUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the URL a page should be indexed under
+ * Prefers the page's rel=canonical (when accepted), then the post-redirect URL, then the requested URL
+ * @param {Object} params - Resolution inputs
+ * @param {string} params.requestedUrl - URL that was fetched
+ * @param {string} [params.finalUrl] - URL after following redirects
+ * @param {Document} [params.doc] - Parsed page
+ * @param {Function} [params.accept] - (url) => boolean filter for canonical hints (e.g. same site only)
+ * @param {Object} [params.options] - Normalization options
+ * @returns {Object} { url, aliases } where aliases are the other URLs that served this page
+ */
+export function resolveCanonicalUrl({ requestedUrl, finalUrl = null, doc = null, accept = () => true, options = {} }) {
+  const servedUrl = normalizeUrl(finalUrl || requestedUrl, options) || requestedUrl;
+  const declared = findCanonicalLink(doc, servedUrl);
+  const declaredUrl = declared ? normalizeUrl(declared, options) : null;
+  const url = declaredUrl && accept(declaredUrl) ? declaredUrl : servedUrl;
+
+  const aliases = [requestedUrl, finalUrl]
+    .filter(Boolean)
+    .filter(alias => alias !== url);
+
+  return { url, aliases: [...new Set(aliases)] };
+}
+
+/**
+ * Merge alias lists, dropping the canonical URL itself and duplicates
+ * @param {string} url - Canonical URL
+ * @param {...Array<string>} lists - Alias lists to merge
+ * @returns {string[]} Unique aliases
+ */
+export function mergeAliases(url, ...lists) {
+  return [...new Set(lists.flat().filter(alias => alias && alias !== url))];
+}
+
+/**
+ * Collapse index entries that share a canonical key, keeping the first entry
+ * and recording the others' URLs as its aliases
+ * @param {Array<Object>} pages - Page entries with a url (and optional aliases)
+ * @param {Object} [options] - Normalization options
+ * @returns {Array<Object>} Deduplicated page entries
+ */
+export function collapseDuplicatePages(pages, options = {}) {
+  const indexByKey = new Map();
+  const result = [];
+
+  for (const page of pages) {
+    const key = getCanonicalKey(page.url, options) || page.url;
+
+    if (indexByKey.has(key)) {
+      const index = indexByKey.get(key);
+      const kept = result[index];
+      result[index] = {
+        ...kept,
+        aliases: mergeAliases(kept.url, kept.aliases || [], page.aliases || [], [page.url])
+      };
+    } else {
+      indexByKey.set(key, result.length);
+      result.push(page);
+    }
+  }
+
+  return result;
+}
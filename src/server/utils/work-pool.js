@@ -0,0 +1,91 @@
+/**
+ * Work Pool
+ * Concurrency primitives for the crawler: a semaphore capping in-flight requests across
+ * sites, and an ordered pool that runs jobs concurrently but hands their results back in
+ * the order the jobs were started, so concurrent crawls produce the same index as sequential ones
+ */
+
+/**
+ * Counting semaphore
+ */
+export class Semaphore {
+  constructor(max) {
+    this.max = max;
+    this.current = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Change the number of holders allowed; waiting callers are admitted if it grew
+   */
+  setMax(max) {
+    this.max = max;
+    while (this.queue.length > 0 && this.current < this.max) {
+      this.current++;
+      this.queue.shift()();
+    }
+  }
+
+  async acquire() {
+    if (this.current < this.max) {
+      this.current++;
+      return;
+    }
+    await new Promise(resolve => this.queue.push(resolve));
+  }
+
+  release() {
+    if (this.queue.length > 0 && this.current <= this.max) {
+      this.queue.shift()();
+    } else {
+      this.current--;
+    }
+  }
+
+  /**
+   * Run a function while holding the semaphore
+   */
+  async use(fn) {
+    await this.acquire();
+    try {
+      return await fn();
+    } finally {
+      this.release();
+    }
+  }
+}
+
+/**
+ * Run jobs with bounded concurrency, committing results in start order
+ * `take` is asked for the next job whenever a worker is free; it may return null to wait
+ * for the oldest running job to be committed first (e.g. until its links are queued).
+ * The pool finishes when `take` returns null with nothing running.
+ * @param {Object} options - Pool callbacks
+ * @param {number} options.concurrency - Jobs running at once
+ * @param {Function} options.take - async (running) => job | null; running is the number of uncommitted jobs
+ * @param {Function} options.run - async (job) => result; errors are passed to commit as { error }
+ * @param {Function} options.commit - async (job, result) => void, called one job at a time in start order
+ * @returns {Promise<void>} Resolves once every started job is committed; rejects if commit throws
+ */
+export async function runInOrder({ concurrency, take, run, commit }) {
+  const running = [];
+
+  for (;;) {
+    while (running.length < Math.max(1, concurrency)) {
+      const job = await take(running.length);
+      if (!job) break;
+      running.push({
+        job,
+        result: Promise.resolve().then(() => run(job)).catch(error => ({ error }))
+      });
+    }
+
+    if (running.length === 0) {
+      return;
+    }
+
+    const { job, result } = running[0];
+    await commit(job, await result);
+    running.shift();
+  }
+}
@@ -0,0 +1,61 @@
+// @vitest-environment node
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getCheckpointPath, saveCheckpoint, loadCheckpoint, clearCheckpoints } from '../src/server/utils/checkpoint.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-checkpoints-')), 'checkpoints');
+});
+
+afterEach(() => {
+  fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+});
+
+describe('crawl checkpoints', () => {
+  it('saves and loads a site checkpoint with its version, key and save time', async () => {
+    const state = { status: 'in-progress', visited: ['https://docs.example.com/'], pages: [{ url: 'https://docs.example.com/' }] };
+
+    await saveCheckpoint('hyperbeam', state, dir);
+    const loaded = await loadCheckpoint('hyperbeam', dir);
+
+    expect(loaded).toMatchObject({ version: 1, siteKey: 'hyperbeam', ...state });
+    expect(Number.isNaN(Date.parse(loaded.savedAt))).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual(['hyperbeam.json']);
+  });
+
+  it('replaces an earlier checkpoint', async () => {
+    await saveCheckpoint('ao', { status: 'in-progress' }, dir);
+    await saveCheckpoint('ao', { status: 'complete', result: { pages: [] } }, dir);
+
+    expect(await loadCheckpoint('ao', dir)).toMatchObject({ status: 'complete', result: { pages: [] } });
+  });
+
+  it('ignores missing, corrupt, outdated and mismatched checkpoint files', async () => {
+    expect(await loadCheckpoint('missing', dir)).toBeNull();
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(getCheckpointPath('corrupt', dir), '{"version":');
+    fs.writeFileSync(getCheckpointPath('outdated', dir), JSON.stringify({ version: 0, siteKey: 'outdated' }));
+    fs.writeFileSync(getCheckpointPath('renamed', dir), JSON.stringify({ version: 1, siteKey: 'other' }));
+
+    expect(await loadCheckpoint('corrupt', dir)).toBeNull();
+    expect(await loadCheckpoint('outdated', dir)).toBeNull();
+    expect(await loadCheckpoint('renamed', dir)).toBeNull();
+  });
+
+  it('clears checkpoints and removes the directory once it is empty', async () => {
+    await saveCheckpoint('ao', {}, dir);
+    await saveCheckpoint('hyperbeam', {}, dir);
+
+    await clearCheckpoints(['ao'], dir);
+    expect(fs.readdirSync(dir)).toEqual(['hyperbeam.json']);
+
+    await clearCheckpoints(['hyperbeam', 'never-saved'], dir);
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+});
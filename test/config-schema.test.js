@@ -0,0 +1,125 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { validateCrawlConfig, parsePattern, formatIssue } from '../src/server/utils/config-schema.js';
+
+const site = (overrides = {}) => ({
+  name: 'Docs',
+  baseUrl: 'https://docs.example.com',
+  maxDepth: 3,
+  maxPages: 100,
+  selectors: { title: 'h1', content: 'main' },
+  excludePatterns: ['\\.pdf$'],
+  seedUrls: ['/guides/'],
+  ...overrides
+});
+
+const pathsOf = (issues) => issues.map(issue => issue.path);
+
+describe('parsePattern', () => {
+  it('compiles /source/flags literals and bare sources', () => {
+    expect(parsePattern('/\\/API\\//i').test('/api/')).toBe(true);
+    expect(parsePattern('\\.pdf$').test('/guide.pdf')).toBe(true);
+    expect(() => parsePattern('(')).toThrow(SyntaxError);
+  });
+});
+
+describe('validateCrawlConfig', () => {
+  it('accepts the repository crawl config', () => {
+    const config = JSON.parse(fs.readFileSync('public/crawl-config.json', 'utf8'));
+
+    expect(validateCrawlConfig(config).errors).toEqual([]);
+  });
+
+  it('accepts a minimal site without warnings', () => {
+    expect(validateCrawlConfig({ docs: site() })).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  it('rejects a config that is not an object of sites', () => {
+    expect(validateCrawlConfig([]).errors).toEqual([{ path: '(root)', message: 'expected an object of sites, got array' }]);
+    expect(validateCrawlConfig({}).errors).toEqual([{ path: '(root)', message: 'no sites configured' }]);
+    expect(validateCrawlConfig({ docs: 'https://docs.example.com' }).errors).toEqual([{ path: 'docs', message: 'expected an object, got string' }]);
+  });
+
+  it('reports missing required keys, nested ones included', () => {
+    const { valid, errors } = validateCrawlConfig({ docs: { name: 'Docs', selectors: { title: 'h1' } } });
+
+    expect(valid).toBe(false);
+    expect(errors.every(error => error.message === 'is required')).toBe(true);
+    expect(pathsOf(errors)).toEqual([
+      'docs.baseUrl',
+      'docs.maxDepth',
+      'docs.maxPages',
+      'docs.selectors.content',
+      'docs.excludePatterns',
+      'docs.seedUrls'
+    ]);
+  });
+
+  it('reports wrong types, ranges, enums, URLs and regexes with their paths', () => {
+    const { errors } = validateCrawlConfig({
+      docs: site({
+        baseUrl: 'ftp://docs.example.com',
+        maxDepth: 1.5,
+        maxPages: 0,
+        excludePatterns: ['(unclosed'],
+        crawlStrategy: 'random',
+        useSitemap: 'yes',
+        failureThresholds: { maxFailureRate: 2 },
+        seedMaxDepth: { '/guides/': -1 },
+        priorityPatterns: [{ pattern: '/api/' }]
+      })
+    });
+
+    expect(errors.map(formatIssue)).toEqual([
+      'docs.baseUrl: expected an http(s) URL, got ftp:',
+      'docs.maxDepth: expected an integer, got 1.5',
+      'docs.maxPages: must be at least 1, got 0',
+      expect.stringMatching(/^docs\.excludePatterns\[0\]: invalid regular expression \(unclosed: /),
+      'docs.useSitemap: expected true or false, got string',
+      'docs.failureThresholds.maxFailureRate: must be at most 1, got 2',
+      'docs.crawlStrategy: expected one of "priority", "bfs", "dfs", got "random"',
+      'docs.priorityPatterns[0].weight: is required',
+      'docs.seedMaxDepth./guides/: must be at least 0, got -1'
+    ]);
+  });
+
+  it('checks fields that depend on each other', () => {
+    const { errors, warnings } = validateCrawlConfig({
+      file: site({ type: 'single-file' }),
+      docs: site({ handler: 'no-such-handler', allowedHosts: ['https://api.example.com'], pathPrefixes: ['guides'] })
+    });
+
+    expect(errors.map(formatIssue)).toEqual([
+      'file.fileUrl: is required for single-file sites',
+      expect.stringMatching(/^docs\.handler: unknown site handler "no-such-handler" \(built-in handlers: /),
+      'docs.allowedHosts[0]: expected a host name such as "api.example.com", got "https://api.example.com"',
+      'docs.pathPrefixes[0]: must be a path starting with "/", got "guides"'
+    ]);
+    expect(pathsOf(warnings)).toEqual(['docs.seedUrls[0]']);
+  });
+
+  it('warns about unknown keys and seeds that can never be crawled', () => {
+    const { valid, warnings } = validateCrawlConfig({
+      docs: site({
+        baseUrl: 'https://docs.example.com/',
+        maxDepth: 1,
+        seedUrls: ['/guides/deep/page', '/draft.pdf', 'https://other.example.com/x', 'https://docs.example.com/run/'],
+        seedMaxDepth: { '/elsewhere/': 2 },
+        sitemap: true
+      })
+    });
+
+    expect(valid).toBe(true);
+    expect(warnings.map(formatIssue)).toEqual([
+      'docs.sitemap: unknown key (ignored by the crawler)',
+      'docs.baseUrl: has a trailing slash; seed paths are appended to it, producing "//" URLs',
+      'docs.seedMaxDepth./elsewhere/: is not one of seedUrls and has no effect',
+      'docs.seedUrls[0]: is 3 levels deep, beyond maxDepth 1, and will be skipped',
+      expect.stringMatching(/^docs\.seedUrls\[1\]: matches excludePatterns entry .* and will never be crawled$/),
+      'docs.seedUrls[2]: points outside baseUrl (https://docs.example.com) and allowedHosts, and will not be crawled',
+      'docs.seedUrls[3]: is an absolute URL; use the path "/run/" instead (seeds are appended to baseUrl)'
+    ]);
+  });
+});
@@ -0,0 +1,145 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import { CrawlFrontier, scoreCandidate, DEFAULT_CRAWL_STRATEGY } from '../src/server/utils/crawl-frontier.js';
+
+const item = (path, depth = 1, source = 'link') => ({ url: `https://docs.example.com${path}`, depth, source });
+
+function drain(frontier) {
+  const paths = [];
+  for (let next = frontier.next(); next; next = frontier.next()) {
+    paths.push(new URL(next.url).pathname);
+  }
+  return paths;
+}
+
+describe('scoreCandidate', () => {
+  it('favours seeds, sidebar pages, shallow pages and well-linked pages', () => {
+    expect(scoreCandidate(item('/a', 0, 'seed'))).toBe(10);
+    expect(scoreCandidate(item('/a', 2), { inNavigation: true })).toBe(2);
+    expect(scoreCandidate(item('/a', 1), { inboundLinks: 3 })).toBe(1);
+    expect(scoreCandidate(item('/a', 1), { sitemapPriority: 1 })).toBe(0);
+    expect(scoreCandidate(item('/a', 1), { sitemapPriority: 0 })).toBe(-2);
+  });
+
+  it('adds the weight of every matching priority pattern', () => {
+    const patterns = [{ pattern: /\/api\//g, weight: 3 }, { pattern: /changelog/, weight: -5 }];
+
+    expect(scoreCandidate(item('/api/process', 1), { patterns })).toBe(2);
+    // Global regexes are reset between tests
+    expect(scoreCandidate(item('/api/process', 1), { patterns })).toBe(2);
+    expect(scoreCandidate(item('/api/changelog', 1), { patterns })).toBe(-3);
+  });
+});
+
+describe('CrawlFrontier', () => {
+  it('defaults to bfs and rejects unknown strategies', () => {
+    expect(DEFAULT_CRAWL_STRATEGY).toBe('bfs');
+    expect(new CrawlFrontier().strategy).toBe('bfs');
+    expect(() => new CrawlFrontier({ strategy: 'random' })).toThrow(/Unknown crawl strategy "random"/);
+  });
+
+  it('hands out entries first in, first out with bfs', () => {
+    const frontier = new CrawlFrontier({ items: [item('/a'), item('/b')] });
+    frontier.push(item('/c'));
+
+    expect(frontier.size).toBe(3);
+    expect(new URL(frontier.peek().url).pathname).toBe('/a');
+    expect(drain(frontier)).toEqual(['/a', '/b', '/c']);
+    expect(frontier.next()).toBeUndefined();
+    expect(frontier.peek()).toBeUndefined();
+  });
+
+  it('keeps bfs order across queue compaction', () => {
+    const frontier = new CrawlFrontier();
+    for (let i = 0; i < 3000; i++) frontier.push(item(`/${i}`));
+    for (let i = 0; i < 2500; i++) frontier.next();
+    frontier.push(item('/last'));
+
+    expect(frontier.size).toBe(501);
+    expect(frontier.toArray().map(entry => new URL(entry.url).pathname).slice(0, 2)).toEqual(['/2500', '/2501']);
+    expect(drain(frontier).at(-1)).toBe('/last');
+  });
+
+  it('hands out entries last in, first out with dfs', () => {
+    const frontier = new CrawlFrontier({ strategy: 'dfs', items: [item('/a'), item('/b')] });
+    frontier.push(item('/c'));
+
+    expect(new URL(frontier.peek().url).pathname).toBe('/c');
+    expect(drain(frontier)).toEqual(['/c', '/b', '/a']);
+  });
+
+  it('hands out the best score first with priority, earliest queued on ties', () => {
+    const scores = { '/low': 1, '/high': 5, '/mid-a': 3, '/mid-b': 3 };
+    const frontier = new CrawlFrontier({ strategy: 'priority', score: (entry) => scores[new URL(entry.url).pathname] });
+    for (const path of ['/low', '/mid-a', '/high', '/mid-b']) frontier.push(item(path));
+
+    expect(new URL(frontier.peek().url).pathname).toBe('/high');
+    expect(frontier.toArray().map(entry => new URL(entry.url).pathname)).toEqual(['/low', '/mid-a', '/high', '/mid-b']);
+    expect(drain(frontier)).toEqual(['/high', '/mid-a', '/mid-b', '/low']);
+  });
+
+  it('moves entries whose score changed when rescored by key', () => {
+    const inbound = new Map();
+    const frontier = new CrawlFrontier({
+      strategy: 'priority',
+      score: (entry) => inbound.get(entry.url) || 0,
+      items: ['/a', '/b', '/c', '/d'].map(path => item(path))
+    });
+
+    inbound.set(item('/d').url, 5);
+    inbound.set(item('/a').url, -1);
+    frontier.rescore([item('/d').url, item('/a').url, 'https://docs.example.com/not-queued']);
+
+    expect(drain(frontier)).toEqual(['/d', '/b', '/c', '/a']);
+  });
+
+  it('rescores every entry (duplicates included) when no keys are given', () => {
+    let boosted = null;
+    const frontier = new CrawlFrontier({
+      strategy: 'priority',
+      score: (entry) => (entry.url === boosted ? 10 : 0),
+      keyOf: (entry) => entry.url.replace(/\/$/, '')
+    });
+    for (const path of ['/a', '/b', '/c', '/c/']) frontier.push(item(path));
+
+    boosted = item('/c/').url;
+    frontier.rescore();
+    expect(new URL(frontier.next().url).pathname).toBe('/c/');
+
+    boosted = item('/c').url;
+    frontier.rescore([item('/c/').url.replace(/\/$/, '')]);
+    expect(drain(frontier)).toEqual(['/c', '/a', '/b']);
+  });
+
+  it('matches a full sort under random pushes, pops and rescores', () => {
+    let state = 42;
+    const random = (limit) => {
+      state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+      return state % limit;
+    };
+    const scores = new Map();
+    const score = (entry) => scores.get(entry.url) ?? 0;
+    const frontier = new CrawlFrontier({ strategy: 'priority', score });
+    const reference = [];
+    let seq = 0;
+
+    for (let step = 0; step < 2000; step++) {
+      const action = random(10);
+      if (action < 5) {
+        const entry = item(`/${random(300)}`);
+        if (!scores.has(entry.url)) scores.set(entry.url, random(20));
+        frontier.push(entry);
+        reference.push({ entry, seq: seq++ });
+      } else if (action < 8) {
+        reference.sort((a, b) => score(b.entry) - score(a.entry) || a.seq - b.seq);
+        expect(frontier.next()).toBe(reference.shift()?.entry);
+      } else {
+        const url = item(`/${random(300)}`).url;
+        scores.set(url, random(20));
+        frontier.rescore([url]);
+      }
+      expect(frontier.size).toBe(reference.length);
+    }
+  });
+});
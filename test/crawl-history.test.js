@@ -0,0 +1,196 @@
+// @vitest-environment node
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  categorizeError,
+  buildHistoryEntry,
+  loadCrawlHistory,
+  appendCrawlHistory,
+  computeBaseline,
+  detectRegressions,
+  summarizeHistory
+} from '../src/server/utils/crawl-history.js';
+
+/**
+ * History record with the figures the baseline and regression checks read
+ */
+const run = (siteKey, { total = 100, withContent = total, averageWords = 500, failureRate = 0, pagesPerSecond = 2, failed = false } = {}) => ({
+  runId: '2025-01-01T00:00:00.000Z',
+  siteKey,
+  failed,
+  pages: { total, withContent },
+  averageWords,
+  failureRate,
+  pagesPerSecond
+});
+
+describe('buildHistoryEntry', () => {
+  it('summarizes pages, errors and telemetry of a crawl result', () => {
+    const entry = buildHistoryEntry({
+      runId: 'run-1',
+      siteKey: 'ao',
+      config: {},
+      result: {
+        pages: [
+          { url: 'https://a/1', content: 'text', estimatedWords: 300 },
+          { url: 'https://a/2', content: ' ', estimatedWords: 100 },
+          { url: 'https://a/3', content: 'gone', estimatedWords: 900, tombstonedAt: '2025-01-01T00:00:00Z' }
+        ],
+        errors: [
+          { url: 'https://a/4', error: 'HTTP 502: Bad Gateway', category: 'http-5xx', status: 502 },
+          { url: 'https://a/5', error: 'The operation timed out' }
+        ],
+        telemetry: {
+          requestCount: 8,
+          discovery: { seed: 1, link: 2, sitemap: 1 },
+          revalidation: { changed: 1, unchanged: 3 },
+          pruning: { tombstoned: 1, removed: 0 },
+          duration: 12.5,
+          pagesPerSecond: 0.4
+        }
+      }
+    });
+
+    expect(entry).toMatchObject({
+      runId: 'run-1',
+      siteKey: 'ao',
+      failed: false,
+      pages: { total: 2, withContent: 1, added: 4, changed: 1, unchanged: 3, tombstoned: 1, removed: 0 },
+      averageWords: 200,
+      errors: { total: 2, byCategory: { 'http-5xx': 1, timeout: 1 }, byStatus: { 502: 1 } },
+      requestCount: 8,
+      failureRate: 0.25,
+      duration: 12.5,
+      pagesPerSecond: 0.4
+    });
+    expect(entry.singleFile).toBeUndefined();
+  });
+
+  it('marks single-file sites and counts errors without requests as a full failure', () => {
+    const entry = buildHistoryEntry({
+      runId: 'run-1',
+      siteKey: 'glossary',
+      config: { type: 'single-file' },
+      result: { errors: [{ error: 'fetch failed' }] },
+      failed: true
+    });
+
+    expect(entry).toMatchObject({ singleFile: true, failed: true, failureRate: 1, averageWords: 0 });
+  });
+
+  it('classifies messages recorded before errors carried a category', () => {
+    expect(categorizeError('HTTP 404: Not Found')).toBe('http-4xx');
+    expect(categorizeError('getaddrinfo ENOTFOUND docs.example.com')).toBe('dns');
+    expect(categorizeError()).toBe('other');
+  });
+});
+
+describe('crawl history file', () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawl-history-'));
+    file = path.join(dir, 'crawl-history.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('appends records as JSON lines and skips truncated lines when loading', async () => {
+    await appendCrawlHistory([run('ao'), run('hyperbeam')], file);
+    fs.appendFileSync(file, '{"siteKey":"ao","pag');
+    fs.appendFileSync(file, '\n');
+    await appendCrawlHistory([run('ao', { total: 90 })], file);
+
+    const entries = await loadCrawlHistory(file);
+    expect(entries.map(entry => [entry.siteKey, entry.pages.total])).toEqual([['ao', 100], ['hyperbeam', 100], ['ao', 90]]);
+    expect(await loadCrawlHistory(path.join(dir, 'missing.jsonl'))).toEqual([]);
+  });
+
+  it('keeps the newest 100 runs of each site', async () => {
+    await appendCrawlHistory(Array.from({ length: 100 }, (_, index) => run('ao', { total: index })), file);
+    await appendCrawlHistory([run('hyperbeam'), run('ao', { total: 100 }), run('ao', { total: 101 })], file);
+
+    const entries = await loadCrawlHistory(file);
+    const ao = entries.filter(entry => entry.siteKey === 'ao');
+    expect(ao).toHaveLength(100);
+    expect(ao[0].pages.total).toBe(2);
+    expect(ao.at(-1).pages.total).toBe(101);
+    expect(entries.filter(entry => entry.siteKey === 'hyperbeam')).toHaveLength(1);
+    expect(fs.readdirSync(dir)).toEqual(['crawl-history.jsonl']);
+  });
+});
+
+describe('computeBaseline', () => {
+  it('takes medians of the last five successful runs', () => {
+    const runs = [
+      run('ao', { total: 10 }),
+      run('ao', { total: 100, averageWords: 400 }),
+      run('ao', { total: 110, averageWords: 500 }),
+      run('ao', { failed: true, total: 0 }),
+      run('ao', { total: 120, averageWords: 600 }),
+      run('ao', { total: 130, averageWords: 700 }),
+      run('ao', { total: 140, averageWords: 800 })
+    ];
+
+    expect(computeBaseline(runs)).toEqual({
+      runs: 5,
+      totalPages: 120,
+      withContent: 120,
+      averageWords: 600,
+      failureRate: 0,
+      pagesPerSecond: 2
+    });
+    expect(computeBaseline([run('ao', { failed: true })])).toBeNull();
+  });
+});
+
+describe('detectRegressions', () => {
+  const baseline = computeBaseline([run('ao', { failureRate: 0.02 })]);
+  const rules = (latest, against = baseline) => detectRegressions(latest, against).map(regression => `${regression.severity} ${regression.rule}`);
+
+  it('reports nothing for a run in line with its baseline', () => {
+    expect(rules(run('ao', { total: 95, failureRate: 0.05 }))).toEqual([]);
+  });
+
+  it('flags drops in pages, content and words, rising failures and slowdowns', () => {
+    expect(rules(run('ao', { total: 70, withContent: 60, averageWords: 300, failureRate: 0.2, pagesPerSecond: 0.5 }))).toEqual([
+      'error page-drop',
+      'warning content-drop',
+      'warning words-drop',
+      'error failure-rate',
+      'warning slowdown'
+    ]);
+  });
+
+  it('flags pages that all lost their content, even without a baseline', () => {
+    expect(rules(run('ao', { withContent: 0 }), null)).toEqual(['error empty-content']);
+    expect(rules({ ...run('glossary', { total: 1, withContent: 0 }), singleFile: true }, null)).toEqual([]);
+  });
+
+  it('reports only the failure for a crawl that failed', () => {
+    expect(detectRegressions(run('ao', { failed: true, total: 0 }), baseline)).toEqual([
+      { rule: 'crawl-failed', severity: 'error', message: 'crawl failed before producing any pages' }
+    ]);
+  });
+});
+
+describe('summarizeHistory', () => {
+  it('checks each site\'s latest run against the runs before it', () => {
+    const entries = [run('ao'), run('hyperbeam'), run('ao'), run('ao', { total: 50 })];
+
+    const summary = summarizeHistory(entries, { limit: 2 });
+    expect(Object.keys(summary)).toEqual(['ao', 'hyperbeam']);
+    expect(summary.ao.runs).toHaveLength(2);
+    expect(summary.ao.baseline.runs).toBe(2);
+    expect(summary.ao.regressions.map(regression => regression.rule)).toEqual(['page-drop', 'content-drop']);
+    expect(summary.hyperbeam).toMatchObject({ baseline: null, regressions: [] });
+
+    expect(Object.keys(summarizeHistory(entries, { siteKey: 'hyperbeam' }))).toEqual(['hyperbeam']);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, vi } from 'vitest';
+import { CrawlScheduler, getDepthLimit } from '../src/server/utils/crawl-scheduler.js';
+import { PagePipeline } from '../src/server/utils/page-pipeline.js';
+import { getCanonicalKey } from '../src/server/utils/url-normalizer.js';
+
+const BASE = 'https://docs.example.com';
+const CONFIG = { name: 'AO Cookbook', baseUrl: BASE, selectors: {} };
+
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+const keyOf = (url) => getCanonicalKey(url);
+const url = (urlPath) => `${BASE}${urlPath}`;
+const robotsCache = { isAllowed: async (target) => !target.includes('/private') };
+
+// Link graph of the fake site: path -> paths it links to
+const SITE = {
+  '/': ['/a', '/b'],
+  '/a': ['/b', '/c'],
+  '/b': [],
+  '/c': ['/a']
+};
+
+const createPipeline = (options = {}) => new PagePipeline({
+  siteKey: 'ao',
+  config: CONFIG,
+  keyOf,
+  maxPages: 10,
+  pruneAfterDays: 7,
+  fetchPage: async (target) => ({ status: 200, doc: parse(`<p>${target}</p>`) }),
+  extractPage: async (doc, target) => ({ url: target, title: new URL(target).pathname, content: target, estimatedWords: 1 }),
+  extractLinks: (doc, pageUrl) => (SITE[new URL(pageUrl).pathname] || []).map(url),
+  acceptUrl: () => true,
+  breadcrumbsFor: (target, title) => [title],
+  ...options
+});
+
+const createScheduler = (options = {}) => new CrawlScheduler({
+  config: CONFIG,
+  keyOf,
+  strategy: 'bfs',
+  maxDepth: 3,
+  maxPages: 10,
+  concurrency: 2,
+  robotsCache,
+  robotsSkipped: new Set(),
+  ...options
+});
+
+describe('getDepthLimit', () => {
+  it('uses the seedMaxDepth of the longest matching seed, otherwise maxDepth', () => {
+    const config = { seedMaxDepth: { '/guides': 5, 'guides/aos': 2 } };
+
+    expect(getDepthLimit(url('/guides/aos/intro'), config, 3)).toBe(2);
+    expect(getDepthLimit(url('/guides/intro'), config, 3)).toBe(5);
+    expect(getDepthLimit(url('/reference'), config, 3)).toBe(3);
+    expect(getDepthLimit('not a url', config, 3)).toBe(3);
+  });
+});
+
+describe('CrawlScheduler.takeNext', () => {
+  it('skips visited, too deep, other-site and disallowed URLs and counts why', async () => {
+    const onProgress = vi.fn();
+    const robotsSkipped = new Set();
+    const scheduler = createScheduler({ maxDepth: 2, existingUrls: new Set([getCanonicalKey(url('/other'))]), robotsSkipped, onProgress });
+    const pipeline = createPipeline();
+    pipeline.visited.add(keyOf(url('/done')));
+    for (const [urlPath, depth] of [['/done', 1], ['/deep', 3], ['/other', 1], ['/private', 1], ['/next', 1]]) {
+      scheduler.frontier.push({ url: url(urlPath), depth, source: 'link' });
+    }
+
+    const taken = await scheduler.takeNext(pipeline, 0);
+
+    expect(taken).toEqual({ url: url('/next'), depth: 1, source: 'link', key: keyOf(url('/next')), previous: undefined });
+    expect(scheduler.inFlight).toEqual([{ url: url('/next'), depth: 1, source: 'link' }]);
+    expect(scheduler.counters).toEqual({ skippedCount: 1, budgetSkipped: 0, depthSkipped: 1 });
+    expect([...robotsSkipped]).toEqual([url('/private')]);
+    expect(onProgress).toHaveBeenCalledWith(1, 10, url('/next'));
+    expect(await scheduler.takeNext(pipeline, 0)).toBeNull();
+  });
+
+  it('waits for pages in flight before spending the last of the page budget, and still revalidates indexed pages', async () => {
+    const existingPages = [{ url: url('/indexed') }];
+    const scheduler = createScheduler({ maxPages: 2 });
+    const pipeline = createPipeline({ existingPages });
+    scheduler.frontier.push({ url: url('/new'), depth: 1, source: 'link' });
+    scheduler.frontier.push({ url: url('/indexed'), depth: 1, source: 'link' });
+
+    expect(await scheduler.takeNext(pipeline, 1)).toBeNull();
+
+    pipeline.pages.push({ url: url('/x') });
+    const taken = await scheduler.takeNext(pipeline, 0);
+    expect(taken).toMatchObject({ url: url('/indexed'), previous: existingPages[0] });
+    expect(scheduler.counters.budgetSkipped).toBe(1);
+  });
+});
+
+describe('CrawlScheduler.crawl', () => {
+  it('crawls the frontier breadth-first, committing in queue order', async () => {
+    const scheduler = createScheduler();
+    const pipeline = createPipeline();
+    const afterCommit = vi.fn(async () => {});
+    scheduler.frontier.push({ url: url('/'), depth: 0, source: 'seed' });
+    pipeline.seen.add(keyOf(url('/')));
+
+    await scheduler.crawl(pipeline, afterCommit);
+
+    expect(pipeline.pages.map(page => [new URL(page.url).pathname, page.depth])).toEqual([['/', 0], ['/a', 1], ['/b', 1], ['/c', 2]]);
+    expect(afterCommit).toHaveBeenCalledTimes(4);
+    expect(scheduler.inFlight).toEqual([]);
+    // Pages linking to each URL, for the priority strategy
+    expect(scheduler.inboundCounts.get(keyOf(url('/a')))).toBe(2);
+    expect(scheduler.inboundCounts.get(keyOf(url('/b')))).toBe(2);
+  });
+
+  it('stops following links once the page budget is used up', async () => {
+    const scheduler = createScheduler({ maxPages: 1 });
+    const pipeline = createPipeline();
+    scheduler.frontier.push({ url: url('/'), depth: 0, source: 'seed' });
+
+    await scheduler.crawl(pipeline, async () => {});
+
+    expect(pipeline.pages).toHaveLength(1);
+    expect(scheduler.frontier.size).toBe(0);
+  });
+});
+
+describe('CrawlScheduler.revalidate', () => {
+  it('fetches indexed pages the crawl did not reach, unless robots.txt disallows them', async () => {
+    const existingPages = [{ url: url('/'), contentHash: 'x' }, { url: url('/b'), contentHash: 'x' }, { url: url('/private/b'), contentHash: 'x' }];
+    const robotsSkipped = new Set();
+    const scheduler = createScheduler({ robotsSkipped });
+    const pipeline = createPipeline({ existingPages });
+    pipeline.visited.add(keyOf(url('/')));
+
+    await scheduler.revalidate(pipeline, async () => {});
+
+    expect(pipeline.counters).toMatchObject({ requestCount: 1, changedCount: 1 });
+    expect(pipeline.pages[1].crawledAt).toBeDefined();
+    expect(pipeline.pages[2]).toBe(existingPages[2]);
+    expect([...robotsSkipped]).toEqual([url('/private/b')]);
+  });
+});
+
+describe('navigation and checkpoints', () => {
+  it('merges sidebars of fetched pages', () => {
+    const scheduler = createScheduler();
+    scheduler.setNavigation([{ url: url('/a'), title: 'A', sections: [] }]);
+
+    scheduler.addNavigation(parse(`<nav class="sidebar"><a href="/a">A</a><a href="/b">B</a><a href="/c">C</a></nav>`), url('/a'));
+
+    expect([...scheduler.navigationKeys]).toEqual(['/a', '/b', '/c'].map(urlPath => keyOf(url(urlPath))));
+  });
+
+  it('puts pages in flight back at the front of the queue', async () => {
+    const scheduler = createScheduler();
+    const pipeline = createPipeline();
+    scheduler.frontier.push({ url: url('/a'), depth: 1, source: 'link' });
+    scheduler.frontier.push({ url: url('/b'), depth: 1, source: 'link' });
+    await scheduler.takeNext(pipeline, 0);
+
+    const restored = createScheduler({ restored: JSON.parse(JSON.stringify(scheduler.toCheckpoint())) });
+
+    expect(restored.frontier.toArray().map(entry => entry.url)).toEqual([url('/a'), url('/b')]);
+  });
+});
@@ -0,0 +1,147 @@
+// @vitest-environment node
+// Argument handling and exit codes of the crawler CLI, run against the mock docs sites
+
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockDocsServer } from '../scripts/mock-docs-server.js';
+import { main } from '../src/server/utils/crawler-cli.js';
+
+let mock;
+let tempDir;
+let configPath;
+let previousConfigPath;
+let stdout;
+let stderr;
+
+// Console output of the current test, without color codes
+const printed = (spy) => spy.mock.calls.map(args => args.join(' ').replace(/\x1b\[\d+m/g, '')).join('\n');
+
+// The report printed by --json (log lines are printed alongside it while testing)
+const jsonOutput = () => JSON.parse(stdout.mock.calls.map(([line]) => line).findLast(line => /^[[{]/.test(line)));
+
+beforeAll(async () => {
+  mock = await startMockDocsServer({ slowDelayMs: 50 });
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crawler-cli-'));
+  configPath = path.join(tempDir, 'crawl-config.json');
+  fs.writeFileSync(configPath, JSON.stringify(mock.config, null, 2));
+  previousConfigPath = process.env.CRAWL_CONFIG_PATH;
+  process.env.CRAWL_CONFIG_PATH = configPath;
+});
+
+afterAll(async () => {
+  if (previousConfigPath === undefined) {
+    delete process.env.CRAWL_CONFIG_PATH;
+  } else {
+    process.env.CRAWL_CONFIG_PATH = previousConfigPath;
+  }
+  await mock?.close();
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  stdout = vi.spyOn(console, 'log').mockImplementation(() => {});
+  stderr = vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('crawler CLI arguments', () => {
+  it('rejects an option the command does not know with exit code 64 and a usage line', async () => {
+    expect(await main(['--dryrun'])).toBe(64);
+    expect(printed(stderr)).toContain('Unknown option for crawl: --dryrun');
+    expect(printed(stdout)).toMatch(/Usage: bun run crawl \[crawl\] \[site\.\.\.\] \[options\]; options: .*--dry-run/);
+    expect(mock.requests).toEqual([]);
+  });
+
+  it('checks options per command', async () => {
+    expect(await main(['stats', '--limit', '5', '--verbose'])).toBe(64);
+    expect(printed(stderr)).toContain('Unknown options for stats: --limit, --verbose');
+    expect(printed(stdout)).toContain('Usage: bun run crawl stats [options]; options: --index --json');
+
+    expect(await main(['help', '--json'])).toBe(64);
+    expect(printed(stdout)).toMatch(/Usage: bun run crawl help \[options\] \(see --help\)/);
+  });
+
+  it('accepts --debug with every command', async () => {
+    expect(await main(['validate-config', '--debug'])).toBe(0);
+    expect(await main(['list-sites', `--index=${path.join(tempDir, 'missing-index.json')}`, '--debug'])).toBe(0);
+    expect(await main(['help', '--debug'])).toBe(0);
+    expect(printed(stderr)).not.toContain('Unknown option');
+  });
+
+  it('shows help instead of rejecting options when --help is given', async () => {
+    expect(await main(['--dryrun', '--help'])).toBe(0);
+    expect(await main(['-h'])).toBe(0);
+    expect(printed(stderr)).toBe('');
+  });
+
+  it('fails with exit code 1 when a value is missing or out of range', async () => {
+    expect(await main(['--output'])).toBe(1);
+    expect(printed(stderr)).toContain('--output needs a value');
+
+    expect(await main(['crawl', '--max-pages', '0'])).toBe(1);
+    expect(printed(stderr)).toContain('--max-pages expects an integer 1 or more, got "0"');
+
+    expect(await main(['--max-failure-rate=1.5'])).toBe(1);
+    expect(printed(stderr)).toContain('--max-failure-rate expects a number between 0 and 1, got "1.5"');
+    expect(mock.requests).toEqual([]);
+  });
+
+  it('fails with exit code 1 for unknown sites', async () => {
+    expect(await main(['mock-mkdocs', 'no-such-site'])).toBe(1);
+    expect(printed(stderr)).toContain('Unknown site: no-such-site');
+  });
+});
+
+describe('crawler CLI commands', () => {
+  it('lists the configured sites as JSON', async () => {
+    expect(await main(['list-sites', `--index=${path.join(tempDir, 'missing-index.json')}`, '--json'])).toBe(0);
+
+    const sites = jsonOutput();
+    expect(sites.map(site => site.siteKey)).toEqual(Object.keys(mock.config));
+    expect(sites.find(site => site.siteKey === 'mock-glossary')).toMatchObject({
+      type: 'single-file',
+      baseUrl: `${mock.sites.glossary}/glossary.txt`,
+      indexedPages: 0,
+      lastCrawled: null
+    });
+  });
+
+  it('validates a config file, exiting 1 when it is invalid', async () => {
+    expect(await main(['validate-config', '--json'])).toBe(0);
+    expect(jsonOutput()).toMatchObject({ path: configPath, valid: true, errors: [] });
+
+    const invalidPath = path.join(tempDir, 'invalid-config.json');
+    fs.writeFileSync(invalidPath, JSON.stringify({ broken: { name: 'Broken' } }));
+    expect(await main(['validate-config', invalidPath, '--json'])).toBe(1);
+    expect(jsonOutput()).toMatchObject({ path: invalidPath, valid: false });
+    expect(jsonOutput().errors.length).toBeGreaterThan(0);
+  });
+
+  it('exits with 2, not the usage code, when a crawl breaches a failure threshold', async () => {
+    const output = path.join(tempDir, 'docs-index.json');
+    const code = await main(['mock-glossary', '--min-pages', '2', '--no-history', '--no-retries', '--output', output, '--json']);
+
+    expect(code).toBe(2);
+    expect(jsonOutput()).toMatchObject({ passed: false, breaches: [expect.objectContaining({ siteKey: 'mock-glossary' })] });
+  }, 30000);
+
+  it('previews a crawl with --dry-run without fetching pages', async () => {
+    expect(await main(['crawl', 'mock-mkdocs', '--dry-run', '--force', '--json'])).toBe(0);
+
+    const report = jsonOutput()['mock-mkdocs'];
+    expect(report.forceReindex).toBe(true);
+    expect(report.urls.find(entry => entry.url.endsWith('/private/drafts.html')).status).toBe('robots-disallowed');
+    expect(report.estimatedRequests.newPages).toBeGreaterThan(5);
+
+    // Discovery reads robots.txt, sitemaps and the seeds; nothing else is fetched
+    const fetched = new Set(mock.requests.filter(request => request.site === 'mkdocs').map(request => request.path));
+    expect(fetched.has('/build/introduction.html')).toBe(false);
+    expect(fetched.has('/build/')).toBe(true);
+  }, 30000);
+});
@@ -0,0 +1,156 @@
+// @vitest-environment node
+// End-to-end crawls against the synthetic sites from scripts/mock-docs-server.js
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockDocsServer } from '../scripts/mock-docs-server.js';
+import { crawlSite, previewCrawl } from '../src/server/utils/crawler.js';
+
+// Well above the default 2 req/sec so the suite stays quick; the mock servers don't mind
+const CRAWL_OPTIONS = { forceReindex: true, requestsPerSecond: 20 };
+
+let mock;
+let tempDir;
+let previousConfigPath;
+
+const pathsOf = (pages) => pages.map(page => new URL(page.url).pathname).sort();
+const requestsTo = (site, pagePath) => mock.requests.filter(request => request.site === site && request.path === pagePath);
+
+beforeAll(async () => {
+  mock = await startMockDocsServer({ slowDelayMs: 50 });
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-docs-'));
+  const configPath = path.join(tempDir, 'crawl-config.json');
+  const config = {
+    ...mock.config,
+    // The glossary again, with the Vocs site as an extra allowed host
+    'mock-glossary-hosts': { ...mock.config['mock-glossary'], allowedHosts: [new URL(mock.sites.vocs).host] }
+  };
+  fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+  previousConfigPath = process.env.CRAWL_CONFIG_PATH;
+  process.env.CRAWL_CONFIG_PATH = configPath;
+});
+
+afterAll(async () => {
+  if (previousConfigPath === undefined) {
+    delete process.env.CRAWL_CONFIG_PATH;
+  } else {
+    process.env.CRAWL_CONFIG_PATH = previousConfigPath;
+  }
+  await mock?.close();
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('discoverSiblings (via previewCrawl)', () => {
+  it('finds sidebar, linked and sitemap-only pages and applies robots.txt and host scope', async () => {
+    const report = await previewCrawl('mock-mkdocs', { forceReindex: true });
+    const byPath = new Map(report.urls.map(entry => [new URL(entry.url).pathname, entry]));
+
+    for (const pagePath of ['/build/', '/run/', '/build/introduction.html', '/build/devices/meta.html', '/run/configuration.html']) {
+      expect(byPath.get(pagePath)?.status).toBe('new');
+    }
+    expect(byPath.get('/build/').source).toBe('seed');
+    // Sitemap-only pages start one level down, not at the depth of their path
+    expect(byPath.get('/reference/changelog.html')).toMatchObject({ source: 'sitemap', status: 'new', depth: 1 });
+    expect(byPath.get('/private/drafts.html').status).toBe('robots-disallowed');
+    expect(report.rejected['other host']).toContain('https://github.com/permaweb');
+    expect(report.estimatedRequests.revalidation).toBe(0);
+  });
+});
+
+describe('crawlSite against mock sites', () => {
+  it('indexes an MkDocs site, skipping soft 404s, broken links and robots-disallowed pages', async () => {
+    const result = await crawlSite('mock-mkdocs', CRAWL_OPTIONS);
+    const paths = pathsOf(result.pages);
+
+    expect(paths).toEqual([
+      '/build/',
+      '/build/devices/',
+      '/build/devices/meta.html',
+      '/build/introduction.html',
+      '/reference/changelog.html',
+      '/run/',
+      '/run/configuration.html'
+    ]);
+    expect(result.pages.every(page => page.siteKey === 'mock-mkdocs' && page.contentHash && page.estimatedWords > 0)).toBe(true);
+
+    // Soft 404: served with 200 but rejected by content analysis
+    expect(requestsTo('mkdocs', '/build/removed.html').some(request => request.status === 200)).toBe(true);
+    expect(paths).not.toContain('/build/removed.html');
+    expect(result.telemetry.failures.byCategory['soft-404']).toBe(1);
+
+    // Hard 404 is an error and a broken link
+    expect(result.errors).toEqual([expect.objectContaining({ category: 'http-4xx', status: 404 })]);
+    expect(result.telemetry.linkGraph.brokenLinks.map(link => new URL(link.to).pathname)).toEqual(['/does-not-exist']);
+
+    expect(requestsTo('mkdocs', '/private/drafts.html')).toEqual([]);
+    expect(result.telemetry.robots.skippedCount).toBeGreaterThanOrEqual(1);
+  }, 30000);
+
+  it('keeps sitemap-only pages within a shallow maxDepth and counts the URLs it skipped', async () => {
+    const result = await crawlSite('mock-mkdocs', { ...CRAWL_OPTIONS, maxDepth: 1 });
+
+    expect(pathsOf(result.pages)).toEqual(['/build/', '/reference/changelog.html', '/run/']);
+    expect(result.telemetry.frontier.depthSkipped).toBeGreaterThan(0);
+  }, 30000);
+
+  it('follows redirects and records the old URL as an alias of the target page', async () => {
+    const result = await crawlSite('mock-mkdocs', CRAWL_OPTIONS);
+    const introduction = result.pages.find(page => page.url.endsWith('/build/introduction.html'));
+
+    expect(introduction.aliases).toEqual([`${mock.sites.mkdocs}/build/intro.html`]);
+    expect(result.pages.some(page => page.url.endsWith('/build/intro.html'))).toBe(false);
+  }, 30000);
+
+  it('retries a 429 after Retry-After and slows down the host', async () => {
+    const result = await crawlSite('mock-nextjs', CRAWL_OPTIONS);
+
+    expect(requestsTo('nextjs', '/gateways/setup').map(request => request.status)).toEqual([429, 200]);
+    expect(result.pages.some(page => page.url.endsWith('/gateways/setup'))).toBe(true);
+    expect(result.errors.filter(error => error.status === 429)).toEqual([]);
+
+    const limits = result.telemetry.rateLimits[new URL(mock.sites.nextjs).host];
+    expect(limits.throttled).toBe(1);
+    expect(limits.requestsPerSecond).toBeLessThan(20);
+  }, 30000);
+
+  it('queues a page that failed with a 502 and recovers it on the next crawl', async () => {
+    const retryQueue = { sites: {} };
+    const luaUrl = `${mock.sites.vitepress}/references/lua.html`;
+
+    const first = await crawlSite('mock-vitepress', { ...CRAWL_OPTIONS, retryQueue });
+    expect(first.errors).toContainEqual(expect.objectContaining({ url: luaUrl, category: 'http-5xx', status: 502 }));
+    expect(first.pages.some(page => page.url === luaUrl)).toBe(false);
+    expect(first.pages.some(page => page.url.endsWith('/guides/legacy.html'))).toBe(false);
+    expect(retryQueue.sites['mock-vitepress'][luaUrl]).toMatchObject({ attempts: 1, status: 502 });
+
+    // Make the queued entry due instead of waiting out the backoff
+    retryQueue.sites['mock-vitepress'][luaUrl].nextRetryAt = new Date(0).toISOString();
+    const second = await crawlSite('mock-vitepress', { ...CRAWL_OPTIONS, retryQueue });
+
+    expect(requestsTo('vitepress', '/references/lua.html').map(request => request.status)).toEqual([502, 200]);
+    expect(second.pages.some(page => page.url === luaUrl)).toBe(true);
+    expect(second.telemetry.retries.recovered).toBe(1);
+    expect(retryQueue.sites['mock-vitepress']).toEqual({});
+  }, 30000);
+
+  it('indexes a single-file site as one page', async () => {
+    const result = await crawlSite('mock-glossary', CRAWL_OPTIONS);
+
+    expect(result.pages).toHaveLength(1);
+    expect(result.pages[0].url).toBe(`${mock.sites.glossary}/glossary.txt`);
+    expect(result.errors).toEqual([]);
+  }, 30000);
+
+  it('reads robots.txt and sets the rate for every allowed host', async () => {
+    const result = await crawlSite('mock-glossary-hosts', CRAWL_OPTIONS);
+    const hosts = [mock.sites.glossary, mock.sites.vocs].map(baseUrl => new URL(baseUrl).host);
+
+    expect(requestsTo('vocs', '/robots.txt')).toHaveLength(1);
+    expect(Object.keys(result.telemetry.robots.crawlDelays)).toEqual(hosts);
+    for (const host of hosts) {
+      expect(result.telemetry.rateLimits[host].maxRequestsPerSecond).toBe(20);
+    }
+  }, 30000);
+});
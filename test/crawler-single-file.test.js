@@ -0,0 +1,111 @@
+// @vitest-environment node
+// Revalidation of an indexed single-file site: transient failures, deleted files and restores
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startMockDocsServer } from '../scripts/mock-docs-server.js';
+import { crawlSite } from '../src/server/utils/crawler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mock;
+let tempDir;
+let previousCwd;
+let previousConfigPath;
+
+/**
+ * Write the index crawlSite revalidates against (public/docs-index.json in the working directory)
+ */
+function writeIndex(siteKey, pages) {
+  fs.writeFileSync(path.join(tempDir, 'public', 'docs-index.json'), JSON.stringify({
+    generated: new Date().toISOString(),
+    sites: { [siteKey]: { pages } }
+  }));
+}
+
+const indexedFile = (url, extra = {}) => ({
+  url,
+  title: 'Permaweb Glossary',
+  estimatedWords: 800,
+  contentHash: 'indexed-hash',
+  siteKey: 'file',
+  depth: 0,
+  ...extra
+});
+
+beforeAll(async () => {
+  mock = await startMockDocsServer({ sites: ['vitepress', 'glossary'] });
+  const glossary = mock.config['mock-glossary'];
+  const config = {
+    glossary: { ...glossary, pruneAfterDays: 7 },
+    'removed-file': { ...glossary, fileUrl: `${mock.sites.glossary}/removed.txt`, pruneAfterDays: 7 },
+    // Served with a 502 the first time it is requested
+    'flaky-file': { ...glossary, fileUrl: `${mock.sites.vitepress}/references/lua.html` }
+  };
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'single-file-'));
+  fs.mkdirSync(path.join(tempDir, 'public'));
+  fs.writeFileSync(path.join(tempDir, 'crawl-config.json'), JSON.stringify(config, null, 2));
+  previousCwd = process.cwd();
+  previousConfigPath = process.env.CRAWL_CONFIG_PATH;
+  process.chdir(tempDir);
+  process.env.CRAWL_CONFIG_PATH = 'crawl-config.json';
+});
+
+afterAll(async () => {
+  if (previousCwd) process.chdir(previousCwd);
+  if (previousConfigPath === undefined) {
+    delete process.env.CRAWL_CONFIG_PATH;
+  } else {
+    process.env.CRAWL_CONFIG_PATH = previousConfigPath;
+  }
+  await mock?.close();
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('crawlSite for an indexed single file', () => {
+  it('keeps the indexed entry when revalidation fails transiently', async () => {
+    const url = `${mock.sites.vitepress}/references/lua.html`;
+    writeIndex('flaky-file', [indexedFile(url)]);
+
+    const result = await crawlSite('flaky-file');
+
+    expect(result.pages).toEqual([indexedFile(url)]);
+    expect(result.errors).toEqual([expect.objectContaining({ url, category: 'http-5xx', status: 502 })]);
+  });
+
+  it('tombstones a deleted file and removes it after the grace period', async () => {
+    const url = `${mock.sites.glossary}/removed.txt`;
+    writeIndex('removed-file', [indexedFile(url)]);
+
+    const first = await crawlSite('removed-file');
+    expect(first.errors).toEqual([]);
+    expect(first.pages).toHaveLength(1);
+    expect(first.pages[0]).toMatchObject({ url, contentHash: 'indexed-hash' });
+    expect(Date.now() - Date.parse(first.pages[0].tombstonedAt)).toBeLessThan(60000);
+
+    // Still tombstoned within the grace period; the original date is kept
+    const tombstonedAt = new Date(Date.now() - 3 * DAY_MS).toISOString();
+    writeIndex('removed-file', [indexedFile(url, { tombstonedAt })]);
+    expect((await crawlSite('removed-file')).pages).toEqual([indexedFile(url, { tombstonedAt })]);
+
+    writeIndex('removed-file', [indexedFile(url, { tombstonedAt: new Date(Date.now() - 8 * DAY_MS).toISOString() })]);
+    const expired = await crawlSite('removed-file');
+    expect(expired.pages).toEqual([]);
+    expect(expired.errors).toEqual([]);
+  });
+
+  it('clears the tombstone when the file answers 304 again', async () => {
+    const crawled = await crawlSite('glossary', { forceReindex: true });
+    const [page] = crawled.pages;
+    expect(page.etag).toBeTruthy();
+
+    writeIndex('glossary', [{ ...page, tombstonedAt: new Date(Date.now() - DAY_MS).toISOString() }]);
+    const restored = await crawlSite('glossary');
+
+    expect(restored.telemetry.revalidation).toEqual({ unchanged: 1, changed: 0 });
+    expect(restored.pages).toEqual([page]);
+  });
+});
@@ -0,0 +1,40 @@
+// Failure categories of the browser fetch pipeline, which must match the crawler's
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { fetchAndClean, FETCH_ERROR_CATEGORIES } from '../src/client/utils/defuddle-fetch-client.js';
+import { FETCH_ERROR_CATEGORIES as SERVER_CATEGORIES } from '../src/server/utils/fetch-errors.js';
+
+/**
+ * Serve every fetch with one response
+ */
+function stubFetch(body, headers) {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 200, headers })));
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('client fetch errors', () => {
+  it('uses the same categories as the server taxonomy', () => {
+    expect(FETCH_ERROR_CATEGORIES).toEqual(SERVER_CATEGORIES);
+  });
+
+  it('refuses content types the crawler would not read', async () => {
+    stubFetch('%PDF-1.7', { 'content-type': 'application/pdf' });
+
+    await expect(fetchAndClean('https://docs.example.com/guide.pdf')).rejects.toMatchObject({
+      category: 'unsupported-content-type',
+      transient: false
+    });
+  });
+
+  it('refuses bodies declared larger than the limit', async () => {
+    stubFetch('<html></html>', { 'content-type': 'text/html', 'content-length': String(6 * 1024 * 1024) });
+
+    await expect(fetchAndClean('https://docs.example.com/huge.html')).rejects.toMatchObject({
+      category: 'too-large',
+      message: expect.stringContaining('exceeds the 5 MB limit')
+    });
+  });
+});
@@ -0,0 +1,197 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import {
+  computeFingerprint,
+  hammingDistance,
+  clusterNearDuplicates,
+  assignDuplicateClusters,
+  collapseNearDuplicateDocuments
+} from '../src/server/utils/fingerprint.js';
+
+/**
+ * Deterministic prose: `count` words drawn from a small vocabulary by a seeded generator
+ */
+function prose(seed, count = 300) {
+  const vocabulary = ['process', 'message', 'gateway', 'wallet', 'bundle', 'arweave', 'handler', 'state',
+    'module', 'scheduler', 'compute', 'unit', 'token', 'transfer', 'query', 'graphql', 'manifest', 'path',
+    'cron', 'inbox', 'spawn', 'evaluate', 'result', 'signature', 'owner', 'tag', 'data', 'item', 'node', 'cache'];
+  let state = seed;
+  const words = [];
+  for (let i = 0; i < count; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    words.push(vocabulary[state % vocabulary.length] + (state % 7));
+  }
+  return words;
+}
+
+/**
+ * Replace every `step`th word, as a light edit of a copied page
+ */
+function edit(words, step) {
+  return words.map((word, i) => (i % step === 0 ? `edited${i}` : word));
+}
+
+const urlsOf = (cluster) => cluster.members.map(page => page.url).sort();
+
+describe('computeFingerprint', () => {
+  it('returns a stable 16-character hex fingerprint', () => {
+    const content = prose(1).join(' ');
+    const fingerprint = computeFingerprint(content);
+
+    expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(computeFingerprint(content)).toBe(fingerprint);
+    // Case and punctuation don't change the shingles
+    expect(computeFingerprint(content.toUpperCase().replace(/ /g, ', '))).toBe(fingerprint);
+  });
+
+  it('returns null for content too short to compare', () => {
+    expect(computeFingerprint('just a few words here')).toBeNull();
+    expect(computeFingerprint('')).toBeNull();
+    expect(computeFingerprint(undefined)).toBeNull();
+  });
+
+  it('keeps light edits closer than unrelated content', () => {
+    const words = prose(2);
+    const original = computeFingerprint(words.join(' '));
+
+    expect(hammingDistance(original, computeFingerprint(edit(words, 40).join(' '))))
+      .toBeLessThan(hammingDistance(original, computeFingerprint(prose(3).join(' '))));
+  });
+});
+
+describe('hammingDistance', () => {
+  it('counts differing bits across both halves', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2);
+    expect(hammingDistance('00000000000000f0', '000000000000000f')).toBe(8);
+  });
+});
+
+describe('clusterNearDuplicates', () => {
+  it('groups identical and lightly edited copies, with the longest page as representative', () => {
+    const words = prose(10);
+    const pages = [
+      { url: 'https://mirror.example.org/a', content: edit(words, 25).join(' '), estimatedWords: 300 },
+      { url: 'https://docs.example.com/a', content: [...words, ...words.slice(0, 10)].join(' '), estimatedWords: 310 },
+      { url: 'https://docs.example.com/b', content: prose(11).join(' '), estimatedWords: 300 },
+      { url: 'https://copy.example.net/a', content: words.join(' '), estimatedWords: 300 }
+    ];
+
+    const clusters = clusterNearDuplicates(pages);
+
+    expect(clusters).toHaveLength(1);
+    expect(urlsOf(clusters[0])).toEqual(['https://copy.example.net/a', 'https://docs.example.com/a', 'https://mirror.example.org/a']);
+    expect(clusters[0].representative).toBe(pages[1]);
+    expect(clusters[0].id).toBe(`dup-${computeFingerprint(pages[1].content)}`);
+  });
+
+  it('prefers the earliest page when lengths tie', () => {
+    const content = prose(12).join(' ');
+    const pages = [
+      { url: 'https://docs.example.com/a', content, estimatedWords: 300 },
+      { url: 'https://mirror.example.org/a', content, estimatedWords: 300 }
+    ];
+
+    expect(clusterNearDuplicates(pages)[0].representative).toBe(pages[0]);
+  });
+
+  it('clusters pages without content by fingerprint distance alone', () => {
+    const pages = [
+      { url: 'https://a/1', fingerprint: '0000000000000000' },
+      { url: 'https://a/2', fingerprint: '0000000000000007' },
+      { url: 'https://a/3', fingerprint: '00000000000000f0' },
+      { url: 'https://a/4' }
+    ];
+
+    expect(clusterNearDuplicates(pages).map(urlsOf)).toEqual([['https://a/1', 'https://a/2']]);
+    expect(clusterNearDuplicates(pages, { threshold: 4 }).map(urlsOf)).toEqual([['https://a/1', 'https://a/2', 'https://a/3']]);
+  });
+
+  it('finds the same fingerprint clusters as comparing every pair', () => {
+    let state = 7;
+    const randomWord = () => {
+      state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+      return state;
+    };
+    const hex = (high, low) => high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+    const pages = [];
+    for (let i = 0; i < 300; i++) {
+      const base = pages.length > 0 && i % 3 === 0 ? pages[randomWord() % pages.length].fingerprint : hex(randomWord(), randomWord());
+      // Flip up to 4 random bits of an earlier fingerprint for every third page
+      let high = parseInt(base.slice(0, 8), 16);
+      let low = parseInt(base.slice(8), 16);
+      for (let flips = i % 3 === 0 ? randomWord() % 5 : 0; flips > 0; flips--) {
+        const bit = randomWord() % 64;
+        if (bit < 32) high = (high ^ (1 << bit)) >>> 0;
+        else low = (low ^ (1 << (bit - 32))) >>> 0;
+      }
+      pages.push({ url: `https://a/${i}`, fingerprint: hex(high, low) });
+    }
+
+    const parent = pages.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    for (let i = 0; i < pages.length; i++) {
+      for (let j = i + 1; j < pages.length; j++) {
+        if (hammingDistance(pages[i].fingerprint, pages[j].fingerprint) <= 3) parent[find(j)] = find(i);
+      }
+    }
+    const expected = new Map();
+    pages.forEach((page, i) => expected.set(find(i), [...(expected.get(find(i)) || []), page.url]));
+    const expectedClusters = [...expected.values()].filter(urls => urls.length > 1).map(urls => urls.sort());
+
+    const clusters = clusterNearDuplicates(pages).map(urlsOf);
+    expect(clusters.length).toBeGreaterThan(10);
+    expect(clusters.sort()).toEqual(expectedClusters.sort());
+  });
+
+  it('does not cluster unrelated pages', () => {
+    const pages = Array.from({ length: 20 }, (_, i) => ({ url: `https://a/${i}`, content: prose(100 + i).join(' ') }));
+    expect(clusterNearDuplicates(pages)).toEqual([]);
+  });
+});
+
+describe('assignDuplicateClusters', () => {
+  it('stamps clusterId and duplicateOf, clearing stale fields and ignoring tombstoned pages', () => {
+    const content = prose(20).join(' ');
+    const pages = [
+      { url: 'https://docs.example.com/a', content, estimatedWords: 300 },
+      { url: 'https://mirror.example.org/a', content, estimatedWords: 300 },
+      { url: 'https://old.example.org/a', content, estimatedWords: 400, tombstonedAt: '2025-01-01T00:00:00Z' },
+      { url: 'https://docs.example.com/b', content: prose(21).join(' '), clusterId: 'dup-stale', duplicateOf: 'https://x' }
+    ];
+
+    const clusters = assignDuplicateClusters(pages);
+
+    expect(clusters).toHaveLength(1);
+    expect(pages.every(page => page.fingerprint)).toBe(true);
+    expect(pages[0].clusterId).toBe(clusters[0].id);
+    expect(pages[0].duplicateOf).toBeUndefined();
+    expect(pages[1]).toMatchObject({ clusterId: clusters[0].id, duplicateOf: 'https://docs.example.com/a' });
+    expect(pages[2].clusterId).toBeUndefined();
+    expect(pages[3].clusterId).toBeUndefined();
+    expect(pages[3].duplicateOf).toBeUndefined();
+  });
+});
+
+describe('collapseNearDuplicateDocuments', () => {
+  it('keeps the first document of each cluster, using stored cluster ids when present', () => {
+    const content = prose(30).join(' ');
+    const documents = [
+      { url: 'https://docs.example.com/a', clusterId: 'dup-1' },
+      { url: 'https://docs.example.com/b', content },
+      { url: 'https://mirror.example.org/a', clusterId: 'dup-1' },
+      { url: 'https://mirror.example.org/b', content },
+      { url: 'https://docs.example.com/c', content: prose(31).join(' ') }
+    ];
+
+    const { documents: kept, collapsed } = collapseNearDuplicateDocuments(documents);
+
+    expect(kept.map(doc => doc.url)).toEqual(['https://docs.example.com/a', 'https://docs.example.com/b', 'https://docs.example.com/c']);
+    expect(collapsed).toEqual([
+      { document: documents[2], keptDocument: documents[0] },
+      { document: documents[3], keptDocument: documents[1] }
+    ]);
+  });
+});
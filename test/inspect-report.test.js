@@ -0,0 +1,121 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import { renderInspectionReport } from '../src/server/utils/inspect-report.js';
+
+const URL = 'https://docs.example.com/guides/process';
+
+const inspection = (pipeline) => ({
+  url: URL,
+  siteKey: 'ao',
+  name: 'AO Cookbook',
+  rejection: null,
+  depth: 2,
+  depthLimit: 4,
+  robotsAllowed: true,
+  pipeline
+});
+
+const TRACE = {
+  htmlLength: 5200,
+  defuddle: { success: true, words: 40, characters: 260, extractorType: null },
+  selectors: [
+    { selector: 'main', matched: true, words: 1200, characters: 7800 },
+    { selector: '.vp-doc', matched: false },
+    { selector: 'div[', matched: false, error: 'not a valid selector' }
+  ],
+  fallback: { triggered: true, selector: 'main', used: true },
+  beforeFilters: { words: 1200, characters: 7800 },
+  filters: [{ rule: 'edit-links', removed: 42 }],
+  final: { words: 1180, characters: 7700 },
+  minWordCount: 50,
+  is404: false
+};
+
+const PIPELINE = {
+  status: 200,
+  contentType: 'text/html',
+  bytes: 18250,
+  finalUrl: `${URL}.html`,
+  outcome: 'indexed',
+  title: 'Processes',
+  content: 'Processes exchange <messages>.',
+  trace: TRACE,
+  llms: {
+    qualityScore: 0.81,
+    threshold: 0.5,
+    words: 1100,
+    kept: true,
+    quality: { qualityLevel: 'good', details: { readability: 0.7, completeness: 0.9, technicalRelevance: 0.8, structure: 0.85 } }
+  }
+};
+
+// The <tr> rendered for a stage label
+const rowFor = (report, label) => report.split('\n').find(line => line.includes(`<th>${label}</th>`));
+
+describe('renderInspectionReport', () => {
+  it('renders one row per extraction stage', () => {
+    const report = renderInspectionReport(inspection(PIPELINE));
+
+    expect(report).toContain('Site <strong>ao</strong> (AO Cookbook) - indexed as &quot;Processes&quot;');
+    expect(report).toContain('Scope: in scope, depth 2 (limit 4), robots.txt allows it');
+    expect(rowFor(report, 'Fetch')).toContain('HTTP 200, text/html, 18,250 bytes');
+    expect(rowFor(report, 'Defuddle')).toContain('40 words, 260 characters (default extractor)');
+    expect(rowFor(report, 'Selector main')).toContain('(fallback pick, used)');
+    expect(rowFor(report, 'Selector .vp-doc')).toMatch(/class="warn".*no match/);
+    expect(rowFor(report, 'Selector div[')).toContain('invalid: not a valid selector');
+    expect(rowFor(report, 'Filter edit-links')).toContain('42 characters removed');
+    expect(rowFor(report, 'Final content')).toMatch(/class="".*1,180 words, 7,700 characters \(minWordCount 50\)/);
+    expect(rowFor(report, 'Quality score')).toContain('0.81 good - readability 0.70, completeness 0.90, technicalRelevance 0.80, structure 0.85; threshold 0.5');
+    expect(report).toContain('<h2>Extracted content (1,180 words)</h2>');
+    expect(report).toContain('<pre>Processes exchange &lt;messages&gt;.</pre>');
+  });
+
+  it('flags dropped pages and failed stages', () => {
+    const report = renderInspectionReport(inspection({
+      ...PIPELINE,
+      outcome: 'too-short',
+      trace: { ...TRACE, defuddle: { success: false, error: 'no body' }, final: { words: 12, characters: 80 }, is404: true },
+      llms: { error: 'cleaner crashed' }
+    }));
+
+    expect(report).toContain('dropped: below minWordCount');
+    expect(rowFor(report, 'Defuddle')).toMatch(/class="warn".*failed: no body/);
+    expect(rowFor(report, 'Final content')).toMatch(/class="bad"/);
+    expect(rowFor(report, '404 check')).toMatch(/class="bad".*looks like a 404 page/);
+    expect(rowFor(report, 'llms.txt cleaning')).toMatch(/class="bad".*failed: cleaner crashed/);
+  });
+
+  it('describes plain-text files without the HTML stages', () => {
+    const report = renderInspectionReport(inspection({
+      ...PIPELINE,
+      contentType: 'text/plain',
+      trace: { plainText: true, final: { words: 300, characters: 1900 } },
+      llms: { qualityScore: 0.8, threshold: 0.5, words: 300, kept: true }
+    }));
+
+    expect(rowFor(report, 'Plain text')).toContain('300 words');
+    expect(rowFor(report, 'Defuddle')).toBeUndefined();
+    expect(rowFor(report, 'Quality score')).toContain('0.80 (plain text, not assessed)');
+  });
+
+  it('reports a failed fetch with no stages', () => {
+    const report = renderInspectionReport({ ...inspection({ error: 'HTTP 503' }), rejection: 'outside path prefix', robotsAllowed: false });
+
+    expect(report).toContain('fetch failed: HTTP 503');
+    expect(report).toContain('Scope: rejected: outside path prefix, depth 2 (limit 4), robots.txt disallows it');
+    expect(rowFor(report, 'Fetch')).toBeUndefined();
+    expect(report).toContain('<pre></pre>');
+  });
+
+  it('shows the original page in a script-free frame that resolves against the final URL', () => {
+    const report = renderInspectionReport(inspection(PIPELINE), { html: '<html><head><link rel="stylesheet" href="style.css"></head><body>"Hi"</body></html>' });
+    const base = `&lt;base href=&quot;${URL}.html&quot;&gt;`;
+
+    expect(report).toContain(`<iframe sandbox="" srcdoc="&lt;html&gt;&lt;head&gt;${base}&lt;link`);
+    expect(report).toContain('&lt;body&gt;&quot;Hi&quot;&lt;/body&gt;');
+
+    expect(renderInspectionReport(inspection(PIPELINE), { html: '<p>Bare</p>' })).toContain(`srcdoc="${base}&lt;p&gt;Bare&lt;/p&gt;"`);
+    expect(renderInspectionReport(inspection(PIPELINE))).toContain('srcdoc=""');
+  });
+});
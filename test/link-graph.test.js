@@ -0,0 +1,80 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import { computePageRank, analyzeLinkGraph } from '../src/server/utils/link-graph.js';
+
+const BASE = 'https://docs.example.com';
+const keyOf = (url) => url.replace(/\/$/, '');
+const page = (path, links = [], extra = {}) => ({
+  url: `${BASE}${path}`,
+  outboundLinks: links.map(link => `${BASE}${link}`),
+  ...extra
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('computePageRank', () => {
+  it('ranks the page everything links to highest and sums to 1', () => {
+    const ranks = computePageRank([[1], [], [1], [1, 2]]);
+
+    expect(sum(ranks)).toBeCloseTo(1, 6);
+    expect(Math.max(...ranks)).toBe(ranks[1]);
+    expect(ranks[2]).toBeGreaterThan(ranks[3]);
+  });
+
+  it('spreads rank evenly over a cycle and handles an empty graph', () => {
+    const ranks = computePageRank([[1], [2], [0]]);
+
+    for (const rank of ranks) expect(rank).toBeCloseTo(1 / 3, 6);
+    expect(computePageRank([])).toEqual([]);
+  });
+});
+
+describe('analyzeLinkGraph', () => {
+  it('counts distinct linking pages and scales importance to the top page', () => {
+    const pages = [
+      page('/', ['/guide', '/api', '/guide/'], { discoverySource: 'seed' }),
+      page('/guide', ['/api', '/']),
+      page('/api', ['/', '/api'])
+    ];
+
+    const graph = analyzeLinkGraph(pages, { keyOf });
+
+    // The duplicate /guide/ link and the self-link don't count
+    expect(graph.edges).toBe(5);
+    expect(pages.map(entry => entry.inboundLinks)).toEqual([2, 1, 2]);
+    expect(Math.max(...pages.map(entry => entry.importance))).toBe(1);
+    expect(pages[1].importance).toBeLessThan(1);
+    expect(graph.weaklyLinked).toEqual([`${BASE}/guide`]);
+    expect(graph.orphans).toEqual([]);
+  });
+
+  it('counts links to an alias as links to the page', () => {
+    const pages = [
+      page('/', ['/intro.html'], { discoverySource: 'seed' }),
+      page('/introduction.html', [], { aliases: [`${BASE}/intro.html`] })
+    ];
+
+    analyzeLinkGraph(pages, { keyOf });
+
+    expect(pages[1].inboundLinks).toBe(1);
+  });
+
+  it('reports orphans other than seeds, and links to missing or tombstoned pages as broken', () => {
+    const pages = [
+      page('/', ['/removed', '/gone', '/unknown'], { discoverySource: 'seed' }),
+      page('/lonely', [], { discoverySource: 'sitemap' }),
+      page('/removed', [], { tombstonedAt: '2025-01-01T00:00:00Z' })
+    ];
+
+    const graph = analyzeLinkGraph(pages, { keyOf, brokenUrls: new Map([[`${BASE}/gone`, 410]]) });
+
+    expect(graph.orphans).toEqual([`${BASE}/lonely`]);
+    expect(graph.brokenLinks).toEqual([
+      { from: `${BASE}/`, to: `${BASE}/removed`, status: 404 },
+      { from: `${BASE}/`, to: `${BASE}/gone`, status: 410 }
+    ]);
+    // Tombstoned pages take no part in the graph
+    expect(pages[2].inboundLinks).toBeUndefined();
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findNavigationRoot,
+  extractNavigation,
+  mergeNavigation,
+  applyNavigation
+} from '../src/server/utils/navigation.js';
+
+const BASE = 'https://docs.example.com';
+const CONFIG = { baseUrl: BASE, selectors: {} };
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+const keyOf = (url) => url.replace(/\/$/, '');
+const simplify = (entries) => entries.map(({ url, title, sections }) => [url.slice(BASE.length), title, sections.join(' > ')]);
+
+// MkDocs Material: labels before nested navs, and a section index page sharing the label
+const MKDOCS = `
+  <header><nav><a href="/">Home</a><a href="/blog/">Blog</a></nav></header>
+  <nav class="md-nav md-nav--primary">
+    <ul>
+      <li><a href="/build/">Build</a>
+        <nav class="md-nav">
+          <label class="md-nav__title">Build</label>
+          <ul>
+            <li><a href="/build/introduction.html#top">Introduction</a></li>
+            <li>
+              <label>Devices</label>
+              <nav><ul>
+                <li><a href="/build/devices/">Devices</a></li>
+                <li><a href="/build/devices/meta.html">Meta</a></li>
+              </ul></nav>
+            </li>
+          </ul>
+        </nav>
+      </li>
+      <li><a href="/run/">Run</a></li>
+      <li><a href="https://github.com/permaweb">GitHub</a></li>
+    </ul>
+  </nav>`;
+
+// VitePress: group titles and items that are all .VPSidebarItem
+const VITEPRESS = `
+  <aside class="VPSidebar"><nav id="VPSidebarNav">
+    <section class="VPSidebarItem level-0">
+      <div class="item"><h2 class="text">Guides</h2></div>
+      <div class="items">
+        <div class="VPSidebarItem level-1"><a href="/guides/aos/">aos</a></div>
+        <section class="VPSidebarItem level-1">
+          <div class="item"><p class="text">Messaging</p></div>
+          <div class="items">
+            <div class="VPSidebarItem level-2"><a href="/guides/messaging/patterns.html">Patterns</a></div>
+          </div>
+        </section>
+      </div>
+    </section>
+    <section class="VPSidebarItem level-0">
+      <div class="item"><h2 class="text">References</h2></div>
+      <div class="items"><div class="VPSidebarItem level-1"><a href="/references/lua.html">Lua</a></div></div>
+    </section>
+  </nav></aside>`;
+
+describe('findNavigationRoot', () => {
+  it('picks the sidebar over a header nav, and a configured selector first', () => {
+    const doc = parse(MKDOCS);
+
+    expect(findNavigationRoot(doc, `${BASE}/build/`, CONFIG).classList.contains('md-nav--primary')).toBe(true);
+    expect(findNavigationRoot(parse('<header><nav><a href="/a">A</a></nav></header>'), BASE, CONFIG)).toBeNull();
+
+    const custom = parse(`<div id="toc"><a href="/a">A</a><a href="/b">B</a><a href="/c">C</a></div>${MKDOCS}`);
+    expect(findNavigationRoot(custom, BASE, { ...CONFIG, selectors: { navigation: '#toc' } }).id).toBe('toc');
+  });
+});
+
+describe('extractNavigation', () => {
+  it('reads MkDocs sections without nesting an index page under itself', () => {
+    const entries = extractNavigation(parse(MKDOCS), `${BASE}/build/`, CONFIG);
+
+    expect(simplify(entries)).toEqual([
+      ['/build/', 'Build', ''],
+      ['/build/introduction.html', 'Introduction', 'Build'],
+      ['/build/devices/', 'Devices', 'Build'],
+      ['/build/devices/meta.html', 'Meta', 'Build > Devices'],
+      ['/run/', 'Run', '']
+    ]);
+  });
+
+  it('reads VitePress groups', () => {
+    const entries = extractNavigation(parse(VITEPRESS), `${BASE}/guides/aos/`, CONFIG);
+
+    expect(simplify(entries)).toEqual([
+      ['/guides/aos/', 'aos', 'Guides'],
+      ['/guides/messaging/patterns.html', 'Patterns', 'Guides > Messaging'],
+      ['/references/lua.html', 'Lua', 'References']
+    ]);
+  });
+
+  it('keeps links to allowed hosts', () => {
+    const entries = extractNavigation(parse(MKDOCS), `${BASE}/build/`, { ...CONFIG, allowedHosts: ['github.com'] });
+
+    expect(entries.at(-1)).toEqual({ url: 'https://github.com/permaweb', title: 'GitHub', sections: [] });
+  });
+});
+
+describe('mergeNavigation', () => {
+  it('keeps the longer sidebar\'s order and appends entries only seen in the other', () => {
+    const entry = (path) => ({ url: `${BASE}${path}`, title: path, sections: [] });
+
+    const merged = mergeNavigation([entry('/a'), entry('/x/')], [entry('/b'), entry('/a'), entry('/c')], keyOf);
+
+    expect(merged.map(item => item.url.slice(BASE.length))).toEqual(['/b', '/a', '/c', '/x/']);
+  });
+});
+
+describe('applyNavigation', () => {
+  it('stamps sidebar fields on listed pages, matching aliases, and clears them from unlisted pages', () => {
+    const entries = extractNavigation(parse(MKDOCS), `${BASE}/build/`, CONFIG);
+    const pages = [
+      { url: `${BASE}/build/devices/meta.html` },
+      { url: `${BASE}/run` },
+      { url: `${BASE}/build/intro.html`, aliases: [`${BASE}/build/introduction.html`] },
+      { url: `${BASE}/old.html`, navPath: ['Old'], navTitle: 'Old', navOrder: 9, category: 'Old' }
+    ];
+
+    const { matched, unlisted } = applyNavigation(pages, entries, keyOf);
+
+    expect(pages[0]).toMatchObject({
+      navPath: ['Build', 'Devices'],
+      navTitle: 'Meta',
+      navOrder: 3,
+      category: 'Build',
+      breadcrumbs: ['Build', 'Devices', 'Meta']
+    });
+    expect(pages[1]).toMatchObject({ navOrder: 4, category: 'general', breadcrumbs: ['Run'] });
+    expect(pages[2].navTitle).toBe('Introduction');
+    expect(pages[3]).toEqual({ url: `${BASE}/old.html` });
+    expect(matched).toHaveLength(3);
+    expect(unlisted).toEqual([pages[3]]);
+  });
+
+  it('leaves pages alone when there is no sidebar', () => {
+    const pages = [{ url: `${BASE}/a`, navPath: ['Kept'] }];
+
+    expect(applyNavigation(pages, [], keyOf)).toEqual({ matched: [], unlisted: [] });
+    expect(pages[0].navPath).toEqual(['Kept']);
+  });
+});
@@ -0,0 +1,230 @@
+// @vitest-environment node
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PagePipeline, getValidators, resolveLastModified } from '../src/server/utils/page-pipeline.js';
+import { getCanonicalKey } from '../src/server/utils/url-normalizer.js';
+import { createHttpError } from '../src/server/utils/fetch-errors.js';
+import { loadSnapshotManifest } from '../src/server/utils/snapshot-store.js';
+
+const BASE = 'https://docs.example.com';
+const DAY = 24 * 60 * 60 * 1000;
+
+const keyOf = (url) => getCanonicalKey(url);
+const pageData = (urlPath, content = `Content of ${urlPath}`) => ({ url: `${BASE}${urlPath}`, title: urlPath, content, estimatedWords: 3 });
+const item = (urlPath, extra = {}) => ({ url: `${BASE}${urlPath}`, key: keyOf(`${BASE}${urlPath}`), depth: 1, source: 'link', ...extra });
+const fetched = (urlPath, response = {}, links = []) => ({
+  response: { status: 200, doc: null, etag: '"v2"', ...response },
+  requestTime: 10,
+  pageData: pageData(urlPath),
+  links
+});
+
+const createPipeline = (options = {}) => new PagePipeline({
+  siteKey: 'ao',
+  config: { name: 'AO Cookbook' },
+  keyOf,
+  maxPages: 10,
+  pruneAfterDays: 7,
+  fetchPage: async () => null,
+  extractPage: async () => null,
+  extractLinks: () => [],
+  acceptUrl: () => true,
+  breadcrumbsFor: (url, title) => [title],
+  ...options
+});
+
+describe('page helpers', () => {
+  it('reads validators from indexed pages and keeps lastModified while content is unchanged', () => {
+    expect(getValidators({ etag: '"v1"' })).toEqual({ etag: '"v1"', lastModified: null });
+    expect(getValidators({ url: `${BASE}/a` })).toBeNull();
+
+    const previous = { lastModified: '2025-01-01T00:00:00.000Z' };
+    expect(resolveLastModified({ lastModified: '2025-02-01T00:00:00.000Z' }, previous, true)).toBe('2025-02-01T00:00:00.000Z');
+    expect(resolveLastModified({}, previous, false)).toBe(previous.lastModified);
+    expect(resolveLastModified({}, previous, true)).not.toBe(previous.lastModified);
+  });
+});
+
+describe('PagePipeline.fetch', () => {
+  it('revalidates indexed pages, unless they were indexed before link tracking', async () => {
+    const fetchPage = vi.fn(async () => ({ status: 200, doc: {} }));
+    const pipeline = createPipeline({
+      config: { name: 'AO Cookbook', maxBodyBytes: 1000 },
+      fetchPage,
+      extractPage: async (doc, url) => pageData(new URL(url).pathname),
+      extractLinks: (doc, pageUrl) => [`${pageUrl}/child`]
+    });
+
+    const outcome = await pipeline.fetch(`${BASE}/a`, { etag: '"v1"', outboundLinks: [] });
+    await pipeline.fetch(`${BASE}/b`, { etag: '"v1"' });
+
+    expect(fetchPage.mock.calls.map(([, options]) => options)).toEqual([
+      { validators: { etag: '"v1"', lastModified: null }, maxBytes: 1000 },
+      { validators: null, maxBytes: 1000 }
+    ]);
+    expect(outcome.links).toEqual([`${BASE}/a/child`]);
+  });
+
+  it('skips extraction for responses without a document', async () => {
+    const extractPage = vi.fn();
+    const pipeline = createPipeline({ fetchPage: async () => ({ status: 304, notModified: true }), extractPage });
+
+    expect(await pipeline.fetch(`${BASE}/a`)).toMatchObject({ response: { notModified: true } });
+    expect(extractPage).not.toHaveBeenCalled();
+  });
+});
+
+describe('PagePipeline.commit', () => {
+  it('indexes new pages once and hands their links on', async () => {
+    const pipeline = createPipeline();
+    const onPage = vi.fn();
+
+    await pipeline.commit(item('/a'), fetched('/a', {}, [`${BASE}/b`]), onPage);
+    await pipeline.commit(item('/a'), fetched('/a'), onPage);
+
+    expect(pipeline.pages).toHaveLength(1);
+    expect(pipeline.pages[0]).toMatchObject({
+      url: `${BASE}/a`,
+      siteKey: 'ao',
+      siteName: 'AO Cookbook',
+      depth: 1,
+      discoverySource: 'link',
+      breadcrumbs: ['/a'],
+      etag: '"v2"',
+      outboundLinks: [`${BASE}/b`]
+    });
+    expect(onPage).toHaveBeenCalledTimes(1);
+    expect(onPage.mock.calls[0][1]).toEqual([`${BASE}/b`]);
+    expect(pipeline.discoveryCounts.link).toBe(1);
+    expect(pipeline.counters).toMatchObject({ requestCount: 1, totalResponseTime: 10 });
+  });
+
+  it('indexes redirected pages under the target and records later duplicates as aliases', async () => {
+    const pipeline = createPipeline();
+
+    await pipeline.commit(item('/old'), fetched('/old', { finalUrl: `${BASE}/new` }), () => {});
+    await pipeline.commit(item('/older'), fetched('/older', { finalUrl: `${BASE}/new` }), () => {});
+
+    expect(pipeline.pages).toHaveLength(1);
+    expect(pipeline.pages[0]).toMatchObject({ url: `${BASE}/new`, aliases: [`${BASE}/old`, `${BASE}/older`] });
+    expect(pipeline.counters.duplicateCount).toBe(1);
+  });
+
+  it('keeps unchanged pages, restoring tombstoned ones, and counts changed content', async () => {
+    const existingPages = [
+      { url: `${BASE}/a`, contentHash: 'old', tombstonedAt: new Date().toISOString() },
+      { url: `${BASE}/b`, contentHash: 'old', lastModified: '2025-01-01T00:00:00.000Z' }
+    ];
+    const pipeline = createPipeline({ existingPages });
+
+    await pipeline.commit(item('/a', { previous: existingPages[0] }), { response: { status: 304, notModified: true }, requestTime: 5 }, () => {});
+    await pipeline.commit(item('/b', { previous: existingPages[1] }), fetched('/b'), () => {});
+
+    expect(pipeline.pages[0]).toEqual({ url: `${BASE}/a`, contentHash: 'old' });
+    expect(pipeline.pages[1].lastModified).not.toBe('2025-01-01T00:00:00.000Z');
+    expect(pipeline.counters).toMatchObject({ unchangedCount: 1, changedCount: 1 });
+  });
+
+  it('tombstones indexed pages that are gone and drops them after the grace period', async () => {
+    const existingPages = [
+      { url: `${BASE}/a` },
+      { url: `${BASE}/b`, tombstonedAt: new Date(Date.now() - 8 * DAY).toISOString() }
+    ];
+    const pipeline = createPipeline({ existingPages });
+
+    await pipeline.commit(item('/a', { previous: existingPages[0] }), { response: { status: 404, notFound: true }, requestTime: 5 }, () => {});
+    await pipeline.commit(item('/b', { previous: existingPages[1] }), { response: { status: 410, notFound: true }, requestTime: 5 }, () => {});
+
+    expect(pipeline.pages[0].tombstonedAt).toBeDefined();
+    expect([...pipeline.removedUrls]).toEqual([`${BASE}/b`]);
+    expect(pipeline.errors).toEqual([]);
+  });
+
+  it('reports new broken URLs as errors and rejected pages separately', async () => {
+    const onError = vi.fn();
+    const pipeline = createPipeline({ onError });
+
+    await pipeline.commit(item('/missing'), { response: { status: 404, notFound: true }, requestTime: 5 }, () => {});
+    await pipeline.commit(item('/soft'), { ...fetched('/soft'), pageData: { notFound: true } }, () => {});
+    await pipeline.commit(item('/thin'), { ...fetched('/thin'), pageData: null }, () => {});
+
+    expect(pipeline.errors).toEqual([{ url: `${BASE}/missing`, error: 'HTTP 404', depth: 1, category: 'http-4xx', status: 404 }]);
+    expect(onError).toHaveBeenCalledWith(`${BASE}/missing`, 'HTTP 404');
+    expect([...pipeline.brokenUrls]).toEqual([[keyOf(`${BASE}/missing`), 404]]);
+    expect(pipeline.rejections).toEqual([
+      { url: `${BASE}/soft`, category: 'soft-404' },
+      { url: `${BASE}/thin`, category: 'quality-filtered' }
+    ]);
+    expect(pipeline.pages).toEqual([]);
+  });
+
+  it('queues transient failures for a later run and counts recoveries', async () => {
+    const retryQueue = { sites: {} };
+
+    const failing = createPipeline({ retryQueue });
+    await failing.commit(item('/flaky'), { error: createHttpError(502) }, () => {});
+    expect(failing.retryStats.queued).toBe(1);
+    expect(Object.keys(retryQueue.sites.ao)).toEqual([`${BASE}/flaky`]);
+
+    const recovering = createPipeline({ retryQueue });
+    await recovering.commit(item('/flaky'), fetched('/flaky'), () => {});
+    expect(recovering.retryStats.recovered).toBe(1);
+    expect(retryQueue.sites.ao).toEqual({});
+  });
+});
+
+describe('PagePipeline.revalidate', () => {
+  it('updates pages the crawl did not reach and keeps them when the fetch fails', async () => {
+    const existingPages = [{ url: `${BASE}/a`, contentHash: 'old', depth: 2, discoverySource: 'sitemap' }, { url: `${BASE}/b` }];
+    const pipeline = createPipeline({ existingPages });
+    const onPage = vi.fn();
+
+    await pipeline.revalidate(existingPages[0], fetched('/a'), onPage);
+    await pipeline.revalidate(existingPages[1], { error: { category: 'timeout', message: 'timed out' } }, onPage);
+
+    expect(pipeline.pages[0]).toMatchObject({ url: `${BASE}/a`, depth: 2, discoverySource: 'sitemap' });
+    expect(pipeline.pages[1]).toBe(existingPages[1]);
+    expect(onPage).toHaveBeenCalledTimes(1);
+    expect(pipeline.counters).toMatchObject({ requestCount: 1, changedCount: 1 });
+  });
+});
+
+describe('snapshots and checkpoints', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'page-pipeline-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves snapshots of indexed pages only', async () => {
+    const pipeline = createPipeline({ snapshots: {}, snapshotDir: dir });
+
+    await pipeline.captureSnapshot(`${BASE}/a`, { status: 200, body: '<p>a</p>' });
+    await pipeline.captureSnapshot(`${BASE}/b`, { status: 200, body: '<p>b</p>' });
+    await pipeline.captureSnapshot(`${BASE}/c`, { status: 304 });
+    await pipeline.saveSnapshots([{ url: `${BASE}/a` }]);
+
+    expect(Object.keys(await loadSnapshotManifest('ao', dir))).toEqual([keyOf(`${BASE}/a`)]);
+  });
+
+  it('continues from its own checkpoint state', async () => {
+    const pipeline = createPipeline({ snapshots: {}, snapshotDir: dir });
+    await pipeline.commit(item('/a'), fetched('/a'), () => {});
+    await pipeline.commit(item('/missing'), { response: { status: 404, notFound: true }, requestTime: 5 }, () => {});
+
+    const restored = createPipeline({ restored: JSON.parse(JSON.stringify(pipeline.toCheckpoint())) });
+
+    expect(restored.pages).toEqual(pipeline.pages);
+    expect(restored.visited).toEqual(pipeline.visited);
+    expect(restored.brokenUrls).toEqual(pipeline.brokenUrls);
+    expect(restored.counters).toEqual(pipeline.counters);
+    expect(restored.errors).toHaveLength(1);
+  });
+});
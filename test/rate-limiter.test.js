@@ -0,0 +1,186 @@
+// @vitest-environment node
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  parseRetryAfter,
+  RateLimiter,
+  RateLimiterRegistry,
+  MAX_RETRY_AFTER_MS
+} from '../src/server/utils/rate-limiter.js';
+
+beforeEach(() => {
+  vi.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+/**
+ * Milliseconds until a pending acquire() resolves, advancing the fake clock
+ */
+async function timeAcquire(limiter) {
+  const start = Date.now();
+  let done = false;
+  const pending = limiter.acquire().then(() => { done = true; });
+  while (!done) {
+    await vi.advanceTimersToNextTimerAsync();
+  }
+  await pending;
+  return Date.now() - start;
+}
+
+describe('parseRetryAfter', () => {
+  it('reads delta seconds and HTTP dates', () => {
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter(' 1.5 ')).toBe(1500);
+    expect(parseRetryAfter('Wed, 01 Jan 2025 00:00:30 GMT')).toBe(30000);
+    expect(parseRetryAfter('Tue, 31 Dec 2024 00:00:00 GMT')).toBe(0);
+  });
+
+  it('returns null for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('RateLimiter', () => {
+  it('lets a burst through, then spaces requests by the rate', async () => {
+    const limiter = new RateLimiter(2, 3);
+
+    for (let i = 0; i < 3; i++) {
+      expect(await timeAcquire(limiter)).toBe(0);
+    }
+    expect(await timeAcquire(limiter)).toBe(500);
+  });
+
+  it('halves the rate on 429/503 and waits out Retry-After', async () => {
+    const limiter = new RateLimiter(4, 5);
+
+    limiter.recordResponse({ status: 429, responseTime: 20, retryAfter: 2000 });
+
+    expect(limiter.requestsPerSecond).toBe(2);
+    expect(await timeAcquire(limiter)).toBe(2000);
+    expect(limiter.getStats()).toMatchObject({ throttled: 1, retryAfterWaits: 1, minRequestsPerSecond: 2 });
+  });
+
+  it('spaces out callers waiting for a pause to end instead of releasing them together', async () => {
+    const limiter = new RateLimiter(4, 5);
+    limiter.recordResponse({ status: 429, responseTime: 20, retryAfter: 2000 });
+
+    const start = Date.now();
+    const released = [];
+    const pending = [0, 1, 2].map(() => limiter.acquire().then(() => released.push(Date.now() - start)));
+    await vi.runAllTimersAsync();
+    await Promise.all(pending);
+
+    // The rate is halved to 2/sec: one request at the end of the pause, then one every 500ms
+    expect(released).toEqual([2000, 2500, 3000]);
+  });
+
+  it('caps Retry-After waits', async () => {
+    const limiter = new RateLimiter(2, 5);
+
+    limiter.recordResponse({ status: 503, responseTime: 20, retryAfter: MAX_RETRY_AFTER_MS * 10 });
+
+    expect(limiter.pausedUntil - Date.now()).toBe(MAX_RETRY_AFTER_MS);
+  });
+
+  it('backs off exponentially on 429/503 without Retry-After', async () => {
+    const limiter = new RateLimiter(4, 5);
+
+    limiter.recordResponse({ status: 429, responseTime: 20 });
+    expect(await timeAcquire(limiter)).toBe(1000);
+    limiter.recordResponse({ status: 503, responseTime: 20 });
+    expect(await timeAcquire(limiter)).toBe(2000);
+    limiter.recordResponse({ status: 429, responseTime: 20 });
+    expect(await timeAcquire(limiter)).toBe(4000);
+
+    // A response that isn't throttled starts the backoff over
+    limiter.recordResponse({ status: 200, responseTime: 20 });
+    limiter.recordResponse({ status: 429, responseTime: 20 });
+    expect(await timeAcquire(limiter)).toBe(1000);
+    expect(limiter.getStats()).toMatchObject({ throttled: 4, backoffWaits: 4, retryAfterWaits: 0 });
+  });
+
+  it('caps the backoff without Retry-After at a minute', () => {
+    const limiter = new RateLimiter(4, 5);
+
+    for (let i = 0; i < 10; i++) {
+      limiter.recordResponse({ status: 429, responseTime: 20 });
+    }
+    expect(limiter.pausedUntil - Date.now()).toBe(60000);
+  });
+
+  it('slows down on server errors, network errors and slow responses', () => {
+    const limiter = new RateLimiter(4, 5);
+
+    limiter.recordResponse({ status: 502, responseTime: 20 });
+    expect(limiter.requestsPerSecond).toBe(3);
+    limiter.recordResponse({ responseTime: 20 });
+    expect(limiter.requestsPerSecond).toBe(2.25);
+    limiter.recordResponse({ status: 200, responseTime: 5000 });
+    expect(limiter.requestsPerSecond).toBeCloseTo(1.8);
+    expect(limiter.getStats()).toMatchObject({ failures: 2, slowResponses: 1, requests: 3 });
+  });
+
+  it('never drops below one request every ten seconds', () => {
+    const limiter = new RateLimiter(1, 1);
+
+    for (let i = 0; i < 20; i++) {
+      limiter.recordResponse({ status: 429, responseTime: 20 });
+    }
+    expect(limiter.requestsPerSecond).toBe(0.1);
+  });
+
+  it('recovers towards the ceiling after a streak of healthy responses', () => {
+    const limiter = new RateLimiter(4, 5);
+    limiter.recordResponse({ status: 429, responseTime: 20 });
+
+    for (let i = 0; i < 9; i++) {
+      limiter.recordResponse({ status: 200, responseTime: 50 });
+    }
+    expect(limiter.requestsPerSecond).toBe(2);
+    limiter.recordResponse({ status: 200, responseTime: 50 });
+    expect(limiter.requestsPerSecond).toBe(3);
+
+    for (let i = 0; i < 20; i++) {
+      limiter.recordResponse({ status: 200, responseTime: 50 });
+    }
+    expect(limiter.requestsPerSecond).toBe(4);
+  });
+
+  it('only lowers the current rate to a new ceiling (Crawl-delay)', () => {
+    const limiter = new RateLimiter(2, 5);
+
+    limiter.configure(0.5, 1);
+    expect(limiter.getStats()).toMatchObject({ requestsPerSecond: 0.5, maxRequestsPerSecond: 0.5, minRequestsPerSecond: 0.5 });
+
+    limiter.configure(4);
+    expect(limiter.getStats()).toMatchObject({ requestsPerSecond: 0.5, maxRequestsPerSecond: 4 });
+  });
+
+  it('starts at an explicit override rate', () => {
+    const limiter = new RateLimiter(2, 5);
+
+    limiter.configure(10, 5, { setRate: true });
+
+    expect(limiter.getStats()).toMatchObject({ requestsPerSecond: 10, maxRequestsPerSecond: 10, minRequestsPerSecond: 10 });
+  });
+});
+
+describe('RateLimiterRegistry', () => {
+  it('keeps one limiter per host and reports stats by host', () => {
+    const registry = new RateLimiterRegistry({ requestsPerSecond: 3, burstSize: 2 });
+
+    const docs = registry.get('https://docs.example.com/a');
+    expect(registry.get('https://docs.example.com/b?page=2')).toBe(docs);
+    expect(registry.get('https://cookbook.example.com/')).not.toBe(docs);
+    expect(docs.requestsPerSecond).toBe(3);
+    expect(docs.burstSize).toBe(2);
+
+    expect(Object.keys(registry.getStats())).toEqual(['docs.example.com', 'cookbook.example.com']);
+    expect(Object.keys(registry.getStats(['https://cookbook.example.com/x', null]))).toEqual(['cookbook.example.com']);
+  });
+});
@@ -0,0 +1,129 @@
+// @vitest-environment node
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getRetryDelay,
+  loadRetryQueue,
+  saveRetryQueue,
+  getDueRetries,
+  recordRetryFailure,
+  clearRetry,
+  MAX_RETRY_ATTEMPTS
+} from '../src/server/utils/retry-queue.js';
+
+const MINUTE = 60 * 1000;
+const URL_A = 'https://docs.example.com/a';
+
+describe('getRetryDelay', () => {
+  it('doubles from 30 minutes up to a day', () => {
+    expect([1, 2, 3, 4, 5, 6, 10].map(getRetryDelay)).toEqual([
+      30 * MINUTE, 60 * MINUTE, 120 * MINUTE, 240 * MINUTE, 480 * MINUTE, 960 * MINUTE, 1440 * MINUTE
+    ]);
+  });
+});
+
+describe('retry queue entries', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ now: new Date('2025-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('records a failure and schedules the next attempt', () => {
+    const queue = { sites: {} };
+
+    const entry = recordRetryFailure(queue, 'ao', { url: URL_A, depth: 2, category: 'http-5xx', status: 502, message: 'HTTP 502' });
+
+    expect(entry).toEqual({
+      url: URL_A,
+      depth: 2,
+      source: 'link',
+      category: 'http-5xx',
+      status: 502,
+      message: 'HTTP 502',
+      attempts: 1,
+      firstFailedAt: '2025-01-01T00:00:00.000Z',
+      lastFailedAt: '2025-01-01T00:00:00.000Z',
+      nextRetryAt: '2025-01-01T00:30:00.000Z'
+    });
+    expect(queue.sites.ao[URL_A]).toBe(entry);
+  });
+
+  it('backs off after repeated failures and drops the URL after the last attempt', () => {
+    const queue = { sites: {} };
+    const failure = { url: URL_A, category: 'timeout' };
+
+    recordRetryFailure(queue, 'ao', failure);
+    vi.advanceTimersByTime(60 * MINUTE);
+    const second = recordRetryFailure(queue, 'ao', failure);
+    expect(second).toMatchObject({ attempts: 2, firstFailedAt: '2025-01-01T00:00:00.000Z', nextRetryAt: '2025-01-01T02:00:00.000Z' });
+
+    for (let attempt = 3; attempt <= MAX_RETRY_ATTEMPTS; attempt++) {
+      expect(recordRetryFailure(queue, 'ao', failure).attempts).toBe(attempt);
+    }
+    expect(recordRetryFailure(queue, 'ao', failure)).toBeNull();
+    expect(queue.sites.ao).toEqual({});
+  });
+
+  it('lists only the entries that are due for a site', () => {
+    const queue = { sites: {} };
+    recordRetryFailure(queue, 'ao', { url: URL_A, category: 'timeout' });
+    vi.advanceTimersByTime(20 * MINUTE);
+    recordRetryFailure(queue, 'ao', { url: 'https://docs.example.com/b', category: 'network' });
+    recordRetryFailure(queue, 'hyperbeam', { url: 'https://hyperbeam.example.com/', category: 'network' });
+
+    expect(getDueRetries(queue, 'ao')).toEqual([]);
+    expect(getDueRetries(queue, 'ao', Date.now() + 10 * MINUTE).map(entry => entry.url)).toEqual([URL_A]);
+    expect(getDueRetries(queue, 'ao', Date.now() + 30 * MINUTE)).toHaveLength(2);
+    expect(getDueRetries(queue, 'unknown')).toEqual([]);
+  });
+
+  it('clears a URL and reports whether it was queued', () => {
+    const queue = { sites: {} };
+    recordRetryFailure(queue, 'ao', { url: URL_A, category: 'timeout' });
+
+    expect(clearRetry(queue, 'ao', URL_A)).toBe(true);
+    expect(clearRetry(queue, 'ao', URL_A)).toBe(false);
+    expect(clearRetry(queue, 'unknown', URL_A)).toBe(false);
+  });
+});
+
+describe('retry queue file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-queue-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('round-trips the queue, leaving out sites with nothing queued', async () => {
+    const file = path.join(dir, 'crawl-retry-queue.json');
+    const queue = { sites: { ao: {}, hyperbeam: {} } };
+    recordRetryFailure(queue, 'hyperbeam', { url: URL_A, category: 'http-5xx', status: 503 });
+
+    await saveRetryQueue(queue, file);
+
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ version: 1, sites: { hyperbeam: queue.sites.hyperbeam } });
+    expect(fs.readdirSync(dir)).toEqual(['crawl-retry-queue.json']);
+    expect(await loadRetryQueue(file)).toEqual({ sites: { hyperbeam: queue.sites.hyperbeam } });
+  });
+
+  it('starts empty when the file is missing, corrupt or from another version', async () => {
+    const corrupt = path.join(dir, 'corrupt.json');
+    const outdated = path.join(dir, 'outdated.json');
+    fs.writeFileSync(corrupt, '{');
+    fs.writeFileSync(outdated, JSON.stringify({ version: 0, sites: { ao: {} } }));
+
+    expect(await loadRetryQueue(path.join(dir, 'missing.json'))).toEqual({ sites: {} });
+    expect(await loadRetryQueue(corrupt)).toEqual({ sites: {} });
+    expect(await loadRetryQueue(outdated)).toEqual({ sites: {} });
+  });
+});
@@ -0,0 +1,133 @@
+// @vitest-environment node
+
+import { describe, it, expect, vi } from 'vitest';
+import { parseRobotsTxt, isPathAllowed, RobotsCache } from '../src/server/utils/robots.js';
+
+describe('parseRobotsTxt', () => {
+  it('selects the group naming our agent over the wildcard group', () => {
+    const robots = parseRobotsTxt([
+      'User-agent: *',
+      'Disallow: /',
+      '',
+      'User-agent: Googlebot',
+      'User-agent: PermawebLLMFuel',
+      'Disallow: /private/ # drafts',
+      'Crawl-delay: 2',
+      '',
+      'Sitemap: https://docs.example.com/sitemap.xml'
+    ].join('\n'));
+
+    expect(robots.rules).toEqual([{ allow: false, pattern: '/private/' }]);
+    expect(robots.crawlDelay).toBe(2);
+    expect(robots.sitemaps).toEqual(['https://docs.example.com/sitemap.xml']);
+  });
+
+  it('matches the whole product token case-insensitively, ignoring a version', () => {
+    const versioned = parseRobotsTxt('User-agent: *\nDisallow: /\n\nUser-agent: permawebllmfuel/2.0\nDisallow: /private/\n');
+    expect(versioned.rules).toEqual([{ allow: false, pattern: '/private/' }]);
+  });
+
+  it('does not select groups naming only part of our agent', () => {
+    const robots = parseRobotsTxt([
+      'User-agent: *',
+      'Allow: /',
+      '',
+      'User-agent: LLM',
+      'User-agent: fuel',
+      'User-agent: web',
+      'User-agent: p',
+      'Disallow: /'
+    ].join('\n'));
+
+    expect(robots.rules).toEqual([{ allow: true, pattern: '/' }]);
+    expect(isPathAllowed(robots, '/docs/')).toBe(true);
+  });
+
+  it('falls back to the wildcard group and ignores empty Disallow lines', () => {
+    const robots = parseRobotsTxt('User-agent: *\nDisallow:\nAllow: /docs/\nCrawl-delay: nope\n');
+
+    expect(robots.rules).toEqual([{ allow: true, pattern: '/docs/' }]);
+    expect(robots.crawlDelay).toBeNull();
+  });
+});
+
+describe('isPathAllowed', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /api/',
+    'Allow: /api/public/',
+    'Disallow: /*.pdf$',
+    'Disallow: /search?'
+  ].join('\n'));
+
+  it('lets the longest matching rule win', () => {
+    expect(isPathAllowed(robots, '/api/keys')).toBe(false);
+    expect(isPathAllowed(robots, '/api/public/overview')).toBe(true);
+    expect(isPathAllowed(robots, '/guides/')).toBe(true);
+  });
+
+  it('supports * wildcards, $ anchors and queries', () => {
+    expect(isPathAllowed(robots, '/files/spec.pdf')).toBe(false);
+    expect(isPathAllowed(robots, '/files/spec.pdf.html')).toBe(true);
+    expect(isPathAllowed(robots, '/search?q=ao')).toBe(false);
+  });
+
+  it('prefers Allow when rules of equal length match', () => {
+    const tied = parseRobotsTxt('User-agent: *\nDisallow: /page\nAllow: /page\n');
+    expect(isPathAllowed(tied, '/page')).toBe(true);
+  });
+
+  it('allows everything without rules', () => {
+    expect(isPathAllowed(null, '/anything')).toBe(true);
+    expect(isPathAllowed(parseRobotsTxt(''), '/anything')).toBe(true);
+  });
+});
+
+describe('RobotsCache', () => {
+  it('fetches robots.txt once per origin', async () => {
+    const fetchRobots = vi.fn(async () => ({ status: 200, text: 'User-agent: *\nDisallow: /private/\n' }));
+    const cache = new RobotsCache({ fetchRobots });
+
+    expect(await cache.isAllowed('https://docs.example.com/private/a')).toBe(false);
+    expect(await cache.isAllowed('https://docs.example.com/guides/?page=2')).toBe(true);
+    expect(fetchRobots).toHaveBeenCalledTimes(1);
+    expect(fetchRobots).toHaveBeenCalledWith('https://docs.example.com/robots.txt');
+  });
+
+  it('treats a missing robots.txt (4xx) as allowing everything', async () => {
+    const cache = new RobotsCache({ fetchRobots: async () => ({ status: 404, text: 'Not Found' }) });
+
+    expect(await cache.isAllowed('https://docs.example.com/anything')).toBe(true);
+    expect((await cache.get('https://docs.example.com/')).unreachable).toBeUndefined();
+  });
+
+  it('disallows everything while robots.txt fails with 5xx, 429 or a network error', async () => {
+    for (const fetchRobots of [
+      async () => ({ status: 503, text: null }),
+      async () => ({ status: 429, text: null }),
+      async () => { throw new Error('ECONNREFUSED'); }
+    ]) {
+      const cache = new RobotsCache({ fetchRobots });
+      expect(await cache.isAllowed('https://docs.example.com/guides/')).toBe(false);
+      expect((await cache.get('https://docs.example.com/')).unreachable).toBe(true);
+    }
+  });
+
+  it('fetches an unreachable robots.txt again once the retry period is over', async () => {
+    const responses = [{ status: 502, text: null }, { status: 200, text: 'User-agent: *\nAllow: /\n' }];
+    const fetchRobots = vi.fn(async () => responses.shift());
+    const cache = new RobotsCache({ fetchRobots, unreachableRetryMs: 1000 });
+    const now = vi.spyOn(Date, 'now').mockReturnValue(10_000);
+
+    try {
+      expect(await cache.isAllowed('https://docs.example.com/guides/')).toBe(false);
+      now.mockReturnValue(10_500);
+      expect(await cache.isAllowed('https://docs.example.com/guides/')).toBe(false);
+      now.mockReturnValue(11_000);
+      expect(await cache.isAllowed('https://docs.example.com/guides/')).toBe(true);
+      expect(fetchRobots).toHaveBeenCalledTimes(2);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,121 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import {
+  readBodyWithLimit,
+  isAllowedContentType,
+  parseHtmlSafely,
+  TEXT_CONTENT_TYPES,
+  DEFAULT_MAX_BODY_BYTES
+} from '../src/server/utils/safe-fetch.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Response whose body arrives in chunks, recording whether the stream was cancelled
+ */
+function chunkedResponse(chunks, headers = {}) {
+  const state = { pulled: 0, cancelled: false };
+  const body = new ReadableStream({
+    pull(controller) {
+      if (state.pulled === chunks.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(new TextEncoder().encode(chunks[state.pulled++]));
+    },
+    cancel() {
+      state.cancelled = true;
+    }
+  });
+  return { response: new Response(body, { headers: { 'content-type': 'text/html', ...headers } }), state };
+}
+
+describe('isAllowedContentType', () => {
+  it('compares the media type only and allows a missing header', () => {
+    expect(isAllowedContentType('text/html; charset=utf-8')).toBe(true);
+    expect(isAllowedContentType('TEXT/Markdown')).toBe(true);
+    expect(isAllowedContentType('')).toBe(true);
+    expect(isAllowedContentType('application/pdf')).toBe(false);
+    expect(isAllowedContentType('application/xml')).toBe(false);
+    expect(isAllowedContentType('application/xml', TEXT_CONTENT_TYPES)).toBe(true);
+  });
+});
+
+describe('readBodyWithLimit', () => {
+  it('reads a body within the limit', async () => {
+    const { response } = chunkedResponse(['<p>one</p>', '<p>two</p>']);
+
+    expect(await readBodyWithLimit(response)).toBe('<p>one</p><p>two</p>');
+  });
+
+  it('refuses unsupported content types without reading the body', async () => {
+    const { response, state } = chunkedResponse(['%PDF'], { 'content-type': 'application/pdf; qs=0.5' });
+
+    await expect(readBodyWithLimit(response)).rejects.toMatchObject({
+      code: 'unsupported-content-type',
+      message: 'Unsupported content type "application/pdf"'
+    });
+    expect(state.pulled).toBe(0);
+  });
+
+  it('accepts any content type when allowedTypes is null', async () => {
+    const { response } = chunkedResponse(['{}'], { 'content-type': 'application/json' });
+
+    expect(await readBodyWithLimit(response, { allowedTypes: null })).toBe('{}');
+  });
+
+  it('refuses a declared Content-Length over the limit up front', async () => {
+    const { response, state } = chunkedResponse(['x'], { 'content-length': String(DEFAULT_MAX_BODY_BYTES + 1) });
+
+    await expect(readBodyWithLimit(response)).rejects.toMatchObject({
+      code: 'too-large',
+      message: 'Response body of 5.0 MB exceeds the 5.0 MB limit'
+    });
+    expect(state.pulled).toBe(0);
+  });
+
+  it('stops reading and cancels the stream once the body passes the limit', async () => {
+    const { response, state } = chunkedResponse(['a'.repeat(600), 'b'.repeat(600), 'c'.repeat(600)]);
+
+    await expect(readBodyWithLimit(response, { maxBytes: 1000 })).rejects.toMatchObject({
+      code: 'too-large',
+      message: 'Response body exceeds the 1 KB limit'
+    });
+    expect(state.pulled).toBe(2);
+    expect(state.cancelled).toBe(true);
+  });
+
+  it('treats a compressed body inflating past 100 times its Content-Length as a bomb', async () => {
+    const chunk = 'x'.repeat(MB / 2);
+    const { response, state } = chunkedResponse([chunk, chunk, chunk, chunk], {
+      'content-encoding': 'gzip',
+      'content-length': '10240'
+    });
+
+    await expect(readBodyWithLimit(response)).rejects.toMatchObject({
+      code: 'compression-bomb',
+      message: 'Compressed body of 10 KB inflated past 1.5 MB'
+    });
+    expect(state.cancelled).toBe(true);
+  });
+
+  it('does not apply the ratio check to bodies that are not compressed', async () => {
+    const chunk = 'x'.repeat(MB / 2);
+    const { response } = chunkedResponse([chunk, chunk, chunk], { 'content-length': '10240' });
+
+    expect((await readBodyWithLimit(response)).length).toBe(1.5 * MB);
+  });
+});
+
+describe('parseHtmlSafely', () => {
+  it('parses HTML without running its scripts', async () => {
+    globalThis.scriptRan = false;
+    const doc = await parseHtmlSafely('<title>Docs</title><script>globalThis.scriptRan = true</script><p>Body</p>', 'https://docs.example.com/');
+
+    expect(doc.title).toBe('Docs');
+    expect(doc.querySelector('p').textContent).toBe('Body');
+    expect(globalThis.scriptRan).toBe(false);
+    delete globalThis.scriptRan;
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getCandidateSelectors,
+  measureSelectors,
+  rankSelectors,
+  recommendSelectors,
+  sampleEvenly,
+  summarizePageContent,
+  compareToBaseline,
+  loadBaseline,
+  saveBaseline,
+  COMMON_CONTENT_SELECTORS,
+  DEFAULT_BASELINE_TOLERANCES
+} from '../src/server/utils/selector-evaluator.js';
+
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+const PROSE = 'Processes on AO exchange messages with each other. Each message is stored on Arweave, '
+  + 'so any node can replay the log and compute the state of a process. Handlers match incoming '
+  + 'messages by tags and run Lua code that can send further messages or spawn new processes.';
+
+// A docs page whose <main> includes the sidebar; the article is the actual content
+const page = (extra = '') => parse(`
+  <main>
+    <nav>${'Guides Reference Concepts Tutorials '.repeat(10)}</nav>
+    <article class="prose"><h1>Processes</h1><p>${PROSE} ${extra}</p></article>
+  </main>
+  <footer>Copyright</footer>`);
+
+describe('getCandidateSelectors', () => {
+  it('lists configured selectors first, then the common ones without duplicates', () => {
+    const candidates = getCandidateSelectors({ selectors: { content: '.prose, main , #docs' } });
+
+    expect(candidates.slice(0, 3)).toEqual([
+      { selector: '.prose', source: 'config' },
+      { selector: 'main', source: 'config' },
+      { selector: '#docs', source: 'config' }
+    ]);
+    expect(candidates).toHaveLength(3 + COMMON_CONTENT_SELECTORS.length - 2);
+    expect(candidates.filter(candidate => candidate.selector === 'main')).toHaveLength(1);
+  });
+});
+
+describe('measureSelectors', () => {
+  it('measures words, quality and page chrome per selector, treating invalid selectors as no match', () => {
+    const [main, article, missing, invalid] = measureSelectors(page(), [
+      { selector: 'main' }, { selector: 'article' }, { selector: '.vp-doc' }, { selector: 'div[' }
+    ]);
+
+    expect(main.matched).toBe(true);
+    expect(main.words).toBeGreaterThan(article.words);
+    expect(main.boilerplateShare).toBeGreaterThan(0.3);
+    expect(article).toMatchObject({ matched: true, boilerplateShare: 0 });
+    expect(article.quality).toBeGreaterThan(0);
+    expect(missing).toEqual({ selector: '.vp-doc', matched: false, words: 0, characters: 0, quality: 0, boilerplateShare: 0 });
+    expect(invalid.matched).toBe(false);
+  });
+});
+
+describe('rankSelectors and recommendSelectors', () => {
+  const candidates = [
+    { selector: 'main', source: 'config' },
+    { selector: 'article', source: 'common' },
+    { selector: '.rare', source: 'common' },
+    { selector: '.vp-doc', source: 'common' }
+  ];
+
+  it('ranks by match rate, quality, size and the share that is not page chrome', () => {
+    const docs = [page(), page('More text here.'), parse(`<div class="rare"><p>${PROSE}</p></div>`)];
+    const ranked = rankSelectors(docs.map(doc => measureSelectors(doc, candidates)), candidates);
+
+    expect(ranked.map(entry => entry.selector)).toEqual(['article', 'main', '.rare', '.vp-doc']);
+    expect(ranked[0]).toMatchObject({ source: 'common', matchRate: 2 / 3, boilerplateShare: 0 });
+    expect(ranked.at(-1)).toMatchObject({ matchRate: 0, averageWords: 0, score: 0 });
+
+    // .rare matches a third of the sample, too few to be recommended
+    expect(recommendSelectors(ranked)).toBe('article, main');
+    expect(recommendSelectors(ranked, 1)).toBe('article');
+  });
+
+  it('recommends nothing when no selector matched', () => {
+    expect(recommendSelectors(rankSelectors([measureSelectors(parse('<div></div>'), candidates)], candidates))).toBeNull();
+  });
+});
+
+describe('sampleEvenly', () => {
+  it('spreads the sample over the whole list', () => {
+    const items = Array.from({ length: 10 }, (_, index) => index);
+
+    expect(sampleEvenly(items, 4)).toEqual([0, 2, 5, 7]);
+    expect(sampleEvenly([1, 2], 4)).toEqual([1, 2]);
+  });
+});
+
+describe('content baselines', () => {
+  const baseline = { siteKey: 'ao', crawl: { pages: 40, pagesWithContent: 40, averageWords: 800, averageQuality: 0.6 } };
+
+  it('summarizes live pages, averaging over the ones with content', () => {
+    const metrics = summarizePageContent([
+      { content: PROSE, estimatedWords: 300 },
+      { content: PROSE, estimatedWords: 100 },
+      { content: '   ', estimatedWords: 0 },
+      { content: PROSE, estimatedWords: 900, tombstonedAt: '2025-01-01T00:00:00Z' }
+    ]);
+
+    expect(metrics).toMatchObject({ pages: 3, pagesWithContent: 2, averageWords: 200 });
+    expect(metrics.averageQuality).toBeGreaterThan(0);
+    expect(summarizePageContent()).toEqual({ pages: 0, pagesWithContent: 0, averageWords: 0, averageQuality: 0 });
+  });
+
+  it('reports metrics that dropped further than their tolerance', () => {
+    expect(compareToBaseline({ pagesWithContent: 37, averageWords: 700, averageQuality: 0.58 }, baseline)).toEqual([]);
+
+    expect(compareToBaseline({ pagesWithContent: 0, averageWords: 0, averageQuality: 0 }, baseline).map(regression => regression.metric))
+      .toEqual(['pagesWithContent', 'averageWords', 'averageQuality']);
+
+    expect(compareToBaseline({ pagesWithContent: 40, averageWords: 500, averageQuality: 0.6 }, baseline)).toEqual([
+      { metric: 'averageWords', baseline: 800, current: 500, drop: 0.375, tolerance: 0.25 }
+    ]);
+  });
+
+  it('applies tolerances from the baseline file and from the caller', () => {
+    const current = { pagesWithContent: 40, averageWords: 500, averageQuality: 0.6 };
+
+    expect(compareToBaseline(current, { ...baseline, tolerances: { averageWords: 0.5 } })).toEqual([]);
+    expect(compareToBaseline(current, { ...baseline, tolerances: { averageWords: 0.5 } }, { averageWords: 0.2 })).toHaveLength(1);
+  });
+
+  describe('baseline files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baselines-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('saves baselines, keeping tolerances tuned in an existing file', async () => {
+      const file = await saveBaseline(baseline, dir);
+      expect(file).toBe(path.join(dir, 'ao.json'));
+      expect(await loadBaseline('ao', dir)).toEqual({ version: 1, ...baseline, tolerances: DEFAULT_BASELINE_TOLERANCES });
+
+      const tuned = { ...DEFAULT_BASELINE_TOLERANCES, averageWords: 0.5 };
+      fs.writeFileSync(file, JSON.stringify({ ...JSON.parse(fs.readFileSync(file, 'utf8')), tolerances: tuned }));
+      await saveBaseline({ ...baseline, crawl: { ...baseline.crawl, averageWords: 900 } }, dir);
+
+      expect(await loadBaseline('ao', dir)).toMatchObject({ crawl: { averageWords: 900 }, tolerances: tuned });
+    });
+
+    it('reads a missing or outdated baseline as null and fails on a corrupt one', async () => {
+      fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ version: 0 }));
+      fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+      expect(await loadBaseline('missing', dir)).toBeNull();
+      expect(await loadBaseline('old', dir)).toBeNull();
+      await expect(loadBaseline('broken', dir)).rejects.toThrow(/^Could not read baseline for broken: /);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  detectFramework,
+  findLanguagePaths,
+  deriveSiteKey,
+  deriveSiteName,
+  proposeSiteConfig
+} from '../src/server/utils/site-detector.js';
+
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+describe('detectFramework', () => {
+  it('recognizes a framework from its generator tag and theme markup', () => {
+    const doc = parse('<meta name="generator" content="mkdocs-1.5.3, mkdocs-material-9.4"><div class="md-content"></div><nav class="md-nav"></nav>');
+
+    expect(detectFramework(doc)).toEqual({
+      framework: 'mkdocs',
+      name: 'MkDocs',
+      evidence: ['generator "mkdocs-1.5.3, mkdocs-material-9.4"', 'element .md-content', 'element nav.md-nav']
+    });
+  });
+
+  it('recognizes a framework from markup alone', () => {
+    expect(detectFramework(parse('<div id="VPContent"><div class="vp-doc"></div></div>')).framework).toBe('vitepress');
+    expect(detectFramework(parse('<div id="__docusaurus"><article class="theme-doc-markdown"></article></div>')).framework).toBe('docusaurus');
+    expect(detectFramework(parse('<article class="vocs_Content"></article>')).framework).toBe('vocs');
+    expect(detectFramework(parse('<div class="nextra-sidebar-container"></div>')).framework).toBe('nextra');
+  });
+
+  it('prefers the framework with the most signals', () => {
+    // A GitBook link on a VitePress site
+    const doc = parse('<a href="https://app.gitbook.com/x">Old docs</a><div class="VPSidebar"></div><div class="vp-doc"></div>');
+
+    expect(detectFramework(doc).framework).toBe('vitepress');
+  });
+
+  it('falls back to the framework name in the page source for client-rendered pages', () => {
+    const html = '<div id="root"></div><script src="/assets/vocs.client.js"></script>';
+
+    expect(detectFramework(parse(html), html)).toEqual({ framework: 'vocs', name: 'Vocs', evidence: ['"Vocs" in page source'] });
+  });
+
+  it('returns nulls when nothing matches', () => {
+    expect(detectFramework(parse('<main><h1>Hello</h1></main>'), '<main><h1>Hello</h1></main>'))
+      .toEqual({ framework: null, name: null, evidence: [] });
+  });
+});
+
+describe('site naming', () => {
+  it('derives a short key from the host', () => {
+    expect(deriveSiteKey('https://docs.example.com/start')).toBe('example');
+    expect(deriveSiteKey('https://www.cookbook.ar.io/')).toBe('cookbook-ar');
+    expect(deriveSiteKey('http://localhost:4000/')).toBe('localhost');
+  });
+
+  it('names a site after og:site_name, then the end of its title', () => {
+    expect(deriveSiteName(parse('<meta property="og:site_name" content="AO Cookbook"><title>Intro | Other</title>'), 'https://x.dev')).toBe('AO Cookbook');
+    expect(deriveSiteName(parse('<title>Getting Started | HyperBEAM</title>'), 'https://x.dev')).toBe('HyperBEAM');
+    expect(deriveSiteName(parse('<title>Docs</title>'), 'https://x.dev/')).toBe('x.dev');
+  });
+});
+
+describe('findLanguagePaths', () => {
+  it('lists translated path prefixes other than the entry page language', () => {
+    const urls = ['/guide/', '/ja/guide/', '/zh-cn/guide/', '/en/guide/', '/js/api/', '/de'].map(path => `https://docs.example.com${path}`);
+
+    expect(findLanguagePaths(urls, 'https://docs.example.com/en/')).toEqual(['de', 'ja', 'zh-cn']);
+  });
+});
+
+describe('proposeSiteConfig', () => {
+  const probe = (overrides = {}) => ({
+    finalUrl: 'https://docs.example.com/docs/intro',
+    doc: parse('<title>Intro - Example Docs</title>'),
+    detection: { framework: 'nextra', name: 'Nextra', evidence: [] },
+    navigationUrls: ['/docs/intro', '/docs/guides/setup', '/docs/guides/', '/docs/api/process', '/ja/docs/intro']
+      .map(path => `https://docs.example.com${path}`),
+    sitemapUrls: ['https://docs.example.com/docs/api/messages/send', 'https://other.example.com/docs/x'],
+    recommended: null,
+    ...overrides
+  });
+
+  it('proposes selectors, seeds, a path prefix and the handler of the detected framework', () => {
+    const { config, languages } = proposeSiteConfig(probe());
+
+    expect(languages).toEqual(['ja']);
+    expect(config).toMatchObject({
+      name: 'Example Docs',
+      baseUrl: 'https://docs.example.com',
+      maxDepth: 4,
+      maxPages: 50,
+      selectors: { title: 'h1, title', content: 'article main, article, main' },
+      seedUrls: ['/docs/intro', '/docs/guides/', '/docs/api/process'],
+      pathPrefixes: ['/docs/'],
+      handler: 'nextjs'
+    });
+    expect(config.excludePatterns).toContain('/\\/ja\\//');
+  });
+
+  it('uses the recommended selectors and the given name, and falls back to generic selectors', () => {
+    const { config } = proposeSiteConfig(probe({
+      detection: { framework: null, name: null, evidence: [] },
+      recommended: '.prose',
+      navigationUrls: []
+    }), { name: 'Example' });
+
+    expect(config.name).toBe('Example');
+    expect(config.selectors.content).toBe('.prose');
+    expect(config.handler).toBeUndefined();
+    expect(config.seedUrls).toEqual(['/docs/intro', '/docs/api/messages/send']);
+  });
+});
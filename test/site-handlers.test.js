@@ -0,0 +1,81 @@
+// @vitest-environment node
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSiteHandler, getBuiltInHandlerNames } from '../src/server/utils/site-handlers/index.js';
+import glossary from '../src/server/utils/site-handlers/glossary.js';
+import nextjs from '../src/server/utils/site-handlers/nextjs.js';
+
+let dir;
+
+/**
+ * Write a handler module to the temp directory and return its path
+ */
+function writeHandler(name, source) {
+  const file = path.join(dir, `${name}.mjs`);
+  fs.writeFileSync(file, source);
+  return file;
+}
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-handlers-'));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadSiteHandler', () => {
+  it('returns built-in handlers by name and null without a handler', async () => {
+    expect(getBuiltInHandlerNames()).toEqual(['glossary', 'nextjs']);
+    expect(await loadSiteHandler('nextjs')).toBe(nextjs);
+    expect(await loadSiteHandler(undefined)).toBeNull();
+  });
+
+  it('rejects unknown names', async () => {
+    await expect(loadSiteHandler('docusaurus')).rejects.toThrow('Unknown site handler "docusaurus" (built-in handlers: glossary, nextjs)');
+  });
+
+  it('loads a handler module from a path', async () => {
+    const file = writeHandler('custom', 'export default { deriveTitle: ({ title }) => title.toUpperCase() };');
+
+    const handler = await loadSiteHandler(file);
+
+    expect(handler.deriveTitle({ title: 'aos' })).toBe('AOS');
+  });
+
+  it('rejects modules that are not handlers', async () => {
+    const noDefault = writeHandler('no-default', 'export const deriveTitle = () => "x";');
+    const noHooks = writeHandler('no-hooks', 'export default { name: "empty" };');
+    const badHook = writeHandler('bad-hook', 'export default { discoverUrls: ["/a"] };');
+
+    await expect(loadSiteHandler(noDefault)).rejects.toThrow(`Site handler "${noDefault}" must default-export an object`);
+    await expect(loadSiteHandler(noHooks)).rejects.toThrow(/implements none of: discoverUrls, transformDocument/);
+    await expect(loadSiteHandler(badHook)).rejects.toThrow(`Site handler "${badHook}" hook discoverUrls must be a function`);
+  });
+});
+
+describe('built-in handlers', () => {
+  it('titles a glossary from a short first line', () => {
+    expect(glossary.deriveTitle({ content: 'Permaweb Terms\nAO: ...', title: 'glossary.txt' })).toBe('Permaweb Terms');
+    expect(glossary.deriveTitle({ content: `${'x'.repeat(120)}\n`, title: 'glossary.txt' })).toBe('Permaweb Glossary');
+    expect(glossary.deriveTitle({ content: '', title: 'glossary.txt' })).toBe('glossary.txt');
+  });
+
+  it('strips Next.js flight payloads and theme scripts from content', () => {
+    const content = [
+      'Gateways serve data.',
+      'self.__next_f.push([1,"chunk"])',
+      '["$","$L4",null,{}]',
+      'd.style.colorScheme = "dark";',
+      'Run one yourself.'
+    ].join('\n');
+
+    const cleaned = nextjs.postProcessContent(content);
+    expect(cleaned).toMatch(/^Gateways serve data\./);
+    expect(cleaned).toMatch(/Run one yourself\.$/);
+    expect(cleaned).not.toMatch(/__next_f|\$L4|colorScheme/);
+  });
+});
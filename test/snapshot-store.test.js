@@ -0,0 +1,89 @@
+// @vitest-environment node
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import {
+  storeSnapshotBody,
+  readSnapshotBody,
+  loadSnapshotManifest,
+  saveSnapshotManifest,
+  pruneSnapshotObjects
+} from '../src/server/utils/snapshot-store.js';
+
+const HTML = '<html><body><h1>Processes</h1></body></html>';
+
+let dir;
+
+// Every file under the snapshot directory, relative to it
+const listFiles = () => fs.readdirSync(dir, { recursive: true })
+  .filter(name => fs.statSync(path.join(dir, name)).isFile())
+  .sort();
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('snapshot bodies', () => {
+  it('stores each distinct body once under its SHA-256', async () => {
+    const hash = createHash('sha256').update(HTML).digest('hex');
+
+    expect(await storeSnapshotBody(HTML, dir)).toBe(hash);
+    expect(await storeSnapshotBody(HTML, dir)).toBe(hash);
+    expect(listFiles()).toEqual([path.join('objects', hash.slice(0, 2), hash)]);
+    expect(await readSnapshotBody(hash, dir)).toBe(HTML);
+  });
+
+  it('reads a missing body as null', async () => {
+    expect(await readSnapshotBody('ab'.repeat(32), dir)).toBeNull();
+  });
+});
+
+describe('snapshot manifests', () => {
+  it('round-trips a site manifest', async () => {
+    const entries = {
+      'https://docs.example.com/process': { url: 'https://docs.example.com/process', status: 200, contentType: 'text/html', hash: 'abc' }
+    };
+
+    await saveSnapshotManifest('ao', entries, dir);
+
+    expect(await loadSnapshotManifest('ao', dir)).toEqual(entries);
+    expect(await loadSnapshotManifest('hyperbeam', dir)).toEqual({});
+    expect(listFiles()).toEqual(['ao.json']);
+  });
+
+  it('ignores manifests from another version or site and unreadable ones', async () => {
+    fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ version: 0, siteKey: 'old', entries: { a: {} } }));
+    fs.writeFileSync(path.join(dir, 'renamed.json'), JSON.stringify({ version: 1, siteKey: 'other', entries: { a: {} } }));
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    expect(await loadSnapshotManifest('old', dir)).toEqual({});
+    expect(await loadSnapshotManifest('renamed', dir)).toEqual({});
+    expect(await loadSnapshotManifest('broken', dir)).toEqual({});
+  });
+});
+
+describe('pruneSnapshotObjects', () => {
+  it('removes bodies no manifest refers to', async () => {
+    const kept = await storeSnapshotBody(HTML, dir);
+    const shared = await storeSnapshotBody('<p>shared</p>', dir);
+    const orphan = await storeSnapshotBody('<p>replaced</p>', dir);
+    await saveSnapshotManifest('ao', { a: { hash: kept }, b: { hash: shared } }, dir);
+    await saveSnapshotManifest('hyperbeam', { c: { hash: shared } }, dir);
+
+    expect(await pruneSnapshotObjects(dir)).toBe(1);
+    expect(await readSnapshotBody(orphan, dir)).toBeNull();
+    expect(await readSnapshotBody(kept, dir)).toBe(HTML);
+    expect(await readSnapshotBody(shared, dir)).toBe('<p>shared</p>');
+  });
+
+  it('does nothing without a snapshot directory', async () => {
+    expect(await pruneSnapshotObjects(path.join(dir, 'missing'))).toBe(0);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeUrl,
+  getCanonicalKey,
+  findCanonicalLink,
+  resolveCanonicalUrl,
+  mergeAliases,
+  collapseDuplicatePages
+} from '../src/server/utils/url-normalizer.js';
+
+const parse = (html) => new DOMParser().parseFromString(html, 'text/html');
+
+describe('normalizeUrl', () => {
+  it('drops fragments and tracking params and sorts the query', () => {
+    expect(normalizeUrl('HTTPS://Docs.Example.com:443/guides//aos/?utm_source=x&b=2&fbclid=1&a=1#intro'))
+      .toBe('https://docs.example.com/guides/aos/?a=1&b=2');
+  });
+
+  it('keeps the path case and trailing slash, and drops site-specific params', () => {
+    expect(normalizeUrl('https://docs.example.com/API/Process?session=abc&v=2', { stripParams: ['session'] }))
+      .toBe('https://docs.example.com/API/Process?v=2');
+    expect(normalizeUrl('https://docs.example.com/guides/')).toBe('https://docs.example.com/guides/');
+  });
+
+  it('returns null for unparseable URLs', () => {
+    expect(normalizeUrl('not a url')).toBeNull();
+    expect(getCanonicalKey('/relative/path')).toBeNull();
+  });
+});
+
+describe('getCanonicalKey', () => {
+  it('folds index files and trailing slashes', () => {
+    const key = getCanonicalKey('https://docs.example.com/guides');
+    expect(getCanonicalKey('https://docs.example.com/guides/')).toBe(key);
+    expect(getCanonicalKey('https://docs.example.com/guides/index.html')).toBe(key);
+    expect(getCanonicalKey('https://docs.example.com/guides/?ref=nav')).toBe(key);
+    expect(getCanonicalKey('https://docs.example.com/')).toBe('https://docs.example.com/');
+  });
+
+  it('only ignores path case when asked to', () => {
+    expect(getCanonicalKey('https://docs.example.com/API')).not.toBe(getCanonicalKey('https://docs.example.com/api'));
+    expect(getCanonicalKey('https://docs.example.com/API', { lowercasePaths: true }))
+      .toBe(getCanonicalKey('https://docs.example.com/api', { lowercasePaths: true }));
+  });
+});
+
+describe('findCanonicalLink', () => {
+  it('resolves the declared canonical against the page URL', () => {
+    const doc = parse('<html><head><link rel="canonical" href="../aos/"></head><body></body></html>');
+    expect(findCanonicalLink(doc, 'https://docs.example.com/guides/legacy/')).toBe('https://docs.example.com/guides/aos/');
+  });
+
+  it('returns null without a canonical link or document', () => {
+    expect(findCanonicalLink(parse('<p>no head</p>'), 'https://docs.example.com/')).toBeNull();
+    expect(findCanonicalLink(null, 'https://docs.example.com/')).toBeNull();
+  });
+});
+
+describe('resolveCanonicalUrl', () => {
+  it('prefers an accepted rel=canonical and records the served URLs as aliases', () => {
+    const doc = parse('<link rel="canonical" href="https://docs.example.com/guides/aos/">');
+    expect(resolveCanonicalUrl({
+      requestedUrl: 'https://docs.example.com/guides/aos.html',
+      finalUrl: 'https://docs.example.com/guides/aos/?utm_source=nav',
+      doc
+    })).toEqual({
+      url: 'https://docs.example.com/guides/aos/',
+      aliases: ['https://docs.example.com/guides/aos.html', 'https://docs.example.com/guides/aos/?utm_source=nav']
+    });
+  });
+
+  it('falls back to the post-redirect URL when the canonical is rejected', () => {
+    const doc = parse('<link rel="canonical" href="https://mirror.example.org/aos/">');
+    const result = resolveCanonicalUrl({
+      requestedUrl: 'https://docs.example.com/intro.html',
+      finalUrl: 'https://docs.example.com/introduction.html',
+      doc,
+      accept: (url) => new URL(url).host === 'docs.example.com'
+    });
+    expect(result).toEqual({
+      url: 'https://docs.example.com/introduction.html',
+      aliases: ['https://docs.example.com/intro.html']
+    });
+  });
+});
+
+describe('mergeAliases', () => {
+  it('merges lists without duplicates or the canonical URL', () => {
+    expect(mergeAliases('https://a/x', ['https://a/y', 'https://a/x'], ['https://a/y', null, 'https://a/z']))
+      .toEqual(['https://a/y', 'https://a/z']);
+  });
+});
+
+describe('collapseDuplicatePages', () => {
+  it('keeps the first entry per canonical key and records the rest as its aliases', () => {
+    const pages = [
+      { url: 'https://docs.example.com/guides/', title: 'Guides', aliases: ['https://docs.example.com/guide'] },
+      { url: 'https://docs.example.com/run', title: 'Run' },
+      { url: 'https://docs.example.com/guides/index.html', title: 'Guides (index)', aliases: ['https://docs.example.com/old-guides'] }
+    ];
+
+    const collapsed = collapseDuplicatePages(pages);
+
+    expect(collapsed).toHaveLength(2);
+    expect(collapsed[0]).toMatchObject({
+      title: 'Guides',
+      aliases: ['https://docs.example.com/guide', 'https://docs.example.com/old-guides', 'https://docs.example.com/guides/index.html']
+    });
+    expect(collapsed[1]).toBe(pages[1]);
+  });
+});
@@ -0,0 +1,142 @@
+// @vitest-environment node
+
+import { describe, it, expect } from 'vitest';
+import { Semaphore, runInOrder } from '../src/server/utils/work-pool.js';
+
+/**
+ * Promise that is resolved from outside
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('Semaphore', () => {
+  it('admits up to max holders and queues the rest in order', async () => {
+    const semaphore = new Semaphore(2);
+    const admitted = [];
+
+    for (const name of ['a', 'b', 'c', 'd']) {
+      semaphore.acquire().then(() => admitted.push(name));
+    }
+    await settle();
+    expect(admitted).toEqual(['a', 'b']);
+
+    semaphore.release();
+    await settle();
+    expect(admitted).toEqual(['a', 'b', 'c']);
+    expect(semaphore.current).toBe(2);
+  });
+
+  it('admits waiting callers when max grows and drains down after it shrinks', async () => {
+    const semaphore = new Semaphore(1);
+    const admitted = [];
+    for (const name of ['a', 'b', 'c']) {
+      semaphore.acquire().then(() => admitted.push(name));
+    }
+    await settle();
+
+    semaphore.setMax(3);
+    await settle();
+    expect(admitted).toEqual(['a', 'b', 'c']);
+
+    semaphore.setMax(1);
+    semaphore.acquire().then(() => admitted.push('d'));
+    semaphore.release();
+    semaphore.release();
+    await settle();
+    expect(admitted).toEqual(['a', 'b', 'c']);
+    semaphore.release();
+    await settle();
+    expect(admitted).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('releases after use, also when the function throws', async () => {
+    const semaphore = new Semaphore(1);
+
+    expect(await semaphore.use(async () => 'done')).toBe('done');
+    await expect(semaphore.use(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+    expect(semaphore.current).toBe(0);
+  });
+});
+
+describe('runInOrder', () => {
+  it('commits results in start order while jobs finish out of order', async () => {
+    const jobs = [1, 2, 3, 4, 5];
+    const gates = new Map(jobs.map(job => [job, deferred()]));
+    const committed = [];
+    let maxRunning = 0;
+    let active = 0;
+
+    const pool = runInOrder({
+      concurrency: 3,
+      take: async () => jobs.shift() ?? null,
+      run: async (job) => {
+        maxRunning = Math.max(maxRunning, ++active);
+        await gates.get(job).promise;
+        active--;
+        return job * 10;
+      },
+      commit: async (job, result) => committed.push([job, result])
+    });
+
+    for (const job of [3, 2, 5, 4, 1]) {
+      gates.get(job).resolve();
+      await settle();
+    }
+    await pool;
+
+    expect(committed).toEqual([[1, 10], [2, 20], [3, 30], [4, 40], [5, 50]]);
+    expect(maxRunning).toBe(3);
+  });
+
+  it('asks again after a commit when take returned null', async () => {
+    const queue = ['seed'];
+    const taken = [];
+
+    await runInOrder({
+      concurrency: 4,
+      take: async (running) => {
+        const next = queue.shift();
+        if (!next) return null;
+        taken.push([next, running]);
+        return next;
+      },
+      run: async (job) => job,
+      // Committing a page queues its links, as the crawler does
+      commit: async (job) => {
+        if (job === 'seed') queue.push('a', 'b');
+      }
+    });
+
+    expect(taken).toEqual([['seed', 0], ['a', 0], ['b', 1]]);
+  });
+
+  it('hands run errors to commit and rejects when commit throws', async () => {
+    const results = [];
+    const jobs = ['ok', 'fails'];
+
+    await runInOrder({
+      concurrency: 2,
+      take: async () => jobs.shift() ?? null,
+      run: async (job) => {
+        if (job === 'fails') throw new Error('HTTP 502');
+        return 'page';
+      },
+      commit: async (job, result) => results.push(result.error?.message ?? result)
+    });
+    expect(results).toEqual(['page', 'HTTP 502']);
+
+    const single = ['job'];
+    await expect(runInOrder({
+      concurrency: 1,
+      take: async () => single.shift() ?? null,
+      run: async () => null,
+      commit: async () => { throw new Error('disk full'); }
+    })).rejects.toThrow('disk full');
+  });
+});